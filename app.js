@@ -0,0 +1,3275 @@
+// app.js — the HTTP API as a factory, independent of how data is stored or served
+// createApp() wires every route to a set of repositories (lib/repository) and returns the
+// Express app without listening: server.js connects the database and serves it, tests run it
+// in-process on the memory driver.
+const express = require("express");
+const cors = require('cors'); // <-- Added
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { evaluateCollection, statusFor } = require("./lib/harvestRules");
+const { resolveProfile, nextSteps, checkStep, validateTransitions } = require("./lib/lifecycle");
+const { recordHash, canonicalRecord, stableStringify, sha256Hex } = require("./lib/hashing");
+const { merkleRoot, merkleProof, verifyProof } = require("./lib/merkle");
+const { createLedger } = require("./lib/ledger");
+const { createAnchorService } = require("./lib/anchoring");
+const { createLedgerJobService, hashOf: ledgerHashOf, LEASE_S, MAX_ATTEMPTS: LEDGER_JOB_MAX_ATTEMPTS } = require("./lib/ledgerJobs");
+const { createAuth, ROLES, generateKey, hashKey } = require("./lib/auth");
+const { createRecallService, SEVERITIES, canTransition } = require("./lib/recalls");
+const { createLineage, CONSUMED_PHASES } = require("./lib/lineage");
+const { defaultSpec, normaliseParameters, evaluateSpec } = require("./lib/labSpecs");
+const { createStorage } = require("./lib/storage");
+const { createClassifier } = require("./lib/classifier");
+const { PHOTO_TYPES, MAX_PHOTOS_PER_EVENT, classificationOf, classificationView, evidenceFor } = require("./lib/identification");
+const { createIssuer, checkShape: checkCredentialShape } = require("./lib/credentials");
+const { createEpcis, lotFor } = require("./lib/epcis");
+const { validateSpecies, harvestBlockers, harvestableQuery, searchSpecies, allNames, IMMUTABLE: SPECIES_IMMUTABLE } = require("./lib/species");
+const { createQrSigner, verifyToken, parseOptions: parseQrOptions, targetUrl: qrTargetUrl, renderQr } = require("./lib/qr");
+const { reconcile: reconcileMass } = require("./lib/massBalance");
+const { createQuotaService, validateQuota, toKg, roundKg, isStrict: quotaStrict } = require("./lib/quotas");
+const { createAuditLog } = require("./lib/audit");
+const { toPoint, coarsen, cellSizeM } = require("./lib/geo");
+const { defineList } = require("./lib/listQuery");
+const { parseSpatialQuery, parseZoom, shouldCluster, clusterPipeline, clusterFeature, pointFeature, featureCollection, bboxOf, MAX_FEATURES: GEO_MAX_FEATURES, CLUSTER_MAX_ZOOM } = require("./lib/mapLayers");
+const { createAnalytics, parseQuery: parseAnalyticsQuery, toCsv, REPORTS: ANALYTICS_REPORTS } = require("./lib/analytics");
+const { createWebhookService, validateSubscription, generateSecret, EVENT_TYPES: WEBHOOK_EVENT_TYPES, TEST_EVENT: WEBHOOK_TEST_EVENT, DELIVERY_STATUSES } = require("./lib/webhooks");
+const { KINDS: ATTACHMENT_KINDS, MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS_PER_TEST, checkUpload, cleanFilename } = require("./lib/attachments");
+const { createOpenApi } = require("./lib/openapi");
+const { apiSpec } = require("./lib/apiSpec");
+const { envelope, codeForStatus, forwardRejections } = require("./lib/errors");
+const { createRepositories } = require("./lib/repository");
+const { version: API_VERSION } = require("./package.json");
+
+
+// repos: lib/repository (DB_DRIVER by default); storage, ledger and classifier default to their env drivers.
+// start() begins the background work (anchoring, webhook dispatch, ledger job sweeps, backfills); stop() ends it.
+const createApp = ({ repos = createRepositories(), storage = createStorage(), ledger = createLedger(), classifier = createClassifier() } = {}) => {
+  const {
+    Species, CollectionEvent, Batch, ProcessingStep, LabTest, Attachment, LabSpec, Quota, ApiKey,
+    Recall, Anchor, Credential, AuditEntry, WebhookSubscription, OutboxEvent, WebhookDelivery, LedgerJob
+  } = repos;
+
+  // Async handlers' rejections reach the central error handler at the bottom (lib/errors)
+  const app = forwardRejections(express());
+
+  // Add your allowed origins here
+  const allowList = new Set([
+    'http://localhost:8080',
+    'http://localhost:5173',
+    'https://ayurtracefront.netlify.app'
+  ]);
+
+  function isAllowed(origin) {
+    // Allow curl/Postman (no Origin header)
+    if (!origin) return true;
+    try {
+      const { host, protocol } = new URL(origin);
+      if (allowList.has(`${protocol}//${host}`)) return true;
+      // Allow Netlify preview subdomains like pr-123--*.netlify.app
+      if (/\.netlify\.app$/.test(host)) return true;
+    } catch (_) {}
+    return false;
+  }
+
+  const corsOptions = {
+    origin: (origin, cb) => cb(null, isAllowed(origin)),
+    // Set to false if you DON'T use cookies or Authorization from the browser
+    credentials: true,
+    methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
+    allowedHeaders: ['Content-Type','Authorization','X-API-Key','X-Request-Id'],
+    exposedHeaders: ['X-Request-Id','Content-Disposition','X-Truncated']
+  };
+
+  app.use(cors(corsOptions));
+  app.options('*', cors(corsOptions));     // answer preflight
+
+  // ---- Request ids ----
+  // X-Request-Id is honoured when it looks sane, otherwise one is generated; it is echoed back,
+  // carried in every error body and recorded in the audit log.
+  const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+  const requestContext = new AsyncLocalStorage();
+  app.use((req, res, next) => {
+    const given = req.get("X-Request-Id");
+    req.id = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    requestContext.run(req, next);
+  });
+
+  // ---- API contract (lib/apiSpec, lib/openapi) and error format (lib/errors) ----
+  // Routes with parameters or a body carry `validate`, which checks them against their entry in the
+  // OpenAPI document before the handler runs. Every error body becomes
+  // { code, message, field, request_id, ... }.
+  const BULK_MAX_EVENTS = Number(process.env.BULK_MAX_EVENTS || 500);
+  const api = createOpenApi(apiSpec({ version: API_VERSION, serverUrl: process.env.PUBLIC_BASE_URL, bulkMaxEvents: BULK_MAX_EVENTS }));
+  const validate = api.validate;
+  app.use(envelope({ fieldsFor: api.fieldsFor }));
+
+  app.use(express.json({ limit: "5mb" }));
+
+
+  // ---- Helpers ----
+  // Species code for ids derived from an existing batch; batches of species registered before
+  // the registry enforced codes keep the code embedded in their own id (B-<CODE>-...)
+  const batchSpeciesCode = async (batch) => {
+    const s = await Species.findOne({ scientificName: batch.scientificName }, { speciesCode: 1 });
+    return s?.speciesCode || batch.id.split("-")[1];
+  };
+  const makeBatchId = (code, ts, collectorId) => {
+    const d = new Date(ts);
+    const y = d.getUTCFullYear();
+    const m = String(d.getUTCMonth()+1).padStart(2,"0");
+    const day = String(d.getUTCDate()).padStart(2,"0");
+    return `B-${code}-${y}${m}${day}-${collectorId}`;
+  };
+  // QR images are rendered by GET /batches/:id/qr (lib/qr). qr_code_url is always absolute, since
+  // it ends up on labels and phones: PUBLIC_BASE_URL, else the origin the request came in on
+  // (outside a request, http://localhost:$PORT).
+  for (const name of ["PUBLIC_BASE_URL", "QR_BASE_URL"]) {
+    if (process.env[name] && !/^https?:\/\/[^/]/i.test(process.env[name])) throw new Error(`${name} must be an absolute http(s) URL`);
+  }
+  const qrSigner = createQrSigner();
+  const requestOrigin = () => {
+    const req = requestContext.getStore();
+    return req?.get("host") ? `${req.protocol}://${req.get("host")}` : `http://localhost:${process.env.PORT || 8000}`;
+  };
+  const qrCodeUrlFor = (batchId) =>
+    `${(process.env.PUBLIC_BASE_URL || requestOrigin()).replace(/\/+$/, "")}/batches/${encodeURIComponent(batchId)}/qr`;
+  const isoZ = (d) => new Date(d).toISOString().replace(/\.\d{3}Z$/, "Z");
+
+  // ---- Record hashing / per-batch Merkle root ----
+  const RECORD_MODELS = { CollectionEvent, ProcessingStep, LabTest };
+  const RECORD_ORDER = Object.keys(RECORD_MODELS);
+
+  // Blockchain workers lease records from here (lib/ledgerJobs); new records and changed batch roots are queued
+  const ledgerJobs = createLedgerJobService({ Job: LedgerJob, models: { CollectionEvent, ProcessingStep, LabTest, Batch } });
+
+  // Builds the document (schema casting applied), stamps its canonical content hash, stores it
+  // and queues it for the blockchain workers
+  const createHashed = async (Model, fields) => {
+    const doc = Model.build(fields);
+    doc.hash = recordHash(Model.modelName, doc);
+    const stored = await Model.create(doc);
+    await ledgerJobs.enqueue(Model.modelName, stored);
+    return stored;
+  };
+
+  const loadBatchRecords = async (batchId) => {
+    const lists = await Promise.all(RECORD_ORDER.map(t => RECORD_MODELS[t].find({ batchId })));
+    return Object.fromEntries(RECORD_ORDER.map((t, i) => [t, lists[i]]));
+  };
+
+  // Deterministic leaf order: record type, then id
+  const merkleLeaves = (records, hashOf = (_t, r) => r.hash) =>
+    RECORD_ORDER.flatMap(type =>
+      (records[type] || [])
+        .map(r => ({ type, id: r.id, hash: hashOf(type, r) }))
+        .filter(l => l.hash).sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    );
+
+  const refreshBatchMerkle = async (batchId) => {
+    const leaves = merkleLeaves(await loadBatchRecords(batchId));
+    const root = merkleRoot(leaves.map(l => l.hash));
+    await Batch.updateOne({ id: batchId }, { $set: { merkleRoot: root, merkleLeafCount: leaves.length, merkleUpdatedAt: new Date(), anchorPending: true } });
+    await ledgerJobs.enqueue("Batch", { id: batchId, merkleRoot: root });
+    return { root, leaves };
+  };
+
+  // Recomputes every record's content hash and the batch root from scratch
+  const verifyBatchIntegrity = (batch, records) => {
+    const mismatches = [];
+    const unhashed = [];
+    for (const type of RECORD_ORDER) {
+      for (const r of records[type] || []) {
+        if (!r.hash) { unhashed.push({ type, id: r.id }); continue; }
+        const computed = recordHash(type, r);
+        if (computed !== r.hash) mismatches.push({ type, id: r.id, stored_hash: r.hash, computed_hash: computed });
+      }
+    }
+    const recomputedRoot = merkleRoot(merkleLeaves(records, (t, r) => r.hash && recordHash(t, r)).map(l => l.hash));
+    const rootMatches = !!batch.merkleRoot && recomputedRoot === batch.merkleRoot;
+    return {
+      verified: rootMatches && mismatches.length === 0 && unhashed.length === 0,
+      merkle_root: batch.merkleRoot || null,
+      recomputed_root: recomputedRoot,
+      leaf_count: batch.merkleLeafCount || 0,
+      mismatches,
+      unhashed
+    };
+  };
+
+  // ---- Mass balance (lib/massBalance) ----
+  // Start mass: the weighed, non-rejected collection events for day-batches; the recorded
+  // quantity for derived lots, whose merge inputs are also checked against their parents.
+  const massBalanceReport = async (batch) => {
+    const [species, steps] = await Promise.all([
+      Species.findOne({ scientificName: batch.scientificName }),
+      ProcessingStep.find({ batchId: batch.id, status: "COMPLETED" })
+    ]);
+    const order = new Map((batch.phaseHistory || []).filter(h => h.stepId).map((h, i) => [h.stepId, i]));
+    const when = (ps) => new Date(ps.endedAt || ps.startedAt || ps.createdAt).getTime();
+    steps.sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity) || when(a) - when(b));
+
+    let start;
+    let parents = [];
+    if (batch.derivation) {
+      start = { kg: batch.quantityKg ?? null, complete: typeof batch.quantityKg === "number", source: batch.derivation };
+      if (batch.derivation === "MERGE" && typeof batch.quantityKg === "number") {
+        const docs = await Batch.find({ id: { $in: batch.parents.map(p => p.batchId) } }, { id: 1, quantityKg: 1, massBalance: 1 });
+        parents = batch.parents.map(p => {
+          const parent = docs.find(d => d.id === p.batchId);
+          return { batchId: p.batchId, contributedKg: batch.quantityKg * p.weight, availableKg: parent?.massBalance?.currentKg ?? parent?.quantityKg ?? null };
+        });
+      }
+    } else {
+      const events = await CollectionEvent.find({ batchId: batch.id, status: { $ne: "REJECTED" } }, { quantityKg: 1 });
+      const weighed = events.filter(e => typeof e.quantityKg === "number");
+      start = {
+        kg: weighed.length ? weighed.reduce((sum, e) => sum + e.quantityKg, 0) : null,
+        complete: events.length > 0 && weighed.length === events.length,
+        source: "COLLECTION"
+      };
+    }
+    return reconcileMass({ start, steps, species, parents });
+  };
+
+  // Recomputes the report and replaces the batch's MASS_BALANCE flags (keeping when each was first raised).
+  // Written (and audited) only when the flags or the balance changed, so reading a report is not a write.
+  const refreshMassBalance = async (batchId) => {
+    const batch = await Batch.findOne({ id: batchId });
+    if (!batch) return null;
+    const report = await massBalanceReport(batch);
+    const flagKey = (code, stepId, detail) => `${code}|${stepId || detail?.parent_batch_id || ""}`;
+    const raised = new Map((batch.flags || []).filter(f => f.source === "MASS_BALANCE").map(f => [flagKey(f.code, f.stepId, f.detail), f.raisedAt]));
+    const flags = [
+      ...(batch.flags || []).filter(f => f.source !== "MASS_BALANCE"),
+      ...report.anomalies.map(({ code, severity, message, step_id, ...detail }) => ({
+        source: "MASS_BALANCE", code, severity, message, stepId: step_id, detail,
+        raisedAt: raised.get(flagKey(code, step_id, detail)) || new Date()
+      }))
+    ];
+    const massBalance = { status: report.status, startKg: report.startKg, currentKg: report.currentKg };
+    const asStored = (v) => stableStringify(JSON.parse(JSON.stringify(v)));
+    const { checkedAt: _, ...stored } = batch.massBalance || {};
+    if (asStored(flags) !== asStored(batch.flags || []) || asStored(massBalance) !== asStored(stored)) {
+      await auditedUpdate("Batch", Batch, { id: batchId }, { $set: { flags, massBalance: { ...massBalance, checkedAt: new Date() } } });
+    }
+    return report;
+  };
+
+  const flagView = (f) => ({
+    source: f.source,
+    code: f.code,
+    severity: f.severity || null,
+    message: f.message || null,
+    step_id: f.stepId || null,
+    detail: f.detail || {},
+    raised_at: isoZ(f.raisedAt)
+  });
+
+  // ---- Ledger anchoring ----
+  const anchorService = createAnchorService({
+    ledger,
+    models: { CollectionEvent, ProcessingStep, LabTest, Batch, Anchor },
+    // Scheduled runs have no request, so they (and the receipts they stamp) are logged under the system actor
+    update: (...args) => auditedUpdate(...args),
+    onAnchored: async (anchor) => {
+      await audit("Anchor", null, anchor);
+      await emitEvent("anchor.created", {
+        anchor_id: anchor.id, root: anchor.root, driver: anchor.driver, height: anchor.height, tx_id: anchor.txId,
+        item_count: anchor.items.length, items: anchor.items
+      });
+    }
+  });
+
+  // ---- Lineage / Recalls ----
+  const lineage = createLineage({ Batch, update: (...args) => auditedUpdate(...args) });
+  const recallService = createRecallService({ Recall, Batch, expandDownstream: lineage.expandDownstream, update: (...args) => auditedUpdate(...args) });
+
+  // ---- Harvest quotas (lib/quotas) ----
+  const quotaService = createQuotaService({ Quota, CollectionEvent });
+
+  // ---- Verifiable credentials (lib/credentials) ----
+  const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/+$/, "");
+  const issuer = createIssuer({ baseUrl: PUBLIC_BASE_URL });
+  const epcis = createEpcis({ baseUrl: PUBLIC_BASE_URL });
+
+  // ---- Auth ----
+  const auth = createAuth({ ApiKey });
+  const can = auth.requirePermission;
+  app.use(auth.authenticate);
+
+  // ---- Audit log (lib/audit) ----
+  // Every write is recorded with who made it, through which route and under which request id.
+
+  // Key hashes and webhook secrets stay out of the log; a credential's signed body is identified by its digest
+  const auditLog = createAuditLog({ AuditEntry, redact: { ApiKey: ["keyHash"], Credential: ["vc"], WebhookSubscription: ["secret"] } });
+
+  // Writes made outside a request (scheduled anchoring)
+  const SYSTEM_ACTOR = Object.freeze({ role: "system", subject: null, via: "internal" });
+
+  // before/after are lean docs; null before = CREATE, null after = DELETE
+  const audit = (entityType, before, after) => {
+    const req = requestContext.getStore();
+    return auditLog.record({
+      actor: req?.actor || SYSTEM_ACTOR,
+      requestId: req?.id,
+      method: req?.method,
+      route: req ? req.route?.path || req.path : null
+    }, entityType, before, after);
+  };
+
+  // ---- Outbound webhooks (lib/webhooks) ----
+  // Events are written to the outbox before the response goes out; the dispatcher delivers them
+  const webhooks = createWebhookService({ Subscription: WebhookSubscription, OutboxEvent, Delivery: WebhookDelivery });
+  const emitEvent = (type, data) => webhooks.emit(type, data, { requestId: requestContext.getStore()?.id });
+
+  const batchCreatedEvent = (b) => ({
+    batch_id: b.id,
+    species: b.scientificName,
+    status_phase: b.statusPhase,
+    derivation: b.derivation || null,
+    parents: (b.parents || []).map(p => ({ batch_id: p.batchId, weight: p.weight })),
+    collector_id: b.collectorId || null,
+    qr_code_url: qrCodeUrlFor(b.id)
+  });
+
+  // findOneAndUpdate that audits the change; returns the updated doc or null when nothing matched
+  const auditedUpdate = async (entityType, Model, filter, update) => {
+    const before = await Model.findOneAndUpdate(filter, update, { new: false });
+    if (!before) return null;
+    const after = await Model.findOne({ _id: before._id });
+    await audit(entityType, before, after);
+    return after;
+  };
+
+  // Collectors may only act on their own collectorId
+  const isForeignCollector = (actor, collectorId) => actor.role === "collector" && actor.subject !== collectorId;
+
+  // Answers a list endpoint from its lib/listQuery spec: filters, sort, fields, cursor → envelope.
+  // `extra` is merged into the body (endpoint-specific keys next to the envelope).
+  const sendList = async (res, list, Model, query, { extra, ...opts } = {}) => {
+    const r = await list.run(Model, query, opts);
+    if (r.error) return res.status(400).json({ error: "INVALID_QUERY", message: r.error });
+    return res.json({ ...r.body, ...extra });
+  };
+
+  // ---- Endpoints ----
+
+  // 0) Seed one species (dev utility)
+  app.post("/dev/seed-species", can("species:write"), validate, async (req, res) => {
+    const checked = validateSpecies(req.body);
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    try {
+      const before = await Species.findOne({ scientificName: checked.value.scientificName });
+      await Species.updateOne({ scientificName: checked.value.scientificName }, { $set: checked.value }, { upsert: true });
+      await audit("Species", before, await Species.findOne({ scientificName: checked.value.scientificName }));
+    } catch (e) {
+      if (isDuplicateKey(e)) return res.status(409).json({ error: "SPECIES_CODE_TAKEN", message: `speciesCode ${checked.value.speciesCode} belongs to another species` });
+      throw e;
+    }
+    return res.json({ ok: true });
+  });
+
+  // ---- Species registry (lib/species) ----
+  const speciesView = (sp) => ({
+    scientific_name: sp.scientificName,
+    species_code: sp.speciesCode,
+    taxonomy: sp.taxonomy || {},
+    plant_parts: sp.plantParts || [],
+    conservation: {
+      iucn: sp.conservation?.iucn || null,
+      cites: sp.conservation?.cites || null,
+      assessed_at: sp.conservation?.assessedAt ? isoZ(sp.conservation.assessedAt) : null
+    },
+    vernacular_names: allNames(sp),
+    gtin: sp.gtin || null,
+    season_months: sp.seasonMonths || [],
+    harvest_zone_count: (sp.harvestZones || []).filter(z => z.active !== false).length,
+    yield_ranges: sp.yieldRanges || {},
+    lifecycle_profile: sp.lifecycleTransitions ? "CUSTOM" : sp.lifecycleProfile || null,
+    status: sp.status || "ACTIVE",
+    harvestable: harvestBlockers(sp).length === 0,
+    harvest_blockers: harvestBlockers(sp),
+    quota_required: quotaStrict(sp)
+  });
+
+  const speciesConflict = (res, e) => {
+    const field = Object.keys(e.keyPattern || {})[0];
+    return field === "speciesCode"
+      ? res.status(409).json({ error: "SPECIES_CODE_TAKEN", message: "speciesCode is already used by another species" })
+      : res.status(409).json({ error: "SPECIES_EXISTS", message: "scientificName is already registered" });
+  };
+
+  app.post("/species", can("species:write"), validate, async (req, res) => {
+    const checked = validateSpecies(req.body);
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    try {
+      const doc = await Species.create(checked.value);
+      await audit("Species", null, doc);
+      return res.status(201).json(speciesView(doc));
+    } catch (e) {
+      if (isDuplicateKey(e)) return speciesConflict(res, e);
+      throw e;
+    }
+  });
+
+  // Fuzzy lookup over scientific names, codes and vernaculars (any language, or ?lang=)
+  app.get("/species/search", can("species:read"), validate, async (req, res) => {
+    const { q, lang, limit } = req.query;
+    if (!q || String(q).trim().length < 2) return res.status(400).json({ error: "VALIDATION_ERROR", field: "q", message: "q must be at least 2 characters" });
+    const active = await Species.find({ status: { $ne: "RETIRED" } });
+    const hits = searchSpecies(active, String(q), { lang: lang || undefined, limit: Math.min(parseInt(limit, 10) || 10, 50) });
+    return res.json({
+      query: q,
+      items: hits.map(h => ({ ...speciesView(h.species), score: h.score, matched: h.matched }))
+    });
+  });
+
+  const speciesList = defineList({
+    key: "speciesCode",
+    fields: {
+      scientific_name: { path: "scientificName", sort: true },
+      species_code: { path: "speciesCode", sort: true, upper: true },
+      status: { upper: true },
+      plant_parts: { path: "plantParts", upper: true },
+      iucn: { path: "conservation.iucn", upper: true },
+      cites: { path: "conservation.cites", upper: true },
+      gtin: {},
+      lifecycle_profile: { path: "lifecycleProfile", upper: true },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      updated_at: { path: "updatedAt", type: "date", sort: true }
+    },
+    sort: "scientific_name",
+    limit: 200,
+    maxLimit: 500,
+    total: true
+  });
+
+  app.get("/species", can("species:read"), validate, async (req, res) => {
+    const { harvestable, plant_part } = req.query;
+    const q = {};
+    if (plant_part) q.plantParts = String(plant_part).toUpperCase();
+    if (harvestable !== undefined) Object.assign(q, harvestableQuery(harvestable === "true"));
+    return sendList(res, speciesList, Species, req.query, { base: q, view: speciesView });
+  });
+
+  app.get("/species/:code", can("species:read"), async (req, res) => {
+    const sp = await Species.findOne({ speciesCode: req.params.code.toUpperCase() });
+    if (!sp) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(speciesView(sp));
+  });
+
+  app.patch("/species/:code", can("species:write"), validate, async (req, res) => {
+    const body = req.body || {};
+    const locked = SPECIES_IMMUTABLE.filter(k => body[k] !== undefined);
+    if (locked.length) return res.status(400).json({ error: "IMMUTABLE_FIELD", message: `${locked.join(", ")} cannot be changed; register a new species instead` });
+    const checked = validateSpecies(body, { partial: true });
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    if (!Object.keys(checked.value).length) return res.status(400).json({ error: "VALIDATION_ERROR", message: "No updatable fields given" });
+    const sp = await auditedUpdate("Species", Species, { speciesCode: req.params.code.toUpperCase() }, { $set: checked.value });
+    if (!sp) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(speciesView(sp));
+  });
+
+  // Species are referenced by every batch and record, so delete retires instead of removing
+  app.delete("/species/:code", can("species:write"), async (req, res) => {
+    const sp = await auditedUpdate("Species", Species, { speciesCode: req.params.code.toUpperCase() }, { $set: { status: "RETIRED" } });
+    if (!sp) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(speciesView(sp));
+  });
+
+  // ---- Harvest quotas (lib/quotas) ----
+  const QUOTA_SCOPE_FIELDS = ["species", "zone_id", "collector_id", "season_from", "season_to"];
+
+  const quotaView = (q, species) => ({
+    id: q.id,
+    scientific_name: q.scientificName,
+    zone_id: q.zoneId || null,
+    collector_id: q.collectorId || null,
+    season: { from: q.seasonFrom, to: q.seasonTo },
+    cap_kg: q.capKg,
+    on_exceed: q.onExceed,
+    // Threatened species are always enforced as REJECT, whatever on_exceed says
+    effective_on_exceed: quotaService.enforcement(q, species),
+    status: q.status,
+    notes: q.notes || null,
+    created_by: q.createdBy || null,
+    created_at: isoZ(q.createdAt),
+    updated_at: isoZ(q.updatedAt)
+  });
+
+  // Collectors only see quotas that apply to everyone or to themselves
+  const hidesQuota = (actor, q) => actor.role === "collector" && !!q.collectorId && q.collectorId !== actor.subject;
+
+  app.post("/quotas", can("quota:manage"), validate, async (req, res) => {
+    const checked = validateQuota(req.body);
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    const v = checked.value;
+    const species = await Species.findOne({ scientificName: v.scientificName });
+    if (!species) return res.status(422).json({ error: "SPECIES_NOT_REGISTERED", message: `${v.scientificName} is not in the species registry` });
+    if (v.zoneId && !(species.harvestZones || []).some(z => z.zoneId === v.zoneId)) {
+      return res.status(400).json({ error: "UNKNOWN_ZONE", message: `${v.zoneId} is not a harvest zone of ${v.scientificName}` });
+    }
+    const fields = { id: "QT-" + crypto.randomBytes(4).toString("hex"), ...v, createdBy: req.actor.subject };
+    // A quota opened mid-season starts from what has already been collected
+    fields.usedKg = (await quotaService.usage(fields)).usedKg;
+    const doc = await Quota.create(fields);
+    await audit("Quota", null, doc);
+    return res.status(201).json(quotaView(doc, species));
+  });
+
+  const quotaList = defineList({
+    fields: {
+      id: { sort: true },
+      scientific_name: { path: "scientificName", sort: true },
+      zone_id: { path: "zoneId" },
+      collector_id: { path: "collectorId" },
+      season_from: { path: "seasonFrom", sort: true },
+      season_to: { path: "seasonTo", sort: true },
+      cap_kg: { path: "capKg", type: "number", sort: true },
+      on_exceed: { path: "onExceed", upper: true },
+      status: { upper: true },
+      created_at: { path: "createdAt", type: "date", sort: true }
+    },
+    sort: "scientific_name,-season_from",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/quotas", can("quota:read"), validate, async (req, res) => {
+    const { species, on } = req.query;
+    if (on && !DATE_RE.test(on)) return res.status(400).json({ error: "VALIDATION_ERROR", field: "on", message: "on must be YYYY-MM-DD" });
+    const q = {};
+    if (species) q.scientificName = species;
+    if (on) Object.assign(q, { seasonFrom: { $lte: on }, seasonTo: { $gte: on } });
+    if (req.actor.role === "collector") q.collectorId = { $in: [null, req.actor.subject] };
+    return sendList(res, quotaList, Quota, req.query, {
+      base: q,
+      prepare: async (rows) => {
+        const found = await Species.find({ scientificName: { $in: [...new Set(rows.map(r => r.scientificName))] } });
+        return new Map(found.map(sp => [sp.scientificName, sp]));
+      },
+      view: (r, byName) => quotaView(r, byName.get(r.scientificName))
+    });
+  });
+
+  app.get("/quotas/:id", can("quota:read"), async (req, res) => {
+    const q = await Quota.findOne({ id: req.params.id });
+    if (!q || hidesQuota(req.actor, q)) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(quotaView(q, await Species.findOne({ scientificName: q.scientificName })));
+  });
+
+  // Cap, enforcement, status and notes can change; the scope is fixed because usage is counted against it
+  app.patch("/quotas/:id", can("quota:manage"), validate, async (req, res) => {
+    const body = req.body || {};
+    const locked = QUOTA_SCOPE_FIELDS.filter(k => body[k] !== undefined);
+    if (locked.length) return res.status(400).json({ error: "IMMUTABLE_FIELD", message: `${locked.join(", ")} cannot be changed; retire this quota and create a new one` });
+    const checked = validateQuota(body, { partial: true });
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    if (!Object.keys(checked.value).length) return res.status(400).json({ error: "VALIDATION_ERROR", message: "No updatable fields given" });
+    const q = await auditedUpdate("Quota", Quota, { id: req.params.id }, { $set: checked.value });
+    if (!q) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(quotaView(q, await Species.findOne({ scientificName: q.scientificName })));
+  });
+
+  // Consumption against the cap, recomputed from the stored collection events
+  app.get("/quotas/:id/usage", can("quota:read"), async (req, res) => {
+    const q = await Quota.findOne({ id: req.params.id });
+    if (!q || hidesQuota(req.actor, q)) return res.status(404).json({ error: "NOT_FOUND" });
+    const species = await Species.findOne({ scientificName: q.scientificName });
+    const u = await quotaService.usage(q);
+    const byCollector = req.actor.role === "collector"
+      ? u.byCollector.filter(c => c.collectorId === req.actor.subject)
+      : u.byCollector;
+    return res.json({
+      quota: quotaView(q, species),
+      cap_kg: q.capKg,
+      used_kg: u.usedKg,
+      remaining_kg: roundKg(Math.max(q.capKg - u.usedKg, 0)),
+      used_pct: q.capKg ? Math.round((u.usedKg / q.capKg) * 1000) / 10 : null,
+      exceeded: u.usedKg > q.capKg,
+      event_count: u.eventCount,
+      flagged_event_count: u.flaggedCount,
+      unmeasured_event_count: u.unmeasuredCount,
+      by_collector: byCollector.map(c => ({ collector_id: c.collectorId, used_kg: c.usedKg, event_count: c.eventCount })),
+      // The live counter collections are checked against; differs only while writes are in flight
+      counter_kg: roundKg(q.usedKg || 0),
+      as_of: isoZ(new Date())
+    });
+  });
+
+  // Admin: issue, list and revoke API keys
+  const apiKeyView = (k) => ({
+    id: k.id,
+    prefix: k.prefix,
+    role: k.role,
+    subject: k.subject || null,
+    name: k.name || null,
+    created_by: k.createdBy || null,
+    created_at: isoZ(k.createdAt),
+    last_used_at: k.lastUsedAt ? isoZ(k.lastUsedAt) : null,
+    revoked_at: k.revokedAt ? isoZ(k.revokedAt) : null
+  });
+
+  app.post("/admin/api-keys", can("keys:manage"), validate, async (req, res) => {
+    const { role, subject, name } = req.body || {};
+    if (!ROLES.includes(role) || role === "public") {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "role", message: `role must be one of ${ROLES.filter(r => r !== "public").join(", ")}` });
+    }
+    if (["collector", "lab", "chain-worker"].includes(role) && !subject) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "subject", message: `subject is required for role ${role}` });
+    }
+    const key = generateKey();
+    const doc = await ApiKey.create({
+      id: "AK-" + crypto.randomBytes(4).toString("hex"),
+      keyHash: hashKey(key),
+      prefix: key.slice(0, 8),
+      role,
+      subject: subject || undefined,
+      name: name || undefined,
+      createdBy: req.actor.subject
+    });
+    await audit("ApiKey", null, doc);
+    // The plaintext key is only ever returned here
+    return res.status(201).json({ ...apiKeyView(doc), key });
+  });
+
+  const apiKeyList = defineList({
+    fields: {
+      id: { sort: true },
+      prefix: {},
+      role: {},
+      subject: {},
+      name: {},
+      created_by: { path: "createdBy" },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      last_used_at: { path: "lastUsedAt", type: "date", sort: true },
+      revoked_at: { path: "revokedAt", type: "date", sort: true }
+    },
+    sort: "-created_at",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/admin/api-keys", can("keys:manage"), validate, async (req, res) => {
+    return sendList(res, apiKeyList, ApiKey, req.query, {
+      base: req.query.include_revoked === "true" ? {} : { revokedAt: null },
+      view: apiKeyView
+    });
+  });
+
+  app.delete("/admin/api-keys/:id", can("keys:manage"), async (req, res) => {
+    const k = await auditedUpdate("ApiKey", ApiKey,
+      { id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.actor.subject } }
+    );
+    if (!k) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ id: req.params.id, revoked: true });
+  });
+
+  // Exchange an API key for a short-lived JWT (mobile/web clients)
+  app.post("/auth/token", async (req, res) => {
+    if (req.actor.via !== "api-key") return res.status(401).json({ error: "UNAUTHENTICATED", message: "API key required" });
+    const token = auth.issueToken(req.actor);
+    if (!token) return res.status(501).json({ error: "JWT_DISABLED", message: "JWT_SECRET is not configured" });
+    return res.json({ token, token_type: "Bearer", role: req.actor.role, subject: req.actor.subject });
+  });
+
+  // Audit log: newest first, filtered by entity, actor, request or time; paged with before_seq
+  const auditView = (e) => ({
+    seq: e.seq,
+    id: e.id,
+    at: e.at.toISOString(),
+    actor: e.actor ? { role: e.actor.role, subject: e.actor.subject || null, via: e.actor.via || null } : null,
+    request_id: e.requestId || null,
+    method: e.method || null,
+    route: e.route || null,
+    entity_type: e.entityType,
+    entity_id: e.entityId,
+    action: e.action,
+    changes: e.changes || [],
+    prev_hash: e.prevHash,
+    hash: e.hash
+  });
+
+  const auditList = defineList({
+    key: "seq",
+    fields: {
+      seq: { type: "number", sort: true },
+      id: {},
+      at: { type: "date", sort: true },
+      request_id: { path: "requestId" },
+      method: { upper: true },
+      route: {},
+      entity_type: { path: "entityType" },
+      entity_id: { path: "entityId" },
+      action: { upper: true }
+    },
+    sort: "-seq",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/audit", can("audit:read"), validate, async (req, res) => {
+    const { actor, role, from, to, before_seq } = req.query;
+    const q = {};
+    if (actor) q["actor.subject"] = actor;
+    if (role) q["actor.role"] = role;
+    if (from || to) {
+      if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: "VALIDATION_ERROR", field: from && isNaN(Date.parse(from)) ? "from" : "to", message: "from/to must be ISO 8601 dates" });
+      }
+      q.at = {};
+      if (from) q.at.$gte = new Date(from);
+      if (to) q.at.$lt = new Date(to);
+    }
+    if (before_seq !== undefined) {
+      const n = parseInt(before_seq, 10);
+      if (!(n > 0)) return res.status(400).json({ error: "VALIDATION_ERROR", field: "before_seq", message: "before_seq must be a positive integer" });
+      q.seq = { $lt: n };
+    }
+    return sendList(res, auditList, AuditEntry, req.query, { base: q, view: auditView });
+  });
+
+  // Recomputes the hash chain; a break means an entry was altered, removed or reordered.
+  // Removing the newest entries leaves a valid but shorter chain, so compare head_hash with one kept earlier.
+  app.get("/audit/verify", can("audit:read"), validate, async (req, res) => {
+    const fromSeq = req.query.from_seq !== undefined ? parseInt(req.query.from_seq, 10) : 1;
+    const toSeq = req.query.to_seq !== undefined ? parseInt(req.query.to_seq, 10) : undefined;
+    if (!(fromSeq > 0) || (toSeq !== undefined && !(toSeq >= fromSeq))) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", message: "from_seq and to_seq must be positive integers with from_seq <= to_seq" });
+    }
+    return res.json(await auditLog.verify({ fromSeq, toSeq }));
+  });
+
+  // Webhooks (admin): subscriptions, delivery history, dead letters and replay
+  const webhookView = (w) => ({
+    id: w.id,
+    url: w.url,
+    event_types: w.eventTypes,
+    status: w.status,
+    description: w.description || null,
+    created_by: w.createdBy || null,
+    created_at: isoZ(w.createdAt),
+    updated_at: isoZ(w.updatedAt)
+  });
+
+  const deliveryView = (d) => ({
+    id: d.id,
+    event_id: d.eventId,
+    subscription_id: d.subscriptionId,
+    event_type: d.type,
+    status: d.status,
+    attempts: d.attempts,
+    next_attempt_at: d.status === "PENDING" && d.nextAttemptAt ? isoZ(d.nextAttemptAt) : null,
+    last_attempt_at: d.lastAttemptAt ? isoZ(d.lastAttemptAt) : null,
+    last_status_code: d.lastStatusCode ?? null,
+    last_error: d.lastError || null,
+    delivered_at: d.deliveredAt ? isoZ(d.deliveredAt) : null,
+    dead_at: d.deadAt ? isoZ(d.deadAt) : null,
+    replays: d.replays || 0,
+    attempt_log: (d.attemptLog || []).map(a => ({ ...a, at: isoZ(a.at) }))
+  });
+
+  app.post("/webhooks", can("webhook:manage"), validate, async (req, res) => {
+    const checked = validateSubscription(req.body);
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    const secret = generateSecret();
+    const doc = await WebhookSubscription.create({
+      id: "WH-" + crypto.randomBytes(4).toString("hex"),
+      ...checked.value,
+      secret,
+      createdBy: req.actor.subject
+    });
+    await audit("WebhookSubscription", null, doc);
+    // The signing secret is only ever returned here and by rotate-secret
+    return res.status(201).json({ ...webhookView(doc), secret });
+  });
+
+  const webhookList = defineList({
+    fields: {
+      id: { sort: true },
+      url: {},
+      event_types: { path: "eventTypes" },
+      status: { upper: true },
+      created_by: { path: "createdBy" },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      updated_at: { path: "updatedAt", type: "date", sort: true }
+    },
+    sort: "-created_at",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  const deliveryList = defineList({
+    fields: {
+      id: { sort: true },
+      event_id: { path: "eventId" },
+      subscription_id: { path: "subscriptionId" },
+      event_type: { path: "type" },
+      status: { upper: true },
+      attempts: { type: "number", sort: true },
+      last_status_code: { path: "lastStatusCode", type: "number" },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      next_attempt_at: { path: "nextAttemptAt", type: "date", sort: true },
+      delivered_at: { path: "deliveredAt", type: "date", sort: true },
+      dead_at: { path: "deadAt", type: "date", sort: true }
+    },
+    sort: "-created_at",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/webhooks", can("webhook:manage"), validate, async (req, res) => {
+    return sendList(res, webhookList, WebhookSubscription, req.query, { view: webhookView, extra: { event_types: WEBHOOK_EVENT_TYPES } });
+  });
+
+  // Deliveries that ran out of attempts, with the payload that could not be delivered
+  app.get("/webhooks/dead-letters", can("webhook:manage"), validate, async (req, res) => {
+    return sendList(res, deliveryList, WebhookDelivery, { sort: "-dead_at", ...req.query }, {
+      base: { status: "DEAD" },
+      prepare: async (rows) => {
+        const events = await OutboxEvent.find({ id: { $in: rows.map(d => d.eventId) } });
+        return new Map(events.map(ev => [ev.id, ev]));
+      },
+      view: (d, byId) => ({ ...deliveryView(d), event: byId.has(d.eventId) ? webhooks.payloadOf(byId.get(d.eventId)) : null })
+    });
+  });
+
+  app.post("/webhooks/deliveries/:id/replay", can("webhook:manage"), async (req, res) => {
+    const d = await webhooks.replayDelivery(req.params.id);
+    if (!d) {
+      const exists = await WebhookDelivery.exists({ id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: "DELIVERY_IN_PROGRESS", message: "Only DEAD or DELIVERED deliveries can be replayed" })
+        : res.status(404).json({ error: "NOT_FOUND" });
+    }
+    return res.json(deliveryView(d));
+  });
+
+  app.get("/webhooks/:id", can("webhook:manage"), async (req, res) => {
+    const w = await WebhookSubscription.findOne({ id: req.params.id });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    const counts = await WebhookDelivery.aggregate([{ $match: { subscriptionId: w.id } }, { $group: { _id: "$status", n: { $sum: 1 } } }]);
+    return res.json({
+      ...webhookView(w),
+      deliveries: Object.fromEntries(DELIVERY_STATUSES.map(st => [st.toLowerCase(), counts.find(c => c._id === st)?.n || 0]))
+    });
+  });
+
+  app.patch("/webhooks/:id", can("webhook:manage"), validate, async (req, res) => {
+    const checked = validateSubscription(req.body, { partial: true });
+    if (checked.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: checked.errors.join("; "), errors: checked.errors });
+    if (!Object.keys(checked.value).length) return res.status(400).json({ error: "VALIDATION_ERROR", message: "No updatable fields given" });
+    const w = await auditedUpdate("WebhookSubscription", WebhookSubscription, { id: req.params.id }, { $set: checked.value });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(webhookView(w));
+  });
+
+  // Disables rather than removes, so its delivery history stays readable; PATCH status to re-enable
+  app.delete("/webhooks/:id", can("webhook:manage"), async (req, res) => {
+    const w = await auditedUpdate("WebhookSubscription", WebhookSubscription, { id: req.params.id }, { $set: { status: "DISABLED" } });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(webhookView(w));
+  });
+
+  app.post("/webhooks/:id/rotate-secret", can("webhook:manage"), async (req, res) => {
+    const secret = generateSecret();
+    const w = await auditedUpdate("WebhookSubscription", WebhookSubscription, { id: req.params.id }, { $set: { secret } });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ ...webhookView(w), secret });
+  });
+
+  // Sends a webhook.test event to this subscription only
+  app.post("/webhooks/:id/test", can("webhook:manage"), async (req, res) => {
+    const w = await WebhookSubscription.findOne({ id: req.params.id });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    if (w.status !== "ACTIVE") return res.status(409).json({ error: "WEBHOOK_DISABLED", message: "Enable the subscription first" });
+    const ev = await webhooks.emit(WEBHOOK_TEST_EVENT, { subscription_id: w.id, message: "Test event from AyurTrace" }, {
+      requestId: req.id, subscriptionId: w.id
+    });
+    return res.status(202).json({ event_id: ev.id, event_type: ev.type });
+  });
+
+  app.get("/webhooks/:id/deliveries", can("webhook:manage"), validate, async (req, res) => {
+    return sendList(res, deliveryList, WebhookDelivery, req.query, { base: { subscriptionId: req.params.id }, view: deliveryView });
+  });
+
+  // Re-sends outbox events from a time range (delivered or not), or with dead_only the subscription's dead letters
+  app.post("/webhooks/:id/replay", can("webhook:manage"), validate, async (req, res) => {
+    const { from, to, event_types, dead_only } = req.body || {};
+    const w = await WebhookSubscription.findOne({ id: req.params.id });
+    if (!w) return res.status(404).json({ error: "NOT_FOUND" });
+    if (w.status !== "ACTIVE") return res.status(409).json({ error: "WEBHOOK_DISABLED", message: "Enable the subscription first" });
+    if (event_types !== undefined && (!Array.isArray(event_types) || event_types.some(t => !WEBHOOK_EVENT_TYPES.includes(t)))) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "event_types", message: `event_types must be a subset of ${WEBHOOK_EVENT_TYPES.join(", ")}` });
+    }
+    if (!dead_only && (!from || isNaN(Date.parse(from)))) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "from", message: "from (ISO 8601) is required unless dead_only is true" });
+    }
+    if (to !== undefined && isNaN(Date.parse(to))) return res.status(400).json({ error: "VALIDATION_ERROR", field: "to", message: "to must be an ISO 8601 date" });
+    const r = await webhooks.replay(w, {
+      from: from && new Date(from), to: to && new Date(to), eventTypes: event_types, deadOnly: dead_only === true
+    });
+    return res.status(202).json({ subscription_id: w.id, requeued: r.requeued, truncated: r.truncated });
+  });
+
+  // 1) Create CollectionEvent (client provides names; cited photos are the identification evidence)
+  // Runs the harvest rules engine; REJECTED events are stored for audit but never join a batch.
+  const isDuplicateKey = (e) => e?.code === 11000 || e?.err?.code === 11000;
+
+  const collectionView = (ce) => ({
+    id: ce.id,
+    scientificName: ce.scientificName,
+    collectorId: ce.collectorId,
+    geo: ce.geo,
+    timestamp: isoZ(ce.timestampUtc),
+    quantity: ce.quantity?.value !== undefined ? ce.quantity : null,
+    quantity_kg: ce.quantityKg ?? null,
+    zone_id: ce.zoneId || null,
+    ai: ce.ai || {},
+    status: ce.status,
+    violations: ce.violations,
+    hash: ce.hash || null
+  });
+
+  // Validates one incoming event, runs the harvest rules and charges its quotas. Returns the
+  // hashed, unsaved CollectionEvent, the day-batch it belongs to (null when REJECTED) and the
+  // quota reservations, which the caller must release if the event is not stored.
+  const prepareCollection = async (input, actor, speciesCache = new Map()) => {
+    const { collectorId, geo, timestamp, clientEventId, ai_verified_confidence, quantity, unit } = input || {};
+    if (isForeignCollector(actor, collectorId)) {
+      return { error: { status: 403, code: "FORBIDDEN", field: "collectorId", message: "collectorId must match the authenticated collector" } };
+    }
+    if (!timestamp || isNaN(Date.parse(timestamp))) {
+      return { error: { status: 400, code: "INVALID_TIMESTAMP", field: "timestamp", message: "timestamp must be an ISO 8601 date" } };
+    }
+    let quantityKg;
+    if (quantity !== undefined && quantity !== null) {
+      const q = toKg(quantity, unit || "kg");
+      if (q.error) return { error: { status: 400, code: "INVALID_QUANTITY", field: q.error.startsWith("unit") ? "unit" : "quantity", message: q.error } };
+      quantityKg = q.kg;
+    }
+    // Species by scientificName or speciesCode; it must be registered and harvestable
+    const key = input.scientificName ? `n:${input.scientificName}` : `c:${String(input.speciesCode || "").toUpperCase()}`;
+    if (!speciesCache.has(key)) {
+      speciesCache.set(key, key === "c:" ? null : await Species.findOne(
+        input.scientificName ? { scientificName: input.scientificName } : { speciesCode: key.slice(2) }
+      ));
+    }
+    const species = speciesCache.get(key);
+    if (!species) {
+      return { error: { status: 422, code: "SPECIES_NOT_REGISTERED", message: `${input.scientificName || input.speciesCode || "species"} is not in the species registry` } };
+    }
+    const blockers = harvestBlockers(species);
+    if (blockers.length) {
+      return { error: { status: 422, code: "SPECIES_NOT_HARVESTABLE", message: `${species.scientificName} cannot be collected: ${blockers.join(", ")}` } };
+    }
+    const { scientificName } = species;
+
+    // Photos: this actor's classified uploads, in the order cited. Their combined predictions are
+    // the event's identification evidence; without photos a client-reported confidence is kept as such.
+    const photoIds = [...new Set(Array.isArray(input.photos) ? input.photos : [])];
+    if (photoIds.length > MAX_PHOTOS_PER_EVENT) {
+      return { error: { status: 400, code: "TOO_MANY_PHOTOS", field: "photos", message: `Max ${MAX_PHOTOS_PER_EVENT} photos per collection event` } };
+    }
+    let photos = [];
+    if (photoIds.length) {
+      const found = await Attachment.find({ id: { $in: photoIds }, uploadedBy: actor.subject, classification: { $ne: null } });
+      const missing = photoIds.filter(a => !found.some(f => f.id === a));
+      if (missing.length) return { error: { status: 404, code: "PHOTO_NOT_FOUND", field: "photos", message: missing.join(", ") } };
+      photos = photoIds.map(a => found.find(f => f.id === a));
+    }
+    const ai = photos.length ? evidenceFor(photos, scientificName)
+      : ai_verified_confidence !== undefined ? { method: "CLIENT_REPORTED", confidence: ai_verified_confidence } : null;
+    const timestampUtc = new Date(timestamp);
+    const rules = evaluateCollection({ scientificName, collectorId, geo, timestampUtc, ai }, species);
+    const zoneId = rules.zoneId || undefined;
+
+    // Quotas are only charged for events the rules let through
+    let { violations } = rules;
+    let reservations = [];
+    if (rules.status !== "REJECTED") {
+      const charged = await quotaService.reserve({ scientificName, collectorId, zoneId, timestampUtc, quantityKg }, species);
+      violations = [...violations, ...charged.violations];
+      reservations = charged.reservations;
+    }
+    const status = statusFor(violations);
+
+    // day-batch per species+collector, unless the event was rejected
+    let batch = null;
+    if (status !== "REJECTED") {
+      batch = { id: makeBatchId(species.speciesCode, timestamp, collectorId), scientificName, collectorId, dateUtc: isoZ(timestamp).slice(0,10) };
+    }
+
+    const doc = CollectionEvent.build({
+      id: "CE-" + crypto.randomBytes(4).toString("hex"),
+      clientEventId: clientEventId || undefined, // the partial unique index only covers string ids
+      scientificName,
+      collectorId,
+      geo,
+      timestampUtc,
+      quantity: quantityKg !== undefined ? { value: quantity, unit: String(unit || "kg").toLowerCase() } : undefined,
+      quantityKg,
+      zoneId,
+      ai,
+      status,
+      violations,
+      batchId: batch?.id || null
+    });
+    doc.location = toPoint(doc.geo); // undefined for missing or out-of-range positions, which 2dsphere would reject
+    const invalid = CollectionEvent.validate(doc);
+    if (invalid) {
+      await quotaService.release(reservations);
+      return { error: { status: 400, code: "VALIDATION_ERROR", message: Object.values(invalid.errors).map(e => e.message).join("; ") } };
+    }
+    doc.hash = recordHash("CollectionEvent", doc);
+
+    // A photo backs one event only; the caller gives the claim back (releasePrepared) if the event isn't stored
+    if (photoIds.length) {
+      const claimed = await Attachment.updateMany({ id: { $in: photoIds }, collectionEventId: null }, { $set: { collectionEventId: doc.id } });
+      if (claimed.modifiedCount !== photoIds.length) {
+        await Attachment.updateMany({ id: { $in: photoIds }, collectionEventId: doc.id }, { $unset: { collectionEventId: 1 } });
+        await quotaService.release(reservations);
+        return { error: { status: 409, code: "PHOTO_IN_USE", field: "photos", message: "A photo already belongs to another collection event" } };
+      }
+    }
+    return { doc, batch, reservations };
+  };
+
+  // Gives back what prepareCollection took for events that were not stored: quota charges and photo claims
+  const releasePrepared = async (list) => {
+    await quotaService.release(list.flatMap(p => p.reservations));
+    const ids = list.filter(p => p.doc.ai?.photos?.length).map(p => p.doc.id);
+    if (ids.length) await Attachment.updateMany({ collectionEventId: { $in: ids } }, { $unset: { collectionEventId: 1 } });
+  };
+
+  // Audits the photo claims of a stored event
+  const auditPhotoClaims = async (doc) => {
+    if (!doc.ai?.photos?.length) return;
+    const claimed = await Attachment.find({ collectionEventId: doc.id }, null, { sort: { id: 1 } });
+    for (const a of claimed) await audit("Attachment", { ...a, collectionEventId: null }, a);
+  };
+
+  const attachmentView = (a) => ({
+    id: a.id,
+    kind: a.kind,
+    filename: a.filename,
+    content_type: a.contentType,
+    size: a.size,
+    sha256: a.sha256
+  });
+
+  // Species photos for collection events (raw JPEG/PNG body). Each is classified on upload against
+  // the species registry; cite the returned id in POST /collection `photos`.
+  app.post("/collection-photos", can("collection:create"),
+    express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+    validate,
+    async (req, res) => {
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const check = checkUpload(body, req.headers["content-type"], PHOTO_TYPES);
+      if (check.error) {
+        const status = check.error.code === "UNSUPPORTED_MEDIA_TYPE" ? 415 : check.error.code === "FILE_TOO_LARGE" ? 413 : 400;
+        return res.status(status).json({ error: check.error.code, message: check.error.message });
+      }
+      const labels = (await Species.find({}, { scientificName: 1 }, { sort: { scientificName: 1 } })).map(s => s.scientificName);
+      let result;
+      try {
+        result = await classifier.classify(body, { contentType: check.contentType, labels });
+      } catch (e) {
+        console.error("classifier failed:", e.message);
+        return res.status(503).json({ error: "CLASSIFIER_UNAVAILABLE", message: "The species classifier failed; upload the photo again later" });
+      }
+      const stored = await storage.put(body);
+      const id = "AT-" + crypto.randomBytes(4).toString("hex");
+      const doc = await Attachment.create({
+        id,
+        kind: "PHOTO",
+        filename: cleanFilename(req.query.filename, `${id}.${check.contentType.split("/")[1]}`),
+        contentType: check.contentType,
+        size: stored.size,
+        sha256: stored.sha256,
+        storage: { driver: stored.driver, key: stored.key },
+        classification: classificationOf(classifier, result),
+        uploadedBy: req.actor.subject
+      });
+      await audit("Attachment", null, doc);
+      return res.status(201).json({ ...attachmentView(doc), classification: classificationView(doc.classification) });
+    }
+  );
+
+  const batchUpsertOp = (b) => ({
+    updateOne: {
+      filter: { id: b.id },
+      update: { $setOnInsert: {
+        id: b.id, scientificName: b.scientificName, collectorId: b.collectorId, dateUtc: b.dateUtc,
+        statusPhase: "CREATED", qrCodeUrl: qrCodeUrlFor(b.id), gs1Lot: lotFor(b.id),
+        phaseHistory: [{ from: null, to: "CREATED", actor: b.collectorId, at: new Date() }]
+      } },
+      upsert: true
+    }
+  });
+
+  // clientEventId is the offline app's idempotency key, scoped to the collector that sent it: a
+  // retry gets that collector's stored event back, while the same key from another collector is
+  // refused (never answered with someone else's event).
+  // stored: events found by clientEventId → { own } | { conflict: true } | null
+  const clientEventMatch = (stored, collectorId, clientEventId) => {
+    const same = stored.filter(ce => ce.clientEventId === clientEventId);
+    const own = same.find(ce => ce.collectorId === collectorId);
+    return own ? { own } : same.length ? { conflict: true } : null;
+  };
+  const CLIENT_EVENT_CONFLICT = "clientEventId is already used by another collector";
+
+  app.post("/collection", can("collection:create"), validate, async (req, res) => {
+    const { clientEventId, collectorId } = req.body || {};
+    if (isForeignCollector(req.actor, collectorId)) {
+      return res.status(403).json({ error: "FORBIDDEN", field: "collectorId", message: "collectorId must match the authenticated collector" });
+    }
+    const replay = async () => {
+      const match = clientEventMatch(await CollectionEvent.find({ clientEventId }), collectorId, clientEventId);
+      if (match?.conflict) return res.status(409).json({ error: "CLIENT_EVENT_ID_CONFLICT", field: "clientEventId", message: CLIENT_EVENT_CONFLICT });
+      return match && res.json({
+        collectionEvent: collectionView(match.own),
+        batch: match.own.batchId ? { id: match.own.batchId, status_phase: "CREATED" } : null
+      });
+    };
+
+    // idempotency by collectorId + clientEventId: fast path here, the unique index settles races below
+    if (clientEventId && await replay()) return;
+
+    const prepared = await prepareCollection(req.body, req.actor);
+    if (prepared.error) {
+      const { status, code, message, field } = prepared.error;
+      return res.status(status).json({ error: code, message, field });
+    }
+    const { batch } = prepared;
+    let { doc } = prepared;
+
+    let batchDoc = null;
+    let batchCreated = false;
+    try {
+      if (batch) {
+        batchCreated = (await Batch.bulkWrite([batchUpsertOp(batch)])).upsertedCount > 0;
+        batchDoc = await Batch.findOne({ id: batch.id });
+      }
+      doc = await CollectionEvent.create(doc);
+    } catch (e) {
+      await releasePrepared([prepared]);
+      if (batchCreated) await audit("Batch", null, batchDoc);
+      if (clientEventId && isDuplicateKey(e) && await replay()) return;
+      throw e;
+    }
+    if (batchCreated) {
+      await audit("Batch", null, batchDoc);
+      await emitEvent("batch.created", batchCreatedEvent(batchDoc));
+    }
+    await audit("CollectionEvent", null, doc);
+    await auditPhotoClaims(doc);
+    await ledgerJobs.enqueue("CollectionEvent", doc);
+    await emitEvent("collection.created", { ...collectionView(doc), batch_id: doc.batchId || null });
+    if (batch) {
+      await refreshBatchMerkle(batch.id);
+      await refreshMassBalance(batch.id);
+    }
+
+    return res.status(201).json({
+      collectionEvent: collectionView(doc),
+      batch: batchDoc ? {
+        id: batchDoc.id,
+        status_phase: batchDoc.statusPhase,
+        qr_code_url: qrCodeUrlFor(batchDoc.id)
+      } : null
+    });
+  });
+
+  // Bulk offline sync: one result per event, in request order.
+  // created → stored (ACCEPTED/FLAGGED); duplicate → clientEventId already stored;
+  // rejected → stored as REJECTED by the harvest rules (id + violations) or invalid and not stored (errors).
+  // The envelope is validated up front; each event against CollectionInput on its own.
+  app.post("/collection/bulk", can("collection:create"), validate, async (req, res) => {
+    const events = req.body.events;
+    const results = events.map((e, index) => ({ index, client_event_id: e?.clientEventId || null }));
+    const reject = (i, code, message, field = null) => Object.assign(results[i], { result: "rejected", id: null, errors: [{ code, field, message }] });
+    const duplicateOf = (i, ce) => Object.assign(results[i], { result: "duplicate", id: ce.id, status: ce.status, batch_id: ce.batchId || null });
+
+    // Stored events with the same key: the collector's own → duplicate; another collector's → rejected
+    const settle = (stored, indices) => {
+      for (const i of indices) {
+        const match = clientEventMatch(stored, events[i].collectorId, events[i].clientEventId);
+        if (match?.conflict) reject(i, "CLIENT_EVENT_ID_CONFLICT", CLIENT_EVENT_CONFLICT, `events[${i}].clientEventId`);
+        else if (match) duplicateOf(i, match.own);
+      }
+    };
+
+    // Every item needs a clientEventId, unique per collector within the payload
+    const seen = new Map();
+    events.forEach((e, i) => {
+      const cid = e?.clientEventId;
+      if (!cid) return reject(i, "CLIENT_EVENT_ID_REQUIRED", "clientEventId is required for bulk sync", `events[${i}].clientEventId`);
+      const key = JSON.stringify([e.collectorId ?? null, cid]);
+      if (seen.has(key)) return Object.assign(results[i], { result: "duplicate", duplicate_of_index: seen.get(key) });
+      seen.set(key, i);
+    });
+
+    // Already stored from an earlier sync
+    const cids = [...new Set([...seen.values()].map(i => events[i].clientEventId))];
+    settle(await CollectionEvent.find({ clientEventId: { $in: cids } }), [...seen.values()]);
+
+    const speciesCache = new Map();
+    const pending = [];
+    for (const i of seen.values()) {
+      if (results[i].result) continue;
+      const invalid = api.check("CollectionInput", events[i], `events[${i}]`);
+      if (invalid.length) {
+        Object.assign(results[i], { result: "rejected", id: null, errors: invalid });
+        continue;
+      }
+      const prepared = await prepareCollection(events[i], req.actor, speciesCache);
+      if (prepared.error) reject(i, prepared.error.code, prepared.error.message, prepared.error.field && `events[${i}].${prepared.error.field}`);
+      else pending.push({ i, ...prepared });
+    }
+
+    // One upsert per distinct day-batch, then all inserts unordered so one clash doesn't block the rest
+    const batches = new Map(pending.filter(p => p.batch).map(p => [p.batch.id, p.batch]));
+    const releaseAll = () => releasePrepared(pending);
+    let newBatchIds = [];
+    try {
+      if (batches.size) {
+        const list = [...batches.values()];
+        const r = await Batch.bulkWrite(list.map(batchUpsertOp), { ordered: false });
+        newBatchIds = Object.keys(r.upsertedIds || {}).map(k => list[k].id);
+      }
+    } catch (e) {
+      await releaseAll();
+      throw e;
+    }
+    for (const b of await Batch.find({ id: { $in: newBatchIds } }, null, { sort: { id: 1 } })) {
+      await audit("Batch", null, b);
+      await emitEvent("batch.created", batchCreatedEvent(b));
+    }
+    const failed = new Map();
+    if (pending.length) {
+      try {
+        await CollectionEvent.bulkWrite(pending.map(p => ({ insertOne: { document: p.doc } })), { ordered: false });
+      } catch (e) {
+        const writeErrors = e.writeErrors || e.result?.getWriteErrors?.() || [];
+        if (!writeErrors.length) {
+          await releaseAll();
+          throw e;
+        }
+        for (const we of writeErrors) failed.set(we.index ?? we.err?.index, we);
+      }
+    }
+
+    // Events that were not stored give back what they charged to quotas and the photos they claimed
+    await releasePrepared(pending.filter((p, k) => failed.has(k)));
+
+    // Lost a race with a concurrent retry of the same clientEventId → duplicate (or a conflict)
+    const raced = pending.filter((p, k) => failed.has(k) && isDuplicateKey(failed.get(k)));
+    if (raced.length) {
+      const winners = await CollectionEvent.find({ clientEventId: { $in: raced.map(p => p.doc.clientEventId) } });
+      settle(winners, raced.map(p => p.i));
+    }
+    for (const [k, p] of pending.entries()) {
+      if (failed.has(k)) continue;
+      await audit("CollectionEvent", null, p.doc);
+      await auditPhotoClaims(p.doc);
+      await ledgerJobs.enqueue("CollectionEvent", p.doc);
+      await emitEvent("collection.created", { ...collectionView(p.doc), batch_id: p.doc.batchId || null });
+    }
+    pending.forEach((p, k) => {
+      if (results[p.i].result) return;
+      if (failed.has(k)) return reject(p.i, "WRITE_FAILED", failed.get(k).errmsg || "insert failed");
+      Object.assign(results[p.i], {
+        result: p.doc.status === "REJECTED" ? "rejected" : "created",
+        id: p.doc.id,
+        status: p.doc.status,
+        violations: p.doc.violations,
+        batch_id: p.doc.batchId || null,
+        hash: p.doc.hash
+      });
+    });
+
+    const touched = new Set(pending.filter((p, k) => !failed.has(k) && p.batch).map(p => p.batch.id));
+    for (const id of touched) {
+      await refreshBatchMerkle(id);
+      await refreshMassBalance(id);
+    }
+
+    const summary = { created: 0, duplicate: 0, rejected: 0 };
+    for (const r of results) summary[r.result]++;
+    return res.json({ summary, results });
+  });
+
+  // Sync cursor: the collector's events whose server-side state changed since `cursor`
+  // (rules outcome, hashes, chain status, anchor receipts). Opaque cursor = updatedAt + id.
+  const encodeSyncCursor = (ce) => Buffer.from(`${ce.updatedAt.toISOString()}|${ce.id}`).toString("base64url");
+  const decodeSyncCursor = (c) => {
+    const [ts, id] = Buffer.from(String(c), "base64url").toString("utf8").split("|");
+    const at = new Date(ts);
+    return isNaN(at) || !id ? null : { at, id };
+  };
+
+  app.get("/collections/sync", can("collection:read"), validate, async (req, res) => {
+    const collectorId = req.actor.role === "collector" ? req.actor.subject : req.query.collector_id;
+    if (!collectorId) return res.status(400).json({ error: "VALIDATION_ERROR", field: "collector_id", message: "collector_id is required" });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const q = { collectorId };
+    if (req.query.cursor) {
+      const c = decodeSyncCursor(req.query.cursor);
+      if (!c) return res.status(400).json({ error: "INVALID_CURSOR", field: "cursor", message: "cursor is not a cursor from this endpoint" });
+      q.$or = [{ updatedAt: { $gt: c.at } }, { updatedAt: c.at, id: { $gt: c.id } }];
+    }
+    const rows = await CollectionEvent.find(q, null, { sort: { updatedAt: 1, id: 1 }, limit: limit + 1 });
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return res.json({
+      items: page.map(ce => ({
+        id: ce.id,
+        client_event_id: ce.clientEventId || null,
+        status: ce.status,
+        violations: ce.violations || [],
+        batch_id: ce.batchId || null,
+        hash: ce.hash || null,
+        chain_status: ce.chainStatus || null,
+        chain_hash: ce.chainHash || null,
+        anchored: !!ce.anchor?.txId,
+        updated_at: isoZ(ce.updatedAt)
+      })),
+      // Keep the caller's cursor when nothing changed so it can poll again with it
+      next_cursor: last ? encodeSyncCursor(last) : (req.query.cursor || null),
+      has_more: rows.length > limit
+    });
+  });
+
+  // 2) Get a CollectionEvent
+  app.get("/collection/:id", can("collection:read"), async (req, res) => {
+    const doc = await CollectionEvent.findOne({ id: req.params.id });
+    if (!doc || isForeignCollector(req.actor, doc.collectorId)) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({
+      id: doc.id,
+      scientificName: doc.scientificName,
+      collectorId: doc.collectorId,
+      geo: doc.geo,
+      timestamp: isoZ(doc.timestampUtc),
+      quantity: doc.quantity?.value !== undefined ? doc.quantity : null,
+      quantity_kg: doc.quantityKg ?? null,
+      zone_id: doc.zoneId || null,
+      ai: doc.ai || {},
+      status: doc.status,
+      violations: doc.violations,
+      batch_id: doc.batchId,
+      hash: doc.hash
+    });
+  });
+
+  // Events stored before `location` existed get it from their geo, a chunk at a time. Bookkeeping
+  // only (geo itself is unchanged), so it is not audited.
+  const LOCATION_BACKFILL_CHUNK = 500;
+  const backfillLocations = async () => {
+    let updated = 0;
+    let skipped = 0;
+    let after = "";
+    for (;;) {
+      const rows = await CollectionEvent.find(
+        { id: { $gt: after }, location: { $exists: false }, "geo.lat": { $type: "number" } },
+        { id: 1, geo: 1 },
+        { sort: { id: 1 }, limit: LOCATION_BACKFILL_CHUNK }
+      );
+      if (!rows.length) break;
+      after = rows[rows.length - 1].id;
+      const ops = [];
+      for (const r of rows) {
+        const location = toPoint(r.geo);
+        if (location) ops.push({ updateOne: { filter: { id: r.id, location: { $exists: false } }, update: { $set: { location } } } });
+        else skipped++;
+      }
+      if (ops.length) updated += (await CollectionEvent.bulkWrite(ops, { ordered: false })).modifiedCount;
+      if (rows.length < LOCATION_BACKFILL_CHUNK) break;
+    }
+    if (updated || skipped) console.log(`location backfill: ${updated} events updated, ${skipped} with invalid geo left without location`);
+  };
+
+  // Databases from before clientEventId was scoped per collector still have a unique clientEventId_1
+  // and a partial index that also covered null ids, so legacy nulls collided. Null ids are unset
+  // (null and absent hash the same), then the event indexes are rebuilt as lib/models.js declares them.
+  const migrateClientEventIndexes = async () => {
+    const { modifiedCount } = await CollectionEvent.updateMany({ clientEventId: { $type: "null" } }, { $unset: { clientEventId: "" } });
+    const dropped = await CollectionEvent.syncIndexes();
+    if (modifiedCount || dropped.length) {
+      console.log(`collection event indexes: unset ${modifiedCount} null clientEventIds, rebuilt ${dropped.length ? dropped.join(", ") : "none"}`);
+    }
+  };
+
+  // Scoping, legacy parameters and spatial filters shared by GET /collections and
+  // /collections/geojson (field filters come from collectionList) → { q } or { error }
+  const collectionFilter = (req) => {
+    const { species, from, to } = req.query;
+    const q = {};
+    if (species) q.scientificName = species;
+    if (req.actor.role === "collector") q.collectorId = req.actor.subject;
+    if (from || to) q.timestampUtc = {};
+    if (from) q.timestampUtc.$gte = new Date(from);
+    if (to) q.timestampUtc.$lte = new Date(to);
+    const spatial = parseSpatialQuery(req.query);
+    if (spatial.error) return { error: spatial.error };
+    return { q: { ...q, ...spatial.filter } };
+  };
+  // MongoDB answers BadValue for geometry it cannot use (e.g. a self-intersecting polygon)
+  const isBadGeometry = (e) => e?.code === 2;
+
+  // 3) List CollectionEvents (filters for dashboard/map)
+  // Spatial filters (one at a time): bbox=minLng,minLat,maxLng,maxLat | near=lat,lng&radius_m= | polygon=<GeoJSON>
+  // Items are the stored documents, so filter and sort fields use their names.
+  const collectionList = defineList({
+    fields: {
+      id: { sort: true },
+      clientEventId: {},
+      scientificName: { sort: true },
+      collectorId: { sort: true },
+      timestampUtc: { type: "date", sort: true },
+      status: { upper: true },
+      zoneId: {},
+      batchId: {},
+      quantityKg: { type: "number", sort: true },
+      hash: {},
+      chainStatus: { upper: true },
+      chainHash: {},
+      createdAt: { type: "date", sort: true },
+      updatedAt: { type: "date", sort: true }
+    },
+    sort: "-timestampUtc",
+    total: true
+  });
+
+  app.get("/collections", can("collection:read"), validate, async (req, res) => {
+    const { q, error } = collectionFilter(req);
+    if (error) return res.status(400).json({ error: "INVALID_GEO_QUERY", message: error });
+    try {
+      return await sendList(res, collectionList, CollectionEvent, req.query, { base: q });
+    } catch (e) {
+      if (isBadGeometry(e)) return res.status(400).json({ error: "INVALID_GEO_QUERY", message: e.message });
+      throw e;
+    }
+  });
+
+  // GeoJSON FeatureCollection for map layers; same filters as /collections. With zoom below
+  // GEO_CLUSTER_MAX_ZOOM points are grid-clustered in the database, one feature per cell.
+  app.get("/collections/geojson", can("collection:read"), validate, async (req, res) => {
+    const zoom = parseZoom(req.query.zoom);
+    if (Number.isNaN(zoom)) return res.status(400).json({ error: "INVALID_GEO_QUERY", message: "zoom must be an integer 0-22" });
+    const { q: scope, error } = collectionFilter(req);
+    if (error) return res.status(400).json({ error: "INVALID_GEO_QUERY", message: error });
+    const fields = collectionList.parse(req.query);
+    if (fields.error) return res.status(400).json({ error: "INVALID_QUERY", message: fields.error });
+    // $and keeps scope.location top-level, where the non-clustered query extends it
+    const q = Object.keys(fields.filter).length ? { ...scope, $and: [fields.filter] } : scope;
+
+    const clustered = shouldCluster(zoom);
+    let rows;
+    try {
+      rows = clustered
+        ? await CollectionEvent.aggregate(clusterPipeline(q, zoom))
+        : await CollectionEvent.find({ ...q, location: { $exists: true, ...(q.location || {}) } }, null, { sort: { timestampUtc: -1 }, limit: GEO_MAX_FEATURES + 1 });
+    } catch (e) {
+      if (isBadGeometry(e)) return res.status(400).json({ error: "INVALID_GEO_QUERY", message: e.message });
+      throw e;
+    }
+    const features = rows.slice(0, GEO_MAX_FEATURES).map(clustered ? clusterFeature : pointFeature);
+    res.set("Content-Type", "application/geo+json");
+    return res.send(JSON.stringify(featureCollection(features, {
+      zoom: zoom ?? null,
+      clustered,
+      cluster_max_zoom: CLUSTER_MAX_ZOOM,
+      truncated: rows.length > GEO_MAX_FEATURES
+    })));
+  });
+
+  // 4) Processor: add ProcessingStep
+  // Validated against the batch's lifecycle profile (lib/lifecycle); only COMPLETED steps advance the phase.
+  // Validates a step against the batch lifecycle, advances the phase and stores the hashed step.
+  // Shared by POST /processing and EPCIS capture. → { doc, statusPhase, profile } or { error: { status, body } }
+  const addProcessingStep = async (p, actor) => {
+    const stepType = String(p.step_type).toUpperCase();
+    const status = String(p.status || "COMPLETED").toUpperCase();
+    const badWeight = ["input_kg", "output_kg"].filter(k => p[k] !== undefined && p[k] !== null && !(typeof p[k] === "number" && Number.isFinite(p[k]) && p[k] > 0));
+    if (badWeight.length) {
+      return { error: { status: 400, body: { error: "INVALID_WEIGHT", message: `${badWeight.join(" and ")} must be positive numbers (kg)` } } };
+    }
+
+    const batch = await Batch.findOne({ id: p.batch_id });
+    if (!batch) return { error: { status: 404, body: { error: "BATCH_NOT_FOUND" } } };
+    const species = await Species.findOne({ scientificName: batch.scientificName });
+    const profile = resolveProfile(species);
+    const completed = (batch.phaseHistory || []).map(h => h.stepType).filter(Boolean);
+    const check = checkStep(profile, batch.statusPhase, stepType, completed);
+    if (!check.ok) {
+      return { error: { status: 409, body: {
+        error: check.code,
+        message: check.message,
+        status_phase: batch.statusPhase,
+        allowed_steps: check.allowed
+      } } };
+    }
+
+    const id = "PS-" + crypto.randomBytes(4).toString("hex");
+    let statusPhase = batch.statusPhase;
+    if (status === "COMPLETED") {
+      // Guard on the phase we validated against so concurrent steps can't both win
+      const r = await Batch.updateOne(
+        { id: batch.id, statusPhase: check.from, "phaseHistory.stepType": { $ne: stepType } },
+        {
+          $set: { statusPhase: check.to },
+          $push: { phaseHistory: { from: check.from, to: check.to, stepType, stepId: id, actor: actor.subject, at: new Date() } }
+        }
+      );
+      if (r.matchedCount === 0) {
+        return { error: { status: 409, body: { error: "CONCURRENT_UPDATE", message: "Batch phase changed; reload lifecycle and retry" } } };
+      }
+      statusPhase = check.to;
+      await audit("Batch", batch, await Batch.findOne({ id: batch.id }));
+      await emitEvent("batch.phase_changed", { batch_id: batch.id, from: check.from, to: check.to, step_type: stepType, step_id: id });
+    }
+
+    const doc = await createHashed(ProcessingStep, {
+      id,
+      batchId: p.batch_id,
+      stepType,
+      status,
+      startedAt: p.started_at ? new Date(p.started_at) : undefined,
+      endedAt: p.ended_at ? new Date(p.ended_at) : undefined,
+      inputKg: p.input_kg ?? undefined,
+      outputKg: p.output_kg ?? undefined,
+      params: p.params || {},
+      postMetrics: p.post_step_metrics || {},
+      notes: p.notes || "",
+      source: p.source
+    });
+    await audit("ProcessingStep", null, doc);
+    await emitEvent("processing.step_added", {
+      id: doc.id, batch_id: doc.batchId, step_type: doc.stepType, status: doc.status,
+      input_kg: doc.inputKg ?? null, output_kg: doc.outputKg ?? null, hash: doc.hash
+    });
+    await refreshBatchMerkle(p.batch_id);
+    const massBalance = await refreshMassBalance(p.batch_id);
+    return { doc, statusPhase, profile, massBalance };
+  };
+
+  app.post("/processing", can("processing:create"), validate, async (req, res) => {
+    const p = req.body || {};
+    if (!p.batch_id || !p.step_type) return res.status(400).json({ error: "VALIDATION_ERROR", field: p.batch_id ? "step_type" : "batch_id", message: "batch_id and step_type are required" });
+    const added = await addProcessingStep({ ...p, source: undefined }, req.actor);
+    if (added.error) return res.status(added.error.status).json(added.error.body);
+    const { doc, statusPhase, profile, massBalance } = added;
+    return res.status(201).json({
+      processing_step: {
+        id: doc.id, step_type: doc.stepType, status: doc.status,
+        input_kg: doc.inputKg ?? null, output_kg: doc.outputKg ?? null, hash: doc.hash
+      },
+      batch: { id: p.batch_id, status_phase: statusPhase, next_steps: nextSteps(profile, statusPhase) },
+      mass_balance: { status: massBalance.status, anomalies: massBalance.anomalies.filter(a => a.step_id === doc.id) }
+    });
+  });
+
+  // Batch lifecycle: current phase, allowed next steps and who moved it when
+  app.get("/batches/:id/lifecycle", can("batch:read"), async (req, res) => {
+    const batch = await Batch.findOne({ id: req.params.id });
+    if (!batch || isForeignCollector(req.actor, batch.collectorId)) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const species = await Species.findOne({ scientificName: batch.scientificName });
+    const profile = resolveProfile(species);
+    const next = nextSteps(profile, batch.statusPhase);
+    return res.json({
+      id: batch.id,
+      profile: profile.name,
+      status_phase: batch.statusPhase,
+      next_steps: next,
+      terminal: next.length === 0,
+      history: (batch.phaseHistory || []).map(h => ({
+        from: h.from || null,
+        to: h.to,
+        step_type: h.stepType || null,
+        step_id: h.stepId || null,
+        actor: h.actor || null,
+        at: isoZ(h.at)
+      }))
+    });
+  });
+
+  // ---- Batch merge / split / lineage ----
+  const derivedBatchId = (code, kind) => makeBatchId(code, new Date(), kind + crypto.randomBytes(3).toString("hex"));
+
+  // Moves every parent from `phase` to MERGED/SPLIT in one update; undoes a partial move so
+  // two processors can never consume the same batch twice.
+  const consumeParents = async (ids, phase, toPhase, childIds, actor) => {
+    const stepType = toPhase === "MERGED" ? "MERGE" : "SPLIT";
+    const before = await Batch.find({ id: { $in: ids } }, null, { sort: { id: 1 } });
+    const r = await Batch.updateMany(
+      { id: { $in: ids }, statusPhase: phase },
+      {
+        $set: { statusPhase: toPhase, consumedBy: childIds },
+        $push: { phaseHistory: { from: phase, to: toPhase, stepType, actor, at: new Date() } }
+      }
+    );
+    if (r.modifiedCount === ids.length) {
+      const after = await Batch.find({ id: { $in: ids } }, null, { sort: { id: 1 } });
+      for (const [i, b] of after.entries()) {
+        await audit("Batch", before[i], b);
+        await emitEvent("batch.phase_changed", { batch_id: b.id, from: phase, to: toPhase, step_type: stepType, consumed_by: childIds });
+      }
+      return true;
+    }
+    await Batch.updateMany(
+      { id: { $in: ids }, statusPhase: toPhase, consumedBy: childIds[0] },
+      { $set: { statusPhase: phase }, $unset: { consumedBy: "" }, $pop: { phaseHistory: 1 } }
+    );
+    return false;
+  };
+
+  const createDerived = async (fields, actor) => {
+    const doc = await Batch.create({
+      ...fields,
+      dateUtc: isoZ(new Date()).slice(0, 10),
+      qrCodeUrl: qrCodeUrlFor(fields.id),
+      gs1Lot: lotFor(fields.id),
+      phaseHistory: [{ from: null, to: fields.statusPhase, stepType: fields.derivation, actor, at: new Date() }]
+    });
+    await audit("Batch", null, doc);
+    await emitEvent("batch.created", batchCreatedEvent(doc));
+    await lineage.refreshGates(doc.id);
+    await refreshMassBalance(doc.id);
+    return Batch.findOne({ id: doc.id });
+  };
+
+  const derivedView = (b) => ({
+    id: b.id,
+    species: b.scientificName,
+    status_phase: b.statusPhase,
+    quality_gate: b.qualityGate,
+    derivation: b.derivation,
+    quantity_kg: b.quantityKg ?? null,
+    parents: (b.parents || []).map(p => ({ batch_id: p.batchId, weight: p.weight, share: p.share })),
+    qr_code_url: qrCodeUrlFor(b.id)
+  });
+
+  // Checks shared by merge and split; returns an error response body or null.
+  // Material under an open recall (INVESTIGATING or ACTIVE, on the batch or upstream of it) can't
+  // be pooled or split: the new lot would carry it under a batch id the recall doesn't name.
+  const derivationBlocker = async (batches) => {
+    const consumed = batches.filter(b => CONSUMED_PHASES.includes(b.statusPhase));
+    if (consumed.length) return { error: "BATCH_CONSUMED", message: "Batch already merged or split", batch_ids: consumed.map(b => b.id) };
+    const failed = batches.filter(b => b.qualityGate === "FAIL");
+    if (failed.length) return { error: "PARENT_FAILED_QA", message: "Batches that failed QA cannot be pooled or split", batch_ids: failed.map(b => b.id) };
+    const recalled = [];
+    for (const b of batches) {
+      const open = await recallService.openRecallsFor(b, [...(await lineage.upstream(b.id)).nodes.values()]);
+      if (open.length) recalled.push({ batch_id: b.id, recall_ids: open.map(r => r.id) });
+    }
+    if (recalled.length) {
+      return { error: "BATCH_RECALLED", message: "Batches under an open recall cannot be pooled or split", batch_ids: recalled.map(r => r.batch_id), recalls: recalled };
+    }
+    return null;
+  };
+
+  // Pool several batches of the same species and phase into one lot
+  app.post("/batches/merge", can("batch:derive"), validate, async (req, res) => {
+    const parts = Array.isArray(req.body?.parents) ? req.body.parents : [];
+    const ids = [...new Set(parts.map(p => p?.batch_id).filter(Boolean))];
+    if (ids.length < 2 || ids.length !== parts.length) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "parents", message: "parents needs at least two distinct { batch_id, quantity_kg? }" });
+    }
+    const qty = parts.map(p => p.quantity_kg);
+    const hasQty = qty.every(q => typeof q === "number" && q > 0);
+    if (!hasQty && qty.some(q => q !== undefined)) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "parents", message: "quantity_kg must be a positive number on every parent, or omitted on all" });
+    }
+
+    const batches = await Batch.find({ id: { $in: ids } });
+    const missing = ids.filter(id => !batches.some(b => b.id === id));
+    if (missing.length) return res.status(404).json({ error: "BATCH_NOT_FOUND", batch_ids: missing });
+    const blocker = await derivationBlocker(batches);
+    if (blocker) return res.status(409).json(blocker);
+    if (new Set(batches.map(b => b.scientificName)).size > 1) {
+      return res.status(409).json({ error: "SPECIES_MISMATCH", message: "All parents must be the same species" });
+    }
+    const phase = batches[0].statusPhase;
+    if (batches.some(b => b.statusPhase !== phase)) {
+      return res.status(409).json({ error: "PHASE_MISMATCH", message: "All parents must be in the same phase",
+        phases: Object.fromEntries(batches.map(b => [b.id, b.statusPhase])) });
+    }
+
+    const total = hasQty ? qty.reduce((a, b) => a + b, 0) : ids.length;
+    const parents = parts.map(p => ({ batchId: p.batch_id, weight: (hasQty ? p.quantity_kg : 1) / total, share: 1 }));
+    const id = derivedBatchId(await batchSpeciesCode(batches[0]), "M");
+    if (!(await consumeParents(ids, phase, "MERGED", [id], req.actor.subject))) {
+      return res.status(409).json({ error: "CONCURRENT_UPDATE", message: "A parent batch changed; reload and retry" });
+    }
+    const child = await createDerived({
+      id,
+      scientificName: batches[0].scientificName,
+      statusPhase: phase,
+      derivation: "MERGE",
+      parents,
+      quantityKg: hasQty ? total : undefined
+    }, req.actor.subject);
+    return res.status(201).json({ batch: derivedView(child) });
+  });
+
+  // Split one batch into packaging runs; parts are all quantity_kg or all fraction (summing to 1)
+  app.post("/batches/:id/split", can("batch:derive"), validate, async (req, res) => {
+    const parts = Array.isArray(req.body?.parts) ? req.body.parts : [];
+    if (parts.length < 2) return res.status(400).json({ error: "VALIDATION_ERROR", field: "parts", message: "parts needs at least two { quantity_kg } or { fraction }" });
+    const byQty = parts.every(p => typeof p?.quantity_kg === "number" && p.quantity_kg > 0);
+    const byFraction = parts.every(p => typeof p?.fraction === "number" && p.fraction > 0);
+    if (!byQty && !byFraction) return res.status(400).json({ error: "VALIDATION_ERROR", field: "parts", message: "every part needs a positive quantity_kg, or every part a positive fraction" });
+    if (!byQty && Math.abs(parts.reduce((a, p) => a + p.fraction, 0) - 1) > 1e-6) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "parts", message: "fractions must sum to 1" });
+    }
+
+    const parent = await Batch.findOne({ id: req.params.id });
+    if (!parent) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const blocker = await derivationBlocker([parent]);
+    if (blocker) return res.status(409).json(blocker);
+    const totalQty = byQty ? parts.reduce((a, p) => a + p.quantity_kg, 0) : null;
+    // Recorded quantity, else the mass after the last weighed step
+    const available = parent.quantityKg ?? parent.massBalance?.currentKg;
+    if (byQty && available && totalQty > available + 1e-9) {
+      return res.status(400).json({ error: "QUANTITY_EXCEEDED", field: "parts", message: `parts total ${totalQty} kg exceeds batch quantity ${available} kg` });
+    }
+
+    const code = await batchSpeciesCode(parent);
+    const children = parts.map(p => ({
+      id: derivedBatchId(code, "S"),
+      share: byQty ? p.quantity_kg / totalQty : p.fraction,
+      quantityKg: byQty ? p.quantity_kg : (available ? available * p.fraction : undefined)
+    }));
+    if (!(await consumeParents([parent.id], parent.statusPhase, "SPLIT", children.map(c => c.id), req.actor.subject))) {
+      return res.status(409).json({ error: "CONCURRENT_UPDATE", message: "Batch changed; reload and retry" });
+    }
+    const created = [];
+    for (const c of children) {
+      created.push(await createDerived({
+        id: c.id,
+        scientificName: parent.scientificName,
+        statusPhase: parent.statusPhase,
+        derivation: "SPLIT",
+        parents: [{ batchId: parent.id, weight: 1, share: c.share }],
+        quantityKg: c.quantityKg
+      }, req.actor.subject));
+    }
+    return res.status(201).json({ parent: { id: parent.id, status_phase: "SPLIT" }, batches: created.map(derivedView) });
+  });
+
+  // Mass balance from collection (or derivation) weight through every completed step.
+  // Recomputed on each call, which also refreshes the batch's MASS_BALANCE flags.
+  app.get("/batches/:id/mass-balance", can("batch:read"), async (req, res) => {
+    const batch = await Batch.findOne({ id: req.params.id }, { id: 1, collectorId: 1 });
+    if (!batch || isForeignCollector(req.actor, batch.collectorId)) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const r = await refreshMassBalance(batch.id);
+    const flags = (await Batch.findOne({ id: batch.id }, { flags: 1 })).flags || [];
+    return res.json({
+      batch_id: batch.id,
+      status: r.status,
+      start: { kg: r.startKg, complete: r.startComplete, source: r.startSource },
+      current_kg: r.currentKg,
+      overall_yield: r.overallYield,
+      tolerance: r.tolerance,
+      unweighed_steps: r.unweighedSteps,
+      steps: r.steps.map(st => ({
+        step_id: st.stepId,
+        step_type: st.stepType,
+        expected_input_kg: st.expectedInputKg,
+        input_kg: st.inputKg,
+        output_kg: st.outputKg,
+        yield: st.yield,
+        expected_yield: st.expectedYield,
+        anomalies: st.anomalies
+      })),
+      anomalies: r.anomalies,
+      flags: flags.map(flagView)
+    });
+  });
+
+  // Upstream (inputs) and downstream (derived lots) graph of a batch. Collectors get the graph of
+  // their own batches only, without other collectors' batches (as the collection routes hide
+  // their events): the lots theirs went into stay, the other inputs of those lots do not.
+  app.get("/batches/:id/lineage", can("batch:read"), async (req, res) => {
+    const [up, down] = await Promise.all([lineage.upstream(req.params.id), lineage.downstream(req.params.id)]);
+    const root = up.nodes.get(req.params.id);
+    if (!root || isForeignCollector(req.actor, root.collectorId)) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const hidden = (b) => req.actor.role === "collector" && !!b?.collectorId && b.collectorId !== req.actor.subject;
+    const nodeView = (b) => ({
+      id: b.id,
+      species: b.scientificName,
+      collector_id: b.collectorId || null,
+      date_utc: b.dateUtc,
+      status_phase: b.statusPhase,
+      quality_gate: b.qualityGate,
+      derivation: b.derivation || null,
+      quantity_kg: b.quantityKg ?? null
+    });
+    const graph = ({ nodes, edges }) => {
+      const shown = [...nodes.values()].filter(b => !hidden(b));
+      return { nodes: shown.map(nodeView), edges: edges.filter(e => !hidden(nodes.get(e.from)) && !hidden(nodes.get(e.to))) };
+    };
+    const contributions = (await lineage.contributions(req.params.id)).filter(c => !hidden(c.batch));
+    return res.json({
+      id: req.params.id,
+      upstream: graph(up),
+      downstream: graph(down),
+      contributions: contributions.map(c => ({ batch_id: c.batch.id, collector_id: c.batch.collectorId || null, fraction: c.fraction }))
+    });
+  });
+
+  // Batch Merkle root and its ordered leaves
+  app.get("/batches/:id/merkle", can("batch:read"), async (req, res) => {
+    const batch = await Batch.findOne({ id: req.params.id });
+    if (!batch || isForeignCollector(req.actor, batch.collectorId)) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const leaves = merkleLeaves(await loadBatchRecords(batch.id));
+    return res.json({
+      id: batch.id,
+      merkle_root: batch.merkleRoot || null,
+      updated_at: batch.merkleUpdatedAt ? isoZ(batch.merkleUpdatedAt) : null,
+      leaves
+    });
+  });
+
+  // Batch QR code (PNG or SVG). It encodes the consumer page URL and, when a signing key is
+  // configured, a token GET /verify-qr can check. Public, like the provenance page it opens.
+  app.get("/batches/:id/qr", validate, async (req, res) => {
+    const parsed = parseQrOptions(req.query);
+    if (parsed.error) return res.status(400).json({ error: "INVALID_QR_OPTIONS", message: parsed.error });
+    const signed = req.query.signed === undefined ? !!qrSigner : req.query.signed === "true";
+    if (signed && !qrSigner) {
+      return res.status(501).json({ error: "SIGNING_NOT_CONFIGURED", message: "Set QR_SIGNING_SECRET or QR_SIGNING_KEY" });
+    }
+    const batch = await Batch.findOne({ id: req.params.id }, { id: 1 });
+    if (!batch) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const token = signed ? qrSigner.sign(batch.id) : null;
+    const { contentType, body } = await renderQr(qrTargetUrl(batch.id, token), parsed.options);
+    res.set({ "Content-Type": contentType, "Cache-Control": "public, max-age=86400" });
+    if (token) res.set("X-QR-Token", token);
+    return res.send(body);
+  });
+
+  // Confirms a QR token was issued by this server and reports the batch it names
+  app.get("/verify-qr", validate, async (req, res) => {
+    if (!req.query.token) return res.status(400).json({ error: "VALIDATION_ERROR", field: "token", message: "token is required" });
+    const result = verifyToken(qrSigner, req.query.token);
+    if (!result.valid) return res.json({ valid: false, reason: result.reason });
+    const batch = await Batch.findOne({ id: result.batchId });
+    return res.json({
+      valid: true,
+      alg: result.alg === "e1" ? "Ed25519" : "HMAC-SHA256",
+      batch_id: result.batchId,
+      batch: batch ? {
+        id: batch.id,
+        species: batch.scientificName,
+        status_phase: batch.statusPhase,
+        quality_gate: batch.qualityGate
+      } : null,
+      provenance_url: qrTargetUrl(result.batchId, null),
+      public_key: qrSigner.publicKeyPem || undefined
+    });
+  });
+
+  // Inclusion proof for one record (CE-/PS-/LT- id) in its batch root
+  app.get("/batches/:id/proof/:recordId", can("batch:read"), async (req, res) => {
+    const batch = await Batch.findOne({ id: req.params.id });
+    if (!batch || isForeignCollector(req.actor, batch.collectorId)) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const leaves = merkleLeaves(await loadBatchRecords(batch.id));
+    const index = leaves.findIndex(l => l.id === req.params.recordId);
+    if (index < 0) return res.status(404).json({ error: "RECORD_NOT_IN_BATCH" });
+    const proof = merkleProof(leaves.map(l => l.hash), index);
+    return res.json({
+      batch_id: batch.id,
+      record: leaves[index],
+      index,
+      leaf_count: leaves.length,
+      merkle_root: batch.merkleRoot || null,
+      proof,
+      valid: verifyProof(leaves[index].hash, proof, batch.merkleRoot)
+    });
+  });
+
+  // 5) List batches for processor
+  const batchList = defineList({
+    fields: {
+      id: { sort: true },
+      species: { path: "scientificName", sort: true },
+      collector_id: { path: "collectorId" },
+      status_phase: { path: "statusPhase", upper: true },
+      quality_gate: { path: "qualityGate", upper: true },
+      date_utc: { path: "dateUtc", sort: true },
+      derivation: { upper: true },
+      gs1_lot: { path: "gs1Lot" },
+      chain_status: { path: "chainStatus", upper: true },
+      mass_balance_status: { path: "massBalance.status", upper: true },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      updated_at: { path: "updatedAt", type: "date", sort: true }
+    },
+    sort: "-created_at",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/batches", can("batch:read"), validate, async (req, res) => {
+    const { species, status, flagged } = req.query;
+    const q = {};
+    if (typeof species === "string" && species) q.scientificName = species;   // species[op]=v is the list filter
+    if (status) q.statusPhase = status;
+    if (flagged !== undefined) q["flags.0"] = { $exists: flagged === "true" };
+    if (req.actor.role === "collector") q.collectorId = req.actor.subject;
+    return sendList(res, batchList, Batch, req.query, {
+      base: q,
+      view: (r) => ({
+        id: r.id, species: r.scientificName, status_phase: r.statusPhase, date_utc: r.dateUtc,
+        quality_gate: r.qualityGate || "PENDING",
+        mass_balance_status: r.massBalance?.status || null,
+        flags: (r.flags || []).map(flagView)
+      })
+    });
+  });
+
+  // 6) Blockchain team: list batches by chainStatus (READY by default)
+  // The blockchain team's queues: records in one chain status, oldest first
+  const chainList = (fields) => defineList({
+    fields: { id: { sort: true }, created_at: { path: "createdAt", type: "date", sort: true }, chain_hash: { path: "chainHash" }, ...fields },
+    sort: "created_at",
+    limit: 100,
+    maxLimit: 500,
+    total: true
+  });
+  const batchChainList = chainList({ species: { path: "scientificName" }, date_utc: { path: "dateUtc", sort: true } });
+
+  app.get("/batches/chain", can("chain:read"), validate, async (req, res) => {
+    const { status = "READY" } = req.query;
+    return sendList(res, batchChainList, Batch, req.query, {
+      base: { chainStatus: String(status).toUpperCase() },
+      view: (b) => ({ id: b.id, species: b.scientificName, date_utc: b.dateUtc, chain_status: b.chainStatus, merkle_root: b.merkleRoot || null })
+    });
+  });
+
+  // 7) Blockchain team: update chainStatus for a batch
+  // :id must be the full batch id, e.g. B-ASHWA-YYYYMMDD-farmer-123
+  app.patch("/batches/:id/chain-status", can("chain:write"), validate, async (req, res) => {
+    const { id } = req.params;
+    const { status, hash } = req.body || {};
+    const allowed = new Set(["READY", "IN_PROGRESS", "COMPLETE"]);
+    if (!status || !allowed.has(String(status).toUpperCase())) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "status", message: "status must be one of READY, IN_PROGRESS, COMPLETE" });
+    }
+    const next = String(status).toUpperCase();
+    const batch = await auditedUpdate("Batch", Batch, { id }, { $set: hash ? { chainStatus: next, chainHash: hash } : { chainStatus: next } });
+    if (!batch) return res.status(404).json({ error: "NOT_FOUND" });
+
+    // If hash is supplied, record it as the chain reference on all CollectionEvents for this batch
+    if (hash) {
+      const events = await CollectionEvent.find({ batchId: id, chainHash: { $ne: hash } }, { id: 1 });
+      for (const ce of events) await auditedUpdate("CollectionEvent", CollectionEvent, { id: ce.id }, { $set: { chainHash: hash } });
+    }
+
+    return res.json({ id, chain_status: next, hash: hash || null });
+  });
+
+  // 8) Lab: submit quality test results and update batch gate
+  // Results are judged against the species' active spec (or spec_version); species without a
+  // registered spec use the built-in moisture + pesticide spec (version 0).
+  const findSpec = async (scientificName, version) => {
+    if (version === 0) return defaultSpec();
+    const q = { scientificName };
+    if (version !== undefined) q.version = version;
+    else q.status = "ACTIVE";
+    const spec = await LabSpec.findOne(q, null, { sort: { version: -1 } });
+    if (spec) return spec;
+    return version === undefined ? defaultSpec() : null;
+  };
+
+  // Upload a lab document (raw body, Content-Type = file type); reference the returned id in
+  // POST /labtest `attachments`. Uploads are content-addressed, so re-sending a file is harmless.
+  app.post("/lab-attachments", can("labtest:create"),
+    express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+    validate,
+    async (req, res) => {
+      const kind = String(req.query.kind || "CERTIFICATE").toUpperCase();
+      if (!ATTACHMENT_KINDS.includes(kind)) {
+        return res.status(400).json({ error: "INVALID_KIND", message: `kind must be one of ${ATTACHMENT_KINDS.join(", ")}` });
+      }
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const check = checkUpload(body, req.headers["content-type"]);
+      if (check.error) {
+        const status = check.error.code === "UNSUPPORTED_MEDIA_TYPE" ? 415 : check.error.code === "FILE_TOO_LARGE" ? 413 : 400;
+        return res.status(status).json({ error: check.error.code, message: check.error.message });
+      }
+      const stored = await storage.put(body);
+      const id = "AT-" + crypto.randomBytes(4).toString("hex");
+      const doc = await Attachment.create({
+        id,
+        kind,
+        filename: cleanFilename(req.query.filename, `${id}.${check.contentType.split("/")[1]}`),
+        contentType: check.contentType,
+        size: stored.size,
+        sha256: stored.sha256,
+        storage: { driver: stored.driver, key: stored.key },
+        uploadedBy: req.actor.subject
+      });
+      await audit("Attachment", null, doc);
+      return res.status(201).json(attachmentView(doc));
+    }
+  );
+
+  app.post("/labtest", can("labtest:create"), validate, async (req, res) => {
+    const p = req.body || {};
+    // Legacy fields map onto catalog parameters
+    const results = Array.isArray(p.results) ? [...p.results] : [];
+    if (typeof p.moisture_pct === "number") results.push({ parameter: "MOISTURE", value: p.moisture_pct, unit: "%" });
+    if (typeof p.pesticide_pass === "boolean") results.push({ parameter: "PESTICIDE_SCREEN", value: p.pesticide_pass });
+    if (!p.batch_id || !results.length || results.some(r => !r || !r.parameter || r.value === undefined)) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: p.batch_id ? "results" : "batch_id", message: "batch_id and results[] of { parameter, value, unit? } (or moisture_pct/pesticide_pass) are required" });
+    }
+    if (p.spec_version !== undefined && !Number.isInteger(p.spec_version)) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "spec_version", message: "spec_version must be an integer" });
+    }
+    const batch = await Batch.findOne({ id: p.batch_id });
+    if (!batch) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const spec = await findSpec(batch.scientificName, p.spec_version);
+    if (!spec) return res.status(404).json({ error: "SPEC_NOT_FOUND", message: `No spec v${p.spec_version} for ${batch.scientificName}` });
+
+    const verdict = evaluateSpec(spec, results);
+    if (verdict.error) return res.status(400).json({ error: verdict.error.code, message: verdict.error.message, parameters: verdict.error.parameters });
+    const { gate, evaluations, failures } = verdict;
+    const valueOf = (code) => evaluations.find(e => e.parameter === code)?.value;
+
+    // Claim the uploads for this test; an upload can back only one lab test
+    const attachmentIds = [...new Set(Array.isArray(p.attachments) ? p.attachments : [])];
+    if (attachmentIds.length > MAX_ATTACHMENTS_PER_TEST) {
+      return res.status(400).json({ error: "TOO_MANY_ATTACHMENTS", message: `Max ${MAX_ATTACHMENTS_PER_TEST} per lab test` });
+    }
+    const id = "LT-" + crypto.randomBytes(4).toString("hex");
+    let attachments;
+    if (attachmentIds.length) {
+      const found = await Attachment.find({ id: { $in: attachmentIds }, uploadedBy: req.actor.subject });
+      const missing = attachmentIds.filter(a => !found.some(f => f.id === a));
+      if (missing.length) return res.status(404).json({ error: "ATTACHMENT_NOT_FOUND", message: missing.join(", ") });
+      const claimed = await Attachment.updateMany({ id: { $in: attachmentIds }, labTestId: null }, { $set: { labTestId: id } });
+      if (claimed.modifiedCount !== attachmentIds.length) {
+        await Attachment.updateMany({ id: { $in: attachmentIds }, labTestId: id }, { $unset: { labTestId: 1 } });
+        return res.status(409).json({ error: "ATTACHMENT_IN_USE", message: "An attachment already belongs to another lab test" });
+      }
+      attachments = attachmentIds.map(a => {
+        const f = found.find(x => x.id === a);
+        return { id: f.id, kind: f.kind, filename: f.filename, contentType: f.contentType, size: f.size, sha256: f.sha256 };
+      });
+    }
+
+    let doc;
+    try {
+      doc = await createHashed(LabTest, {
+        id,
+        batchId: p.batch_id,
+        moisturePct: valueOf("MOISTURE"),
+        pesticidePass: valueOf("PESTICIDE_SCREEN"),
+        pdfUrl: p.pdf_url || undefined,
+        specId: spec.id,
+        specVersion: spec.version,
+        results: evaluations,
+        failures: failures.map(f => ({ parameter: f.parameter, category: f.category, reason: f.reason, value: f.value, unit: f.unit, limit: f.limit })),
+        attachments,
+        gate,
+        labId: req.actor.subject
+      });
+    } catch (e) {
+      if (attachments) await Attachment.updateMany({ labTestId: id }, { $unset: { labTestId: 1 } });
+      throw e;
+    }
+    await audit("LabTest", null, doc);
+    if (attachments) {
+      const claimedDocs = await Attachment.find({ id: { $in: attachmentIds } }, null, { sort: { id: 1 } });
+      for (const a of claimedDocs) await audit("Attachment", { ...a, labTestId: null }, a);
+    }
+    await auditedUpdate("Batch", Batch, { id: p.batch_id }, { $set: { ownGate: gate } });
+    const effectiveGate = await lineage.refreshGates(p.batch_id);
+    await refreshBatchMerkle(p.batch_id);
+    const recall = await recallService.autoFromLabTest(doc, req.actor.subject);
+    await emitEvent("labtest.gate_evaluated", {
+      lab_test_id: doc.id,
+      batch_id: doc.batchId,
+      gate: doc.gate,
+      quality_gate: effectiveGate || gate,
+      spec: { id: spec.id, version: spec.version },
+      failures: doc.failures,
+      hash: doc.hash
+    });
+    if (recall?.labTestId === doc.id) {
+      await audit("Recall", null, recall);
+      await emitEvent("recall.opened", { ...recallView(recall), affected_batch_ids: recall.affectedBatchIds });
+    }
+    return res.status(201).json({
+      lab_test: {
+        id: doc.id,
+        batch_id: doc.batchId,
+        moisture_pct: doc.moisturePct ?? null,
+        pesticide_pass: doc.pesticidePass ?? null,
+        pdf_url: doc.pdfUrl || null,
+        gate: doc.gate,
+        lab_id: doc.labId || null,
+        threshold_pct: spec.parameters.find(x => x.code === "MOISTURE")?.max ?? null,
+        spec: { id: spec.id, version: spec.version },
+        results: doc.results,
+        failures: doc.failures,
+        attachments: (doc.attachments || []).map(attachmentView),
+        hash: doc.hash
+      },
+      batch: { id: p.batch_id, quality_gate: effectiveGate || gate },
+      recall: recall ? { id: recall.id, state: recall.state, severity: recall.severity } : null
+    });
+  });
+
+  // Lab spec registry (per species, versioned). Publishing a new version retires nothing;
+  // the highest ACTIVE version is the one new submissions are judged against.
+  const labSpecView = (s) => ({
+    id: s.id,
+    species: s.scientificName,
+    version: s.version,
+    status: s.status,
+    source: s.source || null,
+    parameters: s.parameters,
+    created_by: s.createdBy || null,
+    created_at: s.createdAt ? isoZ(s.createdAt) : null
+  });
+
+  app.post("/lab-specs", can("spec:manage"), validate, async (req, res) => {
+    const { species, parameters, source } = req.body || {};
+    if (!species) return res.status(400).json({ error: "VALIDATION_ERROR", field: "species", message: "species is required" });
+    const norm = normaliseParameters(parameters);
+    if (norm.error) return res.status(400).json({ error: "VALIDATION_ERROR", field: "parameters", message: norm.error });
+    const latest = await LabSpec.findOne({ scientificName: species }, null, { sort: { version: -1 } });
+    try {
+      const doc = await LabSpec.create({
+        id: "LS-" + crypto.randomBytes(4).toString("hex"),
+        scientificName: species,
+        version: (latest?.version || 0) + 1,
+        source,
+        parameters: norm.parameters,
+        createdBy: req.actor.subject
+      });
+      await audit("LabSpec", null, doc);
+      return res.status(201).json(labSpecView(doc));
+    } catch (e) {
+      if (isDuplicateKey(e)) return res.status(409).json({ error: "CONCURRENT_UPDATE", message: "Another version was published; retry" });
+      throw e;
+    }
+  });
+
+  const labSpecList = defineList({
+    fields: {
+      id: { sort: true },
+      species: { path: "scientificName", sort: true },
+      version: { type: "number", sort: true },
+      status: { upper: true },
+      source: {},
+      created_by: { path: "createdBy" },
+      created_at: { path: "createdAt", type: "date", sort: true }
+    },
+    sort: "species,-version",
+    limit: 100,
+    maxLimit: 500
+  });
+
+  app.get("/lab-specs", can("spec:read"), validate, async (req, res) => {
+    return sendList(res, labSpecList, LabSpec, req.query, { view: labSpecView, extra: { default: labSpecView(defaultSpec()) } });
+  });
+
+  app.get("/lab-specs/:id", can("spec:read"), async (req, res) => {
+    const s = req.params.id === "DEFAULT" ? defaultSpec() : await LabSpec.findOne({ id: req.params.id });
+    if (!s) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(labSpecView(s));
+  });
+
+  app.post("/lab-specs/:id/retire", can("spec:manage"), async (req, res) => {
+    const spec = await auditedUpdate("LabSpec", LabSpec, { id: req.params.id, status: "ACTIVE" }, { $set: { status: "RETIRED" } });
+    if (!spec) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ id: req.params.id, status: "RETIRED" });
+  });
+
+  // Optional: list lab tests for a batch. Items are the stored documents.
+  const labTestList = defineList({
+    fields: {
+      id: { sort: true },
+      batchId: { sort: true },
+      gate: { upper: true },
+      status: { upper: true },
+      labId: {},
+      specId: {},
+      specVersion: { type: "number" },
+      moisturePct: { type: "number", sort: true },
+      pesticidePass: { type: "boolean" },
+      chainHash: {},
+      evaluatedAt: { type: "date", sort: true },
+      createdAt: { type: "date", sort: true }
+    },
+    sort: "-createdAt",
+    total: true
+  });
+
+  app.get("/labtests", can("labtest:read"), validate, async (req, res) => {
+    const { batch_id } = req.query;
+    return sendList(res, labTestList, LabTest, req.query, { base: batch_id ? { batchId: batch_id } : {} });
+  });
+
+  // Lab test documents and collection photos. Bytes are re-hashed on every read and compared with
+  // the checksum recorded in the lab test or event, and that record is checked against its record
+  // hash, so neither a swapped file nor an edited checksum is served as genuine.
+  const sendAttachment = async (res, modelName, record, meta) => {
+    const recordOk = recordHash(modelName, record) === record.hash;
+    const upload = await Attachment.findOne({ id: meta.id });
+    const body = upload ? await storage.get(upload.storage.key) : null;
+    if (!body) return res.status(410).json({ error: "ATTACHMENT_MISSING", message: `Stored file for ${meta.id} is gone` });
+    const actual = crypto.createHash("sha256").update(body).digest("hex");
+    if (!recordOk || actual !== meta.sha256) {
+      return res.status(500).json({
+        error: "INTEGRITY_CHECK_FAILED",
+        message: recordOk ? "Stored file does not match the recorded checksum" : `${modelName} record does not match its hash`,
+        expected_sha256: meta.sha256,
+        actual_sha256: actual
+      });
+    }
+    res.set({
+      "Content-Type": meta.contentType,
+      "Content-Length": String(body.length),
+      "Content-Disposition": `inline; filename="${meta.filename}"`,
+      "Digest": "sha-256=" + Buffer.from(actual, "hex").toString("base64"),
+      "X-Content-SHA256": actual,
+      "X-Record-Hash": record.hash,
+      "Cache-Control": "private, max-age=300"
+    });
+    return res.send(body);
+  };
+
+  app.get("/labtests/:id/certificate", can("labtest:read"), async (req, res) => {
+    const lt = await LabTest.findOne({ id: req.params.id });
+    if (!lt) return res.status(404).json({ error: "NOT_FOUND" });
+    const cert = (lt.attachments || []).find(a => a.kind === "CERTIFICATE");
+    if (!cert) return res.status(404).json({ error: "NO_CERTIFICATE", pdf_url: lt.pdfUrl || null });
+    return sendAttachment(res, "LabTest", lt, cert);
+  });
+
+  app.get("/labtests/:id/attachments/:attachmentId", can("labtest:read"), async (req, res) => {
+    const lt = await LabTest.findOne({ id: req.params.id });
+    const meta = lt && (lt.attachments || []).find(a => a.id === req.params.attachmentId);
+    if (!meta) return res.status(404).json({ error: "NOT_FOUND" });
+    return sendAttachment(res, "LabTest", lt, meta);
+  });
+
+  app.get("/collection/:id/photos/:photoId", can("collection:read"), async (req, res) => {
+    const ce = await CollectionEvent.findOne({ id: req.params.id });
+    const photo = ce && !isForeignCollector(req.actor, ce.collectorId) && (ce.ai?.photos || []).find(p => p.id === req.params.photoId);
+    if (!photo) return res.status(404).json({ error: "NOT_FOUND" });
+    return sendAttachment(res, "CollectionEvent", ce, {
+      id: photo.id, sha256: photo.sha256, contentType: photo.content_type, filename: `${photo.id}.${photo.content_type.split("/")[1]}`
+    });
+  });
+
+  // 9) Consumer: provenance bundle for a batch
+  // Public positions are snapped to a grid PUBLIC_GEO_DECIMALS decimal places of a degree wide
+  // (default 2 ≈ 1.1 km) so a farmer's exact plot is never exposed; 0 is the coarsest (≈ 111 km).
+  const PUBLIC_GEO_DECIMALS = (() => {
+    const n = Number(process.env.PUBLIC_GEO_DECIMALS ?? 2);
+    return Number.isInteger(n) && n >= 0 && n <= 4 ? n : 2;
+  })();
+  const publicGeo = (geo) => {
+    const c = coarsen(geo, PUBLIC_GEO_DECIMALS);
+    return c && { ...c, precision_m: cellSizeM(PUBLIC_GEO_DECIMALS) };
+  };
+
+  // Map marker for every grid cell the batch was collected in, centred on their mean
+  const publicMap = (events) => {
+    const cells = new Map();
+    for (const e of events) {
+      const c = coarsen(e.geo, PUBLIC_GEO_DECIMALS);
+      if (!c) continue;
+      const key = `${c.lat},${c.lng}`;
+      cells.set(key, { ...c, count: (cells.get(key)?.count || 0) + 1 });
+    }
+    const points = [...cells.values()];
+    if (!points.length) return null;
+    const mean = (k) => Math.round((points.reduce((n, p) => n + p[k] * p.count, 0) / points.reduce((n, p) => n + p.count, 0)) * 1e6) / 1e6;
+    return {
+      lat: mean("lat"),
+      lng: mean("lng"),
+      precision_m: cellSizeM(PUBLIC_GEO_DECIMALS),
+      bbox: bboxOf(points.map(p => ({ geometry: { coordinates: [p.lng, p.lat] } }))),
+      points
+    };
+  };
+
+  // Assembles off-chain JSON from our DB; shared by GET /provenance/:batchId and the
+  // verifiable credential export. → { batch, bundle } or null when the batch is unknown.
+  const buildProvenance = async (batchId) => {
+    const batch = await Batch.findOne({ id: batchId });
+    if (!batch) return null;
+
+    // Walk the lineage so a derived lot shows the collections, steps and tests of all its inputs
+    const up = await lineage.upstream(batchId);
+    const lineageIds = [...up.nodes.keys()];
+    const [collEvents, steps, labTests, contributions] = await Promise.all([
+      CollectionEvent.find({ batchId: { $in: lineageIds } }, null, { sort: { timestampUtc: 1 } }),
+      ProcessingStep.find({ batchId: { $in: lineageIds } }, null, { sort: { createdAt: 1 } }),
+      LabTest.find({ batchId: { $in: lineageIds } }, null, { sort: { createdAt: -1 } }),
+      lineage.contributions(batchId)
+    ]);
+    const own = (rows) => rows.filter(r => r.batchId === batchId);
+
+    // Consumers only see ACTIVE recalls; INVESTIGATING ones stay internal
+    const activeRecall = (await recallService.openRecallsFor(batch, [...up.nodes.values()])).find(r => r.state === "ACTIVE") || null;
+
+    // Mask collector id (simple masking)
+    const mask = (s) => (typeof s === 'string' && s.length > 4) ? s.slice(0,2) + "***" + s.slice(-1) : s;
+
+    // Map markers from all collection events, coarsened
+    const firstCE = collEvents[0] || null;
+    const map = publicMap(collEvents);
+
+    // AI chip confidence: only from photo classifier evidence, never a client-reported number
+    const ai = firstCE?.ai && typeof firstCE.ai === 'object' ? firstCE.ai : {};
+    const aiConfidence = ai.method === "CLASSIFIER" && typeof ai.confidence === 'number' ? ai.confidence : null;
+
+    // Lab gate summary (latest)
+    const latestLab = labTests[0] || null;
+    const labSummary = latestLab ? {
+      moisture_pct: latestLab.moisturePct,
+      pesticide_pass: latestLab.pesticidePass,
+      gate: latestLab.gate,
+      pdf_url: latestLab.pdfUrl || null,
+      evaluated_at: latestLab.evaluatedAt ? isoZ(latestLab.evaluatedAt) : null
+    } : null;
+
+    // Logical formatting, exclude hash and id fields
+    const batchInfo = {
+      species_scientific: batch.scientificName,
+      collector_id_masked: mask(batch.collectorId),
+      date_utc: batch.dateUtc,
+      status_phase: batch.statusPhase,
+      quality_gate: batch.qualityGate || "PENDING"
+    };
+
+    const collection = collEvents.map(e => ({
+      scientific_name: e.scientificName,
+      collector_id_masked: mask(e.collectorId),
+      geo: publicGeo(e.geo),
+      timestamp: isoZ(e.timestampUtc),
+      ...(typeof e.quantityKg === "number" ? { quantity_kg: e.quantityKg } : {}), // absent on older records
+      ai: e.ai || {},
+      status: e.status,
+      violations: e.violations || []
+    }));
+
+    const processing_steps = steps.map(s => ({
+      step_type: s.stepType,
+      status: s.status,
+      started_at: s.startedAt ? isoZ(s.startedAt) : null,
+      ended_at: s.endedAt ? isoZ(s.endedAt) : null,
+      ...(typeof s.inputKg === "number" ? { input_kg: s.inputKg } : {}),
+      ...(typeof s.outputKg === "number" ? { output_kg: s.outputKg } : {}),
+      params: s.params || {},
+      post_step_metrics: s.postMetrics || {},
+      notes: s.notes || ""
+    }));
+
+    const lab_results = labTests.map(l => ({
+      moisture_pct: l.moisturePct ?? null,
+      pesticide_pass: l.pesticidePass ?? null,
+      gate: l.gate,
+      spec_version: l.specVersion ?? null,
+      results: (l.results || []).map(r => ({ parameter: r.parameter, name: r.name, value: r.value, unit: r.unit, limit: r.limit, pass: r.pass })),
+      failures: l.failures || [],
+      attachments: (l.attachments || []).map(a => ({ id: a.id, kind: a.kind, filename: a.filename, size: a.size, sha256: a.sha256 })),
+      pdf_url: l.pdfUrl || null,
+      evaluated_at: l.evaluatedAt ? isoZ(l.evaluatedAt) : null
+    }));
+
+    // Integrity: recompute every record hash and the batch Merkle root from what is stored now
+    const integrity = verifyBatchIntegrity(batch, { CollectionEvent: own(collEvents), ProcessingStep: own(steps), LabTest: own(labTests) });
+    const onChain = {
+      ...integrity,
+      anchor: batch.anchor ? {
+        anchor_id: batch.anchor.anchorId,
+        driver: batch.anchor.driver,
+        height: batch.anchor.height,
+        tx_id: batch.anchor.txId,
+        anchored_at: isoZ(batch.anchor.timestamp),
+        covers_current_root: batch.anchor.hash === batch.merkleRoot
+      } : null,
+      chain_status: batch.chainStatus || null,
+      chain_hash: batch.chainHash || null
+    };
+
+    const bundle = {
+      batch: batchInfo,
+      collection,
+      processing_steps,
+      lab_results,
+      lineage: {
+        derivation: batch.derivation || null,
+        upstream_batch_count: lineageIds.length - 1,
+        contributions: contributions.map(c => ({
+          species_scientific: c.batch.scientificName,
+          collector_id_masked: mask(c.batch.collectorId),
+          date_utc: c.batch.dateUtc,
+          fraction: Math.round(c.fraction * 10000) / 10000
+        }))
+      },
+      // Stored result of the last reconciliation; consumers see anomalies, not step ids
+      mass_balance: batch.massBalance?.status ? {
+        status: batch.massBalance.status,
+        start_kg: batch.massBalance.startKg ?? null,
+        current_kg: batch.massBalance.currentKg ?? null,
+        anomalies: (batch.flags || []).filter(f => f.source === "MASS_BALANCE")
+          .map(f => ({ code: f.code, severity: f.severity, message: f.message, step_type: f.detail?.step_type || null }))
+      } : null,
+      on_chain: onChain,
+      ui: {
+        map,
+        herb_names: {
+          scientific: batch.scientificName,
+          ai_verified_confidence: aiConfidence
+        },
+        processing_summary: steps.map(s => s.stepType),
+        mass_balance_warning: batch.massBalance?.status === "ANOMALY",
+        recall_banner: !!activeRecall,
+        recall: activeRecall ? {
+          id: activeRecall.id,
+          severity: activeRecall.severity,
+          notice: activeRecall.notice,
+          opened_at: isoZ(activeRecall.createdAt)
+        } : null
+      }
+    };
+
+    return { batch, bundle };
+  };
+
+  app.get("/provenance/:batchId", async (req, res) => {
+    const built = await buildProvenance(req.params.batchId);
+    if (!built) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    return res.json(built.bundle);
+  });
+
+  // Provenance as a signed W3C Verifiable Credential. Identical provenance returns the same
+  // stored credential until it expires or is revoked; any change issues a new one.
+  const credentialUrl = (id) => `${PUBLIC_BASE_URL}/credentials/${id}`;
+
+  app.get("/provenance/:batchId/credential", async (req, res) => {
+    const built = await buildProvenance(req.params.batchId);
+    if (!built) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+    const { batch, bundle } = built;
+    if (bundle.on_chain.mismatches.length) {
+      return res.status(409).json({ error: "INTEGRITY_CHECK_FAILED", message: "Batch records do not match their hashes", mismatches: bundle.on_chain.mismatches });
+    }
+    const { ui: _ui, ...provenance } = bundle;
+    const subject = { id: `${PUBLIC_BASE_URL}/provenance/${encodeURIComponent(batch.id)}`, batch_id: batch.id, merkle_root: batch.merkleRoot || null, ...provenance };
+    const digest = crypto.createHash("sha256").update(stableStringify(JSON.parse(JSON.stringify(subject)))).digest("hex");
+
+    const existing = await Credential.findOne({ batchId: batch.id, digest, status: "ACTIVE", validUntil: { $gt: new Date() } }, null, { sort: { createdAt: -1 } });
+    if (existing) return res.json(existing.vc);
+
+    const id = "VC-" + crypto.randomBytes(4).toString("hex");
+    const vc = issuer.sign(issuer.buildCredential({ id: credentialUrl(id), statusUrl: `${credentialUrl(id)}/status`, subject }));
+    const doc = await Credential.create({ id, batchId: batch.id, digest, vc, validUntil: new Date(vc.validUntil) });
+    await audit("Credential", null, doc);
+    return res.status(201).json(vc);
+  });
+
+  // Issuer key material: did:web document, JWKS and the JSON-LD context credentials reference
+  app.get("/.well-known/did.json", (_req, res) => res.json(issuer.didDocument()));
+  app.get("/.well-known/jwks.json", (_req, res) => res.json(issuer.jwks()));
+  app.get("/contexts/provenance/v1", (_req, res) => res.type("application/ld+json").send(JSON.stringify(issuer.contextDocument())));
+
+  const credentialStatusView = (c) => ({
+    id: credentialUrl(c.id),
+    batch_id: c.batchId,
+    status: c.status,
+    valid_until: c.validUntil ? isoZ(c.validUntil) : null,
+    revoked_at: c.revokedAt ? isoZ(c.revokedAt) : null,
+    revoke_reason: c.revokeReason || null
+  });
+
+  app.get("/credentials/:id", async (req, res) => {
+    const c = await Credential.findOne({ id: req.params.id });
+    if (!c) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(c.vc);
+  });
+
+  app.get("/credentials/:id/status", async (req, res) => {
+    const c = await Credential.findOne({ id: req.params.id });
+    if (!c) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(credentialStatusView(c));
+  });
+
+  app.post("/credentials/:id/revoke", can("credential:revoke"), validate, async (req, res) => {
+    const { reason } = req.body || {};
+    const c = await auditedUpdate("Credential", Credential,
+      { id: req.params.id, status: "ACTIVE" },
+      { $set: { status: "REVOKED", revokedAt: new Date(), revokedBy: req.actor.subject, revokeReason: reason || undefined } }
+    );
+    if (!c) {
+      const exists = await Credential.exists({ id: req.params.id });
+      return exists ? res.status(409).json({ error: "ALREADY_REVOKED" }) : res.status(404).json({ error: "NOT_FOUND" });
+    }
+    return res.json(credentialStatusView(c));
+  });
+
+  // Verify a presented credential: shape, issuer, signature (tampering), validity window,
+  // revocation, and whether the batch or anything upstream of it is under an ACTIVE recall.
+  app.post("/credentials/verify", validate, async (req, res) => {
+    const body = req.body || {};
+    const vc = body.verifiableCredential || body.credential || body;
+    const errors = [];
+    const warnings = [];
+    const checks = { shape: false, issuer: false, signature: false, validity: false, status: false, recall: false };
+
+    const shapeError = checkCredentialShape(vc);
+    if (shapeError) {
+      errors.push(shapeError);
+      return res.json({ verified: false, checks, errors, warnings });
+    }
+    checks.shape = true;
+
+    const issuerId = typeof vc.issuer === "object" ? vc.issuer?.id : vc.issuer;
+    if (issuerId === issuer.did) checks.issuer = true;
+    else errors.push("UNKNOWN_ISSUER");
+
+    const proof = issuer.verifyProof(vc);
+    if (proof.valid) checks.signature = true;
+    else errors.push(proof.reason);
+
+    const now = Date.now();
+    if (vc.validFrom && Date.parse(vc.validFrom) > now) errors.push("NOT_YET_VALID");
+    else if (vc.validUntil && Date.parse(vc.validUntil) <= now) errors.push("EXPIRED");
+    else checks.validity = true;
+
+    const shortId = String(vc.id || "").startsWith(`${PUBLIC_BASE_URL}/credentials/`) ? vc.id.split("/").pop() : null;
+    const record = shortId ? await Credential.findOne({ id: shortId }) : null;
+    if (!record) errors.push("UNKNOWN_CREDENTIAL");
+    else if (record.status === "REVOKED") errors.push("REVOKED");
+    else checks.status = true;
+
+    // Recall state is live: a credential issued before a recall stops verifying once it is ACTIVE
+    const batchId = vc.credentialSubject.batch_id;
+    const batch = batchId ? await Batch.findOne({ id: batchId }) : null;
+    let recall = null;
+    if (!batch) {
+      errors.push("BATCH_NOT_FOUND");
+    } else {
+      const up = await lineage.upstream(batch.id);
+      const open = await recallService.openRecallsFor(batch, [...up.nodes.values()]);
+      recall = open.find(r => r.state === "ACTIVE") || null;
+      if (recall) errors.push("BATCH_RECALLED");
+      else checks.recall = true;
+      if (open.some(r => r.state === "INVESTIGATING")) warnings.push("RECALL_INVESTIGATING");
+      if (record && await Credential.exists({ batchId: batch.id, status: "ACTIVE", createdAt: { $gt: record.createdAt } })) {
+        warnings.push("SUPERSEDED");
+      }
+    }
+
+    return res.json({
+      verified: errors.length === 0,
+      credential_id: vc.id || null,
+      batch_id: batchId || null,
+      checks,
+      errors,
+      warnings,
+      recall: recall ? { id: recall.id, severity: recall.severity, notice: recall.notice } : null
+    });
+  });
+
+  // ---- GS1 EPCIS 2.0 (lib/epcis) ----
+  const EPCIS_MAX_EVENTS = Number(process.env.EPCIS_MAX_EVENTS || 1000);
+  const EPCIS_EVENT_TYPES = ["ObjectEvent", "TransformationEvent"];
+
+  // Time window on a date field, or on the first present of several (processing steps)
+  const timeRange = (ge, lt) => {
+    const r = {};
+    if (ge) r.$gte = ge;
+    if (lt) r.$lt = lt;
+    return Object.keys(r).length ? r : null;
+  };
+  const firstPresentInRange = (fields, range) =>
+    ({ $or: fields.map((f, i) => ({ ...Object.fromEntries(fields.slice(0, i).map(g => [g, null])), [f]: range })) });
+
+  // EPCIS event type each kind of record maps to (lib/epcis)
+  const EPCIS_SOURCE_TYPES = { collections: "ObjectEvent", steps: "TransformationEvent", labTests: "ObjectEvent", derived: "TransformationEvent" };
+
+  // Loads records and maps them to EPCIS events of the given types, oldest first. Sources of
+  // other types are not read at all, so `limit` counts only events the caller asked for.
+  const epcisEvents = async ({ batchIds, ge, lt, limit, types = EPCIS_EVENT_TYPES }) => {
+    const range = timeRange(ge, lt);
+    const byBatch = batchIds ? { batchId: { $in: batchIds } } : {};
+    const wanted = (source, load) => types.includes(EPCIS_SOURCE_TYPES[source]) ? load() : [];
+    const [collections, steps, labTests, derived] = await Promise.all([
+      wanted("collections", () => CollectionEvent.find({ ...byBatch, batchId: byBatch.batchId || { $ne: null }, ...(range ? { timestampUtc: range } : {}) }, null, { sort: { timestampUtc: 1 }, limit })),
+      wanted("steps", () => ProcessingStep.find({ ...byBatch, ...(range ? firstPresentInRange(["endedAt", "startedAt", "createdAt"], range) : {}) }, null, { sort: { createdAt: 1 }, limit })),
+      wanted("labTests", () => LabTest.find({ ...byBatch, ...(range ? { evaluatedAt: range } : {}) }, null, { sort: { evaluatedAt: 1 }, limit })),
+      wanted("derived", () => Batch.find({ derivation: { $ne: null }, ...(batchIds ? { id: { $in: batchIds } } : {}), ...(range ? { createdAt: range } : {}) }, null, { sort: { createdAt: 1 }, limit }))
+    ]);
+
+    // Every batch and species the events reference
+    const ids = new Set([...collections, ...steps, ...labTests].map(r => r.batchId));
+    for (const d of derived) { ids.add(d.id); for (const p of d.parents || []) ids.add(p.batchId); }
+    const batches = new Map((await Batch.find({ id: { $in: [...ids] } })).map(b => [b.id, b]));
+    const missingLot = [...batches.values()].filter(b => !b.gs1Lot);
+    if (missingLot.length) {
+      await Batch.bulkWrite(missingLot.map(b => ({ updateOne: { filter: { id: b.id }, update: { $set: { gs1Lot: lotFor(b.id) } } } })));
+    }
+    const speciesNames = [...new Set([...batches.values()].map(b => b.scientificName))];
+    const species = new Map((await Species.find({ scientificName: { $in: speciesNames } })).map(sp => [sp.scientificName, sp]));
+    const ctx = (batchId) => {
+      const b = batches.get(batchId) || { id: batchId };
+      return [b, species.get(b.scientificName)];
+    };
+
+    const events = [
+      ...collections.map(ce => epcis.collectionEvent(ce, ...ctx(ce.batchId))),
+      ...steps.map(ps => epcis.processingEvent(ps, ...ctx(ps.batchId))),
+      ...labTests.map(l => {
+        const cert = (l.attachments || []).find(a => a.kind === "CERTIFICATE");
+        return epcis.labEvent(l, ...ctx(l.batchId), cert ? `${PUBLIC_BASE_URL}/labtests/${l.id}/certificate` : l.pdfUrl || null);
+      }),
+      ...derived.map(d => epcis.derivationEvent(d, ctx(d.id)[1], (d.parents || []).map(p => {
+        const [batch, sp] = ctx(p.batchId);
+        return { batch, species: sp, kg: typeof d.quantityKg === "number" ? Math.round(d.quantityKg * p.weight * 1000) / 1000 : undefined };
+      })))
+    ];
+    return events.filter(e => types.includes(e.type)).sort((a, b) => a.eventTime.localeCompare(b.eventTime)).slice(0, limit);
+  };
+
+  // EPCIS query: batch_id (optionally with its upstream lineage), GE_eventTime/LT_eventTime, eventType
+  app.get("/epcis/events", can("epcis:read"), validate, async (req, res) => {
+    const { batch_id, lineage: withLineage, GE_eventTime, LT_eventTime, eventType, perPage } = req.query;
+    const ge = GE_eventTime ? new Date(GE_eventTime) : null;
+    const lt = LT_eventTime ? new Date(LT_eventTime) : null;
+    if ((ge && isNaN(ge)) || (lt && isNaN(lt))) {
+      return res.status(400).json({ error: "INVALID_QUERY", message: "GE_eventTime/LT_eventTime must be ISO 8601 dates" });
+    }
+    if (!batch_id && !ge && !lt) {
+      return res.status(400).json({ error: "INVALID_QUERY", message: "batch_id or an eventTime window is required" });
+    }
+    const types = eventType ? String(eventType).split(",") : EPCIS_EVENT_TYPES;
+    if (types.some(t => !EPCIS_EVENT_TYPES.includes(t))) {
+      return res.status(400).json({ error: "INVALID_QUERY", message: `eventType must be one of ${EPCIS_EVENT_TYPES.join(", ")}` });
+    }
+    const limit = Math.min(parseInt(perPage, 10) || EPCIS_MAX_EVENTS, EPCIS_MAX_EVENTS);
+
+    let batchIds = null;
+    if (batch_id) {
+      const batch = await Batch.findOne({ id: batch_id });
+      if (!batch) return res.status(404).json({ error: "BATCH_NOT_FOUND" });
+      batchIds = withLineage === "true" ? [...(await lineage.upstream(batch_id)).nodes.keys()] : [batch_id];
+    }
+    const events = await epcisEvents({ batchIds, ge, lt, limit, types });
+    return res.type("application/ld+json").send(JSON.stringify(epcis.queryDocument(events)));
+  });
+
+  // Dereferences an eventID (CE-/PS-/LT- record id, or B- id for merge/split events)
+  app.get("/epcis/events/:id", can("epcis:read"), async (req, res) => {
+    const { id } = req.params;
+    const model = { "CE-": CollectionEvent, "PS-": ProcessingStep, "LT-": LabTest }[id.slice(0, 3)];
+    let batchId = null;
+    if (model) batchId = (await model.findOne({ id }, { batchId: 1 }))?.batchId;
+    else if (id.startsWith("B-")) batchId = (await Batch.findOne({ id, derivation: { $ne: null } }, { id: 1 }))?.id;
+    if (!batchId) return res.status(404).json({ error: "NOT_FOUND" });
+    const event = (await epcisEvents({ batchIds: [batchId], limit: EPCIS_MAX_EVENTS })).find(e => e.eventID === epcis.eventId(id));
+    if (!event) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.type("application/ld+json").send(JSON.stringify({ "@context": epcis.context, ...event }));
+  });
+
+  // Ingest a partner EPCISDocument: each event becomes a processing step on the batch it names,
+  // through the same lifecycle checks as POST /processing. Events run in document order;
+  // eventID makes re-captures return "duplicate".
+  app.post("/epcis/capture", can("epcis:capture"),
+    express.json({ type: ["application/json", "application/ld+json"], limit: "5mb" }),
+    validate,
+    async (req, res) => {
+      const doc = req.body || {};
+      const events = doc.epcisBody?.eventList;
+      if (doc.type !== "EPCISDocument" || !Array.isArray(events) || !events.length || events.length > BULK_MAX_EVENTS) {
+        return res.status(400).json({ error: "INVALID_DOCUMENT", message: `Expected an EPCISDocument with 1..${BULK_MAX_EVENTS} events in epcisBody.eventList` });
+      }
+      const results = [];
+      for (const [index, ev] of events.entries()) {
+        const out = { index, event_id: ev?.eventID || null };
+        results.push(out);
+        const reject = (code, message) => Object.assign(out, { result: "rejected", id: null, errors: [{ code, message }] });
+
+        const parsed = epcis.parseCaptureEvent(ev);
+        if (parsed.error) { reject(parsed.error.code, parsed.error.message); continue; }
+        const existing = await ProcessingStep.findOne({ "source.eventId": parsed.eventId });
+        if (existing) { Object.assign(out, { result: "duplicate", id: existing.id, batch_id: existing.batchId }); continue; }
+
+        const lots = parsed.refs.filter(r => r.lot).map(r => r.lot);
+        const ids = parsed.refs.filter(r => r.batchId).map(r => r.batchId);
+        const matches = await Batch.find({ $or: [{ id: { $in: [...ids, ...lots] } }, { gs1Lot: { $in: lots } }] }, { id: 1 });
+        const batchIds = [...new Set(matches.map(b => b.id))];
+        if (batchIds.length !== 1) {
+          reject(batchIds.length ? "AMBIGUOUS_BATCH" : "BATCH_NOT_FOUND", batchIds.length ? `Event names several batches: ${batchIds.join(", ")}` : "No batch matches the event's identifiers");
+          continue;
+        }
+        try {
+          const added = await addProcessingStep({
+            batch_id: batchIds[0],
+            step_type: parsed.stepType,
+            ended_at: parsed.eventTime,
+            input_kg: parsed.inputKg,
+            output_kg: parsed.outputKg,
+            params: parsed.params,
+            post_step_metrics: parsed.postMetrics,
+            notes: `EPCIS ${ev.type} ${parsed.bizStep}`.trim(),
+            source: { system: "EPCIS", eventId: parsed.eventId, sender: req.actor.subject }
+          }, req.actor);
+          if (added.error) { reject(added.error.body.error, added.error.body.message || ""); continue; }
+          Object.assign(out, { result: "created", id: added.doc.id, batch_id: batchIds[0], step_type: added.doc.stepType, status_phase: added.statusPhase });
+        } catch (e) {
+          if (!isDuplicateKey(e)) throw e;
+          const winner = await ProcessingStep.findOne({ "source.eventId": parsed.eventId });
+          Object.assign(out, { result: "duplicate", id: winner?.id || null, batch_id: winner?.batchId || null });
+        }
+      }
+      const summary = { created: 0, duplicate: 0, rejected: 0 };
+      for (const r of results) summary[r.result]++;
+      return res.json({ summary, results });
+    }
+  );
+
+  // Ledger anchors: look up by anchor id (AN-...) or by anchored record/batch id (CE-/PS-/LT-/B-...)
+  const ANCHOR_LOOKUP = { "CE-": CollectionEvent, "PS-": ProcessingStep, "LT-": LabTest, "B-": Batch };
+
+  // Collectors may look up their own events and batches and the records in them. An anchor id
+  // covers many collectors' records, so it is not theirs to look up.
+  const foreignAnchorTarget = async (actor, target) => {
+    if (actor.role !== "collector") return false;
+    if (!target) return true;
+    const inBatch = target.id.startsWith("PS-") || target.id.startsWith("LT-");
+    const owner = inBatch ? (await Batch.findOne({ id: target.batchId }, { collectorId: 1 }))?.collectorId : target.collectorId;
+    return isForeignCollector(actor, owner);
+  };
+
+  app.get("/anchors/:id", can("batch:read"), async (req, res) => {
+    const { id } = req.params;
+    let anchorId = id;
+    let target = null;
+    if (!id.startsWith("AN-")) {
+      const prefix = Object.keys(ANCHOR_LOOKUP).find(p => id.startsWith(p));
+      target = prefix ? await ANCHOR_LOOKUP[prefix].findOne({ id }) : null;
+    }
+    if ((!id.startsWith("AN-") && !target) || await foreignAnchorTarget(req.actor, target)) return res.status(404).json({ error: "NOT_FOUND" });
+    if (target) {
+      if (!target.anchor?.anchorId) return res.status(404).json({ error: "NOT_ANCHORED", id });
+      anchorId = target.anchor.anchorId;
+    }
+    const anchor = await Anchor.findOne({ id: anchorId });
+    if (!anchor) return res.status(404).json({ error: "NOT_FOUND" });
+    const ledgerEntry = await ledger.getEntry(anchor.txId);
+    const out = {
+      anchor: {
+        id: anchor.id,
+        root: anchor.root,
+        driver: anchor.driver,
+        height: anchor.height,
+        tx_id: anchor.txId,
+        anchored_at: isoZ(anchor.anchoredAt),
+        item_count: anchor.items.length
+      },
+      ledger: {
+        found: !!ledgerEntry,
+        entry_valid: !!ledgerEntry?.valid,
+        root_matches: ledgerEntry?.entry?.payload?.root === anchor.root
+      }
+    };
+    if (target) {
+      const p = anchorService.proofFor(anchor, id);
+      const currentHash = id.startsWith("B-") ? target.merkleRoot : target.hash;
+      out.record = { ...p, current_hash: currentHash || null, unchanged_since_anchor: p?.item.hash === currentHash };
+    } else {
+      out.anchor.items = anchor.items;
+    }
+    return res.json(out);
+  });
+
+  // Anchor pending items now instead of waiting for the interval
+  app.post("/anchors/run", can("anchor:run"), async (req, res) => {
+    const anchor = await anchorService.runOnce();
+    if (!anchor) return res.json({ anchored: 0 });
+    return res.status(201).json({ anchored: anchor.items.length, anchor_id: anchor.id, height: anchor.height, tx_id: anchor.txId });
+  });
+
+  // Recalls: open, move through states, list
+  const recallView = (r) => ({
+    id: r.id,
+    state: r.state,
+    severity: r.severity,
+    reason: r.reason,
+    notice: r.notice,
+    source: r.source,
+    lab_test_id: r.labTestId || null,
+    scope: {
+      batch_ids: r.scope?.batchIds || null,
+      scientific_name: r.scope?.scientificName || null,
+      from: r.scope?.from || null,
+      to: r.scope?.to || null
+    },
+    affected_batch_count: (r.affectedBatchIds || []).length,
+    opened_by: r.openedBy || null,
+    opened_at: isoZ(r.createdAt),
+    resolved_at: r.resolvedAt ? isoZ(r.resolvedAt) : null
+  });
+
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  app.post("/recalls", can("recall:manage"), validate, async (req, res) => {
+    const p = req.body || {};
+    const severity = String(p.severity || "").toUpperCase();
+    const state = String(p.state || "INVESTIGATING").toUpperCase();
+    if (!p.reason || !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: p.reason ? "severity" : "reason", message: `reason and severity (${SEVERITIES.join("|")}) are required` });
+    }
+    if (!["INVESTIGATING", "ACTIVE"].includes(state)) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "state", message: "state must be INVESTIGATING or ACTIVE when opening" });
+    }
+    let scope;
+    if (Array.isArray(p.batch_ids) && p.batch_ids.length) {
+      scope = { batchIds: p.batch_ids.map(String) };
+    } else if (p.species) {
+      if ((p.from && !DATE_RE.test(p.from)) || (p.to && !DATE_RE.test(p.to))) {
+        return res.status(400).json({ error: "VALIDATION_ERROR", field: p.from && !DATE_RE.test(p.from) ? "from" : "to", message: "from/to must be YYYY-MM-DD" });
+      }
+      scope = { scientificName: p.species, from: p.from, to: p.to };
+    } else {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "batch_ids", message: "batch_ids[] or species (+ optional from/to) is required" });
+    }
+    const recall = await recallService.open({ scope, reason: p.reason, severity, state, notice: p.notice, actor: req.actor.subject });
+    await audit("Recall", null, recall);
+    await emitEvent("recall.opened", { ...recallView(recall), affected_batch_ids: recall.affectedBatchIds });
+    return res.status(201).json({ ...recallView(recall), affected_batch_ids: recall.affectedBatchIds });
+  });
+
+  const recallList = defineList({
+    fields: {
+      id: { sort: true },
+      state: { upper: true },
+      severity: { upper: true },
+      source: { upper: true },
+      lab_test_id: { path: "labTestId" },
+      opened_by: { path: "openedBy" },
+      opened_at: { path: "createdAt", type: "date", sort: true },
+      resolved_at: { path: "resolvedAt", type: "date", sort: true }
+    },
+    sort: "-opened_at",
+    limit: 100,
+    maxLimit: 500,
+    total: true
+  });
+
+  app.get("/recalls", can("recall:read"), validate, async (req, res) => {
+    const { batch_id } = req.query;
+    return sendList(res, recallList, Recall, req.query, { base: batch_id ? { affectedBatchIds: batch_id } : {}, view: recallView });
+  });
+
+  app.get("/recalls/:id", can("recall:read"), async (req, res) => {
+    const r = await Recall.findOne({ id: req.params.id });
+    if (!r) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({
+      ...recallView(r),
+      affected_batch_ids: r.affectedBatchIds,
+      history: (r.history || []).map(h => ({ from: h.from || null, to: h.to, actor: h.actor || null, note: h.note || null, at: isoZ(h.at) }))
+    });
+  });
+
+  app.patch("/recalls/:id/state", can("recall:manage"), validate, async (req, res) => {
+    const to = String(req.body?.state || "").toUpperCase();
+    const r = await Recall.findOne({ id: req.params.id });
+    if (!r) return res.status(404).json({ error: "NOT_FOUND" });
+    if (!canTransition(r.state, to)) {
+      return res.status(409).json({ error: "INVALID_TRANSITION", message: `Cannot move recall from ${r.state} to ${to || "(none)"}`, state: r.state });
+    }
+    const updated = await recallService.transition(r, to, { actor: req.actor.subject, note: req.body?.note });
+    if (!updated) return res.status(409).json({ error: "CONCURRENT_UPDATE", message: "Recall state changed; reload and retry" });
+    await emitEvent("recall.state_changed", { ...recallView(updated), from: r.state, affected_batch_ids: updated.affectedBatchIds });
+    return res.json({ ...recallView(updated), affected_batch_ids: updated.affectedBatchIds });
+  });
+
+  // Operations dashboard aggregates (lib/analytics); JSON, or CSV with ?format=csv / Accept: text/csv
+  const analytics = createAnalytics({ CollectionEvent, LabTest, ProcessingStep, Batch });
+
+  app.get("/analytics/:report", can("analytics:read"), validate, async (req, res) => {
+    const { report } = req.params;
+    if (!ANALYTICS_REPORTS[report]) {
+      return res.status(404).json({ error: "NOT_FOUND", message: `Reports: ${Object.keys(ANALYTICS_REPORTS).join(", ")}` });
+    }
+    const format = req.query.format || ((req.get("Accept") || "").includes("text/csv") ? "csv" : "json");
+    if (!["json", "csv"].includes(format)) return res.status(400).json({ error: "VALIDATION_ERROR", field: "format", message: "format must be json or csv" });
+    const parsed = parseAnalyticsQuery(report, req.query);
+    if (parsed.errors) return res.status(400).json({ error: "VALIDATION_ERROR", message: parsed.errors.join("; "), errors: parsed.errors });
+
+    const { rows, truncated } = await analytics[report](parsed);
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${report}-${isoZ(new Date()).slice(0, 10)}.csv"`);
+      if (truncated) res.set("X-Truncated", "true");
+      return res.send(toCsv(rows, parsed.groupBy));
+    }
+    return res.json({
+      report,
+      group_by: parsed.groupBy,
+      filters: {
+        from: parsed.from ? isoZ(parsed.from) : null,
+        to: parsed.to ? isoZ(parsed.to) : null,
+        species: parsed.species || null,
+        ...(report === "collections" ? { include_rejected: parsed.includeRejected } : {})
+      },
+      generated_at: isoZ(new Date()),
+      truncated,
+      rows
+    });
+  });
+
+  // health
+  app.get("/healthz", (_, res) => res.json({ ok: true }));
+
+  // Blockchain team: list CollectionEvents by status
+  const collectionChainList = chainList({ scientific_name: { path: "scientificName" }, collector_id: { path: "collectorId" } });
+
+  app.get("/collections/chain", can("chain:read"), validate, async (req, res) => {
+    const { status = "READY" } = req.query;
+    return sendList(res, collectionChainList, CollectionEvent, req.query, {
+      base: { chainStatus: String(status).toUpperCase() },
+      view: (e) => ({ id: e.id, scientific_name: e.scientificName, collector_id: e.collectorId, status: e.status, chain_status: e.chainStatus, hash: e.hash, chain_hash: e.chainHash || null })
+    });
+  });
+
+  // Blockchain team: list ProcessingSteps by status
+  const processingChainList = chainList({ batch_id: { path: "batchId" }, step_type: { path: "stepType", upper: true } });
+
+  app.get("/processing/chain", can("chain:read"), validate, async (req, res) => {
+    const { status = "READY" } = req.query;
+    return sendList(res, processingChainList, ProcessingStep, req.query, {
+      base: { chainStatus: String(status).toUpperCase() },
+      view: (s) => ({ id: s.id, batch_id: s.batchId, step_type: s.stepType, status: s.status, chain_status: s.chainStatus, hash: s.hash, chain_hash: s.chainHash || null })
+    });
+  });
+
+  // Blockchain team: list LabTests by status
+  const labTestChainList = chainList({ batch_id: { path: "batchId" }, gate: { upper: true } });
+
+  app.get("/labtests/chain", can("chain:read"), validate, async (req, res) => {
+    const { status = "READY" } = req.query;
+    return sendList(res, labTestChainList, LabTest, req.query, {
+      base: { status: String(status).toUpperCase() },
+      view: (l) => ({ id: l.id, batch_id: l.batchId, status: l.status, gate: l.gate, hash: l.hash, chain_hash: l.chainHash || null })
+    });
+  });
+
+  // Blockchain team: update chain status/hash for a ProcessingStep. The chain state goes to
+  // chainStatus; the step's own status (COMPLETED steps count towards mass balance) is left alone.
+  app.patch("/processing/:id/blockchain", can("chain:write"), validate, async (req, res) => {
+    const { id } = req.params;
+    const { status, hash } = req.body || {};
+    const allowed = new Set(["READY", "IN_PROGRESS", "COMPLETE"]);
+    if (status && !allowed.has(String(status).toUpperCase())) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "status", message: "status must be one of READY, IN_PROGRESS, COMPLETE" });
+    }
+    const update = {};
+    if (status) update.chainStatus = String(status).toUpperCase();
+    if (hash) update.chainHash = hash; // content hash is server-owned; the chain reference goes alongside
+    const doc = await auditedUpdate("ProcessingStep", ProcessingStep, { id }, { $set: update });
+    if (!doc) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ id, status: doc.status, chain_status: doc.chainStatus, chain_hash: doc.chainHash || null });
+  });
+
+  // Blockchain team: update hash for a LabTest
+  app.patch("/labtest/:id/blockchain", can("chain:write"), validate, async (req, res) => {
+    const { id } = req.params;
+    const { status, hash } = req.body || {};
+    const allowed = new Set(["READY", "IN_PROGRESS", "COMPLETE"]);
+    if (status && !allowed.has(String(status).toUpperCase())) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "status", message: "status must be one of READY, IN_PROGRESS, COMPLETE" });
+    }
+    const update = {};
+    if (status) update.status = String(status).toUpperCase();
+    if (hash) update.chainHash = hash; // content hash is server-owned; the chain reference goes alongside
+    const doc = await auditedUpdate("LabTest", LabTest, { id }, { $set: update });
+    if (!doc) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ id, status: update.status, chain_hash: update.chainHash });
+  });
+
+  // Blockchain team: update chain status/hash for a CollectionEvent. The chain state goes to
+  // chainStatus; status is the harvest verdict (hashed, and what quotas and mass balance count).
+  app.patch("/collection/:id/blockchain", can("chain:write"), validate, async (req, res) => {
+    const { id } = req.params;
+    const { status, hash } = req.body || {};
+    const allowed = new Set(["READY", "IN_PROGRESS", "COMPLETE"]);
+    if (status && !allowed.has(String(status).toUpperCase())) {
+      return res.status(400).json({ error: "VALIDATION_ERROR", field: "status", message: "status must be one of READY, IN_PROGRESS, COMPLETE" });
+    }
+    const update = {};
+    if (status) update.chainStatus = String(status).toUpperCase();
+    if (hash) update.chainHash = hash; // content hash is server-owned; the chain reference goes alongside
+    const doc = await auditedUpdate("CollectionEvent", CollectionEvent, { id }, { $set: update });
+    if (!doc) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({ id, status: doc.status, chain_status: doc.chainStatus, chain_hash: doc.chainHash || null });
+  });
+
+  // PATCH .../blockchain used to write the chain state over the record's own status. Where the
+  // audit trail shows the last change to a record's status came from such a PATCH, the status it
+  // replaced is put back (audited, as a system change, so the next run leaves it alone). Rows
+  // stored before chainStatus existed start READY, or COMPLETE when they carry a chain hash.
+  const CHAIN_PATCH_ROUTES = { ProcessingStep: "/processing/:id/blockchain" };
+  const repairChainStatus = async () => {
+    for (const [type, route] of Object.entries(CHAIN_PATCH_ROUTES)) {
+      const Model = RECORD_MODELS[type];
+      const overwritten = new Map(); // entityId → { status: the replaced value, chainStatus: last chain value written }
+      const entries = await AuditEntry.find({ entityType: type, "changes.path": "status" }, { entityId: 1, route: 1, changes: 1 }, { sort: { seq: 1 } });
+      for (const e of entries) {
+        const c = e.changes.find(x => x.path === "status");
+        const seen = overwritten.get(e.entityId);
+        if (e.route !== route) overwritten.delete(e.entityId);
+        else overwritten.set(e.entityId, { status: seen ? seen.status : c.before, chainStatus: c.after });
+      }
+      let restored = 0;
+      for (const [id, { status, chainStatus }] of overwritten) {
+        if (status && await auditedUpdate(type, Model, { id, status: chainStatus }, { $set: { status, chainStatus } })) restored++;
+      }
+      await Model.updateMany({ chainStatus: { $exists: false }, chainHash: { $type: "string" } }, { $set: { chainStatus: "COMPLETE" } });
+      await Model.updateMany({ chainStatus: { $exists: false } }, { $set: { chainStatus: "READY" } });
+      if (restored) console.log(`chain status repair: restored the status of ${restored} ${type} records`);
+    }
+    await repairCollectionEvents();
+  };
+
+  // A collection event's verdict follows from its stored violations, so an event stored before
+  // chainStatus existed whose status holds a chain state gets its verdict back from those (audited).
+  // Such events are also re-hashed, as the verdict is now hashed content: only when the stored hash
+  // matches the old content form, so an event edited since keeps showing up as a mismatch.
+  const HARVEST_VERDICTS = ["ACCEPTED", "FLAGGED", "REJECTED"];
+  const CHAIN_REPAIR_CHUNK = 500;
+  const repairCollectionEvents = async () => {
+    let restored = 0;
+    let rehashed = 0;
+    const batchIds = new Set();
+    let after = "";
+    for (;;) {
+      const rows = await CollectionEvent.find({ id: { $gt: after }, chainStatus: { $exists: false } }, null, { sort: { id: 1 }, limit: CHAIN_REPAIR_CHUNK });
+      if (!rows.length) break;
+      after = rows[rows.length - 1].id;
+      for (const r of rows) {
+        const $set = { chainStatus: r.chainHash ? "COMPLETE" : "READY" };
+        if (!HARVEST_VERDICTS.includes(r.status)) Object.assign($set, { chainStatus: r.status, status: statusFor(r.violations || []) });
+        const { status: _, ...unhashedStatus } = canonicalRecord("CollectionEvent", r);
+        if (r.hash && sha256Hex(stableStringify(unhashedStatus)) === r.hash) {
+          $set.hash = recordHash("CollectionEvent", { ...canonicalRecord("CollectionEvent", r), status: $set.status || r.status });
+        }
+        const filter = { id: r.id, chainStatus: { $exists: false } };
+        const doc = $set.status
+          ? await auditedUpdate("CollectionEvent", CollectionEvent, filter, { $set })
+          : await CollectionEvent.findOneAndUpdate(filter, { $set }, { new: true });
+        if (!doc) continue;
+        if ($set.status) restored++;
+        if ($set.hash && $set.hash !== r.hash) {
+          rehashed++;
+          await ledgerJobs.enqueue("CollectionEvent", doc);
+          if (doc.batchId) batchIds.add(doc.batchId);
+        }
+      }
+      if (rows.length < CHAIN_REPAIR_CHUNK) break;
+    }
+    for (const batchId of batchIds) await refreshBatchMerkle(batchId);
+    if (restored || rehashed) console.log(`chain status repair: restored ${restored} collection event verdicts, re-hashed ${rehashed} events`);
+  };
+
+  // ---- Ledger jobs (lib/ledgerJobs) ----
+  // Workers lease records instead of polling the /chain lists: claim, heartbeat while working,
+  // then complete with the chain hash or fail. The lease_id from the claim proves ownership, so
+  // it is only ever shown to the worker holding the lease.
+  const ledgerJobView = (j) => ({
+    id: j.id,
+    type: j.type,
+    record_id: j.recordId,
+    hash: j.hash || null,
+    state: j.state,
+    attempts: j.attempts,
+    max_attempts: LEDGER_JOB_MAX_ATTEMPTS,
+    worker_id: j.workerId || null,
+    lease_expires_at: j.state === "LEASED" && j.leaseUntil ? isoZ(j.leaseUntil) : null,
+    available_at: j.state === "PENDING" && j.availableAt ? isoZ(j.availableAt) : null,
+    chain_hash: j.chainHash || null,
+    last_error: j.lastError || null,
+    completed_at: j.completedAt ? isoZ(j.completedAt) : null,
+    failed_at: j.failedAt ? isoZ(j.failedAt) : null,
+    attempt_log: j.attemptLog || []
+  });
+  const leaseView = (j) => ({ ...ledgerJobView(j), lease_id: j.leaseId });
+
+  // Completion also stamps the chain hash on the record, as the PATCH endpoints do. chainStatus
+  // (LabTest.status for lab tests) only tracks the chain; step and event status mean something else.
+  const LEDGER_MODELS = { ...RECORD_MODELS, Batch };
+  const CHAIN_STATUS_FIELD = { Batch: "chainStatus", CollectionEvent: "chainStatus", ProcessingStep: "chainStatus", LabTest: "status" };
+
+  const ledgerJobList = defineList({
+    fields: {
+      id: { sort: true },
+      type: {},
+      state: { upper: true },
+      record_id: { path: "recordId" },
+      worker_id: { path: "workerId" },
+      attempts: { type: "number", sort: true },
+      available_at: { path: "availableAt", type: "date", sort: true },
+      created_at: { path: "createdAt", type: "date", sort: true },
+      updated_at: { path: "updatedAt", type: "date", sort: true }
+    },
+    sort: "created_at",
+    limit: 100,
+    maxLimit: 500,
+    total: true
+  });
+
+  app.get("/ledger-jobs", can("chain:read"), validate, async (req, res) =>
+    sendList(res, ledgerJobList, LedgerJob, req.query, { view: ledgerJobView }));
+
+  app.get("/ledger-jobs/:id", can("chain:read"), async (req, res) => {
+    const job = await LedgerJob.findOne({ id: req.params.id });
+    if (!job) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json(ledgerJobView(job));
+  });
+
+  // A lease belongs to the authenticated chain worker (its key's subject). worker_id in a body is
+  // optional and must name that same worker, so one key can't renew, complete or fail another's leases.
+  // → the worker id, or null once a 403 has been sent
+  const workerOf = (req, res) => {
+    const { worker_id } = req.body;
+    if (worker_id !== undefined && worker_id !== req.actor.subject) {
+      res.status(403).json({ error: "FORBIDDEN", field: "worker_id", message: "worker_id must match the authenticated chain worker" });
+      return null;
+    }
+    return req.actor.subject;
+  };
+
+  app.post("/ledger-jobs/claim", can("chain:write"), validate, async (req, res) => {
+    const workerId = workerOf(req, res);
+    if (!workerId) return;
+    const { type, limit = 10, lease_s = LEASE_S } = req.body;
+    const jobs = await ledgerJobs.claim({ type, workerId, limit, leaseS: lease_s });
+    return res.json({ items: jobs.map(leaseView) });
+  });
+
+  app.post("/ledger-jobs/heartbeat", can("chain:write"), validate, async (req, res) => {
+    const workerId = workerOf(req, res);
+    if (!workerId) return;
+    const { lease_ids, lease_s = LEASE_S } = req.body;
+    const r = await ledgerJobs.heartbeat({ workerId, leaseIds: [...new Set(lease_ids)], leaseS: lease_s });
+    return res.json({
+      renewed: r.renewed.map(j => ({ id: j.id, lease_id: j.leaseId, lease_expires_at: isoZ(j.leaseUntil) })),
+      lost: r.lost
+    });
+  });
+
+  // The job exists but the caller's lease on it is gone (expired and released, re-leased, or finished)
+  const leaseLost = async (res, id) => (await LedgerJob.exists({ id }))
+    ? res.status(409).json({ error: "LEASE_NOT_HELD", message: "This worker no longer holds the lease on the job; claim again" })
+    : res.status(404).json({ error: "NOT_FOUND" });
+
+  app.post("/ledger-jobs/:id/complete", can("chain:write"), validate, async (req, res) => {
+    const workerId = workerOf(req, res);
+    if (!workerId) return;
+    const { lease_id, chain_hash } = req.body;
+    const job = await ledgerJobs.complete(req.params.id, { workerId, leaseId: lease_id, chainHash: chain_hash });
+    if (!job) return leaseLost(res, req.params.id);
+    const $set = { chainHash: chain_hash };
+    if (CHAIN_STATUS_FIELD[job.type]) $set[CHAIN_STATUS_FIELD[job.type]] = "COMPLETE";
+    const record = await auditedUpdate(job.type, LEDGER_MODELS[job.type], { id: job.recordId }, { $set });
+    // The record moved on while leased (a batch gained records), so its new state is queued again
+    const requeued = !!record && ledgerHashOf(job.type, record) !== job.hash;
+    if (requeued) await ledgerJobs.enqueue(job.type, record);
+    return res.json({ job: ledgerJobView(job), requeued });
+  });
+
+  app.post("/ledger-jobs/:id/fail", can("chain:write"), validate, async (req, res) => {
+    const workerId = workerOf(req, res);
+    if (!workerId) return;
+    const { lease_id, error, retry = true } = req.body;
+    const job = await ledgerJobs.fail(req.params.id, { workerId, leaseId: lease_id, error, retry });
+    if (!job) return leaseLost(res, req.params.id);
+    return res.json(ledgerJobView(job));
+  });
+
+  app.post("/ledger-jobs/:id/retry", can("chain:manage"), async (req, res) => {
+    const job = await ledgerJobs.retry(req.params.id);
+    if (job) return res.json(ledgerJobView(job));
+    return (await LedgerJob.exists({ id: req.params.id }))
+      ? res.status(409).json({ error: "JOB_NOT_FAILED", message: "Only FAILED jobs can be retried" })
+      : res.status(404).json({ error: "NOT_FOUND" });
+  });
+
+  // ---- OpenAPI document and docs page (lib/openapi) ----
+  // Registered after every route so mount() can name any route missing from lib/apiSpec
+  api.mount(app, {
+    lists: {
+      "GET /species": speciesList,
+      "GET /quotas": quotaList,
+      "GET /admin/api-keys": apiKeyList,
+      "GET /audit": auditList,
+      "GET /webhooks": webhookList,
+      "GET /webhooks/dead-letters": deliveryList,
+      "GET /webhooks/:id/deliveries": deliveryList,
+      "GET /collections": collectionList,
+      "GET /collections/geojson": collectionList,
+      "GET /batches": batchList,
+      "GET /batches/chain": batchChainList,
+      "GET /collections/chain": collectionChainList,
+      "GET /processing/chain": processingChainList,
+      "GET /labtests/chain": labTestChainList,
+      "GET /ledger-jobs": ledgerJobList,
+      "GET /lab-specs": labSpecList,
+      "GET /labtests": labTestList,
+      "GET /recalls": recallList
+    }
+  });
+
+  app.use((req, res) => res.status(404).json({ error: "ROUTE_NOT_FOUND", message: `No route for ${req.method} ${req.path}` }));
+
+  // Central error handler (registered last so it sees errors from every route, async ones included)
+  app.use((err, req, res, _next) => {
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({ error: "PAYLOAD_TOO_LARGE", message: `Limit is ${err.limit} bytes` });
+    }
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).json({ error: "INVALID_JSON", field: null, message: "Request body is not valid JSON" });
+    }
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({ error: codeForStatus(err.status), message: err.expose ? err.message : undefined });
+    }
+    console.error(`[${req.id}]`, err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "INTERNAL_ERROR", message: "Unexpected server error" });
+    }
+  });
+
+  // Resolves once the startup backfills have run (they log their own failures)
+  const start = () => {
+    anchorService.start();
+    webhooks.start();
+    ledgerJobs.start();
+    return Promise.all([
+      backfillLocations().catch(e => console.error("location backfill failed:", e.message)),
+      migrateClientEventIndexes().catch(e => console.error("collection event index migration failed:", e.message)),
+      repairChainStatus().catch(e => console.error("chain status repair failed:", e.message)),
+      ledgerJobs.backfill().catch(e => console.error("ledger job backfill failed:", e.message))
+    ]);
+  };
+  const stop = () => {
+    anchorService.stop();
+    webhooks.stop();
+    ledgerJobs.stop();
+  };
+
+  return { app, repos, start, stop };
+};
+
+module.exports = { createApp };
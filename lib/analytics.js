@@ -0,0 +1,283 @@
+// lib/analytics.js — aggregation pipelines behind the operations dashboard (/analytics/*)
+// Each report is one pipeline that starts with an indexed $match on its date field, then groups by
+// the requested dimensions. Rows are flat so they serialise to CSV as-is.
+//   collections:  CollectionEvent.timestampUtc          (kg, events, collectors)
+//   lab-results:  LabTest.evaluatedAt                   (pass/fail counts and rate)
+//   lab-failures: LabTest.evaluatedAt, unwound failures (parameter/category/reason counts)
+//   time-to-qa:   first LabTest per batch vs its earliest collection event
+//   throughput:   ProcessingStep.createdAt, COMPLETED   (steps, batches, kg in/out, duration)
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ROWS = 5000;
+const HOUR_MS = 3600 * 1000;
+
+// group_by token → expression, per report (the field names differ by collection)
+const PERIODS = {
+  day: (date) => ({ $dateToString: { format: "%Y-%m-%d", date } }),
+  week: (date) => ({ $dateToString: { format: "%G-W%V", date } }),      // ISO week
+  month: (date) => ({ $dateToString: { format: "%Y-%m", date } })
+};
+
+const REPORTS = {
+  collections: {
+    dimensions: {
+      species: "$scientificName",
+      collector: "$collectorId",
+      zone: { $ifNull: ["$zoneId", null] },
+      ...Object.fromEntries(Object.entries(PERIODS).map(([k, f]) => [k, f("$timestampUtc")]))
+    },
+    defaultGroupBy: ["species"]
+  },
+  "lab-results": {
+    dimensions: {
+      species: "$batch.scientificName",
+      lab: { $ifNull: ["$labId", null] },
+      ...Object.fromEntries(Object.entries(PERIODS).map(([k, f]) => [k, f("$evaluatedAt")]))
+    },
+    defaultGroupBy: ["species"]
+  },
+  "lab-failures": {
+    dimensions: {
+      species: "$batch.scientificName",
+      lab: { $ifNull: ["$labId", null] },
+      ...Object.fromEntries(Object.entries(PERIODS).map(([k, f]) => [k, f("$evaluatedAt")]))
+    },
+    defaultGroupBy: ["species"]
+  },
+  "time-to-qa": {
+    dimensions: {
+      species: "$batch.scientificName",
+      ...Object.fromEntries(Object.entries(PERIODS).map(([k, f]) => [k, f("$qaAt")]))
+    },
+    defaultGroupBy: ["species"]
+  },
+  "processing-throughput": {
+    dimensions: {
+      step_type: "$stepType",
+      species: "$batch.scientificName",
+      ...Object.fromEntries(Object.entries(PERIODS).map(([k, f]) => [k, f("$createdAt")]))
+    },
+    defaultGroupBy: ["step_type", "month"]
+  }
+};
+
+// Query string → { from, to, species, groupBy, includeRejected } or { errors }.
+// A plain YYYY-MM-DD `to` covers that whole day; `to` is exclusive otherwise.
+const parseQuery = (report, query) => {
+  const spec = REPORTS[report];
+  const errors = [];
+  const date = (v, name, endOfDay) => {
+    if (v === undefined || v === "") return undefined;
+    if (isNaN(Date.parse(v))) { errors.push(`${name} must be an ISO 8601 date`); return undefined; }
+    return DATE_RE.test(v) && endOfDay ? new Date(Date.parse(`${v}T00:00:00Z`) + 24 * HOUR_MS) : new Date(v);
+  };
+  const from = date(query.from, "from", false);
+  const to = date(query.to, "to", true);
+  if (from && to && to <= from) errors.push("to must be after from");
+  const groupBy = query.group_by ? [...new Set(String(query.group_by).split(",").map(s => s.trim()).filter(Boolean))] : spec.defaultGroupBy;
+  const unknown = groupBy.filter(g => !spec.dimensions[g]);
+  if (unknown.length) errors.push(`group_by for ${report} must be from ${Object.keys(spec.dimensions).join(", ")}`);
+  if (groupBy.filter(g => PERIODS[g]).length > 1) errors.push("group_by takes at most one of day, week, month");
+  if (!groupBy.length) errors.push("group_by must name at least one dimension");
+  return errors.length ? { errors } : {
+    from, to, groupBy,
+    species: query.species ? String(query.species) : undefined,
+    includeRejected: query.include_rejected === "true"
+  };
+};
+
+const range = (from, to) => {
+  if (!from && !to) return undefined;
+  const r = {};
+  if (from) r.$gte = from;
+  if (to) r.$lt = to;
+  return r;
+};
+
+const groupId = (report, groupBy) => Object.fromEntries(groupBy.map(g => [g, REPORTS[report].dimensions[g]]));
+// { _id: { species, month }, ... } → { species, month, ... }
+const unwrapId = { $replaceWith: { $mergeObjects: ["$_id", "$$ROOT"] } };
+const dropId = { $project: { _id: 0 } };
+const sortBy = (groupBy) => ({ $sort: Object.fromEntries(groupBy.map(g => [g, 1])) });
+const round = (expr, dp = 3) => ({ $round: [expr, dp] });
+const ratio = (num, den, dp = 4) => ({ $cond: [{ $gt: [den, 0] }, round({ $divide: [num, den] }, dp), null] });
+
+// Adds `batch: { scientificName, derivation }` from the Batch collection
+const joinBatch = (batches) => [
+  { $lookup: { from: batches, localField: "batchId", foreignField: "id", as: "batch", pipeline: [{ $project: { _id: 0, scientificName: 1, derivation: 1 } }] } },
+  { $set: { batch: { $first: "$batch" } } }
+];
+
+const createAnalytics = ({ CollectionEvent, LabTest, ProcessingStep, Batch }) => {
+  const batches = Batch.collectionName;
+  const events = CollectionEvent.collectionName;
+
+  const run = async (Model, pipeline) => {
+    const rows = await Model.aggregate([...pipeline, { $limit: MAX_ROWS + 1 }]);
+    return { rows: rows.slice(0, MAX_ROWS), truncated: rows.length > MAX_ROWS };
+  };
+
+  // Volume by species / collector / zone / period; REJECTED events only with includeRejected
+  const collections = ({ from, to, species, groupBy, includeRejected }) => {
+    const match = {};
+    if (range(from, to)) match.timestampUtc = range(from, to);
+    if (species) match.scientificName = species;
+    if (!includeRejected) match.status = { $ne: "REJECTED" };
+    return run(CollectionEvent, [
+      { $match: match },
+      { $group: {
+        _id: groupId("collections", groupBy),
+        events: { $sum: 1 },
+        kg: { $sum: { $ifNull: ["$quantityKg", 0] } },
+        unweighed_events: { $sum: { $cond: [{ $isNumber: "$quantityKg" }, 0, 1] } },
+        flagged_events: { $sum: { $cond: [{ $eq: ["$status", "FLAGGED"] }, 1, 0] } },
+        rejected_events: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+        collectors: { $addToSet: "$collectorId" },
+        batches: { $addToSet: "$batchId" }
+      } },
+      unwrapId,
+      { $set: {
+        kg: round("$kg"),
+        collectors: { $size: "$collectors" },
+        batches: { $size: { $setDifference: ["$batches", [null]] } }
+      } },
+      dropId,
+      sortBy(groupBy)
+    ]);
+  };
+
+  const labMatch = ({ from, to }) => (range(from, to) ? { evaluatedAt: range(from, to) } : {});
+  const speciesStage = (species) => (species ? [{ $match: { "batch.scientificName": species } }] : []);
+
+  const labResults = ({ from, to, species, groupBy }) => run(LabTest, [
+    { $match: labMatch({ from, to }) },
+    ...joinBatch(batches),
+    ...speciesStage(species),
+    { $group: {
+      _id: groupId("lab-results", groupBy),
+      tests: { $sum: 1 },
+      passed: { $sum: { $cond: [{ $eq: ["$gate", "PASS"] }, 1, 0] } },
+      failed: { $sum: { $cond: [{ $eq: ["$gate", "FAIL"] }, 1, 0] } },
+      batches: { $addToSet: "$batchId" }
+    } },
+    unwrapId,
+    { $set: { pass_rate: ratio("$passed", "$tests"), batches: { $size: "$batches" } } },
+    dropId,
+    sortBy(groupBy)
+  ]);
+
+  // One row per group and failure (parameter, category, reason), most frequent first
+  const labFailures = ({ from, to, species, groupBy }) => run(LabTest, [
+    { $match: { ...labMatch({ from, to }), gate: "FAIL" } },
+    ...joinBatch(batches),
+    ...speciesStage(species),
+    { $unwind: "$failures" },
+    { $group: {
+      _id: { ...groupId("lab-failures", groupBy), parameter: "$failures.parameter", category: { $ifNull: ["$failures.category", null] }, reason: { $ifNull: ["$failures.reason", null] } },
+      failures: { $sum: 1 },
+      batches: { $addToSet: "$batchId" }
+    } },
+    unwrapId,
+    { $set: { batches: { $size: "$batches" } } },
+    dropId,
+    { $sort: { ...Object.fromEntries(groupBy.map(g => [g, 1])), failures: -1, parameter: 1 } }
+  ]);
+
+  // Per batch: its first lab test ever (so retests don't restart the clock), against the
+  // earliest non-rejected collection event. Derived lots have no events of their own and are skipped.
+  const timeToQa = ({ from, to, species, groupBy }) => run(LabTest, [
+    ...(to ? [{ $match: { evaluatedAt: { $lt: to } } }] : []),
+    { $group: { _id: "$batchId", qaAt: { $min: "$evaluatedAt" } } },
+    ...(from ? [{ $match: { qaAt: { $gte: from } } }] : []),
+    { $set: { batchId: "$_id" } },
+    ...joinBatch(batches),
+    { $match: { "batch.derivation": null, ...(species ? { "batch.scientificName": species } : {}) } },
+    { $lookup: { from: events, localField: "batchId", foreignField: "batchId", as: "collected", pipeline: [
+      { $match: { status: { $ne: "REJECTED" } } },
+      { $group: { _id: null, at: { $min: "$timestampUtc" } } }
+    ] } },
+    { $set: { collectedAt: { $first: "$collected.at" } } },
+    { $match: { collectedAt: { $ne: null } } },
+    { $set: { hours: { $divide: [{ $subtract: ["$qaAt", "$collectedAt"] }, HOUR_MS] } } },
+    { $group: {
+      _id: groupId("time-to-qa", groupBy),
+      batches: { $sum: 1 },
+      avg_hours: { $avg: "$hours" },
+      min_hours: { $min: "$hours" },
+      max_hours: { $max: "$hours" }
+    } },
+    unwrapId,
+    { $set: {
+      avg_hours: round("$avg_hours", 1),
+      min_hours: round("$min_hours", 1),
+      max_hours: round("$max_hours", 1),
+      avg_days: round({ $divide: ["$avg_hours", 24] }, 2)
+    } },
+    dropId,
+    sortBy(groupBy)
+  ]);
+
+  // Completed steps by step type / species / period (when the step was recorded)
+  const processingThroughput = ({ from, to, species, groupBy }) => {
+    const match = { status: "COMPLETED" };
+    if (range(from, to)) match.createdAt = range(from, to);
+    const needsBatch = species || groupBy.includes("species");
+    return run(ProcessingStep, [
+      { $match: match },
+      ...(needsBatch ? [...joinBatch(batches), ...speciesStage(species)] : []),
+      { $group: {
+        _id: groupId("processing-throughput", groupBy),
+        steps: { $sum: 1 },
+        batches: { $addToSet: "$batchId" },
+        input_kg: { $sum: { $ifNull: ["$inputKg", 0] } },
+        output_kg: { $sum: { $ifNull: ["$outputKg", 0] } },
+        weighed_steps: { $sum: { $cond: [{ $and: [{ $isNumber: "$inputKg" }, { $isNumber: "$outputKg" }] }, 1, 0] } },
+        weighed_in_kg: { $sum: { $cond: [{ $and: [{ $isNumber: "$inputKg" }, { $isNumber: "$outputKg" }] }, "$inputKg", 0] } },
+        weighed_out_kg: { $sum: { $cond: [{ $and: [{ $isNumber: "$inputKg" }, { $isNumber: "$outputKg" }] }, "$outputKg", 0] } },
+        avg_duration_hours: { $avg: { $cond: [
+          { $and: [{ $eq: [{ $type: "$startedAt" }, "date"] }, { $eq: [{ $type: "$endedAt" }, "date"] }, { $gt: ["$endedAt", "$startedAt"] }] },
+          { $divide: [{ $subtract: ["$endedAt", "$startedAt"] }, HOUR_MS] },
+          null
+        ] } }
+      } },
+      unwrapId,
+      { $set: {
+        batches: { $size: "$batches" },
+        input_kg: round("$input_kg"),
+        output_kg: round("$output_kg"),
+        // Yield over steps weighed on both sides only, so partial weighing doesn't skew it
+        yield: ratio("$weighed_out_kg", "$weighed_in_kg"),
+        avg_duration_hours: round("$avg_duration_hours", 1)
+      } },
+      { $unset: ["weighed_in_kg", "weighed_out_kg"] },
+      dropId,
+      sortBy(groupBy)
+    ]);
+  };
+
+  return {
+    collections,
+    "lab-results": labResults,
+    "lab-failures": labFailures,
+    "time-to-qa": timeToQa,
+    "processing-throughput": processingThroughput
+  };
+};
+
+// RFC 4180: quote fields containing separators, quotes or line breaks; a leading =,+,-,@ is
+// prefixed with ' so spreadsheet apps don't evaluate it as a formula
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  let s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@]/.test(s) && typeof v !== "number") s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Columns: the group_by dimensions first, then every metric seen, in first-seen order
+const toCsv = (rows, leading = []) => {
+  const columns = [...leading];
+  for (const r of rows) for (const k of Object.keys(r)) if (!columns.includes(k)) columns.push(k);
+  return [columns, ...rows.map(r => columns.map(c => r[c]))].map(line => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+};
+
+module.exports = { createAnalytics, parseQuery, toCsv, REPORTS, MAX_ROWS };
@@ -0,0 +1,101 @@
+// lib/anchoring.js — anchors pending record hashes and batch Merkle roots to a ledger
+// Each run collects up to batchSize pending items, builds a Merkle tree over their hashes,
+// writes the root to the ledger driver, then stamps the receipt on every item.
+// A crash between the ledger write and the receipts just means those items are anchored again.
+const crypto = require("crypto");
+const { merkleRoot, merkleProof, verifyProof } = require("./merkle");
+
+const RECORD_TYPES = ["CollectionEvent", "ProcessingStep", "LabTest"];
+
+const createAnchorService = ({
+  ledger,
+  models,
+  batchSize = Number(process.env.ANCHOR_BATCH_SIZE || 256),
+  log = console,
+  onAnchored = async () => {},                              // called with each stored Anchor
+  // (entityType, Model, filter, update) → updated doc | null; the app passes its audited update
+  update = (_type, Model, filter, u) => Model.findOneAndUpdate(filter, u, { new: true })
+}) => {
+  const { Anchor, Batch } = models;
+  let inFlight = null;
+  let timer = null;
+
+  const pendingItems = async () => {
+    const items = [];
+    for (const type of RECORD_TYPES) {
+      if (items.length >= batchSize) break;
+      const rows = await models[type].find(
+        { hash: { $ne: null }, "anchor.txId": { $exists: false } },
+        null,
+        { sort: { createdAt: 1 }, limit: batchSize - items.length }
+      );
+      items.push(...rows.map(r => ({ type, id: r.id, hash: r.hash })));
+    }
+    if (items.length < batchSize) {
+      const batches = await Batch.find(
+        { anchorPending: true, merkleRoot: { $ne: null } },
+        null,
+        { sort: { updatedAt: 1 }, limit: batchSize - items.length }
+      );
+      items.push(...batches.map(b => ({ type: "Batch", id: b.id, hash: b.merkleRoot })));
+    }
+    return items;
+  };
+
+  const stamp = async (item, receipt) => {
+    if (item.type === "Batch") {
+      // Only clear the pending flag if the root we anchored is still the current one
+      await update("Batch", Batch, { id: item.id, merkleRoot: item.hash }, { $set: { anchor: { ...receipt, hash: item.hash }, anchorPending: false } });
+      return;
+    }
+    await update(item.type, models[item.type], { id: item.id }, { $set: { anchor: receipt } });
+  };
+
+  const run = async () => {
+    const items = await pendingItems();
+    if (!items.length) return null;
+    const anchorId = "AN-" + crypto.randomBytes(4).toString("hex");
+    const root = merkleRoot(items.map(i => i.hash));
+    const receipt = await ledger.anchor({ anchorId, root, count: items.length });
+    const doc = await Anchor.create({
+      id: anchorId,
+      root,
+      driver: receipt.driver,
+      height: receipt.height,
+      txId: receipt.txId,
+      anchoredAt: new Date(receipt.timestamp),
+      items
+    });
+    const base = { anchorId, driver: receipt.driver, height: receipt.height, txId: receipt.txId, timestamp: new Date(receipt.timestamp) };
+    for (const item of items) await stamp(item, base);
+    await onAnchored(doc);
+    log.log(`Anchored ${items.length} item(s) as ${anchorId} at height ${receipt.height}`);
+    return doc;
+  };
+
+  // Concurrent callers share the run already in progress
+  const runOnce = () => {
+    if (!inFlight) inFlight = run().finally(() => { inFlight = null; });
+    return inFlight;
+  };
+
+  const start = (intervalMs = Number(process.env.ANCHOR_INTERVAL_MS || 60000)) => {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(() => runOnce().catch(e => log.error("Anchoring failed:", e.message)), intervalMs);
+    timer.unref?.();
+  };
+  const stop = () => { clearInterval(timer); timer = null; };
+
+  // Inclusion proof of one item in an anchor's root
+  const proofFor = (anchor, itemId) => {
+    const index = anchor.items.findIndex(i => i.id === itemId);
+    if (index < 0) return null;
+    const hashes = anchor.items.map(i => i.hash);
+    const proof = merkleProof(hashes, index);
+    return { item: anchor.items[index], index, proof, valid: verifyProof(hashes[index], proof, anchor.root) };
+  };
+
+  return { runOnce, start, stop, proofFor, pendingItems, ledger };
+};
+
+module.exports = { createAnchorService, RECORD_TYPES };
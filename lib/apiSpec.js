@@ -0,0 +1,816 @@
+// lib/apiSpec.js — the API contract: request/response schemas and one entry per route
+// (format in lib/openapi). Request schemas here are what validate() enforces before a handler
+// runs, so keep them in step with the handlers; domain checks (species binomials, GTIN check
+// digits, lifecycle order, ...) stay in their libs and still answer VALIDATION_ERROR or their
+// own codes. Unknown body fields are allowed, as they always were.
+const { ROLES, PERMISSIONS } = require("./auth");
+const { PLANT_PARTS, IUCN_CATEGORIES, CITES_APPENDICES, STATUSES: SPECIES_STATUSES } = require("./species");
+const { UNITS: QUOTA_UNITS, ON_EXCEED } = require("./quotas");
+const { EVENT_TYPES, DELIVERY_STATUSES } = require("./webhooks");
+const { STATES: RECALL_STATES, SEVERITIES } = require("./recalls");
+const { KINDS: ATTACHMENT_KINDS, ALLOWED_TYPES: ATTACHMENT_TYPES } = require("./attachments");
+const { PHOTO_TYPES } = require("./identification");
+const { CATEGORIES: SPEC_CATEGORIES } = require("./labSpecs");
+const { ERROR_CORRECTION, FORMATS: QR_FORMATS } = require("./qr");
+const { REPORTS } = require("./analytics");
+const { OPS: FILTER_OPS } = require("./listQuery");
+const { TYPES: LEDGER_JOB_TYPES, STATES: LEDGER_JOB_STATES, MAX_LEASE_S, MAX_CLAIM } = require("./ledgerJobs");
+
+// ---- schema shorthands ----
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const bool = (extra = {}) => ({ type: "boolean", ...extra });
+const arr = (items, extra = {}) => ({ type: "array", items, ...extra });
+const obj = (properties, required, extra = {}) => ({ type: "object", properties, ...(required ? { required } : {}), ...extra });
+const nullable = (s) => ({ ...s, nullable: true });
+// Handlers upper-case these, so any case is accepted
+const upper = (values, extra = {}) => ({ type: "string", enum: values, "x-case-insensitive": true, ...extra });
+const unit = (extra = {}) => ({ type: "string", enum: Object.keys(QUOTA_UNITS), "x-case-insensitive": true, ...extra });
+const dateTime = (extra = {}) => str({ format: "date-time", ...extra });
+const day = (extra = {}) => str({ format: "date", ...extra });
+const positive = (extra = {}) => num({ minimum: 0, exclusiveMinimum: true, ...extra });
+const loose = (description, properties = {}) => obj(properties, undefined, { description, additionalProperties: true });
+const listOf = (item) => ({ allOf: [ref("ListPage"), obj({ items: arr(ref(item)) })] });
+
+const CHAIN_STATUSES = ["READY", "IN_PROGRESS", "COMPLETE"];
+const KEY_ROLES = ROLES.filter(r => r !== "public");
+
+const schemas = {
+  Error: obj({
+    code: str({ description: "Stable machine-readable reason, e.g. VALIDATION_ERROR, BATCH_NOT_FOUND" }),
+    message: str({ description: "Human-readable explanation" }),
+    field: nullable(str({ description: "Request field at fault (dotted path, e.g. geo.lat), if any" })),
+    request_id: str({ description: "X-Request-Id of the request" }),
+    errors: arr(ref("FieldError"), { description: "Every problem found (VALIDATION_ERROR)" }),
+    error: str({ deprecated: true, description: "Same as code; kept for older clients" })
+  }, ["code", "message", "field", "request_id"], {
+    description: "Every non-2xx JSON response. Endpoint-specific details (allowed_steps, batch_ids, ...) may sit alongside.",
+    additionalProperties: true
+  }),
+  FieldError: obj({
+    in: str({ enum: ["path", "query", "body"] }),
+    field: nullable(str()),
+    code: str({ description: "REQUIRED, INVALID_TYPE, INVALID_VALUE, INVALID_FORMAT, OUT_OF_RANGE, TOO_SHORT, TOO_LONG, TOO_FEW_ITEMS, TOO_MANY_ITEMS" }),
+    message: str()
+  }, ["field", "message"]),
+  ListPage: obj({
+    items: arr({}),
+    next_cursor: nullable(str({ description: "Pass as ?cursor= for the next page; null on the last page" })),
+    has_more: bool(),
+    limit: int(),
+    total: int({ description: "With count=true (always on some endpoints)" }),
+    page: int({ description: "Only with the legacy page parameter" })
+  }, ["items", "next_cursor", "has_more", "limit"], { description: "Envelope shared by every list endpoint" }),
+
+  // ---- species ----
+  SpeciesInput: obj({
+    scientificName: str({ example: "Withania somnifera" }),
+    speciesCode: str({ pattern: "^[A-Za-z][A-Za-z0-9]{2,7}$", "x-pattern-message": "must be 3-8 letters/digits starting with a letter", example: "ASHWA" }),
+    taxonomy: obj({ family: str(), genus: str(), authority: str() }),
+    plantParts: arr(upper(PLANT_PARTS), { minItems: 1 }),
+    conservation: obj({
+      iucn: nullable(upper(IUCN_CATEGORIES)),
+      cites: nullable(upper(CITES_APPENDICES)),
+      assessedAt: dateTime()
+    }),
+    vernacularNames: arr(obj({ lang: str({ example: "hi" }), name: str({ minLength: 1 }), script: str() }, ["lang", "name"])),
+    vernaculars: arr(str()),
+    gtin: nullable(str({ description: "GTIN-8/12/13/14 with a valid check digit" })),
+    seasonMonths: arr(int({ minimum: 1, maximum: 12 })),
+    harvestZones: arr(obj({
+      zoneId: str(),
+      type: str({ enum: ["POLYGON", "RADIUS"] }),
+      center: ref("Geo"),
+      radius_m: positive(),
+      coordinates: arr(arr(arr(num()))),
+      active: bool()
+    }, ["type"])),
+    rules: obj({ maxAccuracyM: num(), minAiConfidence: num() }),
+    yieldRanges: nullable(loose("Expected yield per step type, e.g. { DRYING: { min: 0.2, max: 0.35 } }")),
+    lifecycleProfile: nullable(str()),
+    lifecycleTransitions: nullable(loose("Custom lifecycle: { PHASE: { STEP_TYPE: NEXT_PHASE } }")),
+    harvestable: bool(),
+    status: upper(SPECIES_STATUSES)
+  }, ["scientificName", "speciesCode"]),
+  Species: obj({
+    scientific_name: str(),
+    species_code: str(),
+    taxonomy: loose("family, genus, authority"),
+    plant_parts: arr(str()),
+    conservation: obj({ iucn: nullable(str()), cites: nullable(str()), assessed_at: nullable(dateTime()) }),
+    vernacular_names: arr(str()),
+    gtin: nullable(str()),
+    season_months: arr(int()),
+    harvest_zone_count: int(),
+    yield_ranges: loose("Per step type"),
+    lifecycle_profile: nullable(str()),
+    status: str({ enum: SPECIES_STATUSES }),
+    harvestable: bool(),
+    harvest_blockers: arr(str()),
+    quota_required: bool()
+  }),
+
+  // ---- quotas ----
+  QuotaInput: obj({
+    species: str({ description: "Scientific name" }),
+    zone_id: nullable(str()),
+    collector_id: nullable(str()),
+    season_from: day(),
+    season_to: day(),
+    cap: positive(),
+    unit: unit({ default: "kg" }),
+    on_exceed: upper(ON_EXCEED),
+    status: upper(SPECIES_STATUSES),
+    notes: str()
+  }, ["species", "season_from", "season_to", "cap"]),
+  QuotaPatch: obj({
+    cap: positive(),
+    unit: unit(),
+    on_exceed: upper(ON_EXCEED),
+    status: upper(SPECIES_STATUSES),
+    notes: str()
+  }),
+  Quota: obj({
+    id: str(),
+    scientific_name: str(),
+    zone_id: nullable(str()),
+    collector_id: nullable(str()),
+    season: obj({ from: day(), to: day() }),
+    cap_kg: num(),
+    on_exceed: str({ enum: ON_EXCEED }),
+    effective_on_exceed: str({ enum: ON_EXCEED }),
+    status: str(),
+    notes: nullable(str()),
+    created_by: nullable(str()),
+    created_at: dateTime(),
+    updated_at: dateTime()
+  }),
+  QuotaUsage: loose("Consumption against the cap", {
+    quota: ref("Quota"), cap_kg: num(), used_kg: num(), remaining_kg: num(), used_pct: nullable(num()), exceeded: bool(),
+    event_count: int(), flagged_event_count: int(), unmeasured_event_count: int(),
+    by_collector: arr(obj({ collector_id: str(), used_kg: num(), event_count: int() })),
+    counter_kg: num(), as_of: dateTime()
+  }),
+
+  // ---- access ----
+  ApiKeyInput: obj({
+    role: str({ enum: KEY_ROLES }),
+    subject: str({ description: "Required for collector, lab and chain-worker (their collectorId / lab id / worker id)" }),
+    name: str()
+  }, ["role"]),
+  ApiKey: obj({
+    id: str(), prefix: str(), role: str({ enum: KEY_ROLES }), subject: nullable(str()), name: nullable(str()),
+    created_by: nullable(str()), created_at: dateTime(), last_used_at: nullable(dateTime()), revoked_at: nullable(dateTime())
+  }),
+  ApiKeyCreated: { allOf: [ref("ApiKey"), obj({ key: str({ description: "Plaintext key; shown only once" }) })] },
+  Token: obj({ token: str(), token_type: str({ enum: ["Bearer"] }), role: str(), subject: nullable(str()) }),
+
+  // ---- audit ----
+  AuditEntry: obj({
+    seq: int(), id: str(), at: dateTime(),
+    actor: nullable(obj({ role: str(), subject: nullable(str()), via: nullable(str()) })),
+    request_id: nullable(str()), method: nullable(str()), route: nullable(str()),
+    entity_type: str(), entity_id: str(), action: str({ enum: ["CREATE", "UPDATE", "DELETE"] }),
+    changes: arr(loose("{ path, before, after }")), prev_hash: str(), hash: str()
+  }),
+  AuditVerification: loose("Result of recomputing the hash chain", { valid: bool(), checked: int(), head_hash: nullable(str()) }),
+
+  // ---- webhooks ----
+  WebhookInput: obj({
+    url: str({ format: "uri", description: "https (http only for localhost unless WEBHOOK_ALLOW_HTTP)" }),
+    event_types: arr(str({ enum: [...EVENT_TYPES, "*"] }), { minItems: 1 }),
+    status: upper(["ACTIVE", "DISABLED"]),
+    description: str()
+  }, ["url", "event_types"]),
+  WebhookPatch: obj({
+    url: str({ format: "uri" }),
+    event_types: arr(str({ enum: [...EVENT_TYPES, "*"] }), { minItems: 1 }),
+    status: upper(["ACTIVE", "DISABLED"]),
+    description: str()
+  }),
+  Webhook: obj({
+    id: str(), url: str(), event_types: arr(str()), status: str({ enum: ["ACTIVE", "DISABLED"] }), description: nullable(str()),
+    created_by: nullable(str()), created_at: dateTime(), updated_at: dateTime()
+  }),
+  WebhookWithSecret: { allOf: [ref("Webhook"), obj({ secret: str({ description: "Signing secret; shown on create and rotate only" }) })] },
+  WebhookDelivery: obj({
+    id: str(), event_id: str(), subscription_id: str(), event_type: str(), status: str({ enum: DELIVERY_STATUSES }),
+    attempts: int(), next_attempt_at: nullable(dateTime()), last_attempt_at: nullable(dateTime()),
+    last_status_code: nullable(int()), last_error: nullable(str()), delivered_at: nullable(dateTime()),
+    dead_at: nullable(dateTime()), replays: int(), attempt_log: arr(loose("{ at, status_code, error, duration_ms }")),
+    event: loose("Dead letters only: the payload that could not be delivered")
+  }),
+  WebhookReplayInput: obj({
+    from: dateTime({ description: "Required unless dead_only is true" }),
+    to: dateTime(),
+    event_types: arr(str({ enum: EVENT_TYPES })),
+    dead_only: bool()
+  }),
+
+  // ---- collections ----
+  Geo: obj({
+    lat: num({ description: "Degrees; out-of-range positions are stored and REJECTED by the harvest rules" }),
+    lng: num(),
+    accuracy_m: num({ minimum: 0 })
+  }),
+  CollectionInput: obj({
+    clientEventId: str({ minLength: 1, maxLength: 200, description: "Idempotency key, unique per collector; a retry returns the stored event" }),
+    scientificName: str({ minLength: 1 }),
+    speciesCode: str({ minLength: 1, description: "Alternative to scientificName" }),
+    collectorId: str({ minLength: 1 }),
+    geo: ref("Geo"),
+    timestamp: dateTime(),
+    quantity: nullable(positive()),
+    unit: unit({ default: "kg" }),
+    photos: arr(str(), { description: "Ids from POST /collection-photos (at most MAX_PHOTOS_PER_EVENT); their classification is the identification evidence" }),
+    ai_verified_confidence: num({ minimum: 0, maximum: 1, deprecated: true, description: "Client-reported; ignored when photos are given" })
+  }, ["collectorId", "timestamp"], {
+    anyOf: [{ required: ["scientificName"] }, { required: ["speciesCode"] }]
+  }),
+  BulkCollectionInput: obj({ events: arr(ref("CollectionInput"), { minItems: 1, description: "1..BULK_MAX_EVENTS; each needs a clientEventId" }) }, ["events"]),
+  CollectionEvent: obj({
+    id: str(), scientificName: str(), collectorId: str(), geo: ref("Geo"), timestamp: dateTime(),
+    quantity: nullable(obj({ value: num(), unit: str() })), quantity_kg: nullable(num()), zone_id: nullable(str()),
+    ai: ref("Identification"), status: str({ enum: ["ACCEPTED", "FLAGGED", "REJECTED"] }),
+    violations: arr(ref("Violation")), batch_id: nullable(str()), hash: nullable(str())
+  }),
+  Violation: loose("Harvest rule or quota finding", { code: str(), severity: str(), message: str() }),
+  Prediction: obj({ scientific_name: str(), confidence: num({ minimum: 0, maximum: 1 }) }),
+  Identification: loose("Species identification evidence (empty when none was given)", {
+    method: str({ enum: ["CLASSIFIER", "CLIENT_REPORTED"] }),
+    claimed: str(),
+    confidence: num({ description: "Mean confidence of the claimed species over the photos (or as reported)" }),
+    top: nullable(ref("Prediction")),
+    match: bool({ description: "The top prediction is the claimed species" }),
+    predictions: arr(ref("Prediction")),
+    model_versions: arr(str({ description: "driver/model@version" })),
+    photos: arr(obj({
+      id: str(), content_type: str(), size: int(), sha256: str(), model_version: str(), top: nullable(ref("Prediction")), classified_at: dateTime()
+    }))
+  }),
+  CollectionPhoto: obj({
+    id: str(), kind: str({ enum: ["PHOTO"] }), filename: str(), content_type: str(), size: int(), sha256: str(),
+    classification: obj({ model_version: str(), predictions: arr(ref("Prediction")), classified_at: dateTime() })
+  }),
+  CollectionCreated: obj({
+    collectionEvent: ref("CollectionEvent"),
+    batch: nullable(obj({ id: str(), status_phase: str(), qr_code_url: str() }))
+  }),
+  BulkResult: obj({
+    summary: obj({ created: int(), duplicate: int(), rejected: int() }),
+    results: arr(loose("Per event, in request order", {
+      index: int(), client_event_id: nullable(str()), result: str({ enum: ["created", "duplicate", "rejected"] }),
+      id: nullable(str()), status: str(), violations: arr(ref("Violation")), batch_id: nullable(str()),
+      errors: arr(obj({ code: str(), field: nullable(str()), message: str() }))
+    }))
+  }),
+  StoredCollectionEvent: loose("Stored document (list items use the stored field names)", {
+    id: str(), clientEventId: str(), scientificName: str(), collectorId: str(), geo: ref("Geo"), timestampUtc: dateTime(),
+    quantityKg: num(), zoneId: str(), status: str(), violations: arr(ref("Violation")), batchId: str(), hash: str(), chainStatus: str({ enum: CHAIN_STATUSES }), chainHash: str()
+  }),
+  FeatureCollection: loose("GeoJSON FeatureCollection", {
+    type: str({ enum: ["FeatureCollection"] }), bbox: arr(num()), zoom: nullable(int()), clustered: bool(),
+    cluster_max_zoom: int(), truncated: bool(), features: arr(loose("GeoJSON Point feature"))
+  }),
+
+  // ---- processing and batches ----
+  ProcessingInput: obj({
+    batch_id: str({ minLength: 1 }),
+    step_type: str({ minLength: 1, description: "From the batch's lifecycle profile (GET /batches/{id}/lifecycle)" }),
+    status: upper(["COMPLETED", "IN_PROGRESS"], { default: "COMPLETED" }),
+    started_at: dateTime(),
+    ended_at: dateTime(),
+    input_kg: nullable(positive()),
+    output_kg: nullable(positive()),
+    params: loose("Step parameters"),
+    post_step_metrics: loose("Measurements after the step"),
+    notes: str()
+  }, ["batch_id", "step_type"]),
+  ProcessingCreated: obj({
+    processing_step: obj({ id: str(), step_type: str(), status: str(), input_kg: nullable(num()), output_kg: nullable(num()), hash: str() }),
+    batch: obj({ id: str(), status_phase: str(), next_steps: arr(str()) }),
+    mass_balance: obj({ status: str(), anomalies: arr(loose("Mass-balance anomaly")) })
+  }),
+  BatchSummary: obj({
+    id: str(), species: str(), status_phase: str(), date_utc: day(), quality_gate: str(),
+    mass_balance_status: nullable(str()), flags: arr(loose("{ source, code, severity, message, step_id, detail, raised_at }"))
+  }),
+  Lifecycle: loose("Current phase, allowed next steps and history", {
+    id: str(), profile: str(), status_phase: str(), next_steps: arr(str()), terminal: bool(), history: arr(loose("Phase change"))
+  }),
+  MergeInput: obj({
+    parents: arr(obj({ batch_id: str({ minLength: 1 }), quantity_kg: positive() }, ["batch_id"]), {
+      minItems: 2, description: "Distinct batches; quantity_kg on every parent or on none"
+    })
+  }, ["parents"]),
+  SplitInput: obj({
+    parts: arr(obj({ quantity_kg: positive(), fraction: positive({ maximum: 1 }) }, undefined, {
+      anyOf: [{ required: ["quantity_kg"] }, { required: ["fraction"] }]
+    }), { minItems: 2, description: "All quantity_kg, or all fraction (summing to 1)" })
+  }, ["parts"]),
+  DerivedBatch: obj({
+    id: str(), species: str(), status_phase: str(), quality_gate: str(), derivation: str({ enum: ["MERGE", "SPLIT"] }),
+    quantity_kg: nullable(num()), parents: arr(obj({ batch_id: str(), weight: num(), share: num() })), qr_code_url: str()
+  }),
+  ChainStatusInput: obj({ status: upper(CHAIN_STATUSES), hash: str({ description: "On-chain reference" }) }, ["status"]),
+  ChainUpdateInput: obj({ status: upper(CHAIN_STATUSES), hash: str({ description: "On-chain reference" }) }),
+  ChainUpdate: obj({ id: str(), status: str(), chain_status: str({ enum: CHAIN_STATUSES }), chain_hash: nullable(str()) }),
+  LedgerJob: obj({
+    id: str(), type: str({ enum: LEDGER_JOB_TYPES }), record_id: str(),
+    hash: nullable(str({ description: "What to anchor: the record's content hash, or the batch Merkle root" })),
+    state: str({ enum: LEDGER_JOB_STATES }), attempts: int({ description: "Claims so far" }), max_attempts: int(),
+    worker_id: nullable(str()), lease_expires_at: nullable(dateTime()), available_at: nullable(dateTime()),
+    chain_hash: nullable(str()), last_error: nullable(str()), completed_at: nullable(dateTime()), failed_at: nullable(dateTime()),
+    attempt_log: arr(obj({ at: dateTime(), worker_id: str(), outcome: str({ enum: ["COMPLETE", "FAILED"] }), error: nullable(str()) }))
+  }),
+  LedgerLease: { allOf: [ref("LedgerJob"), obj({ lease_id: str({ description: "Send with heartbeat, complete and fail" }) })] },
+  LedgerClaimInput: obj({
+    type: str({ enum: LEDGER_JOB_TYPES }),
+    worker_id: str({ minLength: 1, maxLength: 200, description: "Optional; the key's subject is the worker, and a different value is refused (403)" }),
+    limit: int({ minimum: 1, maximum: MAX_CLAIM, default: 10 }),
+    lease_s: int({ minimum: 1, maximum: MAX_LEASE_S, description: "Lease length in seconds (default LEDGER_LEASE_S)" })
+  }, ["type"]),
+  LedgerHeartbeatInput: obj({
+    worker_id: str({ minLength: 1, maxLength: 200, description: "Optional; the key's subject is the worker, and a different value is refused (403)" }),
+    lease_ids: arr(str({ minLength: 1 }), { minItems: 1, maxItems: MAX_CLAIM }),
+    lease_s: int({ minimum: 1, maximum: MAX_LEASE_S })
+  }, ["lease_ids"]),
+  LedgerCompleteInput: obj({
+    worker_id: str({ minLength: 1 }), lease_id: str({ minLength: 1 }),
+    chain_hash: str({ minLength: 1, maxLength: 500, description: "On-chain reference (transaction hash)" })
+  }, ["lease_id", "chain_hash"]),
+  LedgerFailInput: obj({
+    worker_id: str({ minLength: 1 }), lease_id: str({ minLength: 1 }),
+    error: str({ minLength: 1, maxLength: 2000 }),
+    retry: bool({ default: true, description: "false for a permanent error: FAILED now instead of retried" })
+  }, ["lease_id", "error"]),
+
+  // ---- lab ----
+  LabResult: obj({
+    parameter: str({ minLength: 1, example: "MOISTURE" }),
+    value: { anyOf: [num(), bool(), str()], "x-anyof-message": "must be a number, boolean or string" },
+    unit: str()
+  }, ["parameter", "value"]),
+  LabTestInput: obj({
+    batch_id: str({ minLength: 1 }),
+    results: arr(ref("LabResult"), { minItems: 1 }),
+    moisture_pct: num({ description: "Legacy; same as results MOISTURE %" }),
+    pesticide_pass: bool({ description: "Legacy; same as results PESTICIDE_SCREEN" }),
+    spec_version: int({ minimum: 0, description: "0 = built-in default spec" }),
+    attachments: arr(str(), { description: "Ids from POST /lab-attachments" }),
+    pdf_url: str()
+  }, ["batch_id"], {
+    anyOf: [{ required: ["results"] }, { required: ["moisture_pct"] }, { required: ["pesticide_pass"] }]
+  }),
+  Attachment: obj({ id: str(), kind: str({ enum: ATTACHMENT_KINDS }), filename: str(), content_type: str(), size: int(), sha256: str() }),
+  LabTestCreated: obj({
+    lab_test: loose("Stored lab test", {
+      id: str(), batch_id: str(), gate: str({ enum: ["PASS", "FAIL"] }), spec: obj({ id: str(), version: int() }),
+      results: arr(loose("Evaluation")), failures: arr(loose("Failure")), attachments: arr(ref("Attachment")), hash: str()
+    }),
+    batch: obj({ id: str(), quality_gate: str() }),
+    recall: nullable(obj({ id: str(), state: str(), severity: str() }))
+  }),
+  StoredLabTest: loose("Stored document (list items use the stored field names)"),
+  LabSpecParameter: obj({
+    code: str({ minLength: 1, description: "Catalog code (MOISTURE, TOTAL_ASH, LEAD, ...) or a new one" }),
+    name: str(),
+    category: str({ enum: SPEC_CATEGORIES }),
+    type: str({ enum: ["NUMERIC", "BOOLEAN", "IDENTITY"] }),
+    unit: str(),
+    min: num(),
+    max: num(),
+    expected: {},
+    required: bool()
+  }, ["code"]),
+  LabSpecInput: obj({
+    species: str({ minLength: 1, description: "Scientific name" }),
+    parameters: arr(ref("LabSpecParameter"), { minItems: 1 }),
+    source: str({ description: "e.g. API monograph reference" })
+  }, ["species", "parameters"]),
+  LabSpec: obj({
+    id: str(), species: str(), version: int(), status: str(), source: nullable(str()),
+    parameters: arr(ref("LabSpecParameter")), created_by: nullable(str()), created_at: nullable(dateTime())
+  }),
+
+  // ---- recalls ----
+  RecallInput: obj({
+    reason: str({ minLength: 1 }),
+    severity: upper(SEVERITIES),
+    state: upper(["INVESTIGATING", "ACTIVE"], { default: "INVESTIGATING" }),
+    batch_ids: arr(str(), { minItems: 1 }),
+    species: str({ description: "Scientific name; with optional from/to collection dates" }),
+    from: day(),
+    to: day(),
+    notice: str()
+  }, ["reason", "severity"], {
+    anyOf: [{ required: ["batch_ids"] }, { required: ["species"] }]
+  }),
+  RecallStateInput: obj({ state: upper(RECALL_STATES), note: str() }, ["state"]),
+  Recall: obj({
+    id: str(), state: str({ enum: RECALL_STATES }), severity: str({ enum: SEVERITIES }), reason: str(), notice: nullable(str()),
+    source: str(), lab_test_id: nullable(str()),
+    scope: obj({ batch_ids: nullable(arr(str())), scientific_name: nullable(str()), from: nullable(day()), to: nullable(day()) }),
+    affected_batch_count: int(), affected_batch_ids: arr(str()), opened_by: nullable(str()), opened_at: dateTime(),
+    resolved_at: nullable(dateTime()), history: arr(loose("State change"))
+  }),
+
+  // ---- credentials, provenance, EPCIS, anchors ----
+  Provenance: loose("Consumer provenance bundle (collection positions coarsened)"),
+  VerifiableCredential: loose("W3C Verifiable Credential 2.0 with an Ed25519 DataIntegrityProof", {
+    "@context": arr(str()), id: str(), type: arr(str()), issuer: str(), validFrom: dateTime(), validUntil: dateTime(),
+    credentialStatus: loose("Status endpoint"), credentialSubject: loose("Provenance"), proof: loose("DataIntegrityProof")
+  }),
+  CredentialStatus: obj({
+    id: str(), batch_id: str(), status: str({ enum: ["ACTIVE", "REVOKED"] }), valid_until: nullable(dateTime()),
+    revoked_at: nullable(dateTime()), revoke_reason: nullable(str())
+  }),
+  CredentialVerification: obj({
+    verified: bool(),
+    checks: obj({ shape: bool(), issuer: bool(), signature: bool(), validity: bool(), status: bool(), recall: bool() }),
+    errors: arr(str()),
+    warnings: arr(str())
+  }),
+  EpcisDocument: obj({
+    type: str({ enum: ["EPCISDocument"] }),
+    epcisBody: obj({ eventList: arr(loose("EPCIS 2.0 ObjectEvent or TransformationEvent"), { minItems: 1 }) }, ["eventList"])
+  }, ["type", "epcisBody"], { additionalProperties: true }),
+  Anchor: loose("Anchor and ledger check; with a record id also its inclusion proof"),
+  AnalyticsReport: loose("Report rows", {
+    report: str(), group_by: arr(str()), filters: loose("Applied filters"), generated_at: dateTime(), truncated: bool(), rows: arr(loose("One row per group"))
+  })
+};
+
+const listParameters = {
+  sort: str({ description: "Comma-separated sortable fields, - for descending (max 3)" }),
+  fields: str({ description: "Comma-separated item fields to return" }),
+  limit: int({ minimum: 1, description: "Page size (clamped to the endpoint's maximum)" }),
+  cursor: str({ description: "next_cursor from the previous page" }),
+  count: bool({ description: "Also return total" }),
+  page: int({ minimum: 1, deprecated: true, description: "Legacy skip/limit paging; use cursor" }),
+  page_size: int({ minimum: 1, deprecated: true, description: "Legacy; use limit" })
+};
+
+const spatialQuery = {
+  species: str({ description: "Scientific name" }),
+  from: dateTime({ description: "timestamp >= from" }),
+  to: dateTime({ description: "timestamp <= to" }),
+  bbox: str({ description: "minLng,minLat,maxLng,maxLat" }),
+  near: str({ description: "lat,lng (with radius_m)" }),
+  radius_m: num({ minimum: 0, exclusiveMinimum: true }),
+  polygon: str({ description: "GeoJSON Polygon (or its coordinates) as JSON" })
+};
+
+const chainQuery = { status: upper(CHAIN_STATUSES, { default: "READY" }) };
+const reportQuery = {
+  format: str({ enum: ["json", "csv"], description: "Default json, or csv with Accept: text/csv" }),
+  from: dateTime({ description: "Inclusive; a plain date means its start" }),
+  to: dateTime({ description: "A plain date includes that whole day" }),
+  group_by: str({ description: "Comma-separated dimensions" }),
+  species: str(),
+  include_rejected: bool({ description: "collections report only" })
+};
+
+const routes = {
+  // ---- species ----
+  "POST /dev/seed-species": { id: "seedSpecies", tag: "Species", summary: "Upsert a species by scientific name (dev utility)", permission: "species:write", body: ref("SpeciesInput"), responses: { 200: obj({ ok: bool() }) }, errors: [409] },
+  "POST /species": { id: "createSpecies", tag: "Species", summary: "Register a species", permission: "species:write", body: ref("SpeciesInput"), responses: { 201: ref("Species") }, errors: [409] },
+  "GET /species/search": {
+    id: "searchSpecies", tag: "Species", summary: "Fuzzy search over names, codes and vernaculars", permission: "species:read",
+    query: { q: str({ minLength: 2, required: true }), lang: str({ description: "BCP 47; only vernaculars in this language" }), limit: int({ minimum: 1, description: "Max 50" }) },
+    responses: { 200: obj({ query: str(), items: arr({ allOf: [ref("Species"), obj({ score: num(), matched: str() })] }) }) }
+  },
+  "GET /species": {
+    id: "listSpecies", tag: "Species", summary: "List species", permission: "species:read", list: true,
+    query: { harvestable: bool(), plant_part: upper(PLANT_PARTS) },
+    responses: { 200: listOf("Species") }
+  },
+  "GET /species/:code": { id: "getSpecies", tag: "Species", summary: "Get a species by code", permission: "species:read", responses: { 200: ref("Species") } },
+  "PATCH /species/:code": {
+    id: "updateSpecies", tag: "Species", summary: "Update a species (scientificName and speciesCode are fixed)", permission: "species:write",
+    body: { ...ref("SpeciesInput"), description: "Any SpeciesInput fields except scientificName and speciesCode" },
+    bodyCheck: obj({}), responses: { 200: ref("Species") }
+  },
+  "DELETE /species/:code": { id: "retireSpecies", tag: "Species", summary: "Retire a species", permission: "species:write", responses: { 200: ref("Species") } },
+
+  // ---- quotas ----
+  "POST /quotas": { id: "createQuota", tag: "Quotas", summary: "Open a harvest quota", permission: "quota:manage", body: ref("QuotaInput"), responses: { 201: ref("Quota") }, errors: [422] },
+  "GET /quotas": {
+    id: "listQuotas", tag: "Quotas", summary: "List quotas (collectors see their own and global ones)", permission: "quota:read", list: true,
+    query: { species: str({ description: "Scientific name" }), on: day({ description: "Quotas whose season covers this day" }) },
+    responses: { 200: listOf("Quota") }
+  },
+  "GET /quotas/:id": { id: "getQuota", tag: "Quotas", summary: "Get a quota", permission: "quota:read", responses: { 200: ref("Quota") } },
+  "PATCH /quotas/:id": { id: "updateQuota", tag: "Quotas", summary: "Change cap, enforcement, status or notes", permission: "quota:manage", body: ref("QuotaPatch"), responses: { 200: ref("Quota") } },
+  "GET /quotas/:id/usage": { id: "getQuotaUsage", tag: "Quotas", summary: "Consumption against the cap", permission: "quota:read", responses: { 200: ref("QuotaUsage") } },
+
+  // ---- access ----
+  "POST /admin/api-keys": { id: "createApiKey", tag: "Access", summary: "Issue an API key", permission: "keys:manage", body: ref("ApiKeyInput"), responses: { 201: ref("ApiKeyCreated") } },
+  "GET /admin/api-keys": { id: "listApiKeys", tag: "Access", summary: "List API keys", permission: "keys:manage", list: true, query: { include_revoked: bool() }, responses: { 200: listOf("ApiKey") } },
+  "DELETE /admin/api-keys/:id": { id: "revokeApiKey", tag: "Access", summary: "Revoke an API key", permission: "keys:manage", responses: { 200: obj({ id: str(), revoked: bool() }) } },
+  "POST /auth/token": { id: "issueToken", tag: "Access", summary: "Exchange an API key for a short-lived JWT", auth: "ApiKey", responses: { 200: ref("Token") }, errors: [501] },
+
+  // ---- audit ----
+  "GET /audit": {
+    id: "listAuditEntries", tag: "Audit", summary: "Audit log, newest first", permission: "audit:read", list: true,
+    query: {
+      actor: str({ description: "Actor subject" }), role: str({ description: "Actor role" }),
+      from: dateTime(), to: dateTime(), before_seq: int({ minimum: 1, deprecated: true, description: "Legacy; use cursor" })
+    },
+    responses: { 200: listOf("AuditEntry") }
+  },
+  "GET /audit/verify": {
+    id: "verifyAuditChain", tag: "Audit", summary: "Recompute the audit hash chain", permission: "audit:read",
+    query: { from_seq: int({ minimum: 1 }), to_seq: int({ minimum: 1 }) },
+    responses: { 200: ref("AuditVerification") }
+  },
+
+  // ---- webhooks ----
+  "POST /webhooks": { id: "createWebhook", tag: "Webhooks", summary: "Subscribe a URL to events", permission: "webhook:manage", body: ref("WebhookInput"), responses: { 201: ref("WebhookWithSecret") } },
+  "GET /webhooks": {
+    id: "listWebhooks", tag: "Webhooks", summary: "List subscriptions", permission: "webhook:manage", list: true,
+    responses: { 200: { allOf: [listOf("Webhook"), obj({ event_types: arr(str()) })] } }
+  },
+  "GET /webhooks/dead-letters": { id: "listDeadLetters", tag: "Webhooks", summary: "Deliveries that ran out of attempts", permission: "webhook:manage", list: true, responses: { 200: listOf("WebhookDelivery") } },
+  "POST /webhooks/deliveries/:id/replay": { id: "replayDelivery", tag: "Webhooks", summary: "Re-send one delivery", permission: "webhook:manage", responses: { 200: ref("WebhookDelivery") }, errors: [409] },
+  "GET /webhooks/:id": {
+    id: "getWebhook", tag: "Webhooks", summary: "Get a subscription with delivery counts", permission: "webhook:manage",
+    responses: { 200: { allOf: [ref("Webhook"), obj({ deliveries: loose("Count per delivery status") })] } }
+  },
+  "PATCH /webhooks/:id": { id: "updateWebhook", tag: "Webhooks", summary: "Update a subscription", permission: "webhook:manage", body: ref("WebhookPatch"), responses: { 200: ref("Webhook") } },
+  "DELETE /webhooks/:id": { id: "disableWebhook", tag: "Webhooks", summary: "Disable a subscription", permission: "webhook:manage", responses: { 200: ref("Webhook") } },
+  "POST /webhooks/:id/rotate-secret": { id: "rotateWebhookSecret", tag: "Webhooks", summary: "Rotate the signing secret", permission: "webhook:manage", responses: { 200: ref("WebhookWithSecret") } },
+  "POST /webhooks/:id/test": { id: "testWebhook", tag: "Webhooks", summary: "Send a webhook.test event", permission: "webhook:manage", responses: { 202: obj({ event_id: str(), event_type: str() }) }, errors: [409] },
+  "GET /webhooks/:id/deliveries": { id: "listWebhookDeliveries", tag: "Webhooks", summary: "Delivery history of a subscription", permission: "webhook:manage", list: true, responses: { 200: listOf("WebhookDelivery") } },
+  "POST /webhooks/:id/replay": {
+    id: "replayWebhookEvents", tag: "Webhooks", summary: "Re-send events from a time range, or the dead letters", permission: "webhook:manage",
+    body: ref("WebhookReplayInput"), bodyRequired: false,
+    responses: { 202: obj({ subscription_id: str(), requeued: int(), truncated: bool() }) }, errors: [409]
+  },
+
+  // ---- collections ----
+  "POST /collection": {
+    id: "createCollectionEvent", tag: "Collections", summary: "Record a collection event", permission: "collection:create",
+    description: "Runs the harvest rules and quotas. REJECTED events are stored for audit but join no batch. The same collector repeating a clientEventId gets its stored event back with 200; another collector's clientEventId is refused with 409 CLIENT_EVENT_ID_CONFLICT.",
+    body: ref("CollectionInput"),
+    responses: { 201: ref("CollectionCreated"), 200: { description: "Replay of a stored clientEventId", schema: ref("CollectionCreated") } },
+    errors: [403, 404, 409, 422]
+  },
+  "POST /collection-photos": {
+    id: "uploadCollectionPhoto", tag: "Collections", summary: "Upload a species photo (raw body); classified on upload", permission: "collection:create",
+    query: { filename: str() },
+    body: str({ format: "binary" }), bodyTypes: PHOTO_TYPES,
+    responses: { 201: ref("CollectionPhoto") }, errors: [413, 415, 503]
+  },
+  "POST /collection/bulk": {
+    id: "createCollectionEvents", tag: "Collections", summary: "Offline sync: many collection events, one result each", permission: "collection:create",
+    description: "Each event is validated on its own; an invalid event is reported in its result and does not fail the request.",
+    body: ref("BulkCollectionInput"),
+    bodyCheck: obj({ events: arr({}, { minItems: 1 }) }, ["events"]),
+    responses: { 200: ref("BulkResult") }
+  },
+  "GET /collections/sync": {
+    id: "syncCollectionEvents", tag: "Collections", summary: "Events whose server-side state changed since a cursor", permission: "collection:read",
+    query: { collector_id: str({ description: "Required unless the caller is a collector" }), cursor: str(), limit: int({ minimum: 1, description: "Max 1000" }) },
+    responses: { 200: { allOf: [ref("ListPage"), obj({ items: arr(loose("Sync state", { id: str(), client_event_id: nullable(str()), status: str(), updated_at: dateTime() })) })] } }
+  },
+  "GET /collection/:id": { id: "getCollectionEvent", tag: "Collections", summary: "Get a collection event", permission: "collection:read", responses: { 200: ref("CollectionEvent") } },
+  "GET /collection/:id/photos/:photoId": {
+    id: "getCollectionPhoto", tag: "Collections", summary: "A photo cited by the event, integrity-checked", permission: "collection:read",
+    responses: { 200: { description: "Image bytes", mediaType: "application/octet-stream", schema: str({ format: "binary" }) } }, errors: [410, 500]
+  },
+  "GET /collections": {
+    id: "listCollectionEvents", tag: "Collections", summary: "List collection events (dashboard, map)", permission: "collection:read", list: true,
+    description: "Spatial filters, one at a time: bbox, near + radius_m, or polygon.",
+    query: spatialQuery,
+    responses: { 200: listOf("StoredCollectionEvent") }
+  },
+  "GET /collections/geojson": {
+    id: "getCollectionMapLayer", tag: "Collections", summary: "Collection events as a GeoJSON map layer", permission: "collection:read", filters: true,
+    description: "Same filters as GET /collections. Below cluster_max_zoom, points are grid-clustered.",
+    query: { ...spatialQuery, zoom: int({ minimum: 0, maximum: 22 }) },
+    responses: { 200: { description: "FeatureCollection", schema: ref("FeatureCollection"), mediaType: "application/geo+json" } }
+  },
+
+  // ---- processing and batches ----
+  "POST /processing": {
+    id: "createProcessingStep", tag: "Processing", summary: "Add a processing step to a batch", permission: "processing:create",
+    body: ref("ProcessingInput"), responses: { 201: ref("ProcessingCreated") }, errors: [404, 409]
+  },
+  "GET /batches/:id/lifecycle": { id: "getBatchLifecycle", tag: "Batches", summary: "Phase, allowed next steps and history", permission: "batch:read", responses: { 200: ref("Lifecycle") } },
+  "POST /batches/merge": { id: "mergeBatches", tag: "Batches", summary: "Pool batches into one lot", permission: "batch:derive", body: ref("MergeInput"), responses: { 201: obj({ batch: ref("DerivedBatch") }) }, errors: [404, 409] },
+  "POST /batches/:id/split": {
+    id: "splitBatch", tag: "Batches", summary: "Split a batch into packaging runs", permission: "batch:derive", body: ref("SplitInput"),
+    responses: { 201: obj({ parent: obj({ id: str(), status_phase: str() }), batches: arr(ref("DerivedBatch")) }) }, errors: [409]
+  },
+  "GET /batches/:id/mass-balance": { id: "getBatchMassBalance", tag: "Batches", summary: "Mass balance through every completed step", permission: "batch:read", responses: { 200: loose("Mass balance") } },
+  "GET /batches/:id/lineage": { id: "getBatchLineage", tag: "Batches", summary: "Upstream and downstream graph", permission: "batch:read", responses: { 200: loose("Lineage graph") } },
+  "GET /batches/:id/merkle": { id: "getBatchMerkle", tag: "Batches", summary: "Merkle root and ordered leaves", permission: "batch:read", responses: { 200: loose("Merkle root and leaves") } },
+  "GET /batches/:id/qr": {
+    id: "getBatchQr", tag: "Batches", summary: "QR code for the consumer page",
+    query: {
+      format: str({ enum: Object.keys(QR_FORMATS), "x-case-insensitive": true, default: "png" }),
+      size: int({ minimum: 64, description: "Pixels (max QR_MAX_SIZE)" }),
+      ecl: upper(ERROR_CORRECTION),
+      signed: bool({ description: "Default true when a signing key is configured" })
+    },
+    responses: { 200: { description: "PNG or SVG", mediaType: "image/png", schema: str({ format: "binary" }) } }, errors: [501]
+  },
+  "GET /verify-qr": {
+    id: "verifyQrToken", tag: "Batches", summary: "Check a QR token", query: { token: str({ required: true }) },
+    responses: { 200: loose("{ valid, reason } or { valid: true, batch_id, batch, provenance_url }", { valid: bool() }) }
+  },
+  "GET /batches/:id/proof/:recordId": { id: "getRecordProof", tag: "Batches", summary: "Inclusion proof of a record in the batch root", permission: "batch:read", responses: { 200: loose("Merkle proof") } },
+  "GET /batches": {
+    id: "listBatches", tag: "Batches", summary: "List batches", permission: "batch:read", list: true,
+    query: { status: str({ description: "Status phase (legacy; same as status_phase)" }), flagged: bool() },
+    responses: { 200: listOf("BatchSummary") }
+  },
+  "GET /batches/chain": { id: "listBatchChainQueue", tag: "Chain", summary: "Batches in a chain status, oldest first", permission: "chain:read", list: true, query: chainQuery, responses: { 200: listOf("BatchSummary") } },
+  "PATCH /batches/:id/chain-status": {
+    id: "setBatchChainStatus", tag: "Chain", summary: "Set a batch's chain status (and chain hash on its events)", permission: "chain:write",
+    body: ref("ChainStatusInput"), responses: { 200: obj({ id: str(), chain_status: str(), hash: nullable(str()) }) }
+  },
+
+  // ---- lab ----
+  "POST /lab-attachments": {
+    id: "uploadLabAttachment", tag: "Lab", summary: "Upload a lab document (raw body)", permission: "labtest:create",
+    query: { kind: upper(ATTACHMENT_KINDS, { default: "CERTIFICATE" }), filename: str() },
+    body: str({ format: "binary" }), bodyTypes: Object.keys(ATTACHMENT_TYPES),
+    responses: { 201: ref("Attachment") }, errors: [413, 415]
+  },
+  "POST /labtest": {
+    id: "createLabTest", tag: "Lab", summary: "Submit lab results; judged against the species spec", permission: "labtest:create",
+    body: ref("LabTestInput"), responses: { 201: ref("LabTestCreated") }, errors: [404, 409]
+  },
+  "POST /lab-specs": { id: "publishLabSpec", tag: "Lab", summary: "Publish a new spec version for a species", permission: "spec:manage", body: ref("LabSpecInput"), responses: { 201: ref("LabSpec") }, errors: [409] },
+  "GET /lab-specs": {
+    id: "listLabSpecs", tag: "Lab", summary: "List spec versions", permission: "spec:read", list: true,
+    responses: { 200: { allOf: [listOf("LabSpec"), obj({ default: ref("LabSpec") })] } }
+  },
+  "GET /lab-specs/:id": { id: "getLabSpec", tag: "Lab", summary: "Get a spec (DEFAULT for the built-in one)", permission: "spec:read", responses: { 200: ref("LabSpec") } },
+  "POST /lab-specs/:id/retire": { id: "retireLabSpec", tag: "Lab", summary: "Retire a spec version", permission: "spec:manage", responses: { 200: obj({ id: str(), status: str() }) } },
+  "GET /labtests": { id: "listLabTests", tag: "Lab", summary: "List lab tests", permission: "labtest:read", list: true, query: { batch_id: str() }, responses: { 200: listOf("StoredLabTest") } },
+  "GET /labtests/:id/certificate": {
+    id: "getLabCertificate", tag: "Lab", summary: "The lab test's certificate file, integrity-checked", permission: "labtest:read",
+    responses: { 200: { description: "File bytes", mediaType: "application/octet-stream", schema: str({ format: "binary" }) } }, errors: [410, 500]
+  },
+  "GET /labtests/:id/attachments/:attachmentId": {
+    id: "getLabAttachment", tag: "Lab", summary: "A lab test attachment, integrity-checked", permission: "labtest:read",
+    responses: { 200: { description: "File bytes", mediaType: "application/octet-stream", schema: str({ format: "binary" }) } }, errors: [410, 500]
+  },
+
+  // ---- provenance and credentials ----
+  "GET /provenance/:batchId": { id: "getProvenance", tag: "Provenance", summary: "Consumer provenance bundle", responses: { 200: ref("Provenance") } },
+  "GET /provenance/:batchId/credential": {
+    id: "getProvenanceCredential", tag: "Provenance", summary: "Provenance as a signed Verifiable Credential",
+    responses: { 200: ref("VerifiableCredential"), 201: { description: "Newly issued", schema: ref("VerifiableCredential") } }, errors: [409]
+  },
+  "GET /.well-known/did.json": { id: "getDidDocument", tag: "Provenance", summary: "Issuer did:web document", responses: { 200: loose("DID document") } },
+  "GET /.well-known/jwks.json": { id: "getJwks", tag: "Provenance", summary: "Issuer public keys (JWKS)", responses: { 200: loose("JWK set") } },
+  "GET /contexts/provenance/v1": { id: "getProvenanceContext", tag: "Provenance", summary: "JSON-LD context used by credentials", responses: { 200: { description: "JSON-LD context", mediaType: "application/ld+json", schema: loose("Context") } } },
+  "GET /credentials/:id": { id: "getCredential", tag: "Credentials", summary: "Get an issued credential", responses: { 200: ref("VerifiableCredential") } },
+  "GET /credentials/:id/status": { id: "getCredentialStatus", tag: "Credentials", summary: "Credential status", responses: { 200: ref("CredentialStatus") } },
+  "POST /credentials/:id/revoke": {
+    id: "revokeCredential", tag: "Credentials", summary: "Revoke a credential", permission: "credential:revoke",
+    body: obj({ reason: str() }), bodyRequired: false, responses: { 200: ref("CredentialStatus") }, errors: [409]
+  },
+  "POST /credentials/verify": {
+    id: "verifyCredential", tag: "Credentials", summary: "Verify a presented credential",
+    description: "Body is the credential, or { verifiableCredential } / { credential } wrapping it. Problems are reported in the result, not as errors.",
+    body: obj({ verifiableCredential: ref("VerifiableCredential"), credential: ref("VerifiableCredential") }, undefined, { additionalProperties: true }),
+    responses: { 200: ref("CredentialVerification") }
+  },
+
+  // ---- EPCIS ----
+  "GET /epcis/events": {
+    id: "queryEpcisEvents", tag: "EPCIS", summary: "EPCIS 2.0 events for a batch or time window", permission: "epcis:read",
+    query: {
+      batch_id: str(), lineage: bool({ description: "Include upstream batches" }),
+      GE_eventTime: dateTime(), LT_eventTime: dateTime(),
+      eventType: str({ description: "ObjectEvent, TransformationEvent (comma-separated)" }),
+      perPage: int({ minimum: 1 })
+    },
+    responses: { 200: { description: "EPCISQueryDocument", mediaType: "application/ld+json", schema: loose("EPCISQueryDocument") } }
+  },
+  "GET /epcis/events/:id": {
+    id: "getEpcisEvent", tag: "EPCIS", summary: "Dereference an eventID", permission: "epcis:read",
+    responses: { 200: { description: "EPCIS event", mediaType: "application/ld+json", schema: loose("EPCIS event") } }
+  },
+  "POST /epcis/capture": {
+    id: "captureEpcis", tag: "EPCIS", summary: "Ingest a partner EPCISDocument as processing steps", permission: "epcis:capture",
+    body: ref("EpcisDocument"), bodyTypes: ["application/json", "application/ld+json"],
+    responses: { 200: ref("BulkResult") }
+  },
+
+  // ---- anchoring ----
+  "GET /anchors/:id": { id: "getAnchor", tag: "Anchoring", summary: "Anchor by id, or by anchored record/batch id with its proof", permission: "batch:read", responses: { 200: ref("Anchor") } },
+  "POST /anchors/run": {
+    id: "runAnchoring", tag: "Anchoring", summary: "Anchor pending items now", permission: "anchor:run",
+    responses: { 200: obj({ anchored: int() }), 201: obj({ anchored: int(), anchor_id: str(), height: int(), tx_id: str() }) }, errors: [500]
+  },
+
+  // ---- recalls ----
+  "POST /recalls": { id: "openRecall", tag: "Recalls", summary: "Open a recall", permission: "recall:manage", body: ref("RecallInput"), responses: { 201: ref("Recall") } },
+  "GET /recalls": { id: "listRecalls", tag: "Recalls", summary: "List recalls", permission: "recall:read", list: true, query: { batch_id: str({ description: "Recalls affecting this batch" }) }, responses: { 200: listOf("Recall") } },
+  "GET /recalls/:id": { id: "getRecall", tag: "Recalls", summary: "Get a recall with its history", permission: "recall:read", responses: { 200: ref("Recall") } },
+  "PATCH /recalls/:id/state": { id: "setRecallState", tag: "Recalls", summary: "Move a recall to another state", permission: "recall:manage", body: ref("RecallStateInput"), responses: { 200: ref("Recall") }, errors: [409] },
+
+  // ---- analytics ----
+  "GET /analytics/:report": {
+    id: "getAnalyticsReport", tag: "Analytics", summary: "Dashboard aggregates as JSON or CSV", permission: "analytics:read",
+    description: `Reports: ${Object.keys(REPORTS).join(", ")}.`,
+    query: reportQuery,
+    responses: { 200: ref("AnalyticsReport") }
+  },
+
+  // ---- chain worker queues ----
+  "GET /collections/chain": { id: "listCollectionChainQueue", tag: "Chain", summary: "Collection events in a chain status", permission: "chain:read", list: true, query: chainQuery, responses: { 200: listOf("StoredCollectionEvent") } },
+  "GET /processing/chain": { id: "listProcessingChainQueue", tag: "Chain", summary: "Processing steps in a chain status", permission: "chain:read", list: true, query: chainQuery, responses: { 200: { allOf: [ref("ListPage")] } } },
+  "GET /labtests/chain": { id: "listLabTestChainQueue", tag: "Chain", summary: "Lab tests in a chain status", permission: "chain:read", list: true, query: chainQuery, responses: { 200: { allOf: [ref("ListPage")] } } },
+  "PATCH /processing/:id/blockchain": { id: "setProcessingChainStatus", tag: "Chain", summary: "Set a processing step's chain status/hash", permission: "chain:write", body: ref("ChainUpdateInput"), responses: { 200: ref("ChainUpdate") } },
+  "PATCH /labtest/:id/blockchain": { id: "setLabTestChainStatus", tag: "Chain", summary: "Set a lab test's chain status/hash", permission: "chain:write", body: ref("ChainUpdateInput"), responses: { 200: ref("ChainUpdate") } },
+  "PATCH /collection/:id/blockchain": { id: "setCollectionChainStatus", tag: "Chain", summary: "Set a collection event's chain status/hash", permission: "chain:write", body: ref("ChainUpdateInput"), responses: { 200: ref("ChainUpdate") } },
+
+  // ---- ledger jobs (leased work for chain workers; supersedes the queues above) ----
+  "GET /ledger-jobs": {
+    id: "listLedgerJobs", tag: "Chain", summary: "Ledger jobs (filter by type, state, worker_id, record_id)", permission: "chain:read", list: true,
+    responses: { 200: listOf("LedgerJob") }
+  },
+  "GET /ledger-jobs/:id": { id: "getLedgerJob", tag: "Chain", summary: "Get a ledger job", permission: "chain:read", responses: { 200: ref("LedgerJob") } },
+  "POST /ledger-jobs/claim": {
+    id: "claimLedgerJobs", tag: "Chain", summary: "Lease up to limit PENDING jobs of a type to a worker", permission: "chain:write",
+    description: "Each job goes to one worker only. A lease that is not renewed puts the job back in the queue; every claim counts as an attempt.",
+    body: ref("LedgerClaimInput"), responses: { 200: obj({ items: arr(ref("LedgerLease")) }) }
+  },
+  "POST /ledger-jobs/heartbeat": {
+    id: "renewLedgerLeases", tag: "Chain", summary: "Extend this worker's leases", permission: "chain:write",
+    body: ref("LedgerHeartbeatInput"),
+    responses: { 200: obj({ renewed: arr(obj({ id: str(), lease_id: str(), lease_expires_at: dateTime() })), lost: arr(str({ description: "lease_ids no longer held; stop work on them" })) }) }
+  },
+  "POST /ledger-jobs/:id/complete": {
+    id: "completeLedgerJob", tag: "Chain", summary: "Finish a leased job and record the chain hash on the record", permission: "chain:write",
+    body: ref("LedgerCompleteInput"),
+    responses: { 200: obj({ job: ref("LedgerJob"), requeued: bool({ description: "The record changed while leased and is queued again" }) }) }, errors: [409]
+  },
+  "POST /ledger-jobs/:id/fail": {
+    id: "failLedgerJob", tag: "Chain", summary: "Report a failed attempt; retried with backoff until out of attempts", permission: "chain:write",
+    body: ref("LedgerFailInput"), responses: { 200: ref("LedgerJob") }, errors: [409]
+  },
+  "POST /ledger-jobs/:id/retry": {
+    id: "retryLedgerJob", tag: "Chain", summary: "Re-queue a FAILED job with fresh attempts", permission: "chain:manage",
+    responses: { 200: ref("LedgerJob") }, errors: [409]
+  },
+
+  // ---- meta ----
+  "GET /healthz": { id: "health", tag: "Meta", summary: "Liveness", responses: { 200: obj({ ok: bool() }) } },
+  "GET /openapi.json": { id: "getOpenApi", tag: "Meta", summary: "This document", responses: { 200: loose("OpenAPI 3.0 document") } },
+  "GET /docs": { id: "getDocs", tag: "Meta", summary: "Browsable API reference", responses: { 200: { description: "HTML page", mediaType: "text/html", schema: str() } } }
+};
+
+const tags = [
+  ["Collections", "Field collection events, offline sync and map layers"],
+  ["Batches", "Batch lifecycle, derivation, lineage, Merkle proofs and QR codes"],
+  ["Processing", "Processing steps"],
+  ["Lab", "Lab results, specs and documents"],
+  ["Species", "Species registry"],
+  ["Quotas", "Sustainable harvest quotas"],
+  ["Recalls", "Recalls"],
+  ["Provenance", "Public consumer provenance and issuer keys"],
+  ["Credentials", "Verifiable credentials"],
+  ["EPCIS", "GS1 EPCIS 2.0 interchange"],
+  ["Anchoring", "Ledger anchors"],
+  ["Chain", "Blockchain worker queues"],
+  ["Analytics", "Dashboard aggregates"],
+  ["Webhooks", "Outbound webhooks"],
+  ["Audit", "Append-only audit log"],
+  ["Access", "API keys and tokens"],
+  ["Meta", "Health and this contract"]
+].map(([name, description]) => ({ name, description }));
+
+// → createOpenApi options (lib/openapi)
+const apiSpec = ({ version, serverUrl, bulkMaxEvents }) => ({
+  info: {
+    title: "AyurTrace Traceability API",
+    version,
+    description: "Errors always have the Error shape. List endpoints share the ListPage envelope; filter with " +
+      `field=v or field[op]=v (op: ${FILTER_OPS.join(", ")}).`
+  },
+  servers: serverUrl ? [{ url: serverUrl }] : [],
+  tags,
+  schemas: {
+    ...schemas,
+    BulkCollectionInput: obj({ events: arr(ref("CollectionInput"), { minItems: 1, maxItems: bulkMaxEvents, description: "Each needs a clientEventId" }) }, ["events"]),
+    EpcisDocument: { ...schemas.EpcisDocument, properties: { ...schemas.EpcisDocument.properties, epcisBody: obj({ eventList: arr(loose("EPCIS 2.0 ObjectEvent or TransformationEvent"), { minItems: 1, maxItems: bulkMaxEvents }) }, ["eventList"]) } }
+  },
+  routes: {
+    ...routes,
+    "POST /collection/bulk": { ...routes["POST /collection/bulk"], bodyCheck: obj({ events: arr({}, { minItems: 1, maxItems: bulkMaxEvents }) }, ["events"]) }
+  },
+  permissions: PERMISSIONS,
+  listParameters
+});
+
+module.exports = { apiSpec, schemas, routes };
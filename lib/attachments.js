@@ -0,0 +1,42 @@
+// lib/attachments.js — upload rules for lab documents and collection photos
+// The declared Content-Type has to agree with the file's magic bytes, so a renamed
+// executable can't be served back as a "PDF certificate".
+
+const KINDS = ["CERTIFICATE", "CHROMATOGRAM", "PHOTO", "OTHER"];
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES || 10 * 1024 * 1024);
+const MAX_ATTACHMENTS_PER_TEST = Number(process.env.MAX_ATTACHMENTS_PER_TEST || 10);
+
+// contentType → signature check
+const ALLOWED_TYPES = {
+  "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "text/csv": (b) => !b.includes(0)
+};
+
+// types: the content types this upload may have (default: any of ALLOWED_TYPES)
+// → { contentType } or { error: { code, message } }
+const checkUpload = (buffer, declaredType, types = Object.keys(ALLOWED_TYPES)) => {
+  const contentType = String(declaredType || "").split(";")[0].trim().toLowerCase();
+  if (!buffer || !buffer.length) return { error: { code: "EMPTY_FILE", message: "Request body is empty" } };
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    return { error: { code: "FILE_TOO_LARGE", message: `Max ${MAX_ATTACHMENT_BYTES} bytes` } };
+  }
+  const sniff = types.includes(contentType) && ALLOWED_TYPES[contentType];
+  if (!sniff) {
+    return { error: { code: "UNSUPPORTED_MEDIA_TYPE", message: `Content-Type must be one of ${types.join(", ")}` } };
+  }
+  if (!sniff(buffer)) {
+    return { error: { code: "CONTENT_TYPE_MISMATCH", message: `File content is not ${contentType}` } };
+  }
+  return { contentType };
+};
+
+// Keep filenames printable and header-safe
+const cleanFilename = (name, fallback) => {
+  const base = String(name || "").split(/[\\/]/).pop().replace(/[^\w.\- ]+/g, "_").trim().slice(0, 120);
+  return base || fallback;
+};
+
+module.exports = { KINDS, ALLOWED_TYPES, MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS_PER_TEST, checkUpload, cleanFilename };
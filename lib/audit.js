@@ -0,0 +1,123 @@
+// lib/audit.js — append-only, hash-chained audit trail of every mutation
+// Each entry records who changed which entity through which route, with a path-level diff.
+// Entries are numbered by `seq` (unique) and each hash covers the previous entry's hash, so
+// editing, deleting or reordering entries breaks the chain and verify() reports where.
+const crypto = require("crypto");
+const { stableStringify, sha256Hex } = require("./hashing");
+
+const GENESIS = "0".repeat(64);
+const ACTIONS = ["CREATE", "UPDATE", "DELETE"];
+// Bookkeeping fields that change on every write and say nothing about the change itself
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const MAX_APPEND_ATTEMPTS = 20;
+
+// Plain JSON form (Dates → ISO strings, undefined dropped): what is stored is what was hashed
+const toJson = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+// Nested objects → { "a.b": value }; arrays and scalars are leaves
+const flatten = (obj, prefix = "", out = {}) => {
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (!prefix && IGNORED_FIELDS.includes(k)) continue;
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).length) flatten(v, path, out);
+    else out[path] = v;
+  }
+  return out;
+};
+
+// [{ path, before, after }] for every path that differs; absent values are null
+const diff = (before, after) => {
+  const a = flatten(toJson(before));
+  const b = flatten(toJson(after));
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+    .filter(p => stableStringify(a[p] ?? null) !== stableStringify(b[p] ?? null))
+    .map(p => ({ path: p, before: a[p] ?? null, after: b[p] ?? null }));
+};
+
+const HASHED_FIELDS = ["seq", "prevHash", "at", "actor", "requestId", "method", "route", "entityType", "entityId", "action", "changes"];
+const entryHash = (e) => sha256Hex(stableStringify(Object.fromEntries(HASHED_FIELDS.map(f => [f, toJson(e[f]) ?? null]))));
+
+const createAuditLog = ({ AuditEntry, redact = {} }) => {
+  const append = async (fields) => {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditEntry.findOne({}, { seq: 1, hash: 1 }, { sort: { seq: -1 } });
+      const entry = { ...fields, seq: (last?.seq || 0) + 1, prevHash: last?.hash || GENESIS };
+      entry.hash = entryHash(entry);
+      try {
+        return await AuditEntry.create(entry);
+      } catch (e) {
+        if (e?.code !== 11000) throw e; // another instance took this seq; chain onto it
+      }
+    }
+    throw new Error("audit log: could not append after repeated seq conflicts");
+  };
+
+  // Appends run one at a time per process; the unique seq settles races between processes
+  let tail = Promise.resolve();
+  const enqueue = (fields) => {
+    const run = tail.then(() => append(fields));
+    tail = run.catch(() => {});
+    return run;
+  };
+
+  // ctx: { actor, requestId, method, route }; before/after: plain documents, null for create/delete.
+  // Returns the stored entry, or null when an update changed nothing.
+  const record = (ctx, entityType, before, after) => {
+    const hidden = redact[entityType] || [];
+    const strip = (doc) => doc && Object.fromEntries(Object.entries(doc).filter(([k]) => !hidden.includes(k)));
+    const changes = diff(strip(before), strip(after));
+    if (before && after && !changes.length) return Promise.resolve(null);
+    const doc = after || before;
+    return enqueue({
+      id: "AU-" + crypto.randomBytes(6).toString("hex"),
+      at: new Date(),
+      actor: ctx.actor ? { role: ctx.actor.role, subject: ctx.actor.subject || null, via: ctx.actor.via || null } : null,
+      requestId: ctx.requestId || null,
+      method: ctx.method || null,
+      route: ctx.route || null,
+      entityType,
+      entityId: String(doc.id ?? doc.speciesCode ?? doc._id),
+      action: before ? (after ? "UPDATE" : "DELETE") : "CREATE",
+      changes: toJson(changes)
+    });
+  };
+
+  // Recomputes hashes and links over seq [fromSeq, toSeq]; a gap in seq means deleted entries
+  const verify = async ({ fromSeq = 1, toSeq, batchSize = 1000 } = {}) => {
+    const breaks = [];
+    let checked = 0;
+    let prev = fromSeq > 1 ? await AuditEntry.findOne({ seq: fromSeq - 1 }, { seq: 1, hash: 1 }) : null;
+    if (fromSeq > 1 && !prev) breaks.push({ seq: fromSeq - 1, reason: "MISSING_ENTRY" });
+    let expectedSeq = fromSeq;
+    let last = prev;
+    for (;;) {
+      const q = { seq: { $gte: expectedSeq } };
+      if (toSeq) q.seq.$lte = toSeq;
+      const rows = await AuditEntry.find(q, null, { sort: { seq: 1 }, limit: batchSize });
+      if (!rows.length) break;
+      for (const e of rows) {
+        if (e.seq !== expectedSeq) breaks.push({ seq: expectedSeq, reason: "MISSING_ENTRY", missing: e.seq - expectedSeq });
+        const wantPrev = e.seq === 1 ? GENESIS : (prev && prev.seq === e.seq - 1 ? prev.hash : null);
+        if (wantPrev !== null && e.prevHash !== wantPrev) breaks.push({ seq: e.seq, reason: "PREV_HASH_MISMATCH" });
+        if (entryHash(e) !== e.hash) breaks.push({ seq: e.seq, reason: "HASH_MISMATCH" });
+        prev = e;
+        last = e;
+        expectedSeq = e.seq + 1;
+        checked++;
+      }
+      if (rows.length < batchSize) break;
+    }
+    return {
+      verified: breaks.length === 0,
+      checked,
+      from_seq: fromSeq,
+      to_seq: last?.seq ?? null,
+      head_hash: last?.hash ?? null,
+      breaks
+    };
+  };
+
+  return { record, verify };
+};
+
+module.exports = { createAuditLog, diff, entryHash, GENESIS, ACTIONS, IGNORED_FIELDS };
@@ -0,0 +1,126 @@
+// lib/auth.js — API-key / JWT authentication and role-based permissions
+// Credentials:
+//   X-API-Key: ak_...                      (or Authorization: ApiKey ak_...)
+//   Authorization: Bearer <jwt>            (HS256, JWT_SECRET; claims sub, role, kid?)
+// Requests without credentials get the "public" role.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ROLES = ["public", "collector", "processor", "lab", "chain-worker", "partner", "auditor", "admin"];
+
+// permission → roles allowed to use it
+const PERMISSIONS = {
+  "species:write": ["admin"],
+  "species:read": ["collector", "processor", "lab", "chain-worker", "partner", "auditor", "admin"],
+  "quota:read": ["collector", "processor", "auditor", "admin"],
+  "quota:manage": ["admin"],
+  "collection:create": ["collector", "admin"],
+  "collection:read": ["collector", "processor", "lab", "chain-worker", "auditor", "admin"],
+  "processing:create": ["processor", "admin"],
+  "batch:derive": ["processor", "admin"],
+  "batch:read": ["collector", "processor", "lab", "chain-worker", "auditor", "admin"],
+  "labtest:create": ["lab"],
+  "labtest:read": ["processor", "lab", "chain-worker", "auditor", "admin"],
+  "spec:read": ["processor", "lab", "auditor", "admin"],
+  "spec:manage": ["admin"],
+  "chain:read": ["chain-worker", "admin"],
+  "chain:write": ["chain-worker"],
+  "chain:manage": ["admin"],
+  "anchor:run": ["chain-worker", "admin"],
+  "keys:manage": ["admin"],
+  "recall:read": ["processor", "lab", "auditor", "admin"],
+  "recall:manage": ["admin"],
+  "credential:revoke": ["admin"],
+  "epcis:read": ["processor", "chain-worker", "partner", "admin"],
+  "epcis:capture": ["processor", "partner", "admin"],
+  "audit:read": ["auditor", "admin"],
+  "webhook:manage": ["admin"],
+  "analytics:read": ["processor", "auditor", "admin"]
+};
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+const generateKey = () => "ak_" + crypto.randomBytes(24).toString("base64url");
+
+const PUBLIC_ACTOR = Object.freeze({ role: "public", subject: null, via: "none" });
+
+const authError = (res, status, error, message) => res.status(status).json({ error, message });
+
+const createAuth = ({
+  ApiKey,
+  jwtSecret = process.env.JWT_SECRET,
+  jwtTtl = process.env.JWT_TTL || "1h",
+  adminApiKey = process.env.ADMIN_API_KEY
+}) => {
+  const fromApiKey = async (key) => {
+    // Bootstrap admin key from env so the first real keys can be issued
+    if (adminApiKey && key.length === adminApiKey.length &&
+        crypto.timingSafeEqual(Buffer.from(key), Buffer.from(adminApiKey))) {
+      return { role: "admin", subject: "bootstrap-admin", via: "env-key", keyId: null };
+    }
+    const doc = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!doc || doc.revokedAt) return null;
+    ApiKey.updateOne({ id: doc.id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    return { role: doc.role, subject: doc.subject, via: "api-key", keyId: doc.id };
+  };
+
+  const fromJwt = async (token) => {
+    if (!jwtSecret) return null;
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtSecret, { algorithms: ["HS256"] });
+    } catch (_) {
+      return null;
+    }
+    if (!ROLES.includes(claims.role)) return null;
+    // Tokens minted from an API key die with that key
+    if (claims.kid) {
+      const doc = await ApiKey.findOne({ id: claims.kid });
+      if (!doc || doc.revokedAt) return null;
+    }
+    return { role: claims.role, subject: claims.sub || null, via: "jwt", keyId: claims.kid || null };
+  };
+
+  // Resolves req.actor; rejects bad credentials but lets anonymous requests through as public
+  const authenticate = async (req, res, next) => {
+    try {
+      const header = req.get("authorization") || "";
+      const [scheme, value] = header.split(" ");
+      const apiKey = req.get("x-api-key") || (/^apikey$/i.test(scheme) ? value : null);
+      const bearer = /^bearer$/i.test(scheme) ? value : null;
+      if (!apiKey && !bearer) {
+        req.actor = PUBLIC_ACTOR;
+        return next();
+      }
+      const actor = apiKey ? await fromApiKey(apiKey) : await fromJwt(bearer);
+      if (!actor) return authError(res, 401, "UNAUTHENTICATED", "Invalid, expired or revoked credentials");
+      req.actor = actor;
+      return next();
+    } catch (e) {
+      return next(e);
+    }
+  };
+
+  const requirePermission = (permission) => {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) throw new Error(`Unknown permission ${permission}`);
+    return (req, res, next) => {
+      const role = req.actor?.role || "public";
+      if (allowed.includes(role)) return next();
+      if (role === "public") return authError(res, 401, "UNAUTHENTICATED", "Credentials required");
+      return authError(res, 403, "FORBIDDEN", `Role ${role} lacks ${permission}`);
+    };
+  };
+
+  const issueToken = (actor) => {
+    if (!jwtSecret) return null;
+    const claims = { role: actor.role };
+    if (actor.keyId) claims.kid = actor.keyId;
+    const opts = { algorithm: "HS256", expiresIn: jwtTtl };
+    if (actor.subject) opts.subject = actor.subject;
+    return jwt.sign(claims, jwtSecret, opts);
+  };
+
+  return { authenticate, requirePermission, issueToken };
+};
+
+module.exports = { createAuth, ROLES, PERMISSIONS, hashKey, generateKey };
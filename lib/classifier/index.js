@@ -0,0 +1,20 @@
+// lib/classifier/index.js — species classifier driver registry
+// A driver implements:
+//   driver, model, version                      identify the model behind every prediction
+//   classify(image, { contentType, labels })    → { predictions: [{ label, confidence }] }
+// image is the photo's bytes; labels are the registered scientific names it should choose
+// from. Predictions come best first with confidence in [0, 1]. Routes only talk to this
+// interface (see lib/identification), so a real model registers here without touching them.
+const { createStubClassifier } = require("./stub");
+
+const DRIVERS = {
+  stub: createStubClassifier
+};
+
+const createClassifier = (name = process.env.CLASSIFIER_DRIVER || "stub", options = {}) => {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown CLASSIFIER_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  return factory(options);
+};
+
+module.exports = { createClassifier, DRIVERS };
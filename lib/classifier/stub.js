@@ -0,0 +1,44 @@
+// lib/classifier/stub.js — deterministic stand-in for a species classifier
+// It cannot see plants: each label's score is derived from the photo's SHA-256, so the same
+// photo always gets the same predictions. A photo it doesn't know never scores above 0.5, which
+// keeps it under the default confidence floor, so it is flagged rather than passed.
+// CLASSIFIER_LABELS names a JSON file { "<sha256>": "<scientific name>" } of fixture photos it
+// "recognises" at 0.96, for demos and tests.
+const fs = require("fs");
+const crypto = require("crypto");
+
+const MODEL = "sha256-fingerprint";
+const VERSION = "1";
+const KNOWN_CONFIDENCE = 0.96;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+const round = (x) => Math.round(x * 10000) / 10000;
+
+const createStubClassifier = ({ labelsFile = process.env.CLASSIFIER_LABELS, labels } = {}) => {
+  const known = labels || (labelsFile ? JSON.parse(fs.readFileSync(labelsFile, "utf8")) : {});
+
+  const classify = async (image, { labels: candidates = [] } = {}) => {
+    const digest = sha256(image);
+    const label = known[digest.toString("hex")];
+    const names = [...new Set(candidates)].filter(n => n !== label);
+    let scores;
+    if (label) {
+      const rest = names.length ? (1 - KNOWN_CONFIDENCE) / names.length : 0;
+      scores = [[label, KNOWN_CONFIDENCE], ...names.map(n => [n, rest])];
+    } else {
+      // weight in [0, 1) per label; the constant 1 is the share left for "none of these"
+      const weights = names.map(n => [n, (sha256(Buffer.concat([digest, Buffer.from(n)])).readUInt32BE(0) / 2 ** 32) ** 2]);
+      const total = 1 + weights.reduce((s, [, w]) => s + w, 0);
+      scores = weights.map(([n, w]) => [n, w / total]);
+    }
+    return {
+      predictions: scores
+        .map(([l, c]) => ({ label: l, confidence: round(c) }))
+        .sort((a, b) => b.confidence - a.confidence || a.label.localeCompare(b.label))
+    };
+  };
+
+  return { driver: "stub", model: MODEL, version: VERSION, classify };
+};
+
+module.exports = { createStubClassifier };
@@ -0,0 +1,157 @@
+// lib/credentials.js — provenance as a W3C Verifiable Credential (VC Data Model 2.0)
+// Proofs are Data Integrity proofs with the eddsa-jcs-2022 cryptosuite: the credential and
+// the proof options are canonicalised with JCS (sorted-key JSON), hashed, and signed with
+// the issuer's Ed25519 key. The issuer is a did:web DID whose document (and a JWKS) the API
+// serves, so any verifier can check a credential without calling us.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { stableStringify } = require("./hashing");
+
+const VC_CONTEXT = "https://www.w3.org/ns/credentials/v2";
+const CRYPTOSUITE = "eddsa-jcs-2022";
+const CREDENTIAL_TYPE = "HerbalProvenanceCredential";
+const STATUS_TYPE = "AyurTraceCredentialStatus";
+
+// JCS (RFC 8785) for the JSON we produce: drop undefined, then sort keys
+const jcs = (obj) => stableStringify(JSON.parse(JSON.stringify(obj)));
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest();
+
+const B58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const base58btc = (buf) => {
+  let n = BigInt("0x" + (Buffer.from(buf).toString("hex") || "0"));
+  let out = "";
+  while (n > 0n) { out = B58[Number(n % 58n)] + out; n /= 58n; }
+  for (const b of buf) { if (b !== 0) break; out = "1" + out; }
+  return out;
+};
+const fromBase58btc = (s) => {
+  let n = 0n;
+  for (const c of s) {
+    const i = B58.indexOf(c);
+    if (i < 0) throw new Error("Invalid base58 character");
+    n = n * 58n + BigInt(i);
+  }
+  let hex = n === 0n ? "" : n.toString(16);
+  if (hex.length % 2) hex = "0" + hex;
+  const lead = s.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(lead), Buffer.from(hex, "hex")]);
+};
+
+// did:web for an https/http base URL; ports are percent-encoded per the did:web spec
+const didWebFor = (baseUrl) => {
+  const u = new URL(baseUrl);
+  const segments = u.pathname.split("/").filter(Boolean);
+  return ["did:web", encodeURIComponent(u.host), ...segments].join(":");
+};
+
+// Server-managed key: VC_SIGNING_KEY (PKCS#8 PEM) or a key generated once into keyFile
+const loadSigningKey = ({ privateKeyPem, keyFile }) => {
+  if (privateKeyPem) return crypto.createPrivateKey(privateKeyPem.replace(/\\n/g, "\n"));
+  if (fs.existsSync(keyFile)) return crypto.createPrivateKey(fs.readFileSync(keyFile, "utf8"));
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  return privateKey;
+};
+
+const createIssuer = ({
+  baseUrl,
+  did = process.env.VC_ISSUER_DID,
+  privateKeyPem = process.env.VC_SIGNING_KEY,
+  keyFile = process.env.VC_KEY_FILE || "./data/issuer-ed25519.pem",
+  validDays = Number(process.env.VC_VALID_DAYS || 365)
+}) => {
+  const privateKey = loadSigningKey({ privateKeyPem, keyFile });
+  if (privateKey.asymmetricKeyType !== "ed25519") throw new Error("VC signing key must be Ed25519");
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: "jwk" });
+  // RFC 7638 thumbprint doubles as the key id, so a rotated key gets a new id
+  const kid = sha256(jcs({ crv: jwk.crv, kty: jwk.kty, x: jwk.x })).toString("base64url");
+  const issuerDid = did || didWebFor(baseUrl);
+  const verificationMethod = `${issuerDid}#${kid}`;
+  const publicKeyMultibase = "z" + base58btc(Buffer.concat([Buffer.from([0xed, 0x01]), Buffer.from(jwk.x, "base64url")]));
+  const contextUrl = `${baseUrl.replace(/\/+$/, "")}/contexts/provenance/v1`;
+
+  const didDocument = () => ({
+    "@context": ["https://www.w3.org/ns/did/v1", "https://w3id.org/security/multikey/v1"],
+    id: issuerDid,
+    verificationMethod: [{ id: verificationMethod, type: "Multikey", controller: issuerDid, publicKeyMultibase }],
+    assertionMethod: [verificationMethod],
+    authentication: [verificationMethod]
+  });
+
+  const jwks = () => ({ keys: [{ kty: jwk.kty, crv: jwk.crv, x: jwk.x, kid, use: "sig", alg: "EdDSA" }] });
+
+  const hashData = (unsecured, proofOptions) =>
+    Buffer.concat([sha256(jcs(proofOptions)), sha256(jcs(unsecured))]);
+
+  // unsigned credential → credential with proof
+  const sign = (unsecured) => {
+    const proofOptions = {
+      "@context": unsecured["@context"],
+      type: "DataIntegrityProof",
+      cryptosuite: CRYPTOSUITE,
+      created: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+      verificationMethod,
+      proofPurpose: "assertionMethod"
+    };
+    const signature = crypto.sign(null, hashData(unsecured, proofOptions), privateKey);
+    const { "@context": _ctx, ...proof } = proofOptions;
+    return { ...unsecured, proof: { ...proof, proofValue: "z" + base58btc(signature) } };
+  };
+
+  // → { valid: true } | { valid: false, reason }
+  const verifyProof = (credential) => {
+    const { proof, ...unsecured } = credential || {};
+    if (!proof || typeof proof !== "object") return { valid: false, reason: "MISSING_PROOF" };
+    if (proof.type !== "DataIntegrityProof" || proof.cryptosuite !== CRYPTOSUITE) return { valid: false, reason: "UNSUPPORTED_PROOF" };
+    if (proof.proofPurpose !== "assertionMethod") return { valid: false, reason: "INVALID_PROOF_PURPOSE" };
+    if (proof.verificationMethod !== verificationMethod) return { valid: false, reason: "UNKNOWN_VERIFICATION_METHOD" };
+    if (typeof proof.proofValue !== "string" || !proof.proofValue.startsWith("z")) return { valid: false, reason: "MALFORMED_PROOF" };
+    const { proofValue, ...options } = proof;
+    let ok = false;
+    try {
+      const signature = fromBase58btc(proofValue.slice(1));
+      ok = crypto.verify(null, hashData(unsecured, { "@context": unsecured["@context"], ...options }), publicKey, signature);
+    } catch (_) {
+      ok = false;
+    }
+    return ok ? { valid: true } : { valid: false, reason: "INVALID_SIGNATURE" };
+  };
+
+  // subject: provenance bundle for one batch, plus its identifiers
+  const buildCredential = ({ id, statusUrl, subject, now = new Date() }) => ({
+    "@context": [VC_CONTEXT, contextUrl],
+    id,
+    type: ["VerifiableCredential", CREDENTIAL_TYPE],
+    issuer: issuerDid,
+    validFrom: now.toISOString().replace(/\.\d{3}Z$/, "Z"),
+    validUntil: new Date(now.getTime() + validDays * 86400000).toISOString().replace(/\.\d{3}Z$/, "Z"),
+    credentialStatus: { id: statusUrl, type: STATUS_TYPE },
+    credentialSubject: subject
+  });
+
+  // Our JSON-LD context: every provenance term lives under <base>/vocab#
+  const contextDocument = () => ({
+    "@context": {
+      "@version": 1.1,
+      "@vocab": `${baseUrl.replace(/\/+$/, "")}/vocab#`,
+      [CREDENTIAL_TYPE]: `${baseUrl.replace(/\/+$/, "")}/vocab#${CREDENTIAL_TYPE}`,
+      [STATUS_TYPE]: `${baseUrl.replace(/\/+$/, "")}/vocab#${STATUS_TYPE}`
+    }
+  });
+
+  return { did: issuerDid, verificationMethod, contextUrl, didDocument, jwks, contextDocument, sign, verifyProof, buildCredential };
+};
+
+// Structural checks before any crypto; → error code or null
+const checkShape = (vc) => {
+  if (!vc || typeof vc !== "object" || Array.isArray(vc)) return "MALFORMED_CREDENTIAL";
+  if (!Array.isArray(vc["@context"]) || vc["@context"][0] !== VC_CONTEXT) return "MALFORMED_CREDENTIAL";
+  if (!Array.isArray(vc.type) || !vc.type.includes("VerifiableCredential") || !vc.type.includes(CREDENTIAL_TYPE)) return "MALFORMED_CREDENTIAL";
+  if (!vc.credentialSubject || typeof vc.credentialSubject !== "object") return "MALFORMED_CREDENTIAL";
+  return null;
+};
+
+module.exports = { createIssuer, checkShape, didWebFor, base58btc, fromBase58btc, jcs, VC_CONTEXT, CRYPTOSUITE, CREDENTIAL_TYPE };
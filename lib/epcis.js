@@ -0,0 +1,215 @@
+// lib/epcis.js — GS1 EPCIS 2.0 JSON-LD mapping
+// Batches are identified as GS1 LGTINs (GTIN of the species' product + lot), either as GS1
+// Digital Link URIs or EPC class URNs. Species without a GTIN fall back to the batch's API URL.
+//   CollectionEvent → ObjectEvent ADD, bizStep commissioning, readPoint geo:
+//   ProcessingStep  → TransformationEvent (batch in, batch out)
+//   merge/split     → TransformationEvent (parents in, derived batch out)
+//   LabTest         → ObjectEvent OBSERVE, bizStep inspecting, certificationInfo
+// Extension fields live under the "ayur:" prefix (<base>/vocab#), shared with the VC context.
+const crypto = require("crypto");
+
+const EPCIS_CONTEXT = "https://ref.gs1.org/standards/epcis/epcis-context.jsonld";
+const ID_FORMATS = ["digital-link", "epc-urn"];
+const LOT_MAX = 20; // GS1 AI (10)
+const LOT_CHARSET = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]+$/;
+
+// Step types with a natural CBV business step; others use ayur:<STEP_TYPE>
+const STEP_BIZSTEPS = { RECEIPT: "receiving", QA_SAMPLING: "sampling" };
+const BIZSTEP_STEPS = { receiving: "RECEIPT", sampling: "QA_SAMPLING", inspecting: "QA_SAMPLING" };
+// UN/CEFACT mass units accepted in captured quantityLists → kg
+const UOM_KG = { KGM: 1, GRM: 0.001, TNE: 1000, LBR: 0.45359237 };
+
+const kgQuantity = (kg) => (typeof kg === "number" ? { quantity: kg, uom: "KGM" } : {});
+// Sum of the mass quantities in a quantityList, or undefined when none are in mass units
+const sumKg = (list) => {
+  const masses = (list || []).filter(q => typeof q?.quantity === "number" && UOM_KG[q.uom]);
+  return masses.length ? Math.round(masses.reduce((sum, q) => sum + q.quantity * UOM_KG[q.uom], 0) * 1000) / 1000 : undefined;
+};
+
+// GTIN-8/12/13/14 with a valid mod-10 check digit → GTIN-14, else null
+const normaliseGtin = (v) => {
+  const s = String(v || "").trim();
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(s)) return null;
+  const g = s.padStart(14, "0");
+  const sum = [...g.slice(0, 13)].reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(g[13]) ? g : null;
+};
+
+// Batch ids that fit AI (10) are used as-is; longer ones get a stable hashed lot
+const lotFor = (batchId) =>
+  batchId.length <= LOT_MAX && LOT_CHARSET.test(batchId)
+    ? batchId
+    : "X" + crypto.createHash("sha256").update(batchId).digest("hex").slice(0, LOT_MAX - 1).toUpperCase();
+
+const isoZ = (d) => new Date(d).toISOString().replace(/\.\d{3}Z$/, "Z");
+
+const createEpcis = ({
+  baseUrl,
+  idFormat = process.env.GS1_ID_FORMAT || "digital-link",
+  companyPrefix = process.env.GS1_COMPANY_PREFIX,
+  digitalLinkBase = process.env.GS1_DIGITAL_LINK_BASE || "https://id.gs1.org",
+  gln = process.env.GS1_PROCESSING_GLN
+}) => {
+  if (!ID_FORMATS.includes(idFormat)) throw new Error(`GS1_ID_FORMAT must be one of ${ID_FORMATS.join(", ")}`);
+  if (idFormat === "epc-urn" && !/^\d{6,12}$/.test(companyPrefix || "")) {
+    throw new Error("GS1_COMPANY_PREFIX (6-12 digits) is required for GS1_ID_FORMAT=epc-urn");
+  }
+  const base = baseUrl.replace(/\/+$/, "");
+  const dlBase = digitalLinkBase.replace(/\/+$/, "");
+  const context = [EPCIS_CONTEXT, { ayur: `${base}/vocab#` }];
+  const eventId = (id) => `${base}/epcis/events/${encodeURIComponent(id)}`;
+  // Processing site (GLN) as readPoint/bizLocation, when configured
+  const location = !gln ? undefined
+    : idFormat === "epc-urn" && gln.startsWith(companyPrefix)
+      ? { id: `urn:epc:id:sgln:${companyPrefix}.${gln.slice(companyPrefix.length, 12)}.0` }
+      : { id: `${dlBase}/414/${gln}` };
+
+  // batch (+ its species) → LGTIN class URI
+  const classIdFor = (batch, species) => {
+    const lot = batch.gs1Lot || lotFor(batch.id);
+    const gtin = normaliseGtin(species?.gtin);
+    if (!gtin) return `${base}/batches/${encodeURIComponent(batch.id)}`;
+    if (idFormat === "digital-link") return `${dlBase}/01/${gtin}/10/${encodeURIComponent(lot)}`;
+    if (gtin.slice(1, 1 + companyPrefix.length) !== companyPrefix) return `${dlBase}/01/${gtin}/10/${encodeURIComponent(lot)}`;
+    const itemRef = gtin[0] + gtin.slice(1 + companyPrefix.length, 13);
+    return `urn:epc:class:lgtin:${companyPrefix}.${itemRef}.${encodeURIComponent(lot)}`;
+  };
+
+  // class URI → { lot } or { batchId } or null; accepts any of the forms above
+  const parseClassId = (uri) => {
+    const s = String(uri || "");
+    let m = s.match(/\/01\/(\d{14})\/10\/([^/?#]+)/);
+    if (m) return { lot: decodeURIComponent(m[2]), gtin: m[1] };
+    m = s.match(/^urn:epc:(?:class|id):lgtin:\d+\.\d+\.(.+)$/);
+    if (m) return { lot: decodeURIComponent(m[1]) };
+    if (s.startsWith(`${base}/batches/`)) return { batchId: decodeURIComponent(s.slice(base.length + 9).split(/[/?#]/)[0]) };
+    return null;
+  };
+
+  const collectionEvent = (ce, batch, species) => ({
+    type: "ObjectEvent",
+    eventID: eventId(ce.id),
+    eventTime: isoZ(ce.timestampUtc),
+    eventTimeZoneOffset: "+00:00",
+    recordTime: isoZ(ce.createdAt || ce.timestampUtc),
+    action: "ADD",
+    bizStep: "commissioning",
+    disposition: "active",
+    quantityList: [{
+      epcClass: classIdFor(batch, species),
+      ...kgQuantity(ce.quantityKg)
+    }],
+    ...(ce.geo ? { readPoint: { id: `geo:${ce.geo.lat},${ce.geo.lng}` } } : {}),
+    ilmd: { "cbvmda:lotNumber": batch.gs1Lot || lotFor(batch.id), "ayur:scientificName": ce.scientificName },
+    "ayur:status": ce.status,
+    "ayur:recordHash": ce.hash || null
+  });
+
+  const stepEventTime = (ps) => ps.endedAt || ps.startedAt || ps.createdAt;
+
+  const processingEvent = (ps, batch, species) => {
+    const cls = classIdFor(batch, species);
+    return {
+      type: "TransformationEvent",
+      eventID: eventId(ps.id),
+      eventTime: isoZ(stepEventTime(ps)),
+      eventTimeZoneOffset: "+00:00",
+      recordTime: isoZ(ps.createdAt || stepEventTime(ps)),
+      inputQuantityList: [{ epcClass: cls, ...kgQuantity(ps.inputKg) }],
+      outputQuantityList: [{ epcClass: cls, ...kgQuantity(ps.outputKg) }],
+      bizStep: STEP_BIZSTEPS[ps.stepType] || `ayur:${ps.stepType}`,
+      ...(location ? { readPoint: location, bizLocation: location } : {}),
+      "ayur:stepType": ps.stepType,
+      "ayur:params": ps.params || {},
+      "ayur:postMetrics": ps.postMetrics || {},
+      "ayur:recordHash": ps.hash || null
+    };
+  };
+
+  // parents: [{ batch, species, kg }] (kg taken from each parent, when known)
+  const derivationEvent = (child, childSpecies, parents) => ({
+    type: "TransformationEvent",
+    eventID: eventId(child.id),
+    eventTime: isoZ(child.createdAt),
+    eventTimeZoneOffset: "+00:00",
+    transformationID: eventId(child.id),
+    inputQuantityList: parents.map(p => ({
+      epcClass: classIdFor(p.batch, p.species),
+      ...kgQuantity(p.kg)
+    })),
+    outputQuantityList: [{
+      epcClass: classIdFor(child, childSpecies),
+      ...kgQuantity(child.quantityKg)
+    }],
+    bizStep: child.derivation === "SPLIT" ? "ayur:SPLIT" : "ayur:MERGE",
+    ...(location ? { readPoint: location, bizLocation: location } : {})
+  });
+
+  const labEvent = (lt, batch, species, certificateUrl) => ({
+    type: "ObjectEvent",
+    eventID: eventId(lt.id),
+    eventTime: isoZ(lt.evaluatedAt || lt.createdAt),
+    eventTimeZoneOffset: "+00:00",
+    recordTime: isoZ(lt.createdAt || lt.evaluatedAt),
+    action: "OBSERVE",
+    bizStep: "inspecting",
+    disposition: lt.gate === "PASS" ? "conformant" : "non_conformant",
+    quantityList: [{ epcClass: classIdFor(batch, species) }],
+    ...(certificateUrl ? { certificationInfo: certificateUrl } : {}),
+    "ayur:gate": lt.gate,
+    "ayur:specVersion": lt.specVersion ?? null,
+    "ayur:labResults": (lt.results || []).map(r => ({ parameter: r.parameter, value: r.value, unit: r.unit, pass: r.pass })),
+    "ayur:recordHash": lt.hash || null
+  });
+
+  const queryDocument = (events, queryName = "SimpleEventQuery") => ({
+    "@context": context,
+    type: "EPCISQueryDocument",
+    schemaVersion: "2.0",
+    creationDate: isoZ(new Date()),
+    epcisBody: { queryResults: { queryName, resultsBody: { eventList: events } } }
+  });
+
+  // One captured partner event → { eventId, refs, stepType, eventTime, inputKg, outputKg, params, ... } | { error }
+  const parseCaptureEvent = (ev) => {
+    if (!ev || typeof ev !== "object") return { error: { code: "INVALID_EVENT", message: "event must be an object" } };
+    if (!ev.eventID) return { error: { code: "EVENT_ID_REQUIRED", message: "eventID is required for idempotent capture" } };
+    if (ev.errorDeclaration) return { error: { code: "UNSUPPORTED_EVENT", message: "errorDeclaration events are not supported" } };
+    let classIds;
+    if (ev.type === "TransformationEvent") {
+      classIds = [...(ev.inputQuantityList || []), ...(ev.outputQuantityList || [])].map(q => q.epcClass)
+        .concat(ev.inputEPCList || [], ev.outputEPCList || []);
+    } else if (ev.type === "ObjectEvent" && ev.action === "OBSERVE") {
+      classIds = (ev.quantityList || []).map(q => q.epcClass).concat(ev.epcList || []);
+    } else {
+      return { error: { code: "UNSUPPORTED_EVENT", message: "Only TransformationEvent and ObjectEvent OBSERVE are ingested" } };
+    }
+    const bizStep = String(ev.bizStep || "");
+    const tail = bizStep.split(/[:/#]/).pop().replace(/^BizStep-/, ""); // bare, CURIE or CBV URI
+    const stepType = String(ev["ayur:stepType"] || BIZSTEP_STEPS[tail] || tail || "").toUpperCase();
+    if (!stepType) return { error: { code: "STEP_TYPE_UNKNOWN", message: "bizStep or ayur:stepType required" } };
+    if (!ev.eventTime || isNaN(Date.parse(ev.eventTime))) {
+      return { error: { code: "INVALID_EVENT_TIME", message: "eventTime must be an ISO 8601 date" } };
+    }
+    const refs = classIds.map(parseClassId).filter(Boolean);
+    if (!refs.length) return { error: { code: "BATCH_NOT_IDENTIFIED", message: "No LGTIN or batch URI in the event" } };
+    return {
+      eventId: String(ev.eventID),
+      refs,
+      stepType,
+      eventTime: new Date(ev.eventTime),
+      inputKg: ev.type === "TransformationEvent" ? sumKg(ev.inputQuantityList) : undefined,
+      outputKg: ev.type === "TransformationEvent" ? sumKg(ev.outputQuantityList) : undefined,
+      params: ev["ayur:params"] && typeof ev["ayur:params"] === "object" ? ev["ayur:params"] : {},
+      postMetrics: ev["ayur:postMetrics"] && typeof ev["ayur:postMetrics"] === "object" ? ev["ayur:postMetrics"] : {},
+      bizStep
+    };
+  };
+
+  return {
+    context, eventId, classIdFor, parseClassId, stepEventTime,
+    collectionEvent, processingEvent, derivationEvent, labEvent, queryDocument, parseCaptureEvent
+  };
+};
+
+module.exports = { createEpcis, normaliseGtin, lotFor, EPCIS_CONTEXT, ID_FORMATS };
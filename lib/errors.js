@@ -0,0 +1,106 @@
+// lib/errors.js — one error format for every non-2xx JSON response
+//   { code, message, field, request_id, ...details }
+// code     stable machine-readable reason (BATCH_NOT_FOUND, VALIDATION_ERROR, ...)
+// message  human-readable; never needs parsing
+// field    the request field at fault ("geo.lat", "limit"), or null
+// request_id  the X-Request-Id of this request, for support and log lookups
+// Endpoint-specific details (errors[], allowed_steps, batch_ids, ...) sit alongside. `error`
+// repeats `code` for clients written against the old { error } bodies.
+//
+// Handlers keep answering res.status(4xx).json({ error: "CODE", message, ... }); envelope()
+// wraps res.json so every such body, including ones from libraries and the auth layer, comes
+// out in this shape.
+
+const CODE_RE = /^[A-Z][A-Z0-9_]*$/;
+
+const STATUS_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  501: "NOT_IMPLEMENTED",
+  503: "UNAVAILABLE"
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+
+// BATCH_NOT_FOUND → "Batch not found"
+const humanize = (code) => {
+  const s = code.toLowerCase().replace(/_/g, " ");
+  return s.charAt(0).toUpperCase() + s.slice(1);
+};
+
+// "season_from and season_to must be YYYY-MM-DD" → "season_from", when that names a request field
+const leadingField = (message, known) => {
+  const m = /^([A-Za-z_]\w*)((?:\.\w+|\[\d+\])*)(?=[\s:(]|$)/.exec(message || "");
+  return m && known.has(m[1]) ? m[1] + m[2] : null;
+};
+
+// body as a handler sent it → envelope. Already-shaped bodies pass through.
+const toEnvelope = (body, status, { requestId = null, knownFields = [] } = {}) => {
+  if (body && typeof body === "object" && typeof body.code === "string" && "request_id" in body) return body;
+  const known = new Set(knownFields);
+  const { error, code: given, message, field, errors, detail, ...details } = body && typeof body === "object" ? body : { error: body };
+  const candidate = given || error;
+  const isCode = typeof candidate === "string" && CODE_RE.test(candidate);
+  const code = isCode ? candidate : codeForStatus(status);
+  const text = message || (!isCode && typeof error === "string" && error) || detail || humanize(code);
+  const list = Array.isArray(errors)
+    ? errors.map(e => (typeof e === "string" ? { field: leadingField(e, known), message: e } : e))
+    : undefined;
+  return {
+    code,
+    message: String(text),
+    field: field ?? list?.find(e => e.field)?.field ?? leadingField(String(text), known) ?? null,
+    request_id: requestId,
+    ...details,
+    ...(list ? { errors: list } : {}),
+    error: code
+  };
+};
+
+// Middleware; register before anything that can answer with an error.
+// fieldsFor(req) → names a leading word of a message may be matched against (besides body/query keys)
+const envelope = ({ fieldsFor = () => [] } = {}) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400) return json(body);
+    const knownFields = [
+      ...Object.keys(req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body) ? req.body : {}),
+      ...Object.keys(req.query || {}),
+      ...fieldsFor(req)
+    ];
+    return json(toEnvelope(body, res.statusCode, { requestId: req.id || null, knownFields }));
+  };
+  next();
+};
+
+// Express 4 ignores the promise an async handler returns, so a rejection (a failed repository
+// call, an explicit rethrow) would crash the process instead of reaching the error handler.
+// Patches the app's route methods and use() so every handler's rejection is passed to next(err).
+// Error middleware (4 arguments), mounted routers and apps, and app.get(setting) are left as they are.
+const ROUTE_METHODS = ["get", "post", "put", "patch", "delete", "all", "use"];
+const forwardRejections = (app) => {
+  const wrap = (fn) => (typeof fn !== "function" || fn.length > 3 || fn.handle) ? fn : function (req, res, next) {
+    const result = fn.call(this, req, res, next);
+    if (result && typeof result.catch === "function") result.catch(next);
+    return result;
+  };
+  for (const method of ROUTE_METHODS) {
+    const register = app[method];
+    app[method] = function (...args) {
+      return register.apply(this, method === "get" && args.length === 1 ? args : args.map(a => Array.isArray(a) ? a.map(wrap) : wrap(a)));
+    };
+  }
+  return app;
+};
+
+module.exports = { envelope, toEnvelope, codeForStatus, humanize, forwardRejections, STATUS_CODES };
@@ -0,0 +1,54 @@
+// lib/geo.js — small geometry helpers (WGS84, no external deps)
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in metres between two { lat, lng } points
+const haversineM = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Ray casting over a ring of [lng, lat] pairs (GeoJSON order). Ring may be open or closed.
+const pointInRing = (pt, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > pt.lat) !== (yj > pt.lat) &&
+      pt.lng < ((xj - xi) * (pt.lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Polygon = [outerRing, ...holes]
+const pointInPolygon = (pt, rings) => {
+  if (!Array.isArray(rings) || !rings.length) return false;
+  if (!pointInRing(pt, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(pt, hole));
+};
+
+const isLatLng = (p) =>
+  p != null && Number.isFinite(p.lat) && Number.isFinite(p.lng) &&
+  Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180;
+
+// { lat, lng } → GeoJSON Point ([lng, lat] order), or undefined when not a valid position
+const toPoint = (p) => (isLatLng(p) ? { type: "Point", coordinates: [p.lng, p.lat] } : undefined);
+
+// Snaps a position to the centre of its grid cell, `decimals` places of a degree wide, so every
+// plot in the same cell reports the same point. 2 decimals ≈ 1.1 km north-south.
+const coarsen = (p, decimals) => {
+  if (!isLatLng(p)) return null;
+  const f = 10 ** decimals;
+  const snap = (v, max) => Math.min(Math.max(Math.round(((Math.floor(v * f) + 0.5) / f) * 1e6) / 1e6, -max), max);
+  return { lat: snap(p.lat, 90), lng: snap(p.lng, 180) };
+};
+
+// Approximate cell size in metres for `decimals` (one degree of latitude ≈ 111.32 km)
+const cellSizeM = (decimals) => Math.round(111320 / 10 ** decimals);
+
+module.exports = { haversineM, pointInRing, pointInPolygon, isLatLng, toPoint, coarsen, cellSizeM, EARTH_RADIUS_M };
@@ -0,0 +1,120 @@
+// lib/harvestRules.js — harvest rules engine for incoming CollectionEvents
+// Each rule returns zero or more violations { code, severity, message, ...detail }.
+// severity REJECT → event is REJECTED; any FLAG (and no REJECT) → FLAGGED.
+const { haversineM, pointInPolygon, isLatLng } = require("./geo");
+
+const SEVERITY = { REJECT: "REJECT", FLAG: "FLAG" };
+
+// Env-tunable defaults; a species document may override the per-species ones.
+const DEFAULTS = {
+  maxAccuracyM: Number(process.env.MAX_GPS_ACCURACY_M || 50),
+  maxFutureSkewS: Number(process.env.MAX_FUTURE_SKEW_S || 300),
+  maxEventAgeDays: Number(process.env.MAX_EVENT_AGE_DAYS || 30),
+  minAiConfidence: Number(process.env.MIN_AI_CONFIDENCE || 0.7)
+};
+
+const violation = (code, severity, message, detail = {}) => ({ code, severity, message, ...detail });
+
+// A zone is either { type: "POLYGON", coordinates: [[[lng,lat],...]] }
+// or { type: "RADIUS", center: { lat, lng }, radius_m }.
+const inZone = (pt, zone) => {
+  if (!zone) return false;
+  if (zone.type === "RADIUS") {
+    return isLatLng(zone.center) && Number.isFinite(zone.radius_m) && haversineM(pt, zone.center) <= zone.radius_m;
+  }
+  if (zone.type === "POLYGON") return pointInPolygon(pt, zone.coordinates);
+  return false;
+};
+
+const activeZones = (species) => (species?.harvestZones || []).filter(z => z.active !== false);
+
+// First active zone containing the event's location, or null
+const matchZone = (ev, species) =>
+  (isLatLng(ev.geo) && activeZones(species).find(z => inZone(ev.geo, z))) || null;
+
+const checkGeo = (ev, species, cfg) => {
+  const zones = activeZones(species);
+  if (!isLatLng(ev.geo)) {
+    return [violation("GEO_MISSING", zones.length ? SEVERITY.REJECT : SEVERITY.FLAG,
+      "geo.lat/geo.lng missing or out of range")];
+  }
+  const out = [];
+  const acc = ev.geo.accuracy_m;
+  const maxAcc = species?.rules?.maxAccuracyM ?? cfg.maxAccuracyM;
+  if (acc !== undefined && acc !== null && !(acc <= maxAcc)) {
+    out.push(violation("GPS_ACCURACY_EXCEEDED", SEVERITY.FLAG,
+      `GPS accuracy ${acc} m exceeds limit of ${maxAcc} m`, { accuracy_m: acc, limit_m: maxAcc }));
+  }
+  if (zones.length) {
+    if (!matchZone(ev, species)) {
+      out.push(violation("OUTSIDE_HARVEST_ZONE", SEVERITY.REJECT,
+        "Location is outside every approved harvest zone for this species",
+        { zones_checked: zones.map(z => z.zoneId || z.name).filter(Boolean) }));
+    }
+  }
+  return out;
+};
+
+const checkSeason = (ev, species) => {
+  const months = species?.seasonMonths || [];
+  if (!months.length) return [];
+  const month = ev.timestampUtc.getUTCMonth() + 1;
+  if (months.includes(month)) return [];
+  return [violation("OUT_OF_SEASON", SEVERITY.REJECT,
+    `Month ${month} is outside the harvest season`, { month, allowed_months: months })];
+};
+
+const checkTimestamp = (ev, cfg, now) => {
+  const ts = ev.timestampUtc.getTime();
+  if (ts - now.getTime() > cfg.maxFutureSkewS * 1000) {
+    return [violation("TIMESTAMP_IN_FUTURE", SEVERITY.REJECT,
+      "Event timestamp is in the future", { server_time: now.toISOString() })];
+  }
+  const ageDays = (now.getTime() - ts) / 86400000;
+  if (ageDays > cfg.maxEventAgeDays) {
+    return [violation("TIMESTAMP_TOO_OLD", SEVERITY.FLAG,
+      `Event is ${Math.floor(ageDays)} days old (limit ${cfg.maxEventAgeDays})`,
+      { age_days: Math.floor(ageDays), limit_days: cfg.maxEventAgeDays })];
+  }
+  return [];
+};
+
+// ev.ai is classifier evidence from photos (lib/identification) or, from older clients, a
+// self-reported { confidence }. A confident prediction of another species is a mismatch;
+// anything else under the floor is low confidence.
+const checkAi = (ev, species, cfg) => {
+  const ai = ev.ai;
+  const conf = ai?.confidence;
+  if (typeof conf !== "number") return [];
+  const floor = species?.rules?.minAiConfidence ?? cfg.minAiConfidence;
+  if (ai.method === "CLASSIFIER" && ai.top && !ai.match && ai.top.confidence >= floor) {
+    return [violation("SPECIES_MISMATCH", SEVERITY.FLAG,
+      `Photos look like ${ai.top.scientific_name} (${ai.top.confidence}), not ${ev.scientificName} (${conf})`,
+      { predicted: ai.top.scientific_name, predicted_confidence: ai.top.confidence, confidence: conf, model_versions: ai.model_versions })];
+  }
+  if (conf >= floor) return [];
+  return [violation("AI_CONFIDENCE_LOW", SEVERITY.FLAG,
+    `AI confidence ${conf} is below floor ${floor}`, { confidence: conf, floor, ...(ai.method ? { method: ai.method } : {}) })];
+};
+
+const statusFor = (violations) => {
+  if (violations.some(v => v.severity === SEVERITY.REJECT)) return "REJECTED";
+  if (violations.length) return "FLAGGED";
+  return "ACCEPTED";
+};
+
+// ev: { scientificName, collectorId, geo, timestampUtc: Date, ai }
+// species: lean Species doc or null
+// → { status, violations, zoneId } (zoneId of the harvest zone the event fell in, if any)
+const evaluateCollection = (ev, species, { now = new Date(), config = {} } = {}) => {
+  const cfg = { ...DEFAULTS, ...config };
+  const violations = [
+    ...checkGeo(ev, species, cfg),
+    ...checkSeason(ev, species),
+    ...checkTimestamp(ev, cfg, now),
+    ...checkAi(ev, species, cfg)
+  ];
+  return { status: statusFor(violations), violations, zoneId: matchZone(ev, species)?.zoneId || null };
+};
+
+module.exports = { evaluateCollection, statusFor, inZone, matchZone, SEVERITY, DEFAULTS };
@@ -0,0 +1,54 @@
+// lib/hashing.js — canonical record hashing
+// A record's hash is sha256 over the stable JSON of its content fields only, so
+// server-managed fields (chain status and hashes, timestamps) can change without breaking it.
+// A collection event's status is its harvest verdict, so it is content and is hashed.
+const crypto = require("crypto");
+
+const stableStringify = (obj) => {
+  if (obj === null || typeof obj !== "object") return JSON.stringify(obj);
+  if (Array.isArray(obj)) return "[" + obj.map(stableStringify).join(",") + "]";
+  const keys = Object.keys(obj).sort();
+  return "{" + keys.map(k => JSON.stringify(k)+":"+stableStringify(obj[k])).join(",") + "}";
+};
+const sha256Hex = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+// Content fields per record type; everything else is excluded from the hash
+const CONTENT_FIELDS = {
+  CollectionEvent: ["id", "clientEventId", "scientificName", "collectorId", "geo", "timestampUtc", "quantity", "quantityKg", "zoneId", "ai", "violations", "status", "batchId"],
+  ProcessingStep: ["id", "batchId", "stepType", "startedAt", "endedAt", "inputKg", "outputKg", "params", "postMetrics", "notes", "source"],
+  LabTest: ["id", "batchId", "moisturePct", "pesticidePass", "pdfUrl", "specId", "specVersion", "results", "attachments", "gate", "labId", "evaluatedAt"]
+};
+
+// Dates → ISO strings; null/undefined and empty objects dropped, so a freshly built
+// document and the same document read back from Mongo normalise identically.
+const normalise = (v) => {
+  if (v === null || v === undefined) return undefined;
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) return v.map(x => (normalise(x) === undefined ? null : normalise(x)));
+  if (typeof v === "object") {
+    if (typeof v.toHexString === "function") return v.toHexString(); // ObjectId
+    const out = {};
+    for (const k of Object.keys(v)) {
+      if (k === "_id") continue;
+      const n = normalise(v[k]);
+      if (n !== undefined) out[k] = n;
+    }
+    return Object.keys(out).length ? out : undefined;
+  }
+  return v;
+};
+
+const canonicalRecord = (type, doc) => {
+  const fields = CONTENT_FIELDS[type];
+  if (!fields) throw new Error(`Unknown record type ${type}`);
+  const picked = { type };
+  for (const f of fields) {
+    const n = normalise(doc[f]);
+    if (n !== undefined) picked[f] = n;
+  }
+  return picked;
+};
+
+const recordHash = (type, doc) => sha256Hex(stableStringify(canonicalRecord(type, doc)));
+
+module.exports = { stableStringify, sha256Hex, canonicalRecord, recordHash, CONTENT_FIELDS };
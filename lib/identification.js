@@ -0,0 +1,62 @@
+// lib/identification.js — species identification evidence for collection events
+// Photos are classified once, when uploaded, and the predictions are stored with the upload.
+// An event that cites photos gets their combined verdict as CollectionEvent.ai (which is
+// hashed), and the harvest rules judge it (checkAi in lib/harvestRules).
+
+const PHOTO_TYPES = ["image/jpeg", "image/png"];
+const MAX_PHOTOS_PER_EVENT = Number(process.env.MAX_PHOTOS_PER_EVENT || 5);
+const TOP_K = 5;                                         // predictions kept per photo and per event
+
+const round = (x) => Math.round(x * 10000) / 10000;
+
+// classifier (lib/classifier) + its result → what is stored as Attachment.classification
+const classificationOf = (classifier, result, at = new Date()) => ({
+  driver: classifier.driver,
+  model: classifier.model,
+  version: classifier.version,
+  predictions: (result.predictions || []).slice(0, TOP_K).map(p => ({ label: String(p.label), confidence: round(Number(p.confidence) || 0) })),
+  classifiedAt: at
+});
+
+const modelVersion = (c) => `${c.driver}/${c.model}@${c.version}`;
+
+// Stored classification → API shape
+const classificationView = (c) => c ? {
+  model_version: modelVersion(c),
+  predictions: c.predictions.map(p => ({ scientific_name: p.label, confidence: p.confidence })),
+  classified_at: new Date(c.classifiedAt).toISOString()
+} : null;
+
+// Classified photo uploads (Attachment docs) + the claimed species → CollectionEvent.ai.
+// A label's confidence is its mean over the photos (0 where a photo doesn't list it), so one
+// photo of something else pulls the claimed species down instead of being outvoted silently.
+const evidenceFor = (photos, claimed) => {
+  const totals = new Map();
+  for (const p of photos) {
+    for (const { label, confidence } of p.classification.predictions) totals.set(label, (totals.get(label) || 0) + confidence);
+  }
+  const ranked = [...totals]
+    .map(([label, sum]) => ({ scientific_name: label, confidence: round(sum / photos.length) }))
+    .sort((a, b) => b.confidence - a.confidence || a.scientific_name.localeCompare(b.scientific_name));
+  const top = ranked[0] || null;
+  return {
+    method: "CLASSIFIER",
+    claimed,
+    confidence: ranked.find(r => r.scientific_name === claimed)?.confidence ?? 0,
+    top,
+    match: !!top && top.scientific_name === claimed,
+    predictions: ranked.slice(0, TOP_K),
+    model_versions: [...new Set(photos.map(p => modelVersion(p.classification)))],
+    photos: photos.map(p => ({
+      id: p.id,
+      content_type: p.contentType,
+      size: p.size,
+      sha256: p.sha256,
+      model_version: modelVersion(p.classification),
+      top: p.classification.predictions[0] ? { scientific_name: p.classification.predictions[0].label, confidence: p.classification.predictions[0].confidence } : null,
+      classified_at: new Date(p.classification.classifiedAt).toISOString()
+    }))
+  };
+};
+
+module.exports = { PHOTO_TYPES, MAX_PHOTOS_PER_EVENT, TOP_K, classificationOf, classificationView, evidenceFor, modelVersion };
@@ -0,0 +1,147 @@
+// lib/labSpecs.js — per-species lab test specifications and gate evaluation
+// A spec is a versioned list of parameters with limits; a submission is a list of
+// { parameter, value, unit } results. Every failing parameter is reported with the limit it broke.
+
+// Well-known parameters; specs may add custom codes as long as they give category + unit/type
+const CATALOG = {
+  MOISTURE: { name: "Loss on drying", category: "PHYSICOCHEMICAL", type: "NUMERIC", unit: "%" },
+  TOTAL_ASH: { name: "Total ash", category: "ASH", type: "NUMERIC", unit: "%" },
+  ACID_INSOLUBLE_ASH: { name: "Acid-insoluble ash", category: "ASH", type: "NUMERIC", unit: "%" },
+  ALCOHOL_EXTRACTIVE: { name: "Alcohol-soluble extractive", category: "EXTRACTIVE", type: "NUMERIC", unit: "%" },
+  WATER_EXTRACTIVE: { name: "Water-soluble extractive", category: "EXTRACTIVE", type: "NUMERIC", unit: "%" },
+  PB: { name: "Lead", category: "HEAVY_METAL", type: "NUMERIC", unit: "ppm" },
+  CD: { name: "Cadmium", category: "HEAVY_METAL", type: "NUMERIC", unit: "ppm" },
+  AS: { name: "Arsenic", category: "HEAVY_METAL", type: "NUMERIC", unit: "ppm" },
+  HG: { name: "Mercury", category: "HEAVY_METAL", type: "NUMERIC", unit: "ppm" },
+  TOTAL_AEROBIC_COUNT: { name: "Total aerobic microbial count", category: "MICROBIAL", type: "NUMERIC", unit: "cfu/g" },
+  YEAST_MOULD: { name: "Total yeast and mould count", category: "MICROBIAL", type: "NUMERIC", unit: "cfu/g" },
+  E_COLI: { name: "Escherichia coli (present)", category: "MICROBIAL", type: "BOOLEAN" },
+  SALMONELLA: { name: "Salmonella spp. (present)", category: "MICROBIAL", type: "BOOLEAN" },
+  AFLATOXIN_B1: { name: "Aflatoxin B1", category: "AFLATOXIN", type: "NUMERIC", unit: "ppb" },
+  AFLATOXIN_TOTAL: { name: "Total aflatoxins (B1+B2+G1+G2)", category: "AFLATOXIN", type: "NUMERIC", unit: "ppb" },
+  PESTICIDE_SCREEN: { name: "Pesticide residue screen passed", category: "PESTICIDE", type: "BOOLEAN" },
+  MARKER_ASSAY: { name: "Marker compound assay", category: "MARKER", type: "NUMERIC", unit: "%" },
+  DNA_BARCODE: { name: "DNA barcode identity", category: "IDENTITY", type: "IDENTITY" }
+};
+const CATEGORIES = ["PHYSICOCHEMICAL", "ASH", "EXTRACTIVE", "HEAVY_METAL", "MICROBIAL", "AFLATOXIN", "PESTICIDE", "MARKER", "IDENTITY"];
+const TYPES = ["NUMERIC", "BOOLEAN", "IDENTITY"];
+
+// Units convertible within a dimension; factor = value in the dimension's base unit
+const UNITS = {
+  "%": { dim: "mass_fraction", factor: 1e4 },
+  "ppm": { dim: "mass_fraction", factor: 1 },
+  "mg/kg": { dim: "mass_fraction", factor: 1 },
+  "ug/g": { dim: "mass_fraction", factor: 1 },
+  "µg/g": { dim: "mass_fraction", factor: 1 },
+  "ppb": { dim: "mass_fraction", factor: 1e-3 },
+  "ug/kg": { dim: "mass_fraction", factor: 1e-3 },
+  "µg/kg": { dim: "mass_fraction", factor: 1e-3 },
+  "cfu/g": { dim: "count", factor: 1 }
+};
+
+const convert = (value, from, to) => {
+  if (from === to) return value;
+  const a = UNITS[from];
+  const b = UNITS[to];
+  if (!a || !b || a.dim !== b.dim) return null;
+  return (value * a.factor) / b.factor;
+};
+
+const MOISTURE_THRESHOLD_PCT = Number(process.env.MOISTURE_THRESHOLD_PCT || 12);
+
+// Used for species without a registered spec: the original moisture + pesticide gate
+const defaultSpec = () => ({
+  id: "DEFAULT",
+  version: 0,
+  scientificName: null,
+  parameters: [
+    { code: "MOISTURE", ...CATALOG.MOISTURE, max: MOISTURE_THRESHOLD_PCT, required: true },
+    { code: "PESTICIDE_SCREEN", ...CATALOG.PESTICIDE_SCREEN, expected: true, required: true }
+  ]
+});
+
+// Fills catalog defaults and checks limits; returns { parameters } or { error }
+const normaliseParameters = (input) => {
+  if (!Array.isArray(input) || !input.length) return { error: "parameters must be a non-empty array" };
+  const seen = new Set();
+  const parameters = [];
+  for (const raw of input) {
+    const code = String(raw?.code || "").toUpperCase();
+    if (!code) return { error: "every parameter needs a code" };
+    if (seen.has(code)) return { error: `duplicate parameter ${code}` };
+    seen.add(code);
+    const p = { ...(CATALOG[code] || {}), ...raw, code };
+    if (!CATEGORIES.includes(p.category)) return { error: `${code}: category must be one of ${CATEGORIES.join(", ")}` };
+    if (!TYPES.includes(p.type)) return { error: `${code}: type must be one of ${TYPES.join(", ")}` };
+    if (p.type === "NUMERIC") {
+      if (!UNITS[p.unit]) return { error: `${code}: unit must be one of ${Object.keys(UNITS).join(", ")}` };
+      if (p.min === undefined && p.max === undefined) return { error: `${code}: numeric parameters need min and/or max` };
+      if ([p.min, p.max].some(v => v !== undefined && typeof v !== "number")) return { error: `${code}: min/max must be numbers` };
+    } else if (p.expected === undefined) {
+      if (p.type === "IDENTITY") return { error: `${code}: identity parameters need expected` };
+      p.expected = code === "PESTICIDE_SCREEN"; // presence tests (E_COLI...) expect false
+    }
+    parameters.push({
+      code, name: p.name || code, category: p.category, type: p.type, unit: p.unit,
+      min: p.min, max: p.max, expected: p.expected, required: p.required !== false
+    });
+  }
+  return { parameters };
+};
+
+const limitOf = (p) => {
+  const l = {};
+  if (p.min !== undefined && p.min !== null) l.min = p.min;
+  if (p.max !== undefined && p.max !== null) l.max = p.max;
+  if (p.expected !== undefined && p.expected !== null) l.expected = p.expected;
+  if (p.unit) l.unit = p.unit;
+  return l;
+};
+
+// results: [{ parameter, value, unit? }]
+// → { gate, evaluations, failures } or { error: { code, message, parameters } } when unusable
+const evaluateSpec = (spec, results) => {
+  const byCode = new Map();
+  for (const r of results) byCode.set(String(r.parameter).toUpperCase(), r);
+  const known = new Set(spec.parameters.map(p => p.code));
+  const unknown = [...byCode.keys()].filter(c => !known.has(c));
+  if (unknown.length) {
+    return { error: { code: "UNKNOWN_PARAMETER", message: `Not in spec v${spec.version}: ${unknown.join(", ")}`, parameters: unknown } };
+  }
+  const missing = spec.parameters.filter(p => p.required && !byCode.has(p.code)).map(p => p.code);
+  if (missing.length) {
+    return { error: { code: "MISSING_PARAMETER", message: `Required by spec v${spec.version}: ${missing.join(", ")}`, parameters: missing } };
+  }
+
+  const evaluations = [];
+  for (const p of spec.parameters) {
+    const r = byCode.get(p.code);
+    if (!r) continue;
+    const ev = { parameter: p.code, name: p.name, category: p.category, value: r.value, unit: r.unit || p.unit || null, limit: limitOf(p) };
+    if (p.type === "NUMERIC") {
+      if (typeof r.value !== "number" || !Number.isFinite(r.value)) {
+        return { error: { code: "INVALID_VALUE", message: `${p.code} must be a number`, parameters: [p.code] } };
+      }
+      const v = convert(r.value, r.unit || p.unit, p.unit);
+      if (v === null) {
+        return { error: { code: "INVALID_UNIT", message: `${p.code}: cannot convert ${r.unit} to ${p.unit}`, parameters: [p.code] } };
+      }
+      ev.normalized_value = v;
+      if (p.max !== undefined && p.max !== null && v > p.max) ev.reason = "ABOVE_MAX";
+      else if (p.min !== undefined && p.min !== null && v < p.min) ev.reason = "BELOW_MIN";
+    } else if (p.type === "BOOLEAN") {
+      if (typeof r.value !== "boolean") {
+        return { error: { code: "INVALID_VALUE", message: `${p.code} must be a boolean`, parameters: [p.code] } };
+      }
+      if (r.value !== p.expected) ev.reason = "UNEXPECTED_RESULT";
+    } else if (String(r.value).trim().toLowerCase() !== String(p.expected).trim().toLowerCase()) {
+      ev.reason = "IDENTITY_MISMATCH";
+    }
+    ev.pass = !ev.reason;
+    evaluations.push(ev);
+  }
+  const failures = evaluations.filter(e => !e.pass);
+  return { gate: failures.length ? "FAIL" : "PASS", evaluations, failures };
+};
+
+module.exports = { CATALOG, CATEGORIES, UNITS, convert, defaultSpec, normaliseParameters, evaluateSpec, MOISTURE_THRESHOLD_PCT };
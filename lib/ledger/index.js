@@ -0,0 +1,21 @@
+// lib/ledger/index.js — ledger driver registry
+// A driver implements:
+//   anchor(payload)   → { driver, height, txId, timestamp }
+//   getEntry(txId)    → { entry, valid } | null
+//   head()            → { height, txId } | null
+//   verifyChain()     → { valid, height, reason? }
+// Routes and the anchoring service only talk to this interface, so a real chain
+// driver can be registered here without touching them.
+const { createLocalLedger } = require("./local");
+
+const DRIVERS = {
+  local: createLocalLedger
+};
+
+const createLedger = (name = process.env.LEDGER_DRIVER || "local", options = {}) => {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown LEDGER_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  return factory(options);
+};
+
+module.exports = { createLedger, DRIVERS };
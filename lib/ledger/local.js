@@ -0,0 +1,82 @@
+// lib/ledger/local.js — file-backed, hash-chained, append-only ledger
+// One JSON entry per line: { height, prevHash, timestamp, payload, hash }, where
+// hash = sha256(stable JSON of everything but hash) and prevHash links to the previous entry.
+// Works offline; deleting or editing any line breaks the chain and is reported by verifyChain().
+const fs = require("fs");
+const path = require("path");
+const { stableStringify, sha256Hex } = require("../hashing");
+
+const GENESIS = "0".repeat(64);
+
+const entryHash = ({ height, prevHash, timestamp, payload }) =>
+  sha256Hex(stableStringify({ height, prevHash, timestamp, payload }));
+
+const createLocalLedger = ({ file = process.env.LEDGER_FILE || "./data/ledger.jsonl" } = {}) => {
+  let entries = null;           // loaded lazily
+  let queue = Promise.resolve(); // serialises appends within this process
+  let verified = false;          // full chain check runs once, before the first append
+
+  const load = () => {
+    if (entries) return entries;
+    entries = [];
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+      entries = lines.map(l => JSON.parse(l));
+    }
+    return entries;
+  };
+
+  const verifyChain = () => {
+    const list = load();
+    for (let i = 0; i < list.length; i++) {
+      const e = list[i];
+      const prev = i === 0 ? GENESIS : list[i - 1].hash;
+      if (e.height !== i) return { valid: false, height: i, reason: "HEIGHT_GAP" };
+      if (e.prevHash !== prev) return { valid: false, height: i, reason: "PREV_HASH_MISMATCH" };
+      if (entryHash(e) !== e.hash) return { valid: false, height: i, reason: "ENTRY_HASH_MISMATCH" };
+    }
+    return { valid: true, height: list.length - 1 };
+  };
+
+  const anchor = (payload) => {
+    const run = queue.then(async () => {
+      const list = load();
+      if (!verified) {
+        const check = verifyChain();
+        if (!check.valid) throw new Error(`Local ledger is corrupt at height ${check.height} (${check.reason})`);
+        verified = true;
+      }
+      const entry = {
+        height: list.length,
+        prevHash: list.length ? list[list.length - 1].hash : GENESIS,
+        timestamp: new Date().toISOString(),
+        payload
+      };
+      entry.hash = entryHash(entry);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(entry) + "\n");
+      list.push(entry);
+      return { driver: "local", height: entry.height, txId: entry.hash, timestamp: entry.timestamp };
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Returns the entry plus whether its own hash and link still check out
+  const getEntry = async (txId) => {
+    const list = load();
+    const e = list.find(x => x.hash === txId);
+    if (!e) return null;
+    const prev = e.height === 0 ? GENESIS : list[e.height - 1]?.hash;
+    return { entry: e, valid: entryHash(e) === e.hash && e.prevHash === prev };
+  };
+
+  const head = async () => {
+    const list = load();
+    return list.length ? { height: list.length - 1, txId: list[list.length - 1].hash } : null;
+  };
+
+  return { name: "local", anchor, getEntry, head, verifyChain: async () => verifyChain() };
+};
+
+module.exports = { createLocalLedger, entryHash, GENESIS };
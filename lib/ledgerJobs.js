@@ -0,0 +1,189 @@
+// lib/ledgerJobs.js — leased work queue for the blockchain workers
+// One LedgerJob per record (collection event, processing step, lab test, batch). A worker claims
+// up to N PENDING jobs of a type; each claim is a lease with its own lease_id, renewed by
+// heartbeats. complete() records the chain hash, fail() retries with backoff, and a lease that
+// runs out puts the job back in the queue. Every claim counts as an attempt, so a job that keeps
+// killing its worker still stops: after LEDGER_JOB_MAX_ATTEMPTS it is FAILED until retried.
+// Only the lease holder (lease_id + worker_id) can renew, complete or fail a job.
+const crypto = require("crypto");
+const { backoffMs } = require("./webhooks");
+
+const STATES = ["PENDING", "LEASED", "COMPLETE", "FAILED"];
+
+// job type → what the worker anchors
+const SOURCES = {
+  CollectionEvent: (r) => r.hash,
+  ProcessingStep: (r) => r.hash,
+  LabTest: (r) => r.hash,
+  Batch: (r) => r.merkleRoot
+};
+const TYPES = Object.keys(SOURCES);
+const hashOf = (type, record) => SOURCES[type](record);
+
+const MAX_ATTEMPTS = Number(process.env.LEDGER_JOB_MAX_ATTEMPTS || 5);
+const BACKOFF_MS = Number(process.env.LEDGER_JOB_BACKOFF_MS || 30000);
+const LEASE_S = Number(process.env.LEDGER_LEASE_S || 300);
+const MAX_LEASE_S = 3600;
+const MAX_CLAIM = 100;
+const ATTEMPT_LOG_SIZE = 10;
+const BACKFILL_CHUNK = 500;
+
+const hex = (n) => crypto.randomBytes(n).toString("hex");
+
+const createLedgerJobService = ({ Job, models, maxAttempts = MAX_ATTEMPTS, backoffBaseMs = BACKOFF_MS, log = console }) => {
+  let timer = null;
+
+  const leaseEnd = (now, leaseS) => new Date(now.getTime() + leaseS * 1000);
+  const held = (id, { workerId, leaseId }) => ({ id, state: "LEASED", workerId, leaseId });
+
+  // Queues a record, or re-queues it if what it would anchor has changed since (a batch's
+  // Merkle root moves as records join). A job under lease is left alone; complete() catches up.
+  const enqueue = async (type, record) => {
+    const hash = hashOf(type, record);
+    if (!hash) return;
+    const now = new Date();
+    await Job.updateOne(
+      { type, recordId: record.id, state: { $ne: "LEASED" }, hash: { $ne: hash } },
+      { $set: { state: "PENDING", hash, attempts: 0, availableAt: now }, $unset: { chainHash: "", completedAt: "", failedAt: "", lastError: "" } }
+    );
+    try {
+      await Job.updateOne(
+        { type, recordId: record.id },
+        { $setOnInsert: { id: "LJ-" + hex(6), type, recordId: record.id, hash, state: "PENDING", attempts: 0, availableAt: now } },
+        { upsert: true }
+      );
+    } catch (e) {
+      if (e.code !== 11000) throw e;                        // a concurrent enqueue of the same record won
+    }
+  };
+
+  // Leases that ran out go back in the queue, or to FAILED once out of attempts
+  const expire = async (now = new Date()) => {
+    const lapsed = { state: "LEASED", leaseUntil: { $lt: now } };
+    const failed = await Job.updateMany(
+      { ...lapsed, attempts: { $gte: maxAttempts } },
+      { $set: { state: "FAILED", failedAt: now, lastError: "lease expired" }, $unset: { leaseId: "", leaseUntil: "" } }
+    );
+    const released = await Job.updateMany(
+      lapsed,
+      { $set: { state: "PENDING", availableAt: now, lastError: "lease expired" }, $unset: { leaseId: "", leaseUntil: "" } }
+    );
+    return { failed: failed.modifiedCount, released: released.modifiedCount };
+  };
+
+  // Oldest available first; each job is taken by one atomic update, so two workers never share one
+  const claim = async ({ type, workerId, limit = 10, leaseS = LEASE_S }) => {
+    const now = new Date();
+    await expire(now);
+    const jobs = [];
+    while (jobs.length < limit) {
+      const job = await Job.findOneAndUpdate(
+        { type, state: "PENDING", availableAt: { $lte: now } },
+        { $set: { state: "LEASED", workerId, leaseId: "LS-" + hex(8), leasedAt: now, leaseUntil: leaseEnd(now, leaseS) }, $inc: { attempts: 1 } },
+        { sort: { availableAt: 1, createdAt: 1 }, new: true }
+      );
+      if (!job) break;
+      jobs.push(job);
+    }
+    return jobs;
+  };
+
+  // → { renewed: jobs, lost: leaseIds no longer held }
+  const heartbeat = async ({ workerId, leaseIds, leaseS = LEASE_S }) => {
+    const renewed = [];
+    const lost = [];
+    for (const leaseId of leaseIds) {
+      const job = await Job.findOneAndUpdate(
+        { state: "LEASED", workerId, leaseId },
+        { $set: { leaseUntil: leaseEnd(new Date(), leaseS) } },
+        { new: true }
+      );
+      if (job) renewed.push(job);
+      else lost.push(leaseId);
+    }
+    return { renewed, lost };
+  };
+
+  // → the COMPLETE job, or null if the caller doesn't hold the lease
+  const complete = (id, { workerId, leaseId, chainHash }) => {
+    const at = new Date();
+    return Job.findOneAndUpdate(
+      held(id, { workerId, leaseId }),
+      {
+        $set: { state: "COMPLETE", chainHash, completedAt: at, lastError: null },
+        $unset: { leaseId: "", leaseUntil: "" },
+        $push: { attemptLog: { $each: [{ at, worker_id: workerId, outcome: "COMPLETE", error: null }], $slice: -ATTEMPT_LOG_SIZE } }
+      },
+      { new: true }
+    );
+  };
+
+  // retry=false (a permanent error) fails the job now; otherwise it is retried after a backoff
+  // until it runs out of attempts. → the updated job, or null if the caller doesn't hold the lease
+  const fail = async (id, { workerId, leaseId, error, retry = true }) => {
+    const job = await Job.findOne(held(id, { workerId, leaseId }));
+    if (!job) return null;
+    const at = new Date();
+    const giveUp = !retry || job.attempts >= maxAttempts;
+    if (giveUp) log.warn(`Ledger job ${job.id} (${job.type} ${job.recordId}) failed after ${job.attempts} attempts: ${error}`);
+    return Job.findOneAndUpdate(
+      { ...held(id, { workerId, leaseId }), attempts: job.attempts },
+      {
+        $set: giveUp
+          ? { state: "FAILED", failedAt: at, lastError: error }
+          : { state: "PENDING", availableAt: new Date(at.getTime() + backoffMs(job.attempts, backoffBaseMs)), lastError: error },
+        $unset: { leaseId: "", leaseUntil: "" },
+        $push: { attemptLog: { $each: [{ at, worker_id: workerId, outcome: "FAILED", error }], $slice: -ATTEMPT_LOG_SIZE } }
+      },
+      { new: true }
+    );
+  };
+
+  // FAILED → PENDING with a fresh set of attempts; null unless the job is FAILED
+  const retry = (id) => Job.findOneAndUpdate(
+    { id, state: "FAILED" },
+    { $set: { state: "PENDING", attempts: 0, availableAt: new Date() }, $unset: { failedAt: "" } },
+    { new: true }
+  );
+
+  // Queues records that were never queued and have no chain hash yet (stored before jobs existed)
+  const backfill = async () => {
+    let queued = 0;
+    for (const type of TYPES) {
+      let after = "";
+      for (;;) {
+        const rows = await models[type].find(
+          { id: { $gt: after }, chainHash: null },
+          { id: 1, hash: 1, merkleRoot: 1 },
+          { sort: { id: 1 }, limit: BACKFILL_CHUNK }
+        );
+        if (!rows.length) break;
+        after = rows[rows.length - 1].id;
+        const now = new Date();
+        const ops = rows.filter(r => hashOf(type, r)).map(r => ({
+          updateOne: {
+            filter: { type, recordId: r.id },
+            update: { $setOnInsert: { id: "LJ-" + hex(6), type, recordId: r.id, hash: hashOf(type, r), state: "PENDING", attempts: 0, availableAt: now } },
+            upsert: true
+          }
+        }));
+        if (ops.length) queued += (await Job.bulkWrite(ops, { ordered: false })).upsertedCount;
+        if (rows.length < BACKFILL_CHUNK) break;
+      }
+    }
+    if (queued) log.log(`ledger jobs: queued ${queued} records stored before the job queue`);
+    return queued;
+  };
+
+  // Releases lapsed leases in the background too, so lists show them as they are
+  const start = (intervalMs = Number(process.env.LEDGER_JOB_SWEEP_MS || 30000)) => {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(() => expire().catch(e => log.error("Ledger job sweep failed:", e.message)), intervalMs);
+    timer.unref?.();
+  };
+  const stop = () => { clearInterval(timer); timer = null; };
+
+  return { enqueue, claim, heartbeat, complete, fail, retry, expire, backfill, start, stop };
+};
+
+module.exports = { createLedgerJobService, hashOf, STATES, TYPES, MAX_ATTEMPTS, LEASE_S, MAX_LEASE_S, MAX_CLAIM };
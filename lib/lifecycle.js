@@ -0,0 +1,76 @@
+// lib/lifecycle.js — batch lifecycle state machine
+// A profile maps phase → { STEP_TYPE: nextPhase }. A batch moves only along these edges,
+// and each step type may be completed at most once per batch.
+
+const TERMINAL_PHASE = "READY_FOR_QA";
+
+const PROFILES = {
+  // Generic profile; matches the phases the API has always reported
+  DEFAULT: {
+    CREATED: { RECEIPT: "RECEIPT_DONE" },
+    RECEIPT_DONE: { DRYING: "DRYING_DONE" },
+    DRYING_DONE: { GRINDING: "GRINDING_DONE", QA_SAMPLING: TERMINAL_PHASE },
+    GRINDING_DONE: { QA_SAMPLING: TERMINAL_PHASE }
+  },
+  // Roots/rhizomes (e.g. Ashwagandha): must be washed and sliced before drying
+  ROOT: {
+    CREATED: { RECEIPT: "RECEIPT_DONE" },
+    RECEIPT_DONE: { WASHING: "WASHING_DONE" },
+    WASHING_DONE: { SLICING: "SLICING_DONE" },
+    SLICING_DONE: { DRYING: "DRYING_DONE" },
+    DRYING_DONE: { GRINDING: "GRINDING_DONE" },
+    GRINDING_DONE: { QA_SAMPLING: TERMINAL_PHASE }
+  },
+  // Leaves/aerial parts (e.g. Tulsi): optional garbling (sorting), shade drying, optional grinding
+  LEAF: {
+    CREATED: { RECEIPT: "RECEIPT_DONE" },
+    RECEIPT_DONE: { GARBLING: "GARBLING_DONE", DRYING: "DRYING_DONE" },
+    GARBLING_DONE: { DRYING: "DRYING_DONE" },
+    DRYING_DONE: { GRINDING: "GRINDING_DONE", QA_SAMPLING: TERMINAL_PHASE },
+    GRINDING_DONE: { QA_SAMPLING: TERMINAL_PHASE }
+  }
+};
+
+const DEFAULT_PROFILE = process.env.DEFAULT_LIFECYCLE_PROFILE || "DEFAULT";
+
+// species.lifecycleTransitions (custom map) wins over species.lifecycleProfile
+const resolveProfile = (species) => {
+  if (species?.lifecycleTransitions && typeof species.lifecycleTransitions === "object") {
+    return { name: "CUSTOM", transitions: species.lifecycleTransitions };
+  }
+  const name = PROFILES[species?.lifecycleProfile] ? species.lifecycleProfile : DEFAULT_PROFILE;
+  return { name, transitions: PROFILES[name] || PROFILES.DEFAULT };
+};
+
+const nextSteps = (profile, phase) =>
+  Object.entries(profile.transitions[phase] || {}).map(([step_type, to_phase]) => ({ step_type, to_phase }));
+
+// completedSteps: step types already completed on this batch (from phaseHistory)
+const checkStep = (profile, phase, stepType, completedSteps = []) => {
+  const allowed = nextSteps(profile, phase);
+  if (completedSteps.includes(stepType)) {
+    return { ok: false, code: "DUPLICATE_STEP", message: `${stepType} was already completed for this batch`, allowed };
+  }
+  const edge = allowed.find(a => a.step_type === stepType);
+  if (!edge) {
+    const message = allowed.length
+      ? `${stepType} is not allowed in phase ${phase}; expected one of ${allowed.map(a => a.step_type).join(", ")}`
+      : `Batch is in terminal phase ${phase}; no further processing steps allowed`;
+    return { ok: false, code: "INVALID_TRANSITION", message, allowed };
+  }
+  return { ok: true, from: phase, to: edge.to_phase };
+};
+
+// Sanity check for custom transition maps supplied via the species registry
+const validateTransitions = (t) => {
+  if (!t || typeof t !== "object" || !t.CREATED) return "transitions must be an object with a CREATED phase";
+  for (const [phase, edges] of Object.entries(t)) {
+    if (!edges || typeof edges !== "object") return `phase ${phase} must map step types to phases`;
+    for (const [step, to] of Object.entries(edges)) {
+      if (typeof to !== "string" || !to) return `${phase}.${step} must name a target phase`;
+    }
+  }
+  return null;
+};
+
+module.exports = { PROFILES, TERMINAL_PHASE, resolveProfile, nextSteps, checkStep, validateTransitions };
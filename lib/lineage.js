@@ -0,0 +1,127 @@
+// lib/lineage.js — batch lineage (merge/split) graph
+// Batch.parents[] = [{ batchId, weight, share }]:
+//   weight — fraction of THIS batch's material that came from the parent (sums to 1)
+//   share  — fraction of the PARENT's material that went into this batch
+// Consumed parents move to phase MERGED / SPLIT and take no further steps.
+
+const MAX_DEPTH = Number(process.env.MAX_LINEAGE_DEPTH || 32);
+const CONSUMED_PHASES = ["MERGED", "SPLIT"];
+
+// Gate of a batch given its own latest lab gate and what it inherits from parents.
+// Failing material cannot be tested clean by blending, so an inherited FAIL always wins.
+const combineGates = (own, inherited) => {
+  if (inherited === "FAIL") return "FAIL";
+  if (own) return own;
+  return inherited || "PENDING";
+};
+
+// MERGE: FAIL if any parent failed, PASS only if all passed; SPLIT: the parent's gate
+const inheritedGate = (parentGates) => {
+  if (!parentGates.length) return null;
+  if (parentGates.includes("FAIL")) return "FAIL";
+  if (parentGates.every(g => g === "PASS")) return "PASS";
+  return "PENDING";
+};
+
+// update(entityType, Model, filter, update) writes the gates; the app passes its audited update
+const createLineage = ({ Batch, maxDepth = MAX_DEPTH, update = (_type, Model, filter, u) => Model.findOneAndUpdate(filter, u, { new: true }) }) => {
+  // Breadth-first walk; returns { nodes: Map(id → batch), edges: [{ from, to, weight, share }] }
+  const walk = async (startId, direction) => {
+    const nodes = new Map();
+    const edges = [];
+    let frontier = [startId];
+    for (let depth = 0; frontier.length && depth <= maxDepth; depth++) {
+      const batches = await Batch.find({ id: { $in: frontier } });
+      const next = [];
+      const level = new Set();
+      for (const b of batches) {
+        if (nodes.has(b.id)) continue;
+        nodes.set(b.id, b);
+        level.add(b.id);
+        if (direction === "up") {
+          for (const p of b.parents || []) {
+            edges.push({ from: p.batchId, to: b.id, weight: p.weight, share: p.share });
+            if (!nodes.has(p.batchId)) next.push(p.batchId);
+          }
+        }
+      }
+      if (direction === "down") {
+        const children = await Batch.find({ "parents.batchId": { $in: [...level] } });
+        for (const c of children) {
+          for (const p of (c.parents || []).filter(x => level.has(x.batchId))) {
+            edges.push({ from: p.batchId, to: c.id, weight: p.weight, share: p.share });
+          }
+          if (!nodes.has(c.id)) next.push(c.id);
+        }
+      }
+      frontier = [...new Set(next)];
+    }
+    return { nodes, edges };
+  };
+
+  const upstream = (id) => walk(id, "up");
+  const downstream = (id) => walk(id, "down");
+
+  // Every batch downstream of any of ids (inclusive) — used for recall propagation
+  const expandDownstream = async (ids) => {
+    const out = new Set(ids);
+    for (const id of ids) {
+      const { nodes } = await downstream(id);
+      for (const k of nodes.keys()) out.add(k);
+    }
+    return [...out];
+  };
+
+  // Source (non-derived) batches feeding `id`, with the fraction of `id` each accounts for
+  const contributions = async (id) => {
+    const { nodes } = await upstream(id);
+    const shares = new Map();
+    const visit = (bid, fraction, depth) => {
+      const b = nodes.get(bid);
+      if (!b || depth > maxDepth) return;
+      if (!b.parents?.length) {
+        shares.set(bid, (shares.get(bid) || 0) + fraction);
+        return;
+      }
+      for (const p of b.parents) visit(p.batchId, fraction * (p.weight ?? 1), depth + 1);
+    };
+    visit(id, 1, 0);
+    return [...shares.entries()].map(([batchId, fraction]) => ({ batch: nodes.get(batchId), fraction }));
+  };
+
+  // Recompute the effective gate of a batch, then of everything derived from it
+  const refreshGates = async (id) => {
+    const { nodes, edges } = await downstream(id);
+    // Topological order (Kahn) so every batch is evaluated after all of its parents in the subgraph
+    const indegree = new Map([...nodes.keys()].map(k => [k, 0]));
+    for (const e of edges) indegree.set(e.to, (indegree.get(e.to) || 0) + 1);
+    const order = [...indegree.entries()].filter(([, n]) => n === 0).map(([k]) => k);
+    for (let i = 0; i < order.length; i++) {
+      for (const e of edges.filter(x => x.from === order[i])) {
+        indegree.set(e.to, indegree.get(e.to) - 1);
+        if (indegree.get(e.to) === 0) order.push(e.to);
+      }
+    }
+    const gates = new Map();
+    for (const bid of order) {
+      const b = nodes.get(bid);
+      if (!b) continue;
+      let parentGates = [];
+      if (b.parents?.length) {
+        const parents = await Batch.find({ id: { $in: b.parents.map(p => p.batchId) } }, { id: 1, qualityGate: 1 });
+        parentGates = parents.map(p => gates.get(p.id) || p.qualityGate || "PENDING");
+      }
+      // Source batches: the gate is their own (older rows only have qualityGate)
+      const gate = b.parents?.length
+        ? combineGates(b.ownGate || null, inheritedGate(parentGates))
+        : b.ownGate || b.qualityGate || "PENDING";
+      gates.set(bid, gate);
+      if (gate !== b.qualityGate) await update("Batch", Batch, { id: bid }, { $set: { qualityGate: gate } });
+    }
+    return gates.get(id) || null;
+  };
+
+  return { upstream, downstream, expandDownstream, contributions, refreshGates };
+};
+
+module.exports = { createLineage, combineGates, inheritedGate, CONSUMED_PHASES, MAX_DEPTH };
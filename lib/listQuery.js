@@ -0,0 +1,209 @@
+// lib/listQuery.js — one list layer for every collection endpoint: filters, sort, projection
+// and keyset (cursor) pagination, all answered in the same envelope.
+//
+// An endpoint declares the fields clients may filter on (named as they appear in its items):
+//   const list = defineList({
+//     fields: { status: { path: "statusPhase", upper: true }, created_at: { path: "createdAt", type: "date", sort: true } },
+//     sort: "-created_at"
+//   });
+//   const r = await list.run(Batch, req.query, { base, view });
+//   → { body: { items, next_cursor, has_more, limit } } or { error }
+//
+// Query syntax, the same on every endpoint:
+//   field=v                 equals
+//   field[op]=v             op: ne, in, nin (comma-separated), gt, gte, lt, lte, prefix, exists (true|false)
+//   sort=-created_at,id     whitelisted fields, "-" for descending; the unique key breaks ties
+//   fields=id,status        return only these item fields
+//   limit=50                page size (clamped to the endpoint's maximum)
+//   cursor=<next_cursor>    continue after the last item of the previous page
+//   count=true              also return `total` (one extra count query)
+// Cursors carry the sort values of the last row, so rows inserted while paging never shift a
+// page (no duplicates or gaps the way skip/limit has). They are only valid for the same filters
+// and sort. `page`/`page_size` are still read for old clients and fall back to skip/limit.
+const { stableStringify, sha256Hex } = require("./hashing");
+
+const OPS = ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte", "prefix", "exists"];
+const OPS_BY_TYPE = {
+  string: OPS,
+  number: OPS.filter(o => o !== "prefix"),
+  date: OPS.filter(o => !["prefix", "in", "nin"].includes(o)),
+  boolean: ["eq", "ne", "exists"]
+};
+const RESERVED = ["sort", "fields", "limit", "cursor", "count", "page", "page_size"];
+const MAX_SORT_KEYS = 3;
+const MAX_IN_VALUES = 100;
+
+const INVALID = Symbol("invalid");
+const PARSE = {
+  string: (v) => String(v),
+  number: (v) => (String(v).trim() !== "" && Number.isFinite(Number(v)) ? Number(v) : INVALID),
+  date: (v) => (isNaN(Date.parse(v)) ? INVALID : new Date(v)),
+  boolean: (v) => (v === "true" ? true : v === "false" ? false : INVALID)
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const getPath = (doc, path) => path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), doc);
+
+// Cursor values survive JSON: dates are tagged so they come back as Date
+const encodeValue = (v) => (v instanceof Date ? { $date: v.toISOString() } : v ?? null);
+const decodeValue = (v) => (v && typeof v === "object" && typeof v.$date === "string" ? new Date(v.$date) : v);
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+const decodeCursor = (s) => {
+  try {
+    const c = JSON.parse(Buffer.from(String(s), "base64url").toString("utf8"));
+    return c && typeof c.q === "string" && Array.isArray(c.v) ? { q: c.q, v: c.v.map(decodeValue) } : null;
+  } catch { return null; }
+};
+
+// Identifies the filters and sort a cursor was issued for
+const fingerprint = (filter, sort) => sha256Hex(stableStringify(JSON.parse(JSON.stringify({ filter, sort })))).slice(0, 16);
+
+// Rows strictly after `values` in the order of `keys`. Nulls sort first ascending and last
+// descending, as MongoDB orders them.
+const after = (keys, values) => {
+  const or = [];
+  keys.forEach((k, i) => {
+    const v = values[i];
+    let beyond;
+    if (k.dir === 1) beyond = v === null ? { [k.path]: { $ne: null } } : { [k.path]: { $gt: v } };
+    else if (v !== null) beyond = { $or: [{ [k.path]: { $lt: v } }, { [k.path]: null }] };
+    if (!beyond) return; // nothing sorts after null descending
+    const same = Object.fromEntries(keys.slice(0, i).map((p, j) => [p.path, values[j]]));
+    or.push(i ? { $and: [same, beyond] } : beyond);
+  });
+  return or.length ? { $or: or } : { _id: { $exists: false } };
+};
+
+const and = (...filters) => {
+  const parts = filters.filter(f => f && Object.keys(f).length);
+  return parts.length > 1 ? { $and: parts } : parts[0] || {};
+};
+
+// spec: { fields: { name: { path, type = "string", sort = false, upper = false } }, sort, key = "id",
+//         limit = 50, maxLimit = 200, total = false }
+// `key` is the model's unique field, appended to every sort; `total: true` always counts
+// (for endpoints that returned totals before cursors existed).
+const defineList = (spec) => {
+  const key = spec.key || "id";
+  const fields = Object.fromEntries(Object.entries(spec.fields).map(([name, f]) => [name, { type: "string", ...f, path: f.path || name }]));
+  const defaultLimit = spec.limit || 50;
+  const maxLimit = spec.maxLimit || 200;
+
+  const parseFilter = (query) => {
+    const clauses = [];
+    for (const [name, raw] of Object.entries(query)) {
+      const f = fields[name];
+      if (!f || RESERVED.includes(name)) continue;
+      const ops = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : { eq: raw };
+      for (const [op, rawValue] of Object.entries(ops)) {
+        if (!OPS.includes(op)) return { error: `${name}[${op}]: unknown operator (use ${OPS.join(", ")})` };
+        if (!OPS_BY_TYPE[f.type].includes(op)) return { error: `${name}[${op}] is not supported for ${f.type} fields` };
+        if (Array.isArray(rawValue) || (rawValue && typeof rawValue === "object")) return { error: `${name}[${op}] given more than once` };
+        if (op === "exists") {
+          const b = PARSE.boolean(rawValue);
+          if (b === INVALID) return { error: `${name}[exists] must be true or false` };
+          clauses.push(b ? { [f.path]: { $exists: true, $ne: null } } : { [f.path]: null });
+          continue;
+        }
+        const norm = (v) => PARSE[f.type](f.upper ? String(v).toUpperCase() : v);
+        if (op === "in" || op === "nin") {
+          const values = String(rawValue).split(",").map(s => s.trim()).filter(Boolean).map(norm);
+          if (!values.length || values.length > MAX_IN_VALUES) return { error: `${name}[${op}] takes 1-${MAX_IN_VALUES} comma-separated values` };
+          if (values.includes(INVALID)) return { error: `${name}[${op}] values must be ${f.type}s` };
+          clauses.push({ [f.path]: { [`$${op}`]: values } });
+          continue;
+        }
+        const v = norm(rawValue);
+        if (v === INVALID) return { error: `${name}${op === "eq" ? "" : `[${op}]`} must be a ${f.type === "date" ? "ISO 8601 date" : f.type}` };
+        if (op === "eq") clauses.push({ [f.path]: v });
+        else if (op === "prefix") clauses.push({ [f.path]: { $regex: "^" + escapeRegex(v) } });
+        else clauses.push({ [f.path]: { [`$${op}`]: v } });
+      }
+    }
+    return { filter: and(...clauses) };
+  };
+
+  const parseSort = (s) => {
+    const tokens = String(s).split(",").map(t => t.trim()).filter(Boolean);
+    if (!tokens.length || tokens.length > MAX_SORT_KEYS) return { error: `sort takes 1-${MAX_SORT_KEYS} fields` };
+    const keys = [];
+    for (const t of tokens) {
+      const name = t.replace(/^[-+]/, "");
+      const f = fields[name];
+      if (!f || !f.sort) {
+        const sortable = Object.keys(fields).filter(n => fields[n].sort);
+        return { error: `cannot sort by ${name} (sortable: ${sortable.join(", ")})` };
+      }
+      if (keys.some(k => k.path === f.path)) return { error: `sort lists ${name} twice` };
+      keys.push({ name, path: f.path, dir: t.startsWith("-") ? -1 : 1 });
+    }
+    if (!keys.some(k => k.path === key)) keys.push({ name: key, path: key, dir: keys[keys.length - 1].dir });
+    return { keys };
+  };
+
+  // → { filter, keys, limit, fields, count, cursor, page } or { error }
+  const parse = (query = {}) => {
+    const f = parseFilter(query);
+    if (f.error) return f;
+    const s = query.sort || spec.sort ? parseSort(query.sort || spec.sort) : { keys: [{ name: key, path: key, dir: 1 }] };
+    if (s.error) return s;
+    const requested = parseInt(query.limit ?? query.page_size, 10);
+    const limit = Math.min(requested > 0 ? requested : defaultLimit, maxLimit);
+    let cursor = null;
+    if (query.cursor) {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.v.length !== s.keys.length) return { error: "cursor is malformed" };
+    }
+    const page = !cursor && query.page !== undefined ? parseInt(query.page, 10) : null;
+    if (page !== null && !(page > 0)) return { error: "page must be a positive integer" };
+    return {
+      filter: f.filter,
+      keys: s.keys,
+      limit,
+      fields: query.fields ? String(query.fields).split(",").map(x => x.trim()).filter(Boolean) : null,
+      count: query.count !== undefined ? query.count === "true" : !!spec.total || page !== null,
+      cursor,
+      page
+    };
+  };
+
+  const pick = (item, names) => (names ? Object.fromEntries(names.filter(n => n in item).map(n => [n, item[n]])) : item);
+
+  // base: the endpoint's own conditions (access scoping, legacy parameters), ANDed with the
+  // client's filters. view(row, ctx) shapes each item; prepare(rows) builds ctx once per page.
+  const run = async (Model, query, { base = {}, view = (r) => r, prepare = async () => undefined } = {}) => {
+    const p = parse(query);
+    if (p.error) return p;
+    const filter = and(base, p.filter);
+    const sort = Object.fromEntries(p.keys.map(k => [k.path, k.dir]));
+    const q = fingerprint(filter, sort);
+    if (p.cursor && p.cursor.q !== q) return { error: "cursor was issued for different filters or sort; start again without it" };
+
+    const [rows, total] = await Promise.all([
+      Model.find(p.cursor ? and(filter, after(p.keys, p.cursor.v)) : filter, null, {
+        sort,
+        skip: p.page ? (p.page - 1) * p.limit : 0,
+        limit: p.limit + 1
+      }),
+      p.count ? Model.countDocuments(filter) : undefined
+    ]);
+    const hasMore = rows.length > p.limit;
+    const pageRows = rows.slice(0, p.limit);
+    const last = pageRows[pageRows.length - 1];
+    const ctx = await prepare(pageRows);
+    return {
+      body: {
+        items: pageRows.map(r => pick(view(r, ctx), p.fields)),
+        next_cursor: hasMore ? encodeCursor({ q, v: p.keys.map(k => encodeValue(getPath(last, k.path))) }) : null,
+        has_more: hasMore,
+        limit: p.limit,
+        ...(total !== undefined ? { total } : {}),
+        ...(p.page ? { page: p.page } : {})
+      }
+    };
+  };
+
+  return { parse, run, fields };
+};
+
+module.exports = { defineList, OPS, RESERVED, encodeCursor, decodeCursor, after };
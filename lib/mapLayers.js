@@ -0,0 +1,162 @@
+// lib/mapLayers.js — spatial filters and GeoJSON map layers over CollectionEvent.location
+// `location` is the GeoJSON Point derived from `geo` (lib/geo toPoint) and carries a 2dsphere
+// index. Filters are all $geoWithin, so they combine with countDocuments and any sort.
+const { EARTH_RADIUS_M } = require("./geo");
+
+const MAX_POLYGON_VERTICES = 500;
+const MAX_RADIUS_M = 1000e3;
+const MAX_FEATURES = Number(process.env.GEO_MAX_FEATURES || 5000);
+// Below this zoom the layer is clustered server-side; at or above it, points are returned as-is
+const CLUSTER_MAX_ZOOM = Number(process.env.GEO_CLUSTER_MAX_ZOOM || 12);
+// Grid cells per 256px map tile edge when clustering (4 → ~64px cells)
+const CLUSTER_CELLS_PER_TILE = 4;
+
+const numbers = (s) => String(s).split(",").map(v => (v.trim() === "" ? NaN : Number(v)));
+const inRange = (lng, lat) => Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+// bbox=minLng,minLat,maxLng,maxLat (GeoJSON order)
+const parseBbox = (s) => {
+  const v = numbers(s);
+  if (v.length !== 4 || !inRange(v[0], v[1]) || !inRange(v[2], v[3])) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat in degrees" };
+  }
+  const [minLng, minLat, maxLng, maxLat] = v;
+  if (minLat >= maxLat) return { error: "bbox minLat must be below maxLat" };
+  if (minLng >= maxLng) return { error: "bbox minLng must be below maxLng (boxes crossing the antimeridian are not supported)" };
+  // Edges are geodesics on a 2dsphere, so this is a box in the usual sense for map-sized areas
+  return { geometry: { type: "Polygon", coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]] } };
+};
+
+// near=lat,lng&radius_m=… (lat first, like the rest of the query API)
+const parseNear = (s, radius) => {
+  const [lat, lng, extra] = numbers(s);
+  if (extra !== undefined || !inRange(lng, lat)) return { error: "near must be lat,lng in degrees" };
+  const r = Number(radius);
+  if (!Number.isFinite(r) || r <= 0 || r > MAX_RADIUS_M) return { error: `radius_m must be a number of metres in (0, ${MAX_RADIUS_M}]` };
+  return { centerSphere: [[lng, lat], r / EARTH_RADIUS_M] };
+};
+
+// polygon=JSON: a GeoJSON Polygon geometry, or its coordinates ([[[lng,lat],...]] or a bare ring)
+const parsePolygon = (s) => {
+  let v;
+  try { v = typeof s === "string" ? JSON.parse(s) : s; } catch { return { error: "polygon must be JSON" }; }
+  if (v && v.type === "Polygon") v = v.coordinates;
+  if (Array.isArray(v) && Array.isArray(v[0]) && typeof v[0][0] === "number") v = [v];
+  if (!Array.isArray(v) || !v.length || !v.every(Array.isArray)) return { error: "polygon must be a GeoJSON Polygon or a ring of [lng, lat] pairs" };
+  const rings = [];
+  for (const ring of v) {
+    if (!ring.every(p => Array.isArray(p) && p.length >= 2 && inRange(p[0], p[1]))) {
+      return { error: "polygon positions must be [lng, lat] pairs in degrees" };
+    }
+    const closed = ring.length && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+    const r = ring.map(p => [p[0], p[1]]);
+    if (!closed && r.length) r.push([...r[0]]);
+    if (r.length < 4) return { error: "polygon rings need at least 3 distinct positions" };
+    rings.push(r);
+  }
+  if (rings.reduce((n, r) => n + r.length, 0) > MAX_POLYGON_VERTICES) return { error: `polygon may have at most ${MAX_POLYGON_VERTICES} vertices` };
+  return { geometry: { type: "Polygon", coordinates: rings } };
+};
+
+// → { filter } (null when no spatial parameter was given) or { error }
+const parseSpatialQuery = (query) => {
+  const given = ["bbox", "near", "polygon"].filter(k => query[k] !== undefined && query[k] !== "");
+  if (given.length > 1) return { error: `use only one of bbox, near or polygon (got ${given.join(", ")})` };
+  if (!given.length) {
+    return query.radius_m !== undefined ? { error: "radius_m needs near=lat,lng" } : { filter: null };
+  }
+  let parsed;
+  if (given[0] === "bbox") parsed = parseBbox(query.bbox);
+  else if (given[0] === "near") parsed = parseNear(query.near, query.radius_m);
+  else parsed = parsePolygon(query.polygon);
+  if (parsed.error) return parsed;
+  return {
+    filter: {
+      location: { $geoWithin: parsed.centerSphere ? { $centerSphere: parsed.centerSphere } : { $geometry: parsed.geometry } }
+    }
+  };
+};
+
+// → integer zoom in [0, 22], undefined when absent, or NaN when invalid
+const parseZoom = (z) => {
+  if (z === undefined || z === "") return undefined;
+  const n = Number(z);
+  return Number.isInteger(n) && n >= 0 && n <= 22 ? n : NaN;
+};
+
+const shouldCluster = (zoom) => zoom !== undefined && zoom < CLUSTER_MAX_ZOOM;
+
+// Grid clustering: cells are 1/CLUSTER_CELLS_PER_TILE of a tile's width at this zoom. Each cell
+// becomes one feature at the mean position of its points.
+const clusterPipeline = (match, zoom) => {
+  const cellDeg = 360 / 2 ** zoom / CLUSTER_CELLS_PER_TILE;
+  const lng = { $arrayElemAt: ["$location.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$location.coordinates", 1] };
+  return [
+    { $match: { ...match, location: { $exists: true, ...(match.location || {}) } } },
+    { $group: {
+      _id: { x: { $floor: { $divide: [lng, cellDeg] } }, y: { $floor: { $divide: [lat, cellDeg] } } },
+      count: { $sum: 1 },
+      lng: { $avg: lng },
+      lat: { $avg: lat },
+      quantityKg: { $sum: { $ifNull: ["$quantityKg", 0] } },
+      species: { $addToSet: "$scientificName" },
+      flagged: { $sum: { $cond: [{ $eq: ["$status", "FLAGGED"] }, 1, 0] } },
+      rejected: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+      sampleId: { $first: "$id" }
+    } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_FEATURES + 1 }
+  ];
+};
+
+const round6 = (v) => Math.round(v * 1e6) / 1e6;
+
+const clusterFeature = (c) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [round6(c.lng), round6(c.lat)] },
+  properties: {
+    cluster: c.count > 1,
+    point_count: c.count,
+    ...(c.count === 1 ? { id: c.sampleId } : {}),
+    quantity_kg: Math.round(c.quantityKg * 1000) / 1000,
+    species: [...c.species].sort(),
+    flagged: c.flagged,
+    rejected: c.rejected
+  }
+});
+
+const pointFeature = (ce) => ({
+  type: "Feature",
+  id: ce.id,
+  geometry: ce.location,
+  properties: {
+    id: ce.id,
+    scientific_name: ce.scientificName,
+    collector_id: ce.collectorId,
+    timestamp: ce.timestampUtc ? new Date(ce.timestampUtc).toISOString() : null,
+    quantity_kg: ce.quantityKg ?? null,
+    zone_id: ce.zoneId || null,
+    status: ce.status,
+    batch_id: ce.batchId || null,
+    accuracy_m: ce.geo?.accuracy_m ?? null
+  }
+});
+
+// [minLng, minLat, maxLng, maxLat] over Point features, or undefined when empty
+const bboxOf = (features) => {
+  if (!features.length) return undefined;
+  const xs = features.map(f => f.geometry.coordinates[0]);
+  const ys = features.map(f => f.geometry.coordinates[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const featureCollection = (features, extra = {}) => {
+  const bbox = bboxOf(features);
+  return { type: "FeatureCollection", ...(bbox ? { bbox } : {}), ...extra, features };
+};
+
+module.exports = {
+  parseSpatialQuery, parseZoom, shouldCluster, clusterPipeline, clusterFeature, pointFeature, featureCollection, bboxOf,
+  MAX_FEATURES, CLUSTER_MAX_ZOOM
+};
@@ -0,0 +1,113 @@
+// lib/massBalance.js — mass-balance reconciliation from collection weight through processing
+// Steps may record input_kg/output_kg. The chain is checked two ways:
+//   continuity: a step's input should match the mass known before it (the collected or
+//               derived weight, then the previous step's output), within MASS_BALANCE_TOLERANCE
+//   yield:      output/input must fall inside the expected range for the species and step type
+// Gains are the adulteration signal (material blended in); unexplained losses suggest diversion.
+
+// Expected output/input per step type; Species.yieldRanges overrides them per species.
+// e.g. DRYING 0.2-0.4 is a drying loss of 60-80%.
+const DEFAULT_YIELDS = {
+  RECEIPT: { min: 0.95, max: 1.0 },
+  WASHING: { min: 0.9, max: 1.05 },                        // surface water may add a little
+  SLICING: { min: 0.95, max: 1.0 },
+  GARBLING: { min: 0.7, max: 1.0 },                        // sorting out foreign matter
+  DRYING: { min: 0.15, max: 0.45 },
+  GRINDING: { min: 0.95, max: 1.0 },
+  QA_SAMPLING: { min: 0.97, max: 1.0 }
+};
+const FALLBACK_YIELD = { min: 0, max: 1.0 };               // unknown steps may lose, never gain
+const MAX_YIELD = 2;
+const TOLERANCE = Number(process.env.MASS_BALANCE_TOLERANCE || 0.02);
+const EPSILON = 1e-9;
+
+const STATUSES = ["BALANCED", "INCOMPLETE", "ANOMALY"];
+
+const anomaly = (code, severity, message, detail = {}) => ({ code, severity, message, ...detail });
+const round = (n, dp = 3) => (typeof n === "number" ? Math.round(n * 10 ** dp) / 10 ** dp : null);
+const pct = (n) => `${Math.round(n * 1000) / 10}%`;
+
+const yieldRangeFor = (species, stepType) => species?.yieldRanges?.[stepType] || DEFAULT_YIELDS[stepType] || FALLBACK_YIELD;
+
+// Species.yieldRanges: { STEP_TYPE: { min, max } } → error string or null
+const validateYieldRanges = (v) => {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "yieldRanges must be an object of { STEP_TYPE: { min, max } }";
+  for (const [step, r] of Object.entries(v)) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(step)) return `yieldRanges: ${step} is not an upper-case step type`;
+    if (!r || !Number.isFinite(r.min) || !Number.isFinite(r.max) || r.min < 0 || r.max < r.min || r.max > MAX_YIELD) {
+      return `yieldRanges.${step} needs 0 <= min <= max <= ${MAX_YIELD}`;
+    }
+  }
+  return null;
+};
+
+// start:   { kg, complete, source } mass at batch creation (kg null when unknown)
+// steps:   completed ProcessingSteps in lifecycle order
+// parents: derived lots only, [{ batchId, contributedKg, availableKg }]
+const reconcile = ({ start, steps, species, parents = [], tolerance = TOLERANCE }) => {
+  const anomalies = [];
+  for (const p of parents) {
+    if (typeof p.contributedKg !== "number" || typeof p.availableKg !== "number") continue;
+    if (p.contributedKg > p.availableKg * (1 + tolerance) + EPSILON) {
+      anomalies.push(anomaly("MASS_GAIN", "HIGH",
+        `${round(p.contributedKg)} kg was taken from ${p.batchId}, which only had ${round(p.availableKg)} kg`,
+        { parent_batch_id: p.batchId, contributed_kg: round(p.contributedKg), available_kg: round(p.availableKg) }));
+    }
+  }
+
+  let known = typeof start.kg === "number" ? start.kg : null;
+  let unweighed = 0;
+  const rows = steps.map(s => {
+    const range = yieldRangeFor(species, s.stepType);
+    const inKg = typeof s.inputKg === "number" ? s.inputKg : null;
+    const outKg = typeof s.outputKg === "number" ? s.outputKg : null;
+    const row = {
+      stepId: s.id, stepType: s.stepType, inputKg: inKg, outputKg: outKg, expectedInputKg: round(known),
+      yield: inKg && outKg !== null ? round(outKg / inKg, 4) : null, expectedYield: range, anomalies: []
+    };
+    const flag = (a) => { row.anomalies.push(a); anomalies.push(a); };
+    const at = { step_id: s.id, step_type: s.stepType };
+
+    if (inKg === null || outKg === null) unweighed++;
+    if (inKg !== null && known !== null && known > 0) {
+      const drift = (inKg - known) / known;
+      if (drift > tolerance) {
+        flag(anomaly("MASS_GAIN", "HIGH", `${s.stepType} started with ${inKg} kg, ${pct(drift)} more than the ${round(known)} kg before it`,
+          { ...at, input_kg: inKg, expected_kg: round(known) }));
+      } else if (drift < -tolerance) {
+        flag(anomaly("MASS_LOSS", "MEDIUM", `${s.stepType} started with ${inKg} kg, ${pct(-drift)} less than the ${round(known)} kg before it`,
+          { ...at, input_kg: inKg, expected_kg: round(known) }));
+      }
+    }
+    if (row.yield !== null) {
+      if (row.yield > range.max + EPSILON) {
+        flag(anomaly("YIELD_ABOVE_RANGE", "HIGH", `${s.stepType} yield ${pct(row.yield)} is above the expected ${pct(range.min)}-${pct(range.max)}`,
+          { ...at, yield: row.yield, expected: range }));
+      } else if (row.yield < range.min - EPSILON) {
+        flag(anomaly("YIELD_BELOW_RANGE", "MEDIUM", `${s.stepType} yield ${pct(row.yield)} is below the expected ${pct(range.min)}-${pct(range.max)}`,
+          { ...at, yield: row.yield, expected: range }));
+      }
+    }
+    // Without an output weight the mass after this step is unknown until a later step weighs it
+    known = outKg;
+    return row;
+  });
+
+  const status = anomalies.length ? "ANOMALY"
+    : typeof start.kg !== "number" || !start.complete || unweighed ? "INCOMPLETE"
+      : "BALANCED";
+  return {
+    status,
+    startKg: round(start.kg ?? null),
+    startComplete: !!start.complete,
+    startSource: start.source,
+    currentKg: round(known),
+    overallYield: typeof start.kg === "number" && start.kg > 0 && known !== null ? round(known / start.kg, 4) : null,
+    unweighedSteps: unweighed,
+    tolerance,
+    steps: rows,
+    anomalies
+  };
+};
+
+module.exports = { reconcile, yieldRangeFor, validateYieldRanges, DEFAULT_YIELDS, STATUSES, TOLERANCE };
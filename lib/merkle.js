@@ -0,0 +1,59 @@
+// lib/merkle.js — binary Merkle tree over hex record hashes
+// Leaves and nodes are domain-separated (0x00 / 0x01 prefix) and an odd node is
+// promoted rather than duplicated, so no two different leaf sets share a root.
+const crypto = require("crypto");
+
+const h = (prefix, ...parts) => {
+  const hash = crypto.createHash("sha256").update(Buffer.from([prefix]));
+  for (const p of parts) hash.update(Buffer.from(p, "hex"));
+  return hash.digest("hex");
+};
+const leafHash = (recordHashHex) => h(0x00, recordHashHex);
+const nodeHash = (left, right) => h(0x01, left, right);
+
+// Returns every level, leaves first; the last level holds the root
+const buildLevels = (recordHashes) => {
+  if (!recordHashes.length) return [];
+  const levels = [recordHashes.map(leafHash)];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? nodeHash(prev[i], prev[i + 1]) : prev[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+const merkleRoot = (recordHashes) => {
+  const levels = buildLevels(recordHashes);
+  return levels.length ? levels[levels.length - 1][0] : null;
+};
+
+// Proof = sibling path from leaf to root: [{ position: "left"|"right", hash }]
+const merkleProof = (recordHashes, index) => {
+  const levels = buildLevels(recordHashes);
+  if (index < 0 || index >= recordHashes.length) return null;
+  const proof = [];
+  let i = index;
+  for (let l = 0; l < levels.length - 1; l++) {
+    const level = levels[l];
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    if (sibling < level.length) {
+      proof.push({ position: i % 2 === 0 ? "right" : "left", hash: level[sibling] });
+    }
+    i = Math.floor(i / 2);
+  }
+  return proof;
+};
+
+const verifyProof = (recordHashHex, proof, root) => {
+  let acc = leafHash(recordHashHex);
+  for (const step of proof || []) {
+    acc = step.position === "left" ? nodeHash(step.hash, acc) : nodeHash(acc, step.hash);
+  }
+  return acc === root;
+};
+
+module.exports = { merkleRoot, merkleProof, verifyProof, leafHash, nodeHash };
@@ -0,0 +1,417 @@
+// lib/models.js — Mongoose schemas of every collection, keyed by model name
+// The schemas are the single definition of each document: lib/repository builds the models
+// for the mongo driver from them, and the memory driver uses them for defaults, casting,
+// validation, timestamps and unique indexes.
+const mongoose = require("mongoose");
+const { ROLES } = require("./auth");
+const { STATES: RECALL_STATES, SEVERITIES } = require("./recalls");
+const { KINDS: ATTACHMENT_KINDS } = require("./attachments");
+const { TYPES: LEDGER_JOB_TYPES, STATES: LEDGER_JOB_STATES } = require("./ledgerJobs");
+
+const schemas = {};
+const model = (name, schema) => { schemas[name] = schema; };
+
+// Ledger anchor receipt stamped on records and batches by lib/anchoring
+const anchorReceiptSchema = new mongoose.Schema({
+  anchorId: String,                                        // AN-xxxxxxxx
+  driver: String,                                          // ledger driver name (local, ...)
+  height: Number,
+  txId: String,
+  timestamp: Date,
+  hash: String                                             // batches only: the merkleRoot that was anchored
+}, { _id: false });
+
+// GeoJSON Point ([lng, lat]) for 2dsphere indexes
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ["Point"], required: true },
+  coordinates: { type: [Number], default: undefined }
+}, { _id: false });
+
+model("Species", new mongoose.Schema({
+  scientificName: { type: String, unique: true, required: true },
+  speciesCode: { type: String, unique: true, required: true }, // e.g., ASHWA; used in batch ids
+  taxonomy: { family: String, genus: String, authority: String },
+  plantParts: { type: [String], default: [] },           // ROOT|LEAF|... (lib/species)
+  conservation: {
+    iucn: String,                                        // IUCN Red List category (LC, VU, EN, ...)
+    cites: String,                                       // CITES appendix I|II|III, if listed
+    assessedAt: Date
+  },
+  vernacularNames: {                                     // [{ lang: "hi", name: "अश्वगंधा" }]
+    type: [{ _id: false, lang: String, name: String, script: String }],
+    default: []
+  },
+  vernaculars: { type: [String], default: [] },          // legacy, language unknown
+  harvestable: { type: Boolean, default: true },
+  status: { type: String, enum: ["ACTIVE", "RETIRED"], default: "ACTIVE" },
+  gtin: String,                                          // GS1 GTIN-14 of the traded product (EPCIS identifiers)
+  seasonMonths: { type: [Number], default: [] },         // optional, 1-12 (UTC)
+  // Approved harvest zones; an event must fall inside at least one active zone
+  harvestZones: {
+    type: [new mongoose.Schema({
+      zoneId: String,
+      name: String,
+      type: { type: String, enum: ["POLYGON", "RADIUS"], required: true },
+      coordinates: { type: [[[Number]]], default: undefined }, // POLYGON: [[[lng,lat],...]]
+      center: { lat: Number, lng: Number },                    // RADIUS
+      radius_m: Number,
+      active: { type: Boolean, default: true }
+    }, { _id: false })],
+    default: []
+  },
+  rules: {                                               // per-species overrides of env defaults
+    maxAccuracyM: Number,
+    minAiConfidence: Number
+  },
+  yieldRanges: { type: mongoose.Schema.Types.Mixed },    // { STEP_TYPE: { min, max } } output/input (lib/massBalance)
+  lifecycleProfile: String,                              // DEFAULT|ROOT|LEAF (lib/lifecycle)
+  lifecycleTransitions: { type: mongoose.Schema.Types.Mixed } // custom { PHASE: { STEP: NEXT_PHASE } }
+}, { timestamps: true }));
+
+model("CollectionEvent", new mongoose.Schema({
+  id: { type: String, unique: true },                    // CE-xxxxxxxx
+  clientEventId: String,                                 // the offline app's idempotency key, unique per collector
+  scientificName: { type: String, required: true },     // always provided directly by farmer
+  collectorId: { type: String, required: true, index: true },
+  geo: {
+    lat: Number, lng: Number, accuracy_m: Number
+  },
+  location: { type: pointSchema, default: undefined },   // GeoJSON copy of geo for spatial queries; not hashed
+  timestampUtc: { type: Date, required: true },
+  quantity: { value: Number, unit: String },             // as reported (kg|g|t|q|lb)
+  quantityKg: Number,                                    // normalised, charged against quotas (lib/quotas)
+  zoneId: String,                                        // harvest zone the location fell in, if any
+  ai: { type: mongoose.Schema.Types.Mixed },             // identification evidence from photos (lib/identification), or legacy { confidence } as sent
+  status: { type: String, default: "ACCEPTED" },         // ACCEPTED|FLAGGED|REJECTED
+  violations: { type: Array, default: [] },              // [{ code, severity, message, ... }] from lib/harvestRules
+  batchId: String,
+  hash: String,                                          // canonical content hash (lib/hashing), set at creation
+  chainHash: String,                                     // on-chain reference, set by blockchain team
+  chainStatus: { type: String, default: "READY" },       // READY|IN_PROGRESS|COMPLETE (blockchain team); not `status`
+  anchor: anchorReceiptSchema
+}, { timestamps: true })
+  .index({ collectorId: 1, clientEventId: 1 }, { unique: true, partialFilterExpression: { clientEventId: { $type: "string" } } })
+  .index({ clientEventId: 1 })                            // cross-collector clash check on POST /collection[/bulk]
+  .index({ timestampUtc: 1, scientificName: 1 })          // /analytics/collections date range
+  .index({ batchId: 1 })
+  .index({ location: "2dsphere" }));                     // /collections bbox|near|polygon, /collections/geojson
+
+model("Batch", new mongoose.Schema({
+  id: { type: String, unique: true },                    // B-ASHWA-YYYYMMDD-farmer-123 (derived: ...-Mxxxxxx / -Sxxxxxx)
+  scientificName: { type: String, required: true },     // always provided directly by farmer
+  collectorId: { type: String, required: function () { return !this.derivation; } }, // none on derived lots
+  dateUtc: { type: String, required: true },             // YYYY-MM-DD
+  gs1Lot: { type: String, index: true },                 // GS1 lot (AI 10) used in EPCIS identifiers (lib/epcis)
+  statusPhase: { type: String, default: "CREATED" },     // CREATED → ... → READY_FOR_QA
+  qualityGate: {                                         // effective gate, incl. what is inherited via lineage
+    type: String,
+    enum: ["PASS", "FAIL", "PENDING"],
+    default: "PENDING"
+  },
+  ownGate: { type: String, enum: ["PASS", "FAIL"] },     // latest lab gate on this batch itself
+  // Lineage (lib/lineage): derived lots point at the batches they were made from
+  derivation: { type: String, enum: ["MERGE", "SPLIT"] },
+  parents: {
+    type: [new mongoose.Schema({
+      batchId: { type: String, required: true, index: true },
+      weight: Number,                                    // fraction of this batch from the parent
+      share: Number                                      // fraction of the parent in this batch
+    }, { _id: false })],
+    default: undefined
+  },
+  quantityKg: Number,
+  consumedBy: { type: [String], default: undefined },    // derived batch ids, once MERGED/SPLIT
+  qrCodeUrl: String,                                   // QR image link at creation (views use qrCodeUrlFor)
+  chainStatus: String,                                   // READY|IN_PROGRESS|COMPLETE (blockchain team)
+  chainHash: String,
+  merkleRoot: String,                                    // over CE/PS/LT content hashes (lib/merkle)
+  merkleLeafCount: Number,
+  merkleUpdatedAt: Date,
+  anchorPending: { type: Boolean, default: false },      // merkleRoot changed since last anchor
+  anchor: anchorReceiptSchema,
+  // Anomalies raised by automatic checks; each check replaces its own (by source)
+  flags: {
+    type: [new mongoose.Schema({
+      source: { type: String, required: true },          // MASS_BALANCE
+      code: { type: String, required: true },           // MASS_GAIN|MASS_LOSS|YIELD_ABOVE_RANGE|...
+      severity: String,                                  // HIGH|MEDIUM
+      message: String,
+      stepId: String,
+      detail: mongoose.Schema.Types.Mixed,
+      raisedAt: { type: Date, default: Date.now }
+    }, { _id: false })],
+    default: undefined
+  },
+  massBalance: {                                         // last reconciliation (lib/massBalance)
+    status: String,                                      // BALANCED|INCOMPLETE|ANOMALY
+    startKg: Number,
+    currentKg: Number,
+    checkedAt: Date
+  },
+  // Every phase change: who moved the batch, with which step, and when
+  phaseHistory: {
+    type: [new mongoose.Schema({
+      from: String,
+      to: { type: String, required: true },
+      stepType: String,
+      stepId: String,
+      actor: String,
+      at: { type: Date, default: Date.now }
+    }, { _id: false })],
+    default: []
+  }
+}, { timestamps: true }));
+
+model("ProcessingStep", new mongoose.Schema({
+  id: { type: String, unique: true },                    // PS-xxxxxxxx
+  batchId: { type: String, required: true },
+  stepType: { type: String, required: true },            // DRYING|GRINDING|...
+  status: { type: String, default: "COMPLETED" },
+  startedAt: Date,
+  endedAt: Date,
+  inputKg: Number,                                       // weighed in / out, for mass balance (lib/massBalance)
+  outputKg: Number,
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  postMetrics: { type: mongoose.Schema.Types.Mixed, default: {} },
+  notes: String,
+  source: {                                              // set when ingested from a partner system
+    system: String,                                      // EPCIS
+    eventId: String,                                     // partner eventID; unique, so re-captures are no-ops
+    sender: String
+  },
+  hash: String,                                          // canonical content hash (lib/hashing), set at creation
+  chainHash: String,                                     // on-chain reference, set by blockchain team
+  chainStatus: { type: String, default: "READY" },       // READY|IN_PROGRESS|COMPLETE (blockchain team); not `status`
+  anchor: anchorReceiptSchema
+}, { timestamps: true })
+  .index({ "source.eventId": 1 }, { unique: true, sparse: true })
+  .index({ batchId: 1 })
+  .index({ status: 1, createdAt: 1 }));                   // /analytics/processing-throughput
+
+// Lab test results for quality gate
+model("LabTest", new mongoose.Schema({
+  id: { type: String, unique: true },                    // LT-xxxxxxxx
+  batchId: { type: String, required: true },
+  moisturePct: Number,                                   // mirrors results MOISTURE, when tested
+  pesticidePass: Boolean,                                // mirrors results PESTICIDE_SCREEN, when tested
+  pdfUrl: { type: String },                               // optional
+  specId: String,                                        // LS-xxxxxxxx, or DEFAULT
+  specVersion: Number,                                   // spec version judged against (0 = built-in default)
+  results: { type: Array, default: [] },                 // per-parameter evaluations (lib/labSpecs)
+  failures: { type: Array, default: [] },                // [{ parameter, category, reason, value, unit, limit }]
+  attachments: {                                         // fixed at creation; checksums are part of the hash
+    type: [{ _id: false, id: String, kind: String, filename: String, contentType: String, size: Number, sha256: String }],
+    default: undefined
+  },
+  gate: { type: String, enum: ["PASS", "FAIL"], required: true },
+  labId: String,                                         // subject of the lab that submitted it
+  evaluatedAt: { type: Date, default: Date.now, index: true },
+  status: { type: String, default: "READY", enum: ["READY", "IN_PROGRESS", "COMPLETE"] },
+  hash: String,                                          // canonical content hash (lib/hashing), set at creation
+  chainHash: String,                                     // on-chain reference, set by blockchain team
+  anchor: anchorReceiptSchema
+}, { timestamps: true }).index({ batchId: 1, evaluatedAt: 1 }));
+
+// Uploaded lab documents; bytes live in the storage driver, keyed by checksum
+model("Attachment", new mongoose.Schema({
+  id: { type: String, unique: true },                    // AT-xxxxxxxx
+  kind: { type: String, enum: ATTACHMENT_KINDS, required: true },
+  filename: String,
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true },
+  storage: { _id: false, driver: String, key: String },
+  labTestId: { type: String, index: true },              // set once attached to a lab test
+  collectionEventId: { type: String, index: true },      // set once cited by a collection event (photos)
+  classification: {                                      // collection photos: species classifier output at upload
+    type: new mongoose.Schema({
+      driver: String, model: String, version: String,    // lib/classifier
+      predictions: [{ _id: false, label: String, confidence: Number }],
+      classifiedAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
+  uploadedBy: String
+}, { timestamps: true }));
+
+// Lab test specifications per species, versioned (lib/labSpecs)
+model("LabSpec", new mongoose.Schema({
+  id: { type: String, unique: true },                    // LS-xxxxxxxx
+  scientificName: { type: String, required: true },
+  version: { type: Number, required: true },
+  status: { type: String, enum: ["ACTIVE", "RETIRED"], default: "ACTIVE" },
+  source: String,                                        // e.g. "API Part I Vol. I, monograph 7"
+  parameters: [{
+    _id: false,
+    code: String, name: String, category: String,
+    type: { type: String }, unit: String,
+    min: Number, max: Number, expected: mongoose.Schema.Types.Mixed,
+    required: Boolean
+  }],
+  createdBy: String
+}, { timestamps: true }).index({ scientificName: 1, version: 1 }, { unique: true }));
+
+// Harvest quotas: cap on kg of a species per season, optionally per zone and/or collector
+model("Quota", new mongoose.Schema({
+  id: { type: String, unique: true },                    // QT-xxxxxxxx
+  scientificName: { type: String, required: true, index: true },
+  zoneId: String,                                        // harvestZones[].zoneId of the species; none = all zones
+  collectorId: String,                                   // none = all collectors combined
+  seasonFrom: { type: String, required: true },          // YYYY-MM-DD, inclusive (UTC)
+  seasonTo: { type: String, required: true },
+  capKg: { type: Number, required: true },
+  onExceed: { type: String, enum: ["FLAG", "REJECT"], default: "FLAG" },
+  usedKg: { type: Number, default: 0 },                  // running counter charged by collection events
+  status: { type: String, enum: ["ACTIVE", "RETIRED"], default: "ACTIVE" },
+  notes: String,
+  createdBy: String
+}, { timestamps: true }));
+
+// API keys (only the sha256 of the key is stored; the key itself is shown once at issue)
+model("ApiKey", new mongoose.Schema({
+  id: { type: String, unique: true },                    // AK-xxxxxxxx
+  keyHash: { type: String, unique: true, required: true },
+  prefix: String,                                        // first chars, for display
+  role: { type: String, enum: ROLES, required: true },
+  subject: String,                                       // collectorId / lab id / worker id
+  name: String,
+  createdBy: String,
+  revokedAt: Date,
+  revokedBy: String,
+  lastUsedAt: Date
+}, { timestamps: true }));
+
+// Recalls (lib/recalls): scope → affectedBatchIds, with state history
+model("Recall", new mongoose.Schema({
+  id: { type: String, unique: true },                    // RC-xxxxxxxx
+  scope: {
+    batchIds: { type: [String], default: undefined },
+    scientificName: String,
+    from: String,                                        // YYYY-MM-DD, inclusive
+    to: String
+  },
+  reason: { type: String, required: true },
+  severity: { type: String, enum: SEVERITIES, required: true },
+  state: { type: String, enum: RECALL_STATES, default: "INVESTIGATING" },
+  notice: String,                                        // consumer-facing banner text
+  source: { type: String, default: "MANUAL" },           // MANUAL|LAB_GATE|PESTICIDE
+  labTestId: String,
+  openedBy: String,
+  resolvedAt: Date,
+  affectedBatchIds: { type: [String], default: [], index: true },
+  history: [{ _id: false, from: String, to: String, actor: String, note: String, at: Date }]
+}, { timestamps: true }));
+
+// One ledger write covering many records/batch roots
+model("Anchor", new mongoose.Schema({
+  id: { type: String, unique: true },                    // AN-xxxxxxxx
+  root: { type: String, required: true },                // Merkle root over items[].hash
+  driver: String,
+  height: Number,
+  txId: String,
+  anchoredAt: Date,
+  items: [{ _id: false, type: { type: String }, id: String, hash: String }]
+}, { timestamps: true }));
+
+// Issued provenance credentials; the signed JSON is kept so re-requests return the same one
+model("Credential", new mongoose.Schema({
+  id: { type: String, unique: true },                    // VC-xxxxxxxx
+  batchId: { type: String, required: true, index: true },
+  digest: String,                                        // sha256 of the credential subject
+  vc: mongoose.Schema.Types.Mixed,
+  validUntil: Date,
+  status: { type: String, enum: ["ACTIVE", "REVOKED"], default: "ACTIVE" },
+  revokedAt: Date,
+  revokedBy: String,
+  revokeReason: String
+}, { timestamps: true }));
+
+// Append-only audit trail (lib/audit); each entry's hash covers the previous one. appendOnly makes
+// lib/repository refuse every update and delete on it, whatever the driver.
+const auditEntrySchema = new mongoose.Schema({
+  id: { type: String, unique: true },                      // AU-xxxxxxxxxxxx
+  seq: { type: Number, required: true, unique: true },     // gap-free; a gap is a deleted entry
+  at: { type: Date, required: true },
+  actor: new mongoose.Schema({ role: String, subject: String, via: String }, { _id: false }),
+  requestId: { type: String, index: true },
+  method: String,
+  route: String,
+  entityType: { type: String, required: true },
+  entityId: { type: String, required: true },
+  action: { type: String, enum: ["CREATE", "UPDATE", "DELETE"] },
+  changes: [{ _id: false, path: String, before: mongoose.Schema.Types.Mixed, after: mongoose.Schema.Types.Mixed }],
+  prevHash: String,
+  hash: String
+}, { versionKey: false, minimize: false, appendOnly: true }); // keep {} values exactly as they were hashed
+auditEntrySchema.index({ entityType: 1, entityId: 1, seq: -1 });
+auditEntrySchema.index({ "actor.subject": 1, seq: -1 });
+model("AuditEntry", auditEntrySchema);
+
+// Outbound webhooks (lib/webhooks): subscriptions, the event outbox and per-subscription deliveries
+model("WebhookSubscription", new mongoose.Schema({
+  id: { type: String, unique: true },                    // WH-xxxxxxxx
+  url: { type: String, required: true },
+  eventTypes: { type: [String], default: [] },           // or ["*"]
+  secret: { type: String, required: true },              // HMAC key; only shown when created
+  status: { type: String, enum: ["ACTIVE", "DISABLED"], default: "ACTIVE", index: true },
+  description: String,
+  createdBy: String
+}, { timestamps: true }));
+
+model("OutboxEvent", new mongoose.Schema({
+  id: { type: String, unique: true },                    // EV-xxxxxxxxxxxx
+  type: { type: String, required: true, index: true },
+  data: mongoose.Schema.Types.Mixed,                     // snake_case payload sent as-is
+  requestId: String,
+  subscriptionId: String,                                // set only for test pings
+  occurredAt: { type: Date, required: true, index: true },
+  fannedOut: { type: Boolean, default: false, index: true }
+}, { timestamps: true, minimize: false }));
+
+const webhookDeliverySchema = new mongoose.Schema({
+  id: { type: String, unique: true },                      // DL-xxxxxxxxxxxx
+  eventId: { type: String, required: true },
+  subscriptionId: { type: String, required: true },
+  type: String,
+  status: { type: String, enum: ["PENDING", "DELIVERING", "DELIVERED", "DEAD"], default: "PENDING" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: Date,
+  leaseUntil: Date,
+  lastAttemptAt: Date,
+  lastStatusCode: Number,
+  lastError: String,
+  deliveredAt: Date,
+  deadAt: Date,
+  replays: { type: Number, default: 0 },
+  attemptLog: [{ _id: false, at: Date, status_code: Number, error: String, duration_ms: Number }]
+}, { timestamps: true });
+webhookDeliverySchema.index({ eventId: 1, subscriptionId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, status: 1, createdAt: -1 });
+model("WebhookDelivery", webhookDeliverySchema);
+
+// Blockchain worker queue (lib/ledgerJobs): one job per record, leased to one worker at a time
+const ledgerJobSchema = new mongoose.Schema({
+  id: { type: String, unique: true },                      // LJ-xxxxxxxxxxxx
+  type: { type: String, enum: LEDGER_JOB_TYPES, required: true },
+  recordId: { type: String, required: true },
+  hash: String,                                            // what to anchor: content hash, or a batch's Merkle root
+  state: { type: String, enum: LEDGER_JOB_STATES, default: "PENDING" },
+  attempts: { type: Number, default: 0 },                  // claims so far
+  availableAt: Date,                                       // PENDING jobs are claimable from here (retry backoff)
+  workerId: String,                                        // current or last lease holder
+  leaseId: String,                                         // LS-xxxxxxxxxxxxxxxx, while LEASED
+  leasedAt: Date,
+  leaseUntil: Date,
+  chainHash: String,                                       // on-chain reference reported on completion
+  completedAt: Date,
+  failedAt: Date,
+  lastError: String,
+  attemptLog: [{ _id: false, at: Date, worker_id: String, outcome: String, error: String }]
+}, { timestamps: true });
+ledgerJobSchema.index({ type: 1, recordId: 1 }, { unique: true });
+ledgerJobSchema.index({ type: 1, state: 1, availableAt: 1 });
+ledgerJobSchema.index({ state: 1, leaseUntil: 1 });
+model("LedgerJob", ledgerJobSchema);
+
+module.exports = { schemas };
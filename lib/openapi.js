@@ -0,0 +1,255 @@
+// lib/openapi.js — OpenAPI 3 document built from a route table, request validation against it,
+// and a self-contained docs page (no CDN, so it works on closed networks).
+//
+// Routes are keyed by Express method + path and describe themselves compactly (lib/apiSpec):
+//   "GET /species/:code": {
+//     id: "getSpecies", tag: "Species", summary, description,
+//     permission: "species:read",        // → security + x-permission/x-roles; omit for public routes
+//     auth: "ApiKey",                    // a credential without a permission (POST /auth/token)
+//     query: { lang: { type: "string", required: false, description } },
+//     list: true,                        // shared list parameters (lib/listQuery); filter fields come from mount()
+//     filters: true,                     // list filter fields only (no paging), e.g. map layers
+//     body: schema, bodyTypes: ["application/json"],  // only JSON bodies are validated
+//     bodyCheck: schema,                 // validate against this instead of `body` (bulk endpoints
+//                                        // that report per-item errors themselves)
+//     responses: { 200: schema | "description" | { description, schema, mediaType } },
+//     errors: [409, 422]                 // 400/401/403/404 are added from the route's shape
+//   }
+// Path parameters are read from the path. validate() checks path, query and body before the
+// handler runs; query values are only checked, handlers still see the strings they always did.
+const { validate: validateSchema, coerce, resolve } = require("./schema");
+
+const ERROR_RESPONSES = {
+  400: ["BadRequest", "Invalid parameters or body. VALIDATION_ERROR responses list every problem in `errors`."],
+  401: ["Unauthenticated", "Missing, invalid, expired or revoked credentials"],
+  403: ["Forbidden", "The caller's role lacks the route's permission"],
+  404: ["NotFound", "No such resource (or not visible to the caller)"],
+  409: ["Conflict", "The resource is not in a state that allows this request"],
+  410: ["Gone", "The resource existed but its content is no longer available"],
+  413: ["PayloadTooLarge", "Request body over the size limit"],
+  415: ["UnsupportedMediaType", "Content-Type not accepted by this route"],
+  422: ["Unprocessable", "Well-formed, but refers to something that cannot be used (e.g. an unregistered species)"],
+  500: ["InternalError", "Unexpected server error; quote request_id when reporting it"],
+  501: ["NotImplemented", "The feature is not configured on this server"],
+  503: ["Unavailable", "A service the route depends on (e.g. the species classifier) failed; try again later"]
+};
+const STATUS_TEXT = { 200: "OK", 201: "Created", 202: "Accepted" };
+
+const toOpenApiPath = (p) => p.replace(/:(\w+)/g, "{$1}");
+const pathParamNames = (p) => [...p.matchAll(/:(\w+)/g)].map(m => m[1]);
+const routeKey = (method, path) => `${method === "HEAD" ? "GET" : method} ${path}`;
+const isJson = (types) => types.some(t => /json/.test(t));
+
+// route-table entry → [{ name, in, required, description, schema }]
+const parametersOf = (path, r, listParameters) => [
+  ...pathParamNames(path).map(name => ({ name, in: "path", required: true, schema: { type: "string" } })),
+  ...Object.entries({ ...(r.list ? listParameters : {}), ...(r.query || {}) }).map(([name, { required, description, deprecated, ...schema }]) => ({
+    name, in: "query", required: !!required, ...(description ? { description } : {}), ...(deprecated ? { deprecated } : {}), schema
+  }))
+];
+
+const createOpenApi = ({ info, servers = [], tags = [], schemas = {}, routes, permissions = {}, listParameters = {} }) => {
+  const root = { components: { schemas } };
+  const operations = new Map(Object.entries(routes).map(([key, r]) => {
+    const [, path] = key.split(" ");
+    return [key, {
+      ...r,
+      bodyTypes: r.bodyTypes || ["application/json"],
+      parameters: parametersOf(path, r, listParameters)
+    }];
+  }));
+
+  // → [{ in, field, code, message }]
+  const checkRequest = (op, req) => {
+    const errors = [];
+    for (const p of op.parameters) {
+      const raw = p.in === "path" ? req.params[p.name] : req.query[p.name];
+      if (raw === undefined || raw === "") {
+        if (p.required) errors.push({ in: p.in, field: p.name, code: "REQUIRED", message: `${p.name} is required` });
+        continue;
+      }
+      // name[op]=v filters are list fields (checked by lib/listQuery), never declared parameters.
+      // A declared parameter takes a plain value: handlers copy some into database filters, where
+      // an object (?actor[$ne]=x) would act as an operator.
+      if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+        errors.push({ in: p.in, field: p.name, code: "INVALID_TYPE", message: `${p.name} must be a single value, not ${p.name}[...]` });
+        continue;
+      }
+      const value = Array.isArray(raw) && p.schema.type !== "array" ? raw : coerce(p.schema, raw, root);
+      for (const e of validateSchema(p.schema, value, { root, path: p.name })) errors.push({ in: p.in, ...e });
+    }
+    if ((op.bodyCheck || op.body) && isJson(op.bodyTypes)) {
+      for (const e of validateSchema(op.bodyCheck || op.body, req.body ?? {}, { root })) errors.push({ in: "body", ...e });
+    }
+    return errors;
+  };
+
+  // Route middleware: 400 VALIDATION_ERROR listing every problem, or on to the handler
+  const validate = (req, res, next) => {
+    const op = operations.get(routeKey(req.method, req.route?.path));
+    if (!op) return next();
+    const errors = checkRequest(op, req);
+    if (!errors.length) return next();
+    return res.status(400).json({
+      error: "VALIDATION_ERROR",
+      message: errors[0].message + (errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""),
+      field: errors[0].field,
+      errors
+    });
+  };
+
+  // Checks a value against a component schema outside a route (e.g. each item of a bulk body)
+  const check = (name, value, path = "") => validateSchema({ $ref: `#/components/schemas/${name}` }, value, { root, path });
+
+  // Parameter and top-level body field names of the request's route (lib/errors matches messages against them)
+  const propertiesOf = (schema) => {
+    const s = resolve(schema, root);
+    return [...Object.keys(s.properties || {}), ...(s.allOf || []).flatMap(propertiesOf)];
+  };
+  const fieldsFor = (req) => {
+    const op = req.route && operations.get(routeKey(req.method, req.route.path));
+    if (!op) return [];
+    return [...op.parameters.map(p => p.name), ...(op.body && isJson(op.bodyTypes) ? propertiesOf(op.body) : [])];
+  };
+
+  const responseOf = (status, entry) => {
+    if (entry === undefined || typeof entry === "string") return { description: entry || STATUS_TEXT[status] || "OK" };
+    const explicit = entry.schema !== undefined || entry.mediaType !== undefined || (!entry.$ref && !entry.type && !entry.oneOf);
+    const { description, schema, mediaType = "application/json" } = explicit ? entry : { schema: entry };
+    return {
+      description: description || STATUS_TEXT[status] || "OK",
+      ...(schema || mediaType !== "application/json" ? { content: { [mediaType]: { schema: schema || {} } } } : {})
+    };
+  };
+
+  // lists: { "GET /species": <defineList result> } adds each list's filter fields as parameters
+  const document = (lists = {}) => {
+    const paths = {};
+    for (const [key, op] of operations) {
+      const [method, path] = key.split(" ");
+      const filters = lists[key] ? Object.entries(lists[key].fields)
+        .filter(([name]) => !op.parameters.some(p => p.name === name))
+        .map(([name, f]) => ({
+          name, in: "query", required: false,
+          description: `Filter on ${name}: ${name}=v, or ${name}[op]=v${f.sort ? " (sortable)" : ""}`,
+          schema: { type: f.type === "date" ? "string" : f.type, ...(f.type === "date" ? { format: "date-time" } : {}) }
+        })) : [];
+      const errorStatuses = new Set([
+        ...(op.parameters.length || op.body ? [400] : []),
+        ...(op.permission || op.auth ? [401] : []),
+        ...(op.permission ? [403] : []),
+        ...(op.parameters.some(p => p.in === "path") ? [404] : []),
+        ...(op.errors || [])
+      ]);
+      const responses = Object.fromEntries(Object.entries(op.responses || { 200: undefined }).map(([s, e]) => [s, responseOf(Number(s), e)]));
+      for (const s of [...errorStatuses].sort()) responses[s] = { $ref: `#/components/responses/${ERROR_RESPONSES[s][0]}` };
+
+      (paths[toOpenApiPath(path)] ||= {})[method.toLowerCase()] = {
+        operationId: op.id,
+        tags: op.tag ? [op.tag] : undefined,
+        summary: op.summary,
+        ...(op.description ? { description: op.description } : {}),
+        security: op.permission ? [{ ApiKey: [] }, { Bearer: [] }] : op.auth ? [{ [op.auth]: [] }] : [],
+        ...(op.permission ? { "x-permission": op.permission, "x-roles": permissions[op.permission] || [] } : {}),
+        parameters: [...op.parameters, ...filters],
+        ...(op.body ? {
+          requestBody: {
+            required: op.bodyRequired !== false,
+            content: Object.fromEntries(op.bodyTypes.map(t => [t, { schema: isJson([t]) ? op.body : { type: "string", format: "binary" } }]))
+          }
+        } : {}),
+        responses
+      };
+    }
+    return {
+      openapi: "3.0.3",
+      info,
+      servers,
+      tags,
+      paths,
+      components: {
+        securitySchemes: {
+          ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+          Bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "From POST /auth/token" }
+        },
+        schemas,
+        responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+          description,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+        }]))
+      }
+    };
+  };
+
+  // Serves the document and docs page, and names routes missing from the table (either way)
+  const mount = (app, { lists = {}, specPath = "/openapi.json", docsPath = "/docs", middleware = [] } = {}) => {
+    let cached;
+    app.get(specPath, ...middleware, (_req, res) => res.json(cached ||= document(lists)));
+    app.get(docsPath, ...middleware, (_req, res) => res.type("html").send(docsPage({ title: info.title, specUrl: specPath })));
+    const registered = new Set(app._router.stack.filter(l => l.route).flatMap(l =>
+      Object.keys(l.route.methods).filter(m => m !== "_all" && m !== "options").map(m => routeKey(m.toUpperCase(), l.route.path))));
+    const undocumented = [...registered].filter(k => !operations.has(k));
+    const stale = [...operations.keys()].filter(k => !registered.has(k));
+    if (undocumented.length) console.warn(`openapi: routes missing from the API spec: ${undocumented.join(", ")}`);
+    if (stale.length) console.warn(`openapi: spec lists routes that are not registered: ${stale.join(", ")}`);
+  };
+
+  return { validate, check, fieldsFor, document, mount, operation: (method, path) => operations.get(routeKey(method, path)) };
+};
+
+// A small browsable reference: operations grouped by tag, with parameters, bodies, responses and
+// the schemas they point at. Reads the document from specUrl at load.
+const docsPage = ({ title, specUrl }) => `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${String(title).replace(/[<&]/g, "")} — API reference</title>
+<style>
+body{font:14px/1.5 system-ui,sans-serif;margin:0;color:#1d2125;background:#f7f8fa}
+header{background:#1f4d3a;color:#fff;padding:16px 24px}header a{color:#cfe8d9}
+main{max-width:1100px;margin:0 auto;padding:16px 24px}
+h2{margin:28px 0 8px;border-bottom:1px solid #d0d5da;padding-bottom:4px}
+details{background:#fff;border:1px solid #d0d5da;border-radius:6px;margin:6px 0}
+summary{cursor:pointer;padding:8px 12px;display:flex;gap:12px;align-items:baseline}
+.m{font:bold 12px monospace;min-width:56px;text-align:center;border-radius:4px;padding:2px 6px;color:#fff}
+.get{background:#2f6fb3}.post{background:#2e8b57}.patch{background:#b7791f}.delete{background:#c0392b}
+code,pre{font-family:ui-monospace,monospace;font-size:12px}pre{background:#f0f2f4;padding:8px;overflow:auto;border-radius:4px}
+.body{padding:0 16px 12px}.tag{font-size:12px;color:#5b6670}table{border-collapse:collapse;width:100%}
+td,th{border-top:1px solid #e3e6e9;padding:4px 6px;text-align:left;vertical-align:top}
+#q{width:100%;padding:8px;font-size:14px;margin:8px 0;box-sizing:border-box}
+</style></head><body>
+<header><strong>${String(title).replace(/[<&]/g, "")}</strong> — <span id="v"></span> · <a href="${specUrl}">${specUrl}</a></header>
+<main><input id="q" placeholder="Filter by path, summary or permission"><div id="ops">Loading…</div><h2>Schemas</h2><div id="schemas"></div></main>
+<script>
+const esc = (s) => String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const json = (v) => "<pre>" + esc(JSON.stringify(v, null, 2)) + "</pre>";
+const refName = (s) => s && s.$ref ? s.$ref.split("/").pop() : null;
+const schemaLink = (s) => refName(s) ? '<a href="#schema-' + refName(s) + '">' + refName(s) + "</a>" : json(s);
+fetch(${JSON.stringify(specUrl)}).then(r => r.json()).then(doc => {
+  document.getElementById("v").textContent = "v" + doc.info.version;
+  const byTag = {};
+  for (const [path, ops] of Object.entries(doc.paths)) for (const [method, op] of Object.entries(ops)) {
+    (byTag[(op.tags || ["Other"])[0]] ||= []).push({ path, method, op });
+  }
+  const render = (filter) => Object.entries(byTag).map(([tag, list]) => {
+    const shown = list.filter(({ path, op }) => !filter || (path + " " + op.summary + " " + (op["x-permission"] || "")).toLowerCase().includes(filter));
+    if (!shown.length) return "";
+    return "<h2>" + esc(tag) + "</h2>" + shown.map(({ path, method, op }) => {
+      const params = (op.parameters || []).map(p => "<tr><td><code>" + esc(p.name) + "</code>" + (p.required ? " *" : "") + "</td><td>" + esc(p.in) + "</td><td><code>" + esc(p.schema.type || refName(p.schema) || "") + (p.schema.enum ? " " + esc(p.schema.enum.join(" | ")) : "") + "</code></td><td>" + esc(p.description) + "</td></tr>").join("");
+      const body = op.requestBody ? Object.entries(op.requestBody.content).map(([t, c]) => "<p><b>Body</b> <code>" + esc(t) + "</code></p>" + schemaLink(c.schema)).join("") : "";
+      const responses = Object.entries(op.responses).map(([s, r]) => "<tr><td>" + s + "</td><td>" + (r.$ref ? '<a href="#schema-Error">Error</a> (' + esc(refName(r)) + ")" : esc(r.description) + (r.content ? " " + Object.entries(r.content).map(([t, c]) => "<code>" + esc(t) + "</code> " + (refName(c.schema) ? schemaLink(c.schema) : "")).join(" ") : "")) + "</td></tr>").join("");
+      const access = op["x-roles"] ? "Permission <code>" + esc(op["x-permission"]) + "</code>: " + esc(op["x-roles"].join(", ")) : op.security && op.security.length ? "Credentials required" : "Public";
+      return '<details><summary><span class="m ' + method + '">' + method.toUpperCase() + "</span><code>" + esc(path) + "</code><span>" + esc(op.summary) + '</span></summary><div class="body">' +
+        (op.description ? "<p>" + esc(op.description) + "</p>" : "") + '<p class="tag">' + access + " · operationId <code>" + esc(op.operationId) + "</code></p>" +
+        (params ? "<table><tr><th>Parameter</th><th>In</th><th>Type</th><th></th></tr>" + params + "</table>" : "") + body +
+        "<p><b>Responses</b></p><table>" + responses + "</table></div></details>";
+    }).join("");
+  }).join("");
+  const ops = document.getElementById("ops");
+  ops.innerHTML = render("");
+  document.getElementById("q").addEventListener("input", (e) => { ops.innerHTML = render(e.target.value.trim().toLowerCase()); });
+  document.getElementById("schemas").innerHTML = Object.entries(doc.components.schemas).map(([name, s]) =>
+    '<details id="schema-' + esc(name) + '"><summary><code>' + esc(name) + "</code><span>" + esc(s.description) + '</span></summary><div class="body">' + json(s) + "</div></details>").join("");
+  if (location.hash) document.querySelector(location.hash)?.setAttribute("open", "");
+}).catch(e => { document.getElementById("ops").textContent = "Could not load ${specUrl}: " + e.message; });
+</script></body></html>`;
+
+module.exports = { createOpenApi, docsPage, toOpenApiPath, ERROR_RESPONSES };
@@ -0,0 +1,97 @@
+// lib/qr.js — self-hosted batch QR codes with an optional signed token
+// The QR encodes the consumer page URL for a batch. With signing enabled the URL carries
+// ?t=<token>, a short signature over the batch id that GET /verify-qr can check, so a code
+// pointing at a made-up batch or a look-alike site can be told apart from one we issued.
+//
+// Token: "<alg>.<base64url(batchId)>.<base64url(signature)>"
+//   h1 → HMAC-SHA256 (QR_SIGNING_SECRET), truncated to 16 bytes to keep the code small
+//   e1 → Ed25519 (QR_SIGNING_KEY, PKCS#8 PEM), verifiable offline with the public key
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+const ERROR_CORRECTION = ["L", "M", "Q", "H"];
+const FORMATS = { png: "image/png", svg: "image/svg+xml" };
+
+const DEFAULTS = {
+  baseUrl: process.env.QR_BASE_URL || "https://ayurtracefront.netlify.app",
+  size: Number(process.env.QR_DEFAULT_SIZE || 256),
+  maxSize: Number(process.env.QR_MAX_SIZE || 2048),
+  errorCorrection: (process.env.QR_ERROR_CORRECTION || "M").toUpperCase(),
+  margin: Number(process.env.QR_MARGIN || 2)
+};
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const signedText = (batchId) => Buffer.from(`qr:v1:${batchId}`);
+
+// → signer { alg, sign(batchId), verify(token), publicKeyPem } or null when signing is off
+const createQrSigner = ({
+  secret = process.env.QR_SIGNING_SECRET,
+  privateKeyPem = process.env.QR_SIGNING_KEY
+} = {}) => {
+  if (privateKeyPem) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem.replace(/\\n/g, "\n"));
+    if (privateKey.asymmetricKeyType !== "ed25519") throw new Error("QR_SIGNING_KEY must be an Ed25519 private key");
+    const publicKey = crypto.createPublicKey(privateKey);
+    return {
+      alg: "e1",
+      sign: (batchId) => `e1.${b64url(batchId)}.${b64url(crypto.sign(null, signedText(batchId), privateKey))}`,
+      check: (batchId, sig) => crypto.verify(null, signedText(batchId), publicKey, sig),
+      publicKeyPem: publicKey.export({ type: "spki", format: "pem" })
+    };
+  }
+  if (secret) {
+    const mac = (batchId) => crypto.createHmac("sha256", secret).update(signedText(batchId)).digest().subarray(0, 16);
+    return {
+      alg: "h1",
+      sign: (batchId) => `h1.${b64url(batchId)}.${b64url(mac(batchId))}`,
+      check: (batchId, sig) => sig.length === 16 && crypto.timingSafeEqual(mac(batchId), sig),
+      publicKeyPem: null
+    };
+  }
+  return null;
+};
+
+// → { valid: true, batchId, alg } | { valid: false, reason }
+const verifyToken = (signer, token) => {
+  if (!signer) return { valid: false, reason: "SIGNING_NOT_CONFIGURED" };
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { valid: false, reason: "MALFORMED_TOKEN" };
+  const [alg, idPart, sigPart] = parts;
+  if (alg !== signer.alg) return { valid: false, reason: "UNKNOWN_ALGORITHM" };
+  const batchId = Buffer.from(idPart, "base64url").toString("utf8");
+  if (!batchId) return { valid: false, reason: "MALFORMED_TOKEN" };
+  let ok = false;
+  try {
+    ok = signer.check(batchId, Buffer.from(sigPart, "base64url"));
+  } catch (_) {
+    ok = false;
+  }
+  return ok ? { valid: true, batchId, alg } : { valid: false, reason: "BAD_SIGNATURE" };
+};
+
+// Validates query options → { options } or { error }
+const parseOptions = (query = {}, defaults = DEFAULTS) => {
+  const format = String(query.format || "png").toLowerCase();
+  if (!FORMATS[format]) return { error: `format must be one of ${Object.keys(FORMATS).join(", ")}` };
+  const size = query.size === undefined ? defaults.size : Number(query.size);
+  if (!Number.isInteger(size) || size < 64 || size > defaults.maxSize) {
+    return { error: `size must be an integer between 64 and ${defaults.maxSize}` };
+  }
+  const errorCorrection = String(query.ecl || defaults.errorCorrection).toUpperCase();
+  if (!ERROR_CORRECTION.includes(errorCorrection)) return { error: `ecl must be one of ${ERROR_CORRECTION.join(", ")}` };
+  return { options: { format, size, errorCorrection, margin: defaults.margin } };
+};
+
+const targetUrl = (batchId, token, baseUrl = DEFAULTS.baseUrl) =>
+  `${baseUrl.replace(/\/+$/, "")}/${encodeURIComponent(batchId)}` + (token ? `?t=${token}` : "");
+
+// → { contentType, body }
+const renderQr = async (text, { format, size, errorCorrection, margin }) => {
+  const opts = { width: size, errorCorrectionLevel: errorCorrection, margin };
+  const body = format === "svg"
+    ? await QRCode.toString(text, { ...opts, type: "svg" })
+    : await QRCode.toBuffer(text, { ...opts, type: "png" });
+  return { contentType: FORMATS[format], body };
+};
+
+module.exports = { createQrSigner, verifyToken, parseOptions, targetUrl, renderQr, ERROR_CORRECTION, FORMATS, DEFAULTS };
@@ -0,0 +1,161 @@
+// lib/quotas.js — sustainable harvest quotas
+// A quota caps the kilograms of one species collected over a season (YYYY-MM-DD, inclusive),
+// optionally narrowed to one harvest zone and/or one collector. Every quota an event falls
+// under is charged atomically on Quota.usedKg; going over the cap FLAGs or REJECTs the event.
+// Species whose IUCN category is in QUOTA_STRICT_IUCN are held to tighter rules: quantity
+// and an admin-set quota are mandatory, and every cap is enforced as REJECT.
+const { SEVERITY } = require("./harvestRules");
+
+const UNITS = { kg: 1, g: 0.001, t: 1000, q: 100, lb: 0.45359237 }; // q = quintal (100 kg)
+const ON_EXCEED = ["FLAG", "REJECT"];
+const STATUSES = ["ACTIVE", "RETIRED"];
+const STRICT_IUCN = (process.env.QUOTA_STRICT_IUCN || "VU,EN,CR").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EPSILON_KG = 1e-6; // float slack when comparing summed kilograms
+
+const violation = (code, severity, message, detail = {}) => ({ code, severity, message, ...detail });
+const roundKg = (kg) => Math.round(kg * 1000) / 1000;
+
+// (value, unit) → { kg } or { error }; gram precision
+const toKg = (value, unit = "kg") => {
+  const factor = UNITS[String(unit).toLowerCase()];
+  if (!factor) return { error: `unit must be one of ${Object.keys(UNITS).join(", ")}` };
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) return { error: "quantity must be a positive number" };
+  return { kg: roundKg(value * factor) };
+};
+
+const isStrict = (species, strictIucn = STRICT_IUCN) => strictIucn.includes(species?.conservation?.iucn);
+
+// input (snake_case request body) → { value } or { errors }; partial=true for PATCH
+const validateQuota = (input, { partial = false } = {}) => {
+  const p = input || {};
+  const errors = [];
+  const value = {};
+  if (!partial) {
+    if (!p.species || typeof p.species !== "string") errors.push("species (scientific name) required");
+    else value.scientificName = p.species;
+    if (p.zone_id !== undefined && p.zone_id !== null) value.zoneId = String(p.zone_id);
+    if (p.collector_id !== undefined && p.collector_id !== null) value.collectorId = String(p.collector_id);
+    if (!DATE_RE.test(p.season_from || "") || !DATE_RE.test(p.season_to || "") || isNaN(Date.parse(p.season_from)) || isNaN(Date.parse(p.season_to))) {
+      errors.push("season_from and season_to must be YYYY-MM-DD");
+    } else if (p.season_to < p.season_from) {
+      errors.push("season_to must not be before season_from");
+    } else Object.assign(value, { seasonFrom: p.season_from, seasonTo: p.season_to });
+  }
+  if (!partial || p.cap !== undefined) {
+    const cap = toKg(p.cap, p.unit);
+    if (cap.error) errors.push(cap.error.replace(/^quantity/, "cap"));
+    else value.capKg = cap.kg;
+  }
+  if (p.on_exceed !== undefined) {
+    const mode = String(p.on_exceed).toUpperCase();
+    if (!ON_EXCEED.includes(mode)) errors.push(`on_exceed must be one of ${ON_EXCEED.join(", ")}`);
+    else value.onExceed = mode;
+  }
+  if (p.status !== undefined) {
+    const st = String(p.status).toUpperCase();
+    if (!STATUSES.includes(st)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+    else value.status = st;
+  }
+  if (p.notes !== undefined) value.notes = String(p.notes);
+  return errors.length ? { errors } : { value };
+};
+
+const createQuotaService = ({ Quota, CollectionEvent, strictIucn = STRICT_IUCN }) => {
+  const enforcement = (quota, species) => (isStrict(species, strictIucn) ? "REJECT" : quota.onExceed || "FLAG");
+
+  // Active quotas covering an event (species, UTC day, zone, collector)
+  const applicable = (ev) => {
+    const day = ev.timestampUtc.toISOString().slice(0, 10);
+    return Quota.find({
+      scientificName: ev.scientificName,
+      status: "ACTIVE",
+      seasonFrom: { $lte: day },
+      seasonTo: { $gte: day },
+      zoneId: { $in: [null, ev.zoneId || null] },
+      collectorId: { $in: [null, ev.collectorId] }
+    }, null, { sort: { id: 1 } });
+  };
+
+  const release = (reservations) =>
+    Promise.all(reservations.map(r => Quota.updateOne({ id: r.quotaId }, { $inc: { usedKg: -r.kg } })));
+
+  const exceeded = (quota, usedBefore, capKg, kg, severity) => violation("QUOTA_EXCEEDED", severity,
+    `${kg} kg brings quota ${quota.id} to ${roundKg(usedBefore + kg)} of ${capKg} kg`,
+    { quota_id: quota.id, cap_kg: capKg, used_kg: roundKg(usedBefore), requested_kg: kg });
+
+  // ev: { scientificName, collectorId, zoneId, timestampUtc, quantityKg } → { violations, reservations }.
+  // Reservations are already counted; release() them if the event ends up not stored.
+  const reserve = async (ev, species) => {
+    const strict = isStrict(species, strictIucn);
+    const quotas = await applicable(ev);
+    if (!quotas.length) {
+      return {
+        violations: strict ? [violation("QUOTA_REQUIRED", SEVERITY.REJECT,
+          `${ev.scientificName} is threatened (IUCN ${species.conservation.iucn}); it can only be collected under an active quota`)] : [],
+        reservations: []
+      };
+    }
+    const kg = ev.quantityKg;
+    if (typeof kg !== "number") {
+      return {
+        violations: [violation("QUANTITY_REQUIRED", strict ? SEVERITY.REJECT : SEVERITY.FLAG,
+          "quantity is required for species under a harvest quota", { quota_ids: quotas.map(q => q.id) })],
+        reservations: []
+      };
+    }
+    const violations = [];
+    const reservations = [];
+    for (const quota of quotas) {
+      const mode = enforcement(quota, species);
+      // REJECT: only charge if it still fits; FLAG: always charge, then compare
+      const filter = mode === "REJECT"
+        ? { id: quota.id, $expr: { $lte: [{ $add: ["$usedKg", kg] }, { $add: ["$capKg", EPSILON_KG] }] } }
+        : { id: quota.id };
+      const after = await Quota.findOneAndUpdate(filter, { $inc: { usedKg: kg } }, { new: true, projection: { usedKg: 1, capKg: 1 } });
+      if (!after) {
+        const current = await Quota.findOne({ id: quota.id }, { usedKg: 1, capKg: 1 });
+        await release(reservations);
+        return { violations: [exceeded(quota, current?.usedKg || 0, current?.capKg ?? quota.capKg, kg, SEVERITY.REJECT)], reservations: [] };
+      }
+      reservations.push({ quotaId: quota.id, kg });
+      if (after.usedKg > after.capKg + EPSILON_KG) violations.push(exceeded(quota, after.usedKg - kg, after.capKg, kg, SEVERITY.FLAG));
+    }
+    return { violations, reservations };
+  };
+
+  // Consumption recomputed from stored events (the counter is only the fast path)
+  const usage = async (quota) => {
+    const match = {
+      scientificName: quota.scientificName,
+      status: { $ne: "REJECTED" },
+      timestampUtc: { $gte: new Date(`${quota.seasonFrom}T00:00:00Z`), $lt: new Date(Date.parse(`${quota.seasonTo}T00:00:00Z`) + 86400000) }
+    };
+    if (quota.zoneId) match.zoneId = quota.zoneId;
+    if (quota.collectorId) match.collectorId = quota.collectorId;
+    const rows = await CollectionEvent.aggregate([
+      { $match: match },
+      { $group: {
+        _id: "$collectorId",
+        kg: { $sum: { $cond: [{ $isNumber: "$quantityKg" }, "$quantityKg", 0] } },
+        events: { $sum: 1 },
+        flagged: { $sum: { $cond: [{ $eq: ["$status", "FLAGGED"] }, 1, 0] } },
+        unmeasured: { $sum: { $cond: [{ $isNumber: "$quantityKg" }, 0, 1] } }
+      } },
+      { $sort: { kg: -1, _id: 1 } }
+    ]);
+    const sum = (k) => rows.reduce((acc, r) => acc + r[k], 0);
+    return {
+      usedKg: roundKg(sum("kg")),
+      eventCount: sum("events"),
+      flaggedCount: sum("flagged"),
+      unmeasuredCount: sum("unmeasured"),
+      byCollector: rows.map(r => ({ collectorId: r._id, usedKg: roundKg(r.kg), eventCount: r.events }))
+    };
+  };
+
+  return { applicable, enforcement, reserve, release, usage, isStrict: (species) => isStrict(species, strictIucn) };
+};
+
+module.exports = { createQuotaService, validateQuota, toKg, isStrict, roundKg, UNITS, ON_EXCEED, STRICT_IUCN };
@@ -0,0 +1,130 @@
+// lib/recalls.js — recall workflow
+// A recall targets explicit batches or a species + date range, moves
+// INVESTIGATING → ACTIVE → RESOLVED (or INVESTIGATING → RESOLVED when dismissed),
+// and is propagated to every batch downstream of the affected material.
+const crypto = require("crypto");
+
+const STATES = ["INVESTIGATING", "ACTIVE", "RESOLVED"];
+const SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const OPEN_STATES = ["INVESTIGATING", "ACTIVE"];
+const TRANSITIONS = {
+  INVESTIGATING: ["ACTIVE", "RESOLVED"],
+  ACTIVE: ["RESOLVED"],
+  RESOLVED: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const defaultNotice = ({ severity, reason }) =>
+  `Product recall (${severity.toLowerCase()} severity): ${reason}. Do not consume; return to the point of sale.`;
+
+// Lab failures that open a recall on their own
+const AUTO_RULES = [
+  { source: "PESTICIDE", state: "ACTIVE", severity: "HIGH", reason: "Pesticide residue test failed",
+    match: (lt) => lt.pesticidePass === false || (lt.failures || []).some(f => f.category === "PESTICIDE") },
+  { source: "LAB_GATE", match: (lt) => lt.gate === "FAIL", state: "INVESTIGATING", severity: "MEDIUM",
+    reason: "Lab quality gate failed" }
+];
+
+// expandDownstream(batchIds) → every batch id containing material from batchIds (inclusive)
+const createRecallService = ({
+  Recall,
+  Batch,
+  expandDownstream = async (ids) => ids,
+  autoRecall = process.env.AUTO_RECALL !== "false",
+  // (entityType, Model, filter, update) → updated doc | null; the app passes its audited update
+  update = (_type, Model, filter, u) => Model.findOneAndUpdate(filter, u, { new: true })
+}) => {
+  const seedBatches = async (scope) => {
+    if (scope.batchIds?.length) {
+      const found = await Batch.find({ id: { $in: scope.batchIds } }, { id: 1 });
+      return found.map(b => b.id);
+    }
+    // Species/date scopes name harvested material: match source batches only, by harvest date.
+    // Lots derived from them are reached through expandDownstream, whatever date they were made.
+    const q = { scientificName: scope.scientificName, "parents.batchId": { $exists: false } };
+    if (scope.from || scope.to) q.dateUtc = {};
+    if (scope.from) q.dateUtc.$gte = scope.from;
+    if (scope.to) q.dateUtc.$lte = scope.to;
+    const found = await Batch.find(q, { id: 1 });
+    return found.map(b => b.id);
+  };
+
+  const propagate = async (scope) => [...new Set(await expandDownstream(await seedBatches(scope)))];
+
+  const open = async ({ scope, reason, severity, state = "INVESTIGATING", notice, actor, source = "MANUAL", labTestId }) => {
+    const affectedBatchIds = await propagate(scope);
+    const now = new Date();
+    const doc = await Recall.create({
+      id: "RC-" + crypto.randomBytes(4).toString("hex"),
+      scope,
+      reason,
+      severity,
+      state,
+      notice: notice || defaultNotice({ severity, reason }),
+      source,
+      labTestId,
+      openedBy: actor,
+      affectedBatchIds,
+      history: [{ from: null, to: state, actor, at: now }]
+    });
+    return doc;
+  };
+
+  // Re-propagates on every move so batches derived since opening are covered
+  const transition = async (recall, to, { actor, note } = {}) => {
+    const affectedBatchIds = to === "RESOLVED" ? recall.affectedBatchIds : await propagate(recall.scope);
+    return update("Recall", Recall,
+      { id: recall.id, state: recall.state },
+      {
+        $set: { state: to, affectedBatchIds, ...(to === "RESOLVED" ? { resolvedAt: new Date() } : {}) },
+        $push: { history: { from: recall.state, to, actor, note, at: new Date() } }
+      }
+    );
+  };
+
+  // A source batch's harvest date falls within a species/date-range scope
+  const inScope = (scope, b) => !!scope?.scientificName && scope.scientificName === b.scientificName &&
+    (!scope.from || scope.from <= b.dateUtc) && (!scope.to || scope.to >= b.dateUtc);
+
+  // Open recalls touching a batch: listed explicitly (on it or upstream of it), or with a
+  // species/date-range scope matching one of its source batches. upstream is the batch's
+  // lineage (inclusive); a derived lot's own dateUtc is when it was made, not harvested.
+  const openRecallsFor = async (batch, upstream = [batch]) => {
+    const ids = upstream.map(b => b.id);
+    const sources = upstream.filter(b => !b.parents?.length);
+    const candidates = await Recall.find({
+      state: { $in: OPEN_STATES },
+      $or: [
+        { affectedBatchIds: { $in: ids } },
+        { "scope.scientificName": { $in: [...new Set(sources.map(b => b.scientificName))] } }
+      ]
+    }, null, { sort: { createdAt: -1 } });
+    return candidates.filter(r =>
+      (r.affectedBatchIds || []).some(id => ids.includes(id)) || sources.some(b => inScope(r.scope, b)));
+  };
+
+  // Called after a lab test is stored; at most one open auto-recall per batch and source
+  const autoFromLabTest = async (labTest, actor) => {
+    if (!autoRecall) return null;
+    const rule = AUTO_RULES.find(r => r.match(labTest));
+    if (!rule) return null;
+    const existing = await Recall.findOne({
+      "scope.batchIds": labTest.batchId, source: rule.source, state: { $in: OPEN_STATES }
+    });
+    if (existing) return existing;
+    return open({
+      scope: { batchIds: [labTest.batchId] },
+      reason: `${rule.reason} (lab test ${labTest.id})`,
+      severity: rule.severity,
+      state: rule.state,
+      actor,
+      source: rule.source,
+      labTestId: labTest.id
+    });
+  };
+
+  return { open, transition, openRecallsFor, autoFromLabTest, propagate };
+};
+
+module.exports = { createRecallService, STATES, SEVERITIES, OPEN_STATES, canTransition, defaultNotice };
@@ -0,0 +1,52 @@
+// lib/repository/index.js — data access driver registry
+// Every model in lib/models gets a repository with the same interface on either driver:
+//   modelName, collectionName               collectionName is what $lookup's `from` expects
+//   build(fields)                           → document with defaults and _id, not stored
+//   validate(doc)                           → Mongoose ValidationError | null
+//   create(doc)                             → stored document; duplicate keys throw { code: 11000 }
+//   find(filter, projection?, { sort, skip, limit }?) → documents
+//   findOne(filter, projection?, { sort }?) → document | null
+//   countDocuments(filter), exists(filter)  → number, { _id } | null
+//   updateOne / updateMany(filter, update, { upsert }?) → { matchedCount, modifiedCount, upsertedCount, upsertedId }
+//   findOneAndUpdate(filter, update, { new, upsert, projection, sort }?) → document | null
+//   deleteOne / deleteMany(filter)          → { deletedCount }
+//   bulkWrite(ops, { ordered }?)            → { insertedCount, matchedCount, modifiedCount, upsertedCount, upsertedIds }
+//                                             failures throw with writeErrors [{ index, code, errmsg }]
+//   aggregate(pipeline)                     → documents
+//   syncIndexes()                           → names of dropped indexes; drops indexes the schema no
+//                                             longer declares (or declares differently), builds the rest
+// Documents are plain objects; filters, updates, projections and pipelines are MongoDB's.
+// DB_DRIVER=mongo (default) needs a connected mongoose; DB_DRIVER=memory needs nothing.
+const { createMongoRepositories } = require("./mongo");
+const { createMemoryRepositories } = require("./memory");
+const { schemas } = require("../models");
+
+const DRIVERS = {
+  mongo: createMongoRepositories,
+  memory: createMemoryRepositories
+};
+
+const WRITES = ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany"];
+
+// Schemas with { appendOnly: true } (the audit log) accept inserts only, whatever the driver
+const appendOnly = (name, repo) => ({
+  ...repo,
+  ...Object.fromEntries(WRITES.map(op => [op, async () => { throw new Error(`${name} is append-only (${op} refused)`); }])),
+  bulkWrite: async (ops, options) => {
+    const refused = ops.find(op => !op.insertOne);
+    if (refused) throw new Error(`${name} is append-only (bulkWrite ${Object.keys(refused)[0]} refused)`);
+    return repo.bulkWrite(ops, options);
+  }
+});
+
+const createRepositories = (name = process.env.DB_DRIVER || "mongo", options = {}) => {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown DB_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  const repos = factory({ schemas, ...options });
+  for (const [model, schema] of Object.entries(schemas)) {
+    if (schema.options.appendOnly) repos[model] = appendOnly(model, repos[model]);
+  }
+  return { driver: name, ...repos };
+};
+
+module.exports = { createRepositories, DRIVERS };
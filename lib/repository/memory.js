@@ -0,0 +1,186 @@
+// lib/repository/memory.js — in-process driver: each collection is an array of documents
+// For local development and tests; nothing survives a restart. Documents go through the same
+// Mongoose schemas as the mongo driver (on a connection that is never opened), so they get the
+// same defaults, casting, validation and timestamps, and unique indexes are enforced. Every
+// operation runs synchronously inside one call, so each is atomic like a single-document write.
+const mongoose = require("mongoose");
+const q = require("./query");
+
+const duplicateKey = (collection, keys, doc) => {
+  const keyValue = Object.fromEntries(Object.keys(keys).map(k => [k, q.getPath(doc, k) ?? null]));
+  const index = Object.entries(keys).map(([k, d]) => `${k}_${d}`).join("_");
+  return Object.assign(new Error(`E11000 duplicate key error collection: ${collection} index: ${index} dup key: ${JSON.stringify(keyValue)}`), {
+    name: "MongoServerError", code: 11000, keyPattern: keys, keyValue
+  });
+};
+
+const createMemoryRepositories = ({ schemas }) => {
+  const connection = mongoose.createConnection();          // never opened; schemas and casting only
+  const collections = new Map();                           // collection name → documents
+  const collectionOf = (name) => collections.get(name) || [];
+
+  const repository = (modelName, schema) => {
+    const Model = connection.model(modelName, schema);
+    const name = Model.collection.name;
+    const docs = [];
+    collections.set(name, docs);
+    const timestamps = !!schema.options.timestamps;
+    const versionKey = schema.options.versionKey;
+    const uniques = schema.indexes().filter(([, o]) => o.unique);
+
+    // → plain document with defaults applied and values cast; validation in full only on insert,
+    // as updates are not validated by Mongoose either
+    const cast = (doc, { inserting }) => {
+      const m = new Model(doc);
+      const err = m.validateSync();
+      if (err && (inserting || Object.values(err.errors).some(e => e.name === "CastError"))) throw err;
+      return m.toObject();
+    };
+    const castFilter = (filter = {}) => Model.find().cast(Model, q.clone(filter));
+
+    const checkUnique = (doc, self) => {
+      for (const [keys, o] of uniques) {
+        const values = Object.keys(keys).map(k => q.getPath(doc, k));
+        if (o.sparse && values.every(v => v === undefined)) continue;
+        if (o.partialFilterExpression && !q.matches(doc, o.partialFilterExpression)) continue;
+        const clash = docs.some(d => d !== self &&
+          (!o.partialFilterExpression || q.matches(d, o.partialFilterExpression)) &&
+          Object.keys(keys).every((k, i) => q.equals(q.getPath(d, k) ?? null, values[i] ?? null)));
+        if (clash) throw duplicateKey(name, keys, doc);
+      }
+    };
+
+    const insert = (doc) => {
+      const stored = cast(doc, { inserting: true });
+      const now = new Date();
+      if (timestamps) {
+        stored.createdAt = stored.createdAt || now;
+        stored.updatedAt = stored.updatedAt || now;
+      }
+      if (versionKey !== false && stored[versionKey || "__v"] === undefined) stored[versionKey || "__v"] = 0;
+      checkUnique(stored, null);
+      docs.push(stored);
+      return stored;
+    };
+
+    const stamp = (update) => {
+      if (!timestamps || Array.isArray(update)) return update;
+      const ops = Object.keys(update).some(k => k.startsWith("$")) ? { ...update } : { $set: update };
+      if (!ops.$set?.updatedAt) ops.$set = { ...ops.$set, updatedAt: new Date() };
+      return ops;
+    };
+
+    // Applies update to docs[i]; → true when the document changed
+    const modify = (i, update) => {
+      const before = docs[i];
+      const after = cast(q.applyUpdate(q.clone(before), update), { inserting: false });
+      checkUnique(after, before);
+      docs[i] = after;
+      return !q.equals(after, before);
+    };
+
+    // New document from the filter's equality conditions, the update and $setOnInsert
+    const upsert = (filter, update) => {
+      const doc = q.applyUpdate(q.upsertSeed(filter), update, { inserting: true });
+      return insert(doc);
+    };
+
+    const matching = (filter, { sort, skip = 0, limit = 0 } = {}) => {
+      const f = castFilter(filter);
+      let rows = docs.filter(d => q.matches(d, f));
+      if (sort) rows = q.sortDocs(rows, sort);
+      return rows.slice(skip, limit ? skip + limit : undefined);
+    };
+
+    const update = (filter, rawUpdate, { upsert: upserting = false, multi = false } = {}) => {
+      const u = stamp(rawUpdate);
+      const targets = matching(filter, { limit: multi ? 0 : 1 });
+      if (!targets.length && upserting) {
+        const doc = upsert(castFilter(filter), u);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+      }
+      let modifiedCount = 0;
+      for (const d of targets) if (modify(docs.indexOf(d), u)) modifiedCount++;
+      return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    };
+
+    const remove = (filter, { multi }) => {
+      const targets = matching(filter, { limit: multi ? 0 : 1 });
+      for (const d of targets) docs.splice(docs.indexOf(d), 1);
+      return { acknowledged: true, deletedCount: targets.length };
+    };
+
+    const out = (doc, projection) => (doc ? (projection ? q.project(doc, projection) : q.clone(doc)) : null);
+
+    return {
+      modelName,
+      collectionName: name,
+      build: (fields) => new Model(fields).toObject(),
+      validate: (doc) => new Model(doc).validateSync() || null,
+      create: async (doc) => q.clone(insert(doc)),
+      find: async (filter, projection, options) => matching(filter, options).map(d => out(d, projection)),
+      findOne: async (filter, projection, options = {}) => out(matching(filter, { ...options, limit: 1 })[0], projection),
+      countDocuments: async (filter) => matching(filter).length,
+      exists: async (filter) => {
+        const d = matching(filter, { limit: 1 })[0];
+        return d ? { _id: d._id } : null;
+      },
+      updateOne: async (filter, u, options = {}) => update(filter, u, { upsert: options.upsert }),
+      updateMany: async (filter, u, options = {}) => update(filter, u, { upsert: options.upsert, multi: true }),
+      findOneAndUpdate: async (filter, u, options = {}) => {
+        const returnNew = options.new || options.returnDocument === "after";
+        const [target] = matching(filter, { sort: options.sort, limit: 1 });
+        if (!target) {
+          if (!options.upsert) return null;
+          const doc = upsert(castFilter(filter), stamp(u));
+          return returnNew ? out(doc, options.projection) : null;
+        }
+        const i = docs.indexOf(target);
+        modify(i, stamp(u));
+        return out(returnNew ? docs[i] : target, options.projection);
+      },
+      deleteOne: async (filter) => remove(filter, { multi: false }),
+      deleteMany: async (filter) => remove(filter, { multi: true }),
+      // Write errors carry { index, code, errmsg } as the driver's BulkWriteError does
+      bulkWrite: async (ops, { ordered = true } = {}) => {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} };
+        const writeErrors = [];
+        for (const [index, op] of ops.entries()) {
+          const [kind] = Object.keys(op);
+          const a = op[kind];
+          try {
+            if (kind === "insertOne") {
+              result.insertedIds[index] = insert(a.document)._id;
+              result.insertedCount++;
+            } else if (kind === "updateOne" || kind === "updateMany") {
+              const r = update(a.filter, a.update, { upsert: a.upsert, multi: kind === "updateMany" });
+              result.matchedCount += r.matchedCount;
+              result.modifiedCount += r.modifiedCount;
+              result.upsertedCount += r.upsertedCount;
+              if (r.upsertedId) result.upsertedIds[index] = r.upsertedId;
+            } else if (kind === "deleteOne" || kind === "deleteMany") {
+              result.deletedCount += remove(a.filter, { multi: kind === "deleteMany" }).deletedCount;
+            } else {
+              throw new Error(`memory driver: unsupported bulkWrite operation ${kind}`);
+            }
+          } catch (e) {
+            writeErrors.push({ index, code: e.code, errmsg: e.message, err: e });
+            if (ordered) break;
+          }
+        }
+        if (writeErrors.length) {
+          throw Object.assign(new Error(writeErrors[0].errmsg), { name: "MongoBulkWriteError", code: writeErrors[0].code, writeErrors, result });
+        }
+        return result;
+      },
+      aggregate: async (pipeline) => q.aggregate(docs.map(q.clone), pipeline, { collectionOf }),
+      syncIndexes: async () => [] // indexes are read from the schema on every write
+    };
+  };
+
+  const repos = {};
+  for (const [name, schema] of Object.entries(schemas)) repos[name] = repository(name, schema);
+  return repos;
+};
+
+module.exports = { createMemoryRepositories };
@@ -0,0 +1,34 @@
+// lib/repository/mongo.js — MongoDB driver: Mongoose models on a connection (mongoose.connection
+// unless given). Reads are lean, so both drivers hand out plain objects.
+const mongoose = require("mongoose");
+
+const createMongoRepositories = ({ schemas, connection = mongoose.connection }) => {
+  const repository = (modelName, schema) => {
+    const Model = connection.models[modelName] || connection.model(modelName, schema);
+    return {
+      modelName,
+      collectionName: Model.collection.name,
+      build: (fields) => new Model(fields).toObject(),
+      validate: (doc) => new Model(doc).validateSync() || null,
+      create: async (doc) => (await Model.create(doc)).toObject(),
+      find: (filter, projection, options) => Model.find(filter, projection, options).lean().exec(),
+      findOne: (filter, projection, options) => Model.findOne(filter, projection, options).lean().exec(),
+      countDocuments: (filter) => Model.countDocuments(filter).exec(),
+      exists: (filter) => Model.exists(filter).exec(),
+      updateOne: (filter, update, options) => Model.updateOne(filter, update, options).exec(),
+      updateMany: (filter, update, options) => Model.updateMany(filter, update, options).exec(),
+      findOneAndUpdate: (filter, update, options) => Model.findOneAndUpdate(filter, update, options).lean().exec(),
+      deleteOne: (filter) => Model.deleteOne(filter).exec(),
+      deleteMany: (filter) => Model.deleteMany(filter).exec(),
+      bulkWrite: (ops, options) => Model.bulkWrite(ops, options),
+      aggregate: (pipeline) => Model.aggregate(pipeline).allowDiskUse(true).exec(),
+      syncIndexes: () => Model.syncIndexes()
+    };
+  };
+
+  const repos = {};
+  for (const [name, schema] of Object.entries(schemas)) repos[name] = repository(name, schema);
+  return repos;
+};
+
+module.exports = { createMongoRepositories };
@@ -0,0 +1,608 @@
+// lib/repository/query.js — MongoDB query semantics over plain objects, for the memory driver
+// Filters, update documents, projections, sorts and aggregation pipelines are evaluated the way
+// MongoDB evaluates them, for the operators this codebase uses (and a few close relatives).
+// Anything else throws "unsupported ...", so a new query fails loudly in development instead of
+// quietly matching the wrong documents.
+
+const EARTH_RADIUS_M = 6378100;                            // MongoDB's radius for $centerSphere
+
+const isObjectId = (v) => v?._bsontype === "ObjectId";
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v) &&
+  !(v instanceof Date) && !(v instanceof RegExp) && !isObjectId(v) && !Buffer.isBuffer(v);
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith("$"));
+
+// Deep copy that keeps Dates, ObjectIds and Buffers intact
+const clone = (v) => {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Buffer.isBuffer(v)) return Buffer.from(v);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+};
+
+// ---- comparison (BSON type order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates) ----
+const rank = (v) => {
+  if (v === undefined || v === null) return 1;
+  if (typeof v === "number") return 2;
+  if (typeof v === "string") return 3;
+  if (Array.isArray(v)) return 5;
+  if (Buffer.isBuffer(v)) return 6;
+  if (isObjectId(v)) return 7;
+  if (typeof v === "boolean") return 8;
+  if (v instanceof Date) return 9;
+  if (v instanceof RegExp) return 11;
+  return 4;
+};
+
+const compare = (a, b) => {
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  switch (ra) {
+    case 1: return 0;
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = compare(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length - b.length;
+    }
+    case 4: {
+      const ka = Object.keys(a).filter(k => a[k] !== undefined);
+      const kb = Object.keys(b).filter(k => b[k] !== undefined);
+      for (let i = 0; i < Math.min(ka.length, kb.length); i++) {
+        const c = compare(ka[i], kb[i]) || compare(a[ka[i]], b[kb[i]]);
+        if (c) return c;
+      }
+      return ka.length - kb.length;
+    }
+    case 6: return Buffer.compare(a, b);
+    case 7: return compare(a.toHexString(), b.toHexString());
+    case 9: return a.getTime() - b.getTime();
+    case 11: return compare(String(a), String(b));
+    default: return a < b ? -1 : a > b ? 1 : 0;
+  }
+};
+const equals = (a, b) => compare(a, b) === 0;
+
+// Stable string for grouping and set membership
+const keyOf = (v) => {
+  if (v === undefined || v === null) return "null";
+  if (v instanceof Date) return `d:${v.getTime()}`;
+  if (isObjectId(v)) return `o:${v.toHexString()}`;
+  if (Array.isArray(v)) return `[${v.map(keyOf).join(",")}]`;
+  if (isPlainObject(v)) return `{${Object.keys(v).filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${keyOf(v[k])}`).join(",")}}`;
+  return JSON.stringify(v);
+};
+
+// ---- paths ----
+// Values at a dotted path, descending into arrays the way queries do ("parents.batchId")
+const valuesAt = (doc, path) => {
+  const walk = (v, parts) => {
+    if (!parts.length) return [v];
+    if (Array.isArray(v)) {
+      if (/^\d+$/.test(parts[0])) return walk(v[Number(parts[0])], parts.slice(1));
+      const found = v.flatMap(e => (isPlainObject(e) || Array.isArray(e) ? walk(e, parts) : []));
+      return found.length ? found : [undefined];
+    }
+    return isPlainObject(v) ? walk(v[parts[0]], parts.slice(1)) : [undefined];
+  };
+  return walk(doc, path.split("."));
+};
+
+// One value at a path; no array fan-out (update operators)
+const getPath = (doc, path) => path.split(".").reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), doc);
+
+const setPath = (doc, path, value) => {
+  const parts = path.split(".");
+  let v = doc;
+  for (const k of parts.slice(0, -1)) {
+    if (v[k] === null || typeof v[k] !== "object") v[k] = {};
+    v = v[k];
+  }
+  v[parts[parts.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const parts = path.split(".");
+  const parent = getPath(doc, parts.slice(0, -1).join(".")) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === "object") delete parent[parts[parts.length - 1]];
+};
+
+// ---- geo ($geoWithin on GeoJSON points) ----
+const toRad = (d) => (d * Math.PI) / 180;
+// Central angle between two [lng, lat] positions, in radians
+const angle = ([lng1, lat1], [lng2, lat2]) => {
+  const h = Math.sin(toRad(lat2 - lat1) / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+// Ray casting on [lng, lat] rings; planar, which is close enough at field scale
+const inRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+const inPolygon = (p, [outer, ...holes]) => inRing(p, outer) && !holes.some(h => inRing(p, h));
+
+const geoWithin = (value, spec) => {
+  if (value?.type !== "Point" || !Array.isArray(value.coordinates)) return false;
+  const p = value.coordinates;
+  if (spec.$centerSphere) return angle(p, spec.$centerSphere[0]) <= spec.$centerSphere[1];
+  if (spec.$box) {
+    const [[x1, y1], [x2, y2]] = spec.$box;
+    return p[0] >= x1 && p[0] <= x2 && p[1] >= y1 && p[1] <= y2;
+  }
+  const g = spec.$geometry;
+  if (g?.type === "Polygon") return inPolygon(p, g.coordinates);
+  if (g?.type === "MultiPolygon") return g.coordinates.some(poly => inPolygon(p, poly));
+  throw new Error(`memory driver: unsupported $geoWithin ${JSON.stringify(spec)}`);
+};
+
+// ---- filters ----
+const toRegExp = (pattern, options = "") => (pattern instanceof RegExp ? pattern : new RegExp(pattern, options));
+// Arrays match on themselves and on each of their elements
+const candidates = (values) => values.flatMap(v => (Array.isArray(v) ? [v, ...v] : [v]));
+const sameType = (a, b) => rank(a) === rank(b);
+
+const fieldOps = {
+  $eq: (values, arg) => candidates(values).some(v => equals(v, arg)),
+  $ne: (values, arg) => !candidates(values).some(v => equals(v, arg)),
+  $gt: (values, arg) => candidates(values).some(v => sameType(v, arg) && compare(v, arg) > 0),
+  $gte: (values, arg) => candidates(values).some(v => sameType(v, arg) && compare(v, arg) >= 0),
+  $lt: (values, arg) => candidates(values).some(v => sameType(v, arg) && compare(v, arg) < 0),
+  $lte: (values, arg) => candidates(values).some(v => sameType(v, arg) && compare(v, arg) <= 0),
+  $in: (values, arg) => candidates(values).some(v => arg.some(a => (a instanceof RegExp ? typeof v === "string" && a.test(v) : equals(v, a)))),
+  $nin: (values, arg) => !fieldOps.$in(values, arg),
+  $exists: (values, arg) => (arg ? values.some(v => v !== undefined) : values.every(v => v === undefined)),
+  $regex: (values, arg, cond) => candidates(values).some(v => typeof v === "string" && toRegExp(arg, cond.$options).test(v)),
+  $options: () => true,
+  $size: (values, arg) => values.some(v => Array.isArray(v) && v.length === arg),
+  $all: (values, arg) => arg.every(a => candidates(values).some(v => equals(v, a))),
+  $elemMatch: (values, arg) => values.some(v => Array.isArray(v) && v.some(e => (isOperatorObject(arg) ? matchValue([e], arg) : isPlainObject(e) && matches(e, arg)))),
+  $not: (values, arg) => !matchValue(values, arg),
+  $geoWithin: (values, arg) => values.some(v => v && geoWithin(v, arg)),
+  $type: (values, arg) => list(arg).some(t => {
+    if (typeof t !== "string") throw new Error(`memory driver: unsupported $type ${JSON.stringify(t)} (use the type alias)`);
+    return candidates(values).some(v => v !== undefined && (t === "number" ? isNumber(v) : typeName(v) === t));
+  })
+};
+
+// values (from valuesAt) against a field condition: literal, RegExp or { $op: ... }
+const matchValue = (values, cond) => {
+  if (cond instanceof RegExp) return candidates(values).some(v => typeof v === "string" && cond.test(v));
+  if (!isOperatorObject(cond)) return candidates(values).some(v => equals(v, cond));
+  return Object.entries(cond).every(([op, arg]) => {
+    if (!fieldOps[op]) throw new Error(`memory driver: unsupported query operator ${op}`);
+    return fieldOps[op](values, arg, cond);
+  });
+};
+
+const matches = (doc, filter = {}, vars = {}) => Object.entries(filter || {}).every(([key, cond]) => {
+  switch (key) {
+    case "$and": return cond.every(f => matches(doc, f, vars));
+    case "$or": return cond.some(f => matches(doc, f, vars));
+    case "$nor": return !cond.some(f => matches(doc, f, vars));
+    case "$expr": return truthy(evaluate(cond, doc, vars));
+    case "$comment": return true;
+    default:
+      if (key.startsWith("$")) throw new Error(`memory driver: unsupported query operator ${key}`);
+      return matchValue(valuesAt(doc, key), cond);
+  }
+});
+
+// Equality conditions of a filter: the seed of an upserted document
+const upsertSeed = (filter = {}) => {
+  const doc = {};
+  for (const [key, cond] of Object.entries(filter)) {
+    if (key === "$and") cond.forEach(f => Object.assign(doc, upsertSeed(f)));
+    else if (key.startsWith("$")) continue;
+    else if (!isOperatorObject(cond)) setPath(doc, key, clone(cond));
+    else if ("$eq" in cond) setPath(doc, key, clone(cond.$eq));
+  }
+  return doc;
+};
+
+// ---- updates ----
+const eachOf = (arg) => (isPlainObject(arg) && "$each" in arg ? arg.$each : [arg]);
+
+const updateOps = {
+  $set: (doc, path, v) => setPath(doc, path, clone(v)),
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, v) => setPath(doc, path, (getPath(doc, path) || 0) + v),
+  $mul: (doc, path, v) => setPath(doc, path, (getPath(doc, path) || 0) * v),
+  $min: (doc, path, v) => { const cur = getPath(doc, path); if (cur === undefined || compare(v, cur) < 0) setPath(doc, path, clone(v)); },
+  $max: (doc, path, v) => { const cur = getPath(doc, path); if (cur === undefined || compare(v, cur) > 0) setPath(doc, path, clone(v)); },
+  $push: (doc, path, arg) => {
+    let list = [...(getPath(doc, path) || []), ...eachOf(arg).map(clone)];
+    if (isPlainObject(arg) && arg.$slice !== undefined) list = arg.$slice < 0 ? list.slice(arg.$slice) : list.slice(0, arg.$slice);
+    setPath(doc, path, list);
+  },
+  $addToSet: (doc, path, arg) => {
+    const list = [...(getPath(doc, path) || [])];
+    for (const v of eachOf(arg)) if (!list.some(x => equals(x, v))) list.push(clone(v));
+    setPath(doc, path, list);
+  },
+  $pop: (doc, path, v) => { const list = getPath(doc, path); if (Array.isArray(list)) setPath(doc, path, v < 0 ? list.slice(1) : list.slice(0, -1)); },
+  $pull: (doc, path, cond) => {
+    const list = getPath(doc, path);
+    if (!Array.isArray(list)) return;
+    setPath(doc, path, list.filter(e => !(isPlainObject(cond) && !isOperatorObject(cond) ? isPlainObject(e) && matches(e, cond) : matchValue([e], cond))));
+  },
+  $setOnInsert: () => {}                                   // applied by the caller, on insert only
+};
+
+// Mutates doc. An update without operators is treated as $set, as Mongoose does.
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  if (Array.isArray(update)) throw new Error("memory driver: pipeline-style updates are not supported");
+  const ops = Object.keys(update).some(k => k.startsWith("$")) ? update : { $set: update };
+  for (const [op, fields] of Object.entries(ops)) {
+    if (!updateOps[op]) throw new Error(`memory driver: unsupported update operator ${op}`);
+    const apply = op === "$setOnInsert" ? (inserting ? updateOps.$set : null) : updateOps[op];
+    if (apply) for (const [path, v] of Object.entries(fields || {})) apply(doc, path, v);
+  }
+  return doc;
+};
+
+// ---- projection and sort ----
+const normaliseSpec = (spec) => (typeof spec === "string"
+  ? Object.fromEntries(spec.split(/\s+/).filter(Boolean).map(f => (f.startsWith("-") ? [f.slice(1), 0] : [f, 1])))
+  : spec);
+
+// Copies path from src into out, keeping array structure ("parents.batchId")
+const copyPath = (src, out, parts) => {
+  const [head, ...rest] = parts;
+  if (src === null || typeof src !== "object" || !(head in src)) return;
+  if (!rest.length) { out[head] = clone(src[head]); return; }
+  const v = src[head];
+  if (Array.isArray(v)) {
+    out[head] = v.filter(isPlainObject).map((e, i) => {
+      const o = isPlainObject(out[head]?.[i]) ? out[head][i] : {};
+      copyPath(e, o, rest);
+      return o;
+    });
+  } else if (isPlainObject(v)) {
+    out[head] = isPlainObject(out[head]) ? out[head] : {};
+    copyPath(v, out[head], rest);
+  }
+};
+
+// find() projection: inclusion ({ a: 1 }) or exclusion ({ a: 0 }); _id unless excluded
+const project = (doc, fields) => {
+  const spec = normaliseSpec(fields);
+  if (!spec || !Object.keys(spec).length) return doc;
+  const inclusive = Object.entries(spec).some(([k, v]) => k !== "_id" && v);
+  if (!inclusive) {
+    const out = clone(doc);
+    for (const [k, v] of Object.entries(spec)) if (!v) unsetPath(out, k);
+    return out;
+  }
+  const out = {};
+  if (spec._id === undefined || spec._id) copyPath(doc, out, ["_id"]);
+  for (const [k, v] of Object.entries(spec)) if (v && k !== "_id") copyPath(doc, out, k.split("."));
+  return out;
+};
+
+// Arrays sort by their smallest element ascending, largest descending
+const sortValue = (doc, path, dir) => {
+  const vs = candidates(valuesAt(doc, path)).filter(v => !Array.isArray(v));
+  if (!vs.length) return undefined;
+  return vs.reduce((best, v) => (dir > 0 ? (compare(v, best) < 0 ? v : best) : (compare(v, best) > 0 ? v : best)));
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(normaliseSpec(sort) || {}).map(([k, d]) => [k, Number(d) < 0 || d === "desc" || d === "descending" ? -1 : 1]);
+  if (!keys.length) return docs;
+  return docs
+    .map((d, i) => ({ d, i, k: keys.map(([path, dir]) => sortValue(d, path, dir)) }))
+    .sort((a, b) => {
+      for (let j = 0; j < keys.length; j++) {
+        const c = compare(a.k[j], b.k[j]);
+        if (c) return c * keys[j][1];
+      }
+      return a.i - b.i;
+    })
+    .map(x => x.d);
+};
+
+// ---- aggregation expressions ----
+const truthy = (v) => !(v === false || v === null || v === undefined || v === 0);
+const isNumber = (v) => typeof v === "number" && !Number.isNaN(v);
+
+// "$a.b" in an expression: arrays of documents yield the array of their values
+const fieldValue = (doc, path) => path.split(".").reduce((v, k) => {
+  if (Array.isArray(v)) return v.map(e => (isPlainObject(e) ? e[k] : undefined)).filter(x => x !== undefined);
+  return isPlainObject(v) ? v[k] : undefined;
+}, doc);
+
+// Rounds half to even, like $round
+const roundHalfEven = (x, places = 0) => {
+  const f = 10 ** places;
+  const n = x * f;
+  const r = Math.round(n);
+  const tie = Math.abs(n % 1) === 0.5;
+  return (tie && r % 2 !== 0 ? r - 1 : r) / f;
+};
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+// ISO 8601 week-numbering year and week
+const isoWeek = (d) => {
+  const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(t.getUTCFullYear(), 0, 1));
+  return { year: t.getUTCFullYear(), week: Math.ceil(((t - yearStart) / 86400000 + 1) / 7) };
+};
+const DATE_PARTS = {
+  Y: (d) => d.getUTCFullYear(),
+  m: (d) => pad(d.getUTCMonth() + 1),
+  d: (d) => pad(d.getUTCDate()),
+  H: (d) => pad(d.getUTCHours()),
+  M: (d) => pad(d.getUTCMinutes()),
+  S: (d) => pad(d.getUTCSeconds()),
+  L: (d) => pad(d.getUTCMilliseconds(), 3),
+  j: (d) => pad(Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000) + 1, 3),
+  u: (d) => d.getUTCDay() || 7,
+  G: (d) => isoWeek(d).year,
+  V: (d) => pad(isoWeek(d).week),
+  Z: () => "+0000",
+  "%": () => "%"
+};
+const dateToString = (format, d) => format.replace(/%(.)/g, (_m, c) => {
+  if (!DATE_PARTS[c]) throw new Error(`memory driver: unsupported $dateToString format %${c}`);
+  return DATE_PARTS[c](d);
+});
+
+const typeName = (v) => {
+  if (v === undefined) return "missing";
+  if (v === null) return "null";
+  if (typeof v === "number") return Number.isInteger(v) && Math.abs(v) < 2 ** 31 ? "int" : "double";
+  if (typeof v === "string") return "string";
+  if (typeof v === "boolean") return "bool";
+  if (v instanceof Date) return "date";
+  if (Array.isArray(v)) return "array";
+  if (isObjectId(v)) return "objectId";
+  if (v instanceof RegExp) return "regex";
+  return "object";
+};
+
+const list = (x) => (Array.isArray(x) ? x : [x]);
+const numbersOf = (args) => args.flatMap(a => (Array.isArray(a) ? a : [a])).filter(isNumber);
+const extremum = (args, sign) => {
+  const vs = args.flatMap(a => (Array.isArray(a) ? a : [a])).filter(v => v !== null && v !== undefined);
+  return vs.length ? vs.reduce((best, v) => (compare(v, best) * sign > 0 ? v : best)) : null;
+};
+
+// name → (raw argument, evaluate) → value; arguments are evaluated by the operator
+const exprOps = {
+  $literal: (a) => a,
+  $cond: (a, ev) => {
+    const [c, t, e] = Array.isArray(a) ? a : [a.if, a.then, a.else];
+    return truthy(ev(c)) ? ev(t) : ev(e);
+  },
+  $ifNull: (a, ev) => {
+    for (const x of a.slice(0, -1)) { const v = ev(x); if (v !== null && v !== undefined) return v; }
+    return ev(a[a.length - 1]);
+  },
+  $eq: (a, ev) => equals(ev(a[0]), ev(a[1])),
+  $ne: (a, ev) => !equals(ev(a[0]), ev(a[1])),
+  $gt: (a, ev) => compare(ev(a[0]), ev(a[1])) > 0,
+  $gte: (a, ev) => compare(ev(a[0]), ev(a[1])) >= 0,
+  $lt: (a, ev) => compare(ev(a[0]), ev(a[1])) < 0,
+  $lte: (a, ev) => compare(ev(a[0]), ev(a[1])) <= 0,
+  $cmp: (a, ev) => Math.sign(compare(ev(a[0]), ev(a[1]))),
+  $and: (a, ev) => list(a).every(x => truthy(ev(x))),
+  $or: (a, ev) => list(a).some(x => truthy(ev(x))),
+  $not: (a, ev) => !truthy(ev(list(a)[0])),
+  $in: (a, ev) => (ev(a[1]) || []).some(x => equals(x, ev(a[0]))),
+  $add: (a, ev) => {
+    const vs = list(a).map(ev);
+    if (vs.some(v => v === null || v === undefined)) return null;
+    const total = vs.reduce((s, v) => s + (v instanceof Date ? v.getTime() : v), 0);
+    return vs.some(v => v instanceof Date) ? new Date(total) : total;
+  },
+  $subtract: (a, ev) => {
+    const [x, y] = a.map(ev);
+    if (x === null || x === undefined || y === null || y === undefined) return null;
+    if (x instanceof Date) return y instanceof Date ? x.getTime() - y.getTime() : new Date(x.getTime() - y);
+    return x - y;
+  },
+  $multiply: (a, ev) => { const vs = list(a).map(ev); return vs.some(v => !isNumber(v)) ? null : vs.reduce((p, v) => p * v, 1); },
+  $divide: (a, ev) => {
+    const [x, y] = a.map(ev);
+    if (!isNumber(x) || !isNumber(y)) return null;
+    if (y === 0) throw new Error("can't $divide by zero");
+    return x / y;
+  },
+  $mod: (a, ev) => { const [x, y] = a.map(ev); return isNumber(x) && isNumber(y) ? x % y : null; },
+  $abs: (a, ev) => { const v = ev(list(a)[0]); return isNumber(v) ? Math.abs(v) : null; },
+  $floor: (a, ev) => { const v = ev(list(a)[0]); return isNumber(v) ? Math.floor(v) : null; },
+  $ceil: (a, ev) => { const v = ev(list(a)[0]); return isNumber(v) ? Math.ceil(v) : null; },
+  $round: (a, ev) => { const [x, p = 0] = list(a).map(ev); return isNumber(x) ? roundHalfEven(x, p) : null; },
+  $size: (a, ev) => {
+    const v = ev(list(a)[0]);
+    if (!Array.isArray(v)) throw new Error(`The argument to $size must be an array. Type of argument was ${typeName(v)}`);
+    return v.length;
+  },
+  $arrayElemAt: (a, ev) => {
+    const [arr, i] = a.map(ev);
+    if (!Array.isArray(arr)) return null;
+    return arr[i < 0 ? arr.length + i : i];
+  },
+  $first: (a, ev) => { const v = ev(list(a)[0]); return Array.isArray(v) ? v[0] : null; },
+  $last: (a, ev) => { const v = ev(list(a)[0]); return Array.isArray(v) ? v[v.length - 1] : null; },
+  $concat: (a, ev) => { const vs = a.map(ev); return vs.some(v => v === null || v === undefined) ? null : vs.join(""); },
+  $toString: (a, ev) => { const v = ev(list(a)[0]); return v === null || v === undefined ? null : v instanceof Date ? v.toISOString() : String(v); },
+  $toLower: (a, ev) => String(ev(list(a)[0]) ?? "").toLowerCase(),
+  $toUpper: (a, ev) => String(ev(list(a)[0]) ?? "").toUpperCase(),
+  $isNumber: (a, ev) => isNumber(ev(list(a)[0])),
+  $isArray: (a, ev) => Array.isArray(ev(list(a)[0])),
+  $type: (a, ev) => typeName(ev(list(a)[0])),
+  $setDifference: (a, ev) => {
+    const [x, y] = a.map(ev);
+    if (!Array.isArray(x) || !Array.isArray(y)) return null;
+    return x.filter((v, i) => !y.some(w => equals(v, w)) && x.findIndex(w => equals(v, w)) === i);
+  },
+  $setUnion: (a, ev) => {
+    const out = [];
+    for (const arr of a.map(ev)) for (const v of arr || []) if (!out.some(w => equals(v, w))) out.push(v);
+    return out;
+  },
+  $mergeObjects: (a, ev) => Object.assign({}, ...(Array.isArray(a) ? a.map(ev) : list(ev(a))).filter(isPlainObject)),
+  $min: (a, ev) => extremum(Array.isArray(a) ? a.map(ev) : [ev(a)], -1),
+  $max: (a, ev) => extremum(Array.isArray(a) ? a.map(ev) : [ev(a)], 1),
+  $sum: (a, ev) => numbersOf(Array.isArray(a) ? a.map(ev) : [ev(a)]).reduce((s, v) => s + v, 0),
+  $avg: (a, ev) => { const vs = numbersOf(Array.isArray(a) ? a.map(ev) : [ev(a)]); return vs.length ? vs.reduce((s, v) => s + v, 0) / vs.length : null; },
+  $dateToString: (a, ev) => {
+    const d = ev(a.date);
+    if (d === null || d === undefined) return a.onNull !== undefined ? ev(a.onNull) : null;
+    if (a.timezone && !["UTC", "Z", "+00:00"].includes(a.timezone)) throw new Error("memory driver: $dateToString supports UTC only");
+    return dateToString(a.format || "%Y-%m-%dT%H:%M:%S.%LZ", new Date(d));
+  }
+};
+
+const REMOVE = Symbol("$$REMOVE");
+
+const evaluate = (expr, doc, vars = {}) => {
+  const ev = (x) => evaluate(x, doc, vars);
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...rest] = expr.slice(2).split(".");
+    const base = name === "ROOT" || name === "CURRENT" ? doc : name === "NOW" ? new Date() : name === "REMOVE" ? REMOVE : vars[name];
+    if (base === undefined && !(name in vars) && !["ROOT", "CURRENT", "NOW", "REMOVE"].includes(name)) throw new Error(`memory driver: unknown variable $$${name}`);
+    return rest.length ? fieldValue(base, rest.join(".")) : base;
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) return fieldValue(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(ev);
+  if (isPlainObject(expr)) {
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].startsWith("$")) {
+      const op = exprOps[keys[0]];
+      if (!op) throw new Error(`memory driver: unsupported expression operator ${keys[0]}`);
+      return op(expr[keys[0]], ev);
+    }
+    return Object.fromEntries(keys.map(k => [k, ev(expr[k])]).filter(([, v]) => v !== REMOVE && v !== undefined));
+  }
+  return expr;
+};
+
+// ---- aggregation stages ----
+const accumulators = {
+  $sum: () => ({ v: 0, add(x) { if (isNumber(x)) this.v += x; }, done() { return this.v; } }),
+  $avg: () => ({ s: 0, n: 0, add(x) { if (isNumber(x)) { this.s += x; this.n++; } }, done() { return this.n ? this.s / this.n : null; } }),
+  $min: () => ({ v: undefined, add(x) { if (x !== null && x !== undefined && (this.v === undefined || compare(x, this.v) < 0)) this.v = x; }, done() { return this.v ?? null; } }),
+  $max: () => ({ v: undefined, add(x) { if (x !== null && x !== undefined && (this.v === undefined || compare(x, this.v) > 0)) this.v = x; }, done() { return this.v ?? null; } }),
+  $first: () => ({ seen: false, v: null, add(x) { if (!this.seen) { this.seen = true; this.v = x ?? null; } }, done() { return this.v; } }),
+  $last: () => ({ v: null, add(x) { this.v = x ?? null; }, done() { return this.v; } }),
+  $push: () => ({ v: [], add(x) { if (x !== undefined) this.v.push(x); }, done() { return this.v; } }),
+  $addToSet: () => ({ v: [], keys: new Set(), add(x) { if (x !== undefined && !this.keys.has(keyOf(x))) { this.keys.add(keyOf(x)); this.v.push(x); } }, done() { return this.v; } }),
+  $count: () => ({ v: 0, add() { this.v++; }, done() { return this.v; } })
+};
+
+const group = (docs, { _id: idExpr, ...fields }, vars) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(idExpr, doc, vars);
+    const key = keyOf(id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: id ?? null, acc: Object.entries(fields).map(([name, spec]) => {
+        const [op] = Object.keys(spec);
+        if (!accumulators[op]) throw new Error(`memory driver: unsupported accumulator ${op}`);
+        return { name, arg: spec[op], op, state: accumulators[op]() };
+      }) });
+    }
+    for (const a of groups.get(key).acc) a.state.add(a.op === "$count" ? undefined : evaluate(a.arg, doc, vars));
+  }
+  return [...groups.values()].map(g => ({ _id: g._id, ...Object.fromEntries(g.acc.map(a => [a.name, a.state.done()])) }));
+};
+
+// $project: inclusion, exclusion, or computed fields
+const projectStage = (doc, spec, vars) => {
+  const entries = Object.entries(spec);
+  const isFlag = (v) => v === 0 || v === 1 || v === true || v === false;
+  const exclusion = entries.every(([, v]) => isFlag(v) && !v);
+  if (exclusion) return project(doc, spec);
+  const out = {};
+  if (spec._id === undefined || spec._id === 1 || spec._id === true) copyPath(doc, out, ["_id"]);
+  for (const [k, v] of entries) {
+    if (k === "_id" && isFlag(v)) continue;
+    if (isFlag(v)) { if (v) copyPath(doc, out, k.split(".")); continue; }
+    const value = evaluate(v, doc, vars);
+    if (value !== REMOVE && value !== undefined) setPath(out, k, value);
+  }
+  return out;
+};
+
+const addFields = (doc, spec, vars) => {
+  const out = clone(doc);
+  for (const [k, v] of Object.entries(spec)) {
+    const value = evaluate(v, doc, vars);
+    if (value === REMOVE) unsetPath(out, k);
+    else setPath(out, k, value);
+  }
+  return out;
+};
+
+const unwind = (docs, arg) => {
+  const { path, preserveNullAndEmptyArrays = false, includeArrayIndex } = typeof arg === "string" ? { path: arg } : arg;
+  const field = path.slice(1);
+  return docs.flatMap(doc => {
+    const v = getPath(doc, field);
+    if (!Array.isArray(v)) {
+      if (v === null || v === undefined) return preserveNullAndEmptyArrays ? [doc] : [];
+      return [includeArrayIndex ? { ...doc, [includeArrayIndex]: null } : doc];
+    }
+    if (!v.length) return preserveNullAndEmptyArrays ? [clone(doc)] : [];
+    return v.map((e, i) => {
+      const out = clone(doc);
+      setPath(out, field, clone(e));
+      if (includeArrayIndex) out[includeArrayIndex] = i;
+      return out;
+    });
+  });
+};
+
+// collectionOf(name) → that collection's documents ($lookup "from")
+const aggregate = (docs, pipeline, { collectionOf, vars = {} } = {}) => pipeline.reduce((rows, stage) => {
+  const [name] = Object.keys(stage);
+  const arg = stage[name];
+  switch (name) {
+    case "$match": return rows.filter(d => matches(d, arg, vars));
+    case "$group": return group(rows, arg, vars);
+    case "$sort": return sortDocs(rows, arg);
+    case "$limit": return rows.slice(0, arg);
+    case "$skip": return rows.slice(arg);
+    case "$project": return rows.map(d => projectStage(d, arg, vars));
+    case "$set":
+    case "$addFields": return rows.map(d => addFields(d, arg, vars));
+    case "$unset": return rows.map(d => project(d, Object.fromEntries(list(arg).map(k => [k, 0]))));
+    case "$unwind": return unwind(rows, arg);
+    case "$replaceWith":
+    case "$replaceRoot": return rows.map(d => {
+      const root = evaluate(name === "$replaceRoot" ? arg.newRoot : arg, d, vars);
+      if (!isPlainObject(root)) throw new Error(`${name} must evaluate to an object`);
+      return root;
+    });
+    case "$count": return rows.length ? [{ [arg]: rows.length }] : [];
+    case "$lookup": {
+      const foreign = collectionOf(arg.from);
+      return rows.map(d => {
+        // A missing local value joins on null, which matches missing foreign values too
+        const local = arg.localField ? candidates(valuesAt(d, arg.localField)).map(v => v ?? null) : null;
+        const lookupVars = { ...vars, ...Object.fromEntries(Object.entries(arg.let || {}).map(([k, x]) => [k, evaluate(x, d, vars)])) };
+        let joined = local
+          ? foreign.filter(f => candidates(valuesAt(f, arg.foreignField)).some(v => local.some(l => equals(v ?? null, l))))
+          : foreign;
+        if (arg.pipeline) joined = aggregate(joined.map(clone), arg.pipeline, { collectionOf, vars: lookupVars });
+        return { ...d, [arg.as]: joined.map(clone) };
+      });
+    }
+    default: throw new Error(`memory driver: unsupported aggregation stage ${name}`);
+  }
+}, docs);
+
+module.exports = {
+  matches, applyUpdate, upsertSeed, project, sortDocs, aggregate, evaluate,
+  compare, equals, clone, keyOf, getPath, setPath, valuesAt, isPlainObject
+};
@@ -0,0 +1,112 @@
+// lib/schema.js — validator for the JSON Schema subset used by the OpenAPI document (lib/openapi)
+// Supports type (incl. OpenAPI `nullable`), enum, string length/pattern/format, numeric bounds,
+// array items/length, object properties/required/additionalProperties, allOf/anyOf/oneOf and
+// local $refs (#/components/schemas/...). `x-case-insensitive: true` on a string enum accepts any
+// letter case, as the handlers upper-case those values. Errors are [{ field, code, message }],
+// with `field` as a dotted path ("geo.lat", "events[3].timestamp").
+
+const FORMATS = {
+  "date-time": (s) => !isNaN(Date.parse(s)),
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s)),
+  uri: (s) => { try { return !!new URL(s).protocol; } catch { return false; } }
+};
+
+const typeOf = (v) => {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+};
+const matchesType = (v, t) => typeOf(v) === t || (t === "number" && typeOf(v) === "integer");
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+const describe = (s) => (Array.isArray(s.type) ? s.type.join(" or ") : s.type);
+
+const resolve = (schema, root) => {
+  let s = schema;
+  for (let hops = 0; s && s.$ref; hops++) {
+    if (hops > 20 || !s.$ref.startsWith("#/")) throw new Error(`unresolvable $ref ${s.$ref}`);
+    s = s.$ref.slice(2).split("/").reduce((o, k) => o?.[k], root);
+  }
+  if (!s) throw new Error(`unresolvable $ref ${schema.$ref}`);
+  return s;
+};
+
+// → [{ field, code, message }]; root is the document that $refs point into
+const validate = (schema, value, { root = {}, path = "" } = {}) => {
+  const errors = [];
+  const fail = (code, message, field = path) => errors.push({ field: field || null, code, message: field ? `${field} ${message}` : message });
+
+  const walk = (raw, v, p) => {
+    const s = resolve(raw, root);
+    const before = errors.length;
+    if (v === null && s.nullable) return;
+    if (s.type) {
+      const types = Array.isArray(s.type) ? s.type : [s.type];
+      if (!types.some(t => matchesType(v, t))) return fail("INVALID_TYPE", `must be ${/^[aeiou]/.test(describe(s)) ? "an" : "a"} ${describe(s)}`, p);
+    }
+    const same = (e) => e === v || (s["x-case-insensitive"] && typeof v === "string" && typeof e === "string" && e.toUpperCase() === v.toUpperCase());
+    if (s.enum && !s.enum.some(same)) return fail("INVALID_VALUE", `must be one of ${s.enum.join(", ")}`, p);
+    if (typeof v === "string") {
+      if (s.minLength !== undefined && v.length < s.minLength) fail("TOO_SHORT", s.minLength === 1 ? "must not be empty" : `must be at least ${s.minLength} characters`, p);
+      if (s.maxLength !== undefined && v.length > s.maxLength) fail("TOO_LONG", `must be at most ${s.maxLength} characters`, p);
+      if (s.pattern && !new RegExp(s.pattern, "u").test(v)) fail("INVALID_FORMAT", s["x-pattern-message"] || `must match ${s.pattern}`, p);
+      if (s.format && FORMATS[s.format] && !FORMATS[s.format](v)) fail("INVALID_FORMAT", `must be ${s.format === "uri" ? "a URL" : `an ISO 8601 ${s.format === "date" ? "date (YYYY-MM-DD)" : "date-time"}`}`, p);
+    }
+    if (typeof v === "number") {
+      if (s.minimum !== undefined && (s.exclusiveMinimum ? v <= s.minimum : v < s.minimum)) fail("OUT_OF_RANGE", `must be ${s.exclusiveMinimum ? "greater than" : "at least"} ${s.minimum}`, p);
+      if (s.maximum !== undefined && (s.exclusiveMaximum ? v >= s.maximum : v > s.maximum)) fail("OUT_OF_RANGE", `must be ${s.exclusiveMaximum ? "less than" : "at most"} ${s.maximum}`, p);
+    }
+    if (Array.isArray(v)) {
+      if (s.minItems !== undefined && v.length < s.minItems) fail("TOO_FEW_ITEMS", `must have at least ${s.minItems} item${s.minItems === 1 ? "" : "s"}`, p);
+      if (s.maxItems !== undefined && v.length > s.maxItems) fail("TOO_MANY_ITEMS", `must have at most ${s.maxItems} items`, p);
+      if (s.items) v.forEach((item, i) => walk(s.items, item, join(p, i)));
+    }
+    if (typeOf(v) === "object") {
+      for (const k of s.required || []) {
+        if (v[k] === undefined) fail("REQUIRED", "is required", join(p, k));
+      }
+      for (const [k, sub] of Object.entries(s.properties || {})) {
+        if (v[k] !== undefined) walk(sub, v[k], join(p, k));
+      }
+      if (s.additionalProperties !== undefined && s.additionalProperties !== true) {
+        for (const k of Object.keys(v)) {
+          if (s.properties && k in s.properties) continue;
+          if (s.additionalProperties === false) fail("UNKNOWN_FIELD", "is not a known field", join(p, k));
+          else walk(s.additionalProperties, v[k], join(p, k));
+        }
+      }
+    }
+    for (const sub of s.allOf || []) walk(sub, v, p);
+    if (errors.length > before) return;
+    // anyOf/oneOf: report the alternatives rather than every branch's errors
+    const branches = s.anyOf || s.oneOf;
+    if (branches) {
+      const passing = branches.filter(b => !validate(b, v, { root, path: p }).length).length;
+      if (!passing || (s.oneOf && passing > 1)) {
+        const requiredOnly = branches.every(b => { const r = resolve(b, root); return r.required && Object.keys(r).length === 1; });
+        const msg = requiredOnly
+          ? `${s.oneOf ? "exactly" : "at least"} one of ${branches.map(b => resolve(b, root).required.join(" + ")).join(", ")} is required`
+          : s["x-anyof-message"] || (s.oneOf && passing > 1 ? "matches more than one allowed shape" : "does not match any allowed shape");
+        fail(requiredOnly ? "REQUIRED" : "INVALID_VALUE", msg, p);
+      }
+    }
+  };
+
+  walk(schema, value, path);
+  return errors;
+};
+
+// Query and path parameters arrive as strings; convert those declared as number/integer/boolean.
+// Returns the value unchanged when it cannot be converted, so validate() reports it.
+const coerce = (schema, value, root = {}) => {
+  const s = resolve(schema, root);
+  const t = Array.isArray(s.type) ? s.type.find(x => x !== "null") : s.type;
+  if (typeof value !== "string") return value;
+  if ((t === "number" || t === "integer") && value.trim() !== "" && !isNaN(Number(value))) return Number(value);
+  if (t === "boolean" && (value === "true" || value === "false")) return value === "true";
+  if (t === "array") return value.split(",").map(x => coerce(s.items || {}, x.trim(), root));
+  return value;
+};
+
+module.exports = { validate, coerce, resolve, FORMATS };
@@ -0,0 +1,218 @@
+// lib/species.js — species registry validation, harvestability and vernacular search
+// Registry entries carry taxonomy, the plant parts traded, IUCN Red List and CITES status,
+// and vernacular names per language. Collection events are only accepted for species that
+// are registered and harvestable (see harvestBlockers).
+const { PROFILES, validateTransitions } = require("./lifecycle");
+const { normaliseGtin } = require("./epcis");
+const { isLatLng } = require("./geo");
+const { validateYieldRanges } = require("./massBalance");
+
+const IUCN_CATEGORIES = ["NE", "DD", "LC", "NT", "VU", "EN", "CR", "EW", "EX"];
+const CITES_APPENDICES = ["I", "II", "III"];
+const PLANT_PARTS = ["ROOT", "RHIZOME", "TUBER", "BARK", "STEM", "WOOD", "LEAF", "FLOWER", "FRUIT", "SEED", "RESIN", "WHOLE_PLANT"];
+const STATUSES = ["ACTIVE", "RETIRED"];
+// Fields fixed at creation: batch ids and every record reference them
+const IMMUTABLE = ["scientificName", "speciesCode"];
+
+const SPECIES_CODE = /^[A-Z][A-Z0-9]{2,7}$/;
+const LANG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/; // BCP 47, e.g. hi, sa, ta, en-IN
+
+// Case/diacritic-insensitive form used for matching; keeps non-Latin scripts intact
+const normaliseName = (s) => String(s || "")
+  .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, " ").trim();
+
+// input → { value } or { errors: [string] }; partial=true validates only the fields present
+const validateSpecies = (input, { partial = false } = {}) => {
+  const s = input || {};
+  const errors = [];
+  const value = {};
+  const present = (k) => s[k] !== undefined;
+
+  if (!partial || present("scientificName")) {
+    if (typeof s.scientificName !== "string" || !/^[A-Z][a-z]+ (× )?[a-z-]+( .+)?$/.test(s.scientificName.trim())) {
+      errors.push("scientificName must be a binomial, e.g. \"Withania somnifera\"");
+    } else value.scientificName = s.scientificName.trim();
+  }
+  if (!partial || present("speciesCode")) {
+    const code = String(s.speciesCode || "").trim().toUpperCase();
+    if (!SPECIES_CODE.test(code)) errors.push("speciesCode must be 3-8 letters/digits starting with a letter");
+    else value.speciesCode = code;
+  }
+  if (present("taxonomy")) {
+    const t = s.taxonomy;
+    if (!t || typeof t !== "object" || Array.isArray(t)) errors.push("taxonomy must be an object");
+    else {
+      value.taxonomy = {};
+      for (const k of ["family", "genus", "authority"]) {
+        if (t[k] === undefined) continue;
+        if (typeof t[k] !== "string") errors.push(`taxonomy.${k} must be a string`);
+        else value.taxonomy[k] = t[k].trim();
+      }
+    }
+  }
+  if (present("plantParts")) {
+    const parts = Array.isArray(s.plantParts) ? s.plantParts.map(p => String(p).toUpperCase()) : null;
+    if (!parts || !parts.length || parts.some(p => !PLANT_PARTS.includes(p))) {
+      errors.push(`plantParts must be a non-empty array of ${PLANT_PARTS.join(", ")}`);
+    } else value.plantParts = [...new Set(parts)];
+  }
+  if (present("conservation")) {
+    const c = s.conservation || {};
+    value.conservation = {};
+    if (c.iucn !== undefined && c.iucn !== null) {
+      const iucn = String(c.iucn).toUpperCase();
+      if (!IUCN_CATEGORIES.includes(iucn)) errors.push(`conservation.iucn must be one of ${IUCN_CATEGORIES.join(", ")}`);
+      else value.conservation.iucn = iucn;
+    }
+    if (c.cites !== undefined && c.cites !== null) {
+      const cites = String(c.cites).toUpperCase();
+      if (!CITES_APPENDICES.includes(cites)) errors.push(`conservation.cites must be one of ${CITES_APPENDICES.join(", ")} or null`);
+      else value.conservation.cites = cites;
+    }
+    if (c.assessedAt !== undefined) {
+      if (isNaN(Date.parse(c.assessedAt))) errors.push("conservation.assessedAt must be a date");
+      else value.conservation.assessedAt = new Date(c.assessedAt);
+    }
+  }
+  if (present("vernacularNames")) {
+    const names = Array.isArray(s.vernacularNames) ? s.vernacularNames : null;
+    if (!names || names.some(n => !n || typeof n.name !== "string" || !n.name.trim() || !LANG.test(String(n.lang || "")))) {
+      errors.push("vernacularNames must be an array of { lang (BCP 47, e.g. \"hi\"), name }");
+    } else value.vernacularNames = names.map(n => ({ lang: n.lang, name: n.name.trim(), script: n.script || undefined }));
+  }
+  if (present("vernaculars")) {
+    if (!Array.isArray(s.vernaculars) || s.vernaculars.some(v => typeof v !== "string")) errors.push("vernaculars must be an array of strings");
+    else value.vernaculars = s.vernaculars.map(v => v.trim()).filter(Boolean);
+  }
+  if (present("gtin")) {
+    if (s.gtin === null) value.gtin = null;
+    else if (!(value.gtin = normaliseGtin(s.gtin))) errors.push("gtin must be a GTIN-8/12/13/14 with a valid check digit");
+  }
+  if (present("seasonMonths")) {
+    if (!Array.isArray(s.seasonMonths) || s.seasonMonths.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+      errors.push("seasonMonths must be an array of months 1-12");
+    } else value.seasonMonths = [...new Set(s.seasonMonths)].sort((a, b) => a - b);
+  }
+  if (present("harvestZones")) {
+    const zoneError = (z) => {
+      if (!z || typeof z !== "object") return "must be an object";
+      if (z.type === "RADIUS") {
+        return isLatLng(z.center) && Number.isFinite(z.radius_m) && z.radius_m > 0 ? null : "RADIUS needs center { lat, lng } and radius_m > 0";
+      }
+      if (z.type === "POLYGON") {
+        const ok = Array.isArray(z.coordinates) && z.coordinates.length && z.coordinates.every(ring =>
+          Array.isArray(ring) && ring.length >= 4 && ring.every(pt => Array.isArray(pt) && isLatLng({ lng: pt[0], lat: pt[1] })));
+        return ok ? null : "POLYGON needs coordinates [[[lng, lat], ...]] with rings of 4+ points";
+      }
+      return "type must be POLYGON or RADIUS";
+    };
+    if (!Array.isArray(s.harvestZones)) errors.push("harvestZones must be an array");
+    else {
+      s.harvestZones.forEach((z, i) => { const e = zoneError(z); if (e) errors.push(`harvestZones[${i}]: ${e}`); });
+      value.harvestZones = s.harvestZones;
+    }
+  }
+  if (present("rules")) {
+    const r = s.rules || {};
+    const bad = ["maxAccuracyM", "minAiConfidence"].filter(k => r[k] !== undefined && !Number.isFinite(r[k]));
+    if (bad.length) errors.push(`rules.${bad.join(", rules.")} must be numbers`);
+    else value.rules = { maxAccuracyM: r.maxAccuracyM, minAiConfidence: r.minAiConfidence };
+  }
+  if (present("yieldRanges")) {
+    const err = s.yieldRanges === null ? null : validateYieldRanges(s.yieldRanges);
+    if (err) errors.push(err);
+    else value.yieldRanges = s.yieldRanges;
+  }
+  if (present("lifecycleProfile")) {
+    if (s.lifecycleProfile !== null && !PROFILES[s.lifecycleProfile]) errors.push(`lifecycleProfile must be one of ${Object.keys(PROFILES).join(", ")}`);
+    else value.lifecycleProfile = s.lifecycleProfile;
+  }
+  if (present("lifecycleTransitions")) {
+    const err = s.lifecycleTransitions === null ? null : validateTransitions(s.lifecycleTransitions);
+    if (err) errors.push(err);
+    else value.lifecycleTransitions = s.lifecycleTransitions;
+  }
+  if (present("harvestable")) {
+    if (typeof s.harvestable !== "boolean") errors.push("harvestable must be a boolean");
+    else value.harvestable = s.harvestable;
+  }
+  if (present("status")) {
+    const st = String(s.status).toUpperCase();
+    if (!STATUSES.includes(st)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+    else value.status = st;
+  }
+  return errors.length ? { errors } : { value };
+};
+
+// Why collection of this species must be refused; [] when harvestable
+const harvestBlockers = (species) => {
+  const out = [];
+  if (species.status === "RETIRED") out.push("RETIRED");
+  if (species.harvestable === false) out.push("HARVEST_DISABLED");
+  if (species.conservation?.cites === "I") out.push("CITES_APPENDIX_I");
+  if (["EW", "EX"].includes(species.conservation?.iucn)) out.push(`IUCN_${species.conservation.iucn}`);
+  return out;
+};
+
+// The same rules as a MongoDB filter, for listing (non-)harvestable species
+const harvestableQuery = (harvestable) => (harvestable
+  ? { status: { $ne: "RETIRED" }, harvestable: { $ne: false }, "conservation.cites": { $ne: "I" }, "conservation.iucn": { $nin: ["EW", "EX"] } }
+  : { $or: [{ status: "RETIRED" }, { harvestable: false }, { "conservation.cites": "I" }, { "conservation.iucn": { $in: ["EW", "EX"] } }] });
+
+// Legacy `vernaculars` strings are treated as names of unknown language ("und")
+const allNames = (species) => [
+  ...(species.vernacularNames || []).map(n => ({ lang: n.lang, name: n.name })),
+  ...(species.vernaculars || []).map(name => ({ lang: "und", name }))
+];
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// 0..1: exact > prefix > word prefix > substring > edit distance (whole name, words, same-length prefix)
+const scoreName = (query, name) => {
+  const q = normaliseName(query);
+  const n = normaliseName(name);
+  if (!q || !n) return 0;
+  if (n === q) return 1;
+  if (n.startsWith(q)) return 0.95;
+  const words = n.split(" ");
+  if (words.some(w => w.startsWith(q))) return 0.9;
+  if (n.includes(q)) return 0.8;
+  const candidates = [n, ...words, n.slice(0, q.length)];
+  const best = Math.max(...candidates.map(c => 1 - levenshtein(q, c) / Math.max(q.length, c.length)));
+  return Math.round(best * 0.85 * 1000) / 1000;
+};
+
+const SEARCH_MIN_SCORE = Number(process.env.SPECIES_SEARCH_MIN_SCORE || 0.6);
+
+// species[] → [{ species, score, matched: { lang, name } }] best first
+const searchSpecies = (speciesList, query, { lang, limit = 10, minScore = SEARCH_MIN_SCORE } = {}) => {
+  const hits = [];
+  for (const sp of speciesList) {
+    const names = [{ lang: "la", name: sp.scientificName }, { lang: "code", name: sp.speciesCode }, ...allNames(sp)]
+      .filter(n => !lang || n.lang === lang || n.lang === "la" || n.lang === "und");
+    let best = null;
+    for (const n of names) {
+      const score = scoreName(query, n.name);
+      if (!best || score > best.score) best = { score, matched: n };
+    }
+    if (best && best.score >= minScore) hits.push({ species: sp, ...best });
+  }
+  return hits.sort((a, b) => b.score - a.score || a.species.scientificName.localeCompare(b.species.scientificName)).slice(0, limit);
+};
+
+module.exports = {
+  IUCN_CATEGORIES, CITES_APPENDICES, PLANT_PARTS, STATUSES, IMMUTABLE,
+  normaliseName, validateSpecies, harvestBlockers, harvestableQuery, allNames, scoreName, searchSpecies
+};
@@ -0,0 +1,20 @@
+// lib/storage/index.js — blob storage driver registry
+// A driver implements:
+//   put(buffer)  → { driver, key, size, sha256 }
+//   get(key)     → Buffer | null
+//   remove(key)  → void
+// Callers keep { driver, key } next to the expected sha256 and re-hash on read, so a
+// driver only has to store bytes; integrity is checked above it.
+const { createLocalStorage } = require("./local");
+
+const DRIVERS = {
+  local: createLocalStorage
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || "local", options = {}) => {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}" (available: ${Object.keys(DRIVERS).join(", ")})`);
+  return factory(options);
+};
+
+module.exports = { createStorage, DRIVERS };
@@ -0,0 +1,43 @@
+// lib/storage/local.js — content-addressed blob store on local disk
+// Blobs live at <dir>/<sha[0..2]>/<sha>; the key is the SHA-256 itself, so identical
+// uploads share one file and a swapped file no longer matches its key.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const createLocalStorage = ({ dir = process.env.STORAGE_DIR || "./data/attachments" } = {}) => {
+  const pathFor = (key) => {
+    if (!/^[0-9a-f]{64}$/.test(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.join(dir, key.slice(0, 2), key);
+  };
+
+  const put = async (buffer) => {
+    const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+    const file = pathFor(sha256);
+    if (!fs.existsSync(file)) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // write then rename, so a crash never leaves a half-written blob under its final key
+      const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    }
+    return { driver: "local", key: sha256, size: buffer.length, sha256 };
+  };
+
+  const get = async (key) => {
+    try {
+      return await fs.promises.readFile(pathFor(key));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(pathFor(key), { force: true });
+  };
+
+  return { driver: "local", put, get, remove };
+};
+
+module.exports = { createLocalStorage };
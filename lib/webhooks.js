@@ -0,0 +1,278 @@
+// lib/webhooks.js — outbound webhooks delivered from a persistent outbox
+// emit() stores an OutboxEvent; the dispatcher fans each event out to the ACTIVE subscriptions
+// that want its type (one WebhookDelivery per event+subscription, unique, so a crash mid fan-out
+// is simply redone) and POSTs it with an HMAC-SHA256 signature. Failures back off exponentially;
+// after WEBHOOK_MAX_ATTEMPTS a delivery is DEAD (the dead-letter list) until it is replayed.
+// Delivery is at-least-once: receivers should dedupe on the event id.
+const crypto = require("crypto");
+
+const EVENT_TYPES = [
+  "collection.created",
+  "batch.created",
+  "batch.phase_changed",
+  "processing.step_added",
+  "labtest.gate_evaluated",
+  "recall.opened",
+  "recall.state_changed",
+  "anchor.created"
+];
+const TEST_EVENT = "webhook.test";                          // sent only by POST /webhooks/:id/test
+const STATUSES = ["ACTIVE", "DISABLED"];
+const DELIVERY_STATUSES = ["PENDING", "DELIVERING", "DELIVERED", "DEAD"];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 5000);
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const SIGNATURE_TOLERANCE_S = 300;
+const ATTEMPT_LOG_SIZE = 10;
+const MAX_REPLAY = 1000;
+
+const hex = (n) => crypto.randomBytes(n).toString("hex");
+const generateSecret = () => "whsec_" + crypto.randomBytes(24).toString("base64url");
+
+// Signature over "<timestamp>.<raw body>", sent as X-Webhook-Signature: sha256=<hex>
+const sign = (secret, timestamp, body) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// For receivers: constant-time compare, and stale timestamps are refused so captured requests can't be replayed
+const verifySignature = (secret, { timestamp, signature, body, now = Date.now(), toleranceS = SIGNATURE_TOLERANCE_S }) => {
+  if (!timestamp || !signature || !(Math.abs(now / 1000 - Number(timestamp)) <= toleranceS)) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Wait before the next try after `failures` failed attempts: base·2^(failures-1), ±20% jitter, capped
+const backoffMs = (failures, base = BACKOFF_MS) =>
+  Math.round(Math.min(base * 2 ** (failures - 1), MAX_BACKOFF_MS) * (0.8 + Math.random() * 0.4));
+
+// Plain http only to this machine (local receivers) unless WEBHOOK_ALLOW_HTTP=true
+const checkUrl = (url, allowHttp = process.env.WEBHOOK_ALLOW_HTTP === "true") => {
+  let u;
+  try { u = new URL(url); } catch (_) { return "url must be an absolute http(s) URL"; }
+  if (u.protocol === "https:") return null;
+  if (u.protocol === "http:" && (allowHttp || ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname))) return null;
+  return "url must use https (http is only allowed for localhost)";
+};
+
+// input (snake_case request body) → { value } or { errors }; partial=true for PATCH
+const validateSubscription = (input, { partial = false } = {}) => {
+  const p = input || {};
+  const errors = [];
+  const value = {};
+  if (!partial || p.url !== undefined) {
+    const bad = typeof p.url === "string" ? checkUrl(p.url) : "url required";
+    if (bad) errors.push(bad);
+    else value.url = p.url;
+  }
+  if (!partial || p.event_types !== undefined) {
+    const types = Array.isArray(p.event_types) ? [...new Set(p.event_types.map(String))] : [];
+    const unknown = types.filter(t => t !== "*" && !EVENT_TYPES.includes(t));
+    if (!types.length) errors.push(`event_types must list one or more of ${EVENT_TYPES.join(", ")} (or "*")`);
+    else if (unknown.length) errors.push(`unknown event_types: ${unknown.join(", ")}`);
+    else value.eventTypes = types;
+  }
+  if (p.status !== undefined) {
+    const st = String(p.status).toUpperCase();
+    if (!STATUSES.includes(st)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+    else value.status = st;
+  }
+  if (p.description !== undefined) value.description = String(p.description);
+  return errors.length ? { errors } : { value };
+};
+
+const wants = (sub, type) => sub.eventTypes.includes("*") || sub.eventTypes.includes(type);
+
+const payloadOf = (ev) => ({ id: ev.id, type: ev.type, occurred_at: ev.occurredAt.toISOString(), data: ev.data || {} });
+
+const createWebhookService = ({
+  Subscription,
+  OutboxEvent,
+  Delivery,
+  fetchImpl = globalThis.fetch,
+  maxAttempts = MAX_ATTEMPTS,
+  timeoutMs = TIMEOUT_MS,
+  batchSize = Number(process.env.WEBHOOK_BATCH_SIZE || 50),
+  log = console
+}) => {
+  let inFlight = null;
+  let timer = null;
+
+  // Stored before the caller responds; from here on the event survives restarts
+  const emit = async (type, data, { requestId, subscriptionId } = {}) => {
+    const doc = await OutboxEvent.create({
+      id: "EV-" + hex(6),
+      type,
+      data: JSON.parse(JSON.stringify(data ?? {})),
+      requestId,
+      subscriptionId,
+      occurredAt: new Date(),
+      fannedOut: false
+    });
+    if (timer) setImmediate(() => runOnce().catch(e => log.error("Webhook dispatch failed:", e.message)));
+    return doc;
+  };
+
+  // (Re)queues an event for subscriptions; reset=true also re-arms deliveries that already exist
+  const enqueue = async (ev, subs, { reset = false } = {}) => {
+    if (!subs.length) return 0;
+    const now = new Date();
+    const armed = { status: "PENDING", attempts: 0, nextAttemptAt: now };
+    const ops = subs.map(s => ({
+      updateOne: {
+        filter: reset ? { eventId: ev.id, subscriptionId: s.id, status: { $ne: "DELIVERING" } } : { eventId: ev.id, subscriptionId: s.id },
+        update: reset
+          ? { $set: armed, $unset: { deadAt: "" }, $setOnInsert: { id: "DL-" + hex(6), type: ev.type } }
+          : { $setOnInsert: { id: "DL-" + hex(6), type: ev.type, ...armed } },
+        upsert: true
+      }
+    }));
+    try {
+      await Delivery.bulkWrite(ops, { ordered: false });
+    } catch (e) {
+      // Only an in-flight delivery (excluded by the filter, so the upsert clashes) may fail
+      if (!(e.writeErrors || []).every(we => (we.code ?? we.err?.code) === 11000)) throw e;
+    }
+    return subs.length;
+  };
+
+  const fanOut = async () => {
+    const events = await OutboxEvent.find({ fannedOut: false }, null, { sort: { occurredAt: 1 }, limit: batchSize });
+    if (!events.length) return 0;
+    const subs = await Subscription.find({ status: "ACTIVE" });
+    for (const ev of events) {
+      await enqueue(ev, subs.filter(s => (ev.subscriptionId ? s.id === ev.subscriptionId : wants(s, ev.type))));
+      await OutboxEvent.updateOne({ id: ev.id }, { $set: { fannedOut: true } });
+    }
+    return events.length;
+  };
+
+  // Due deliveries, plus ones whose sender died mid-attempt (lease expired). The attempt is
+  // counted on claim so a delivery that keeps crashing the sender still ends up DEAD.
+  const claim = () => {
+    const now = new Date();
+    return Delivery.findOneAndUpdate(
+      { $or: [{ status: "PENDING", nextAttemptAt: { $lte: now } }, { status: "DELIVERING", leaseUntil: { $lt: now } }] },
+      { $set: { status: "DELIVERING", leaseUntil: new Date(now.getTime() + timeoutMs * 3) }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  };
+
+  const finish = (d, $set, attempt) => Delivery.updateOne(
+    { id: d.id, status: "DELIVERING", attempts: d.attempts },
+    { $set: { ...$set, lastAttemptAt: attempt.at }, $unset: { leaseUntil: "" }, $push: { attemptLog: { $each: [attempt], $slice: -ATTEMPT_LOG_SIZE } } }
+  );
+
+  const send = async (d) => {
+    const [sub, ev] = await Promise.all([
+      Subscription.findOne({ id: d.subscriptionId }),
+      OutboxEvent.findOne({ id: d.eventId })
+    ]);
+    const at = new Date();
+    if (!sub || sub.status !== "ACTIVE" || !ev) {
+      const error = !ev ? "event no longer in the outbox" : "subscription disabled or removed";
+      return finish(d, { status: "DEAD", deadAt: at, lastError: error }, { at, status_code: null, error, duration_ms: 0 });
+    }
+    const body = JSON.stringify(payloadOf(ev));
+    const timestamp = String(Math.floor(at.getTime() / 1000));
+    let statusCode = null;
+    let error = null;
+    try {
+      const r = await fetchImpl(sub.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AyurTrace-Webhooks/1",
+          "X-Webhook-Id": ev.id,
+          "X-Webhook-Delivery": d.id,
+          "X-Webhook-Event": ev.type,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": sign(sub.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      statusCode = r.status;
+      r.body?.cancel?.().catch(() => {});
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (e) {
+      error = e.name === "TimeoutError" ? `no response within ${timeoutMs} ms` : e.cause?.code || e.message;
+    }
+    const attempt = { at, status_code: statusCode, error, duration_ms: Date.now() - at.getTime() };
+    if (!error) return finish(d, { status: "DELIVERED", deliveredAt: new Date(), lastStatusCode: statusCode, lastError: null }, attempt);
+    if (d.attempts >= maxAttempts) {
+      log.warn(`Webhook delivery ${d.id} (${ev.type} → ${sub.id}) is dead after ${d.attempts} attempts: ${error}`);
+      return finish(d, { status: "DEAD", deadAt: new Date(), lastStatusCode: statusCode, lastError: error }, attempt);
+    }
+    return finish(d, {
+      status: "PENDING", nextAttemptAt: new Date(Date.now() + backoffMs(d.attempts)), lastStatusCode: statusCode, lastError: error
+    }, attempt);
+  };
+
+  const run = async () => {
+    while ((await fanOut()) === batchSize) { /* drain the outbox first */ }
+    let sent = 0;
+    while (sent < batchSize) {
+      const d = await claim();
+      if (!d) break;
+      await send(d);
+      sent++;
+    }
+    return sent;
+  };
+
+  // Concurrent callers share the run already in progress
+  const runOnce = () => {
+    if (!inFlight) inFlight = run().finally(() => { inFlight = null; });
+    return inFlight;
+  };
+
+  const start = (intervalMs = Number(process.env.WEBHOOK_POLL_MS || 2000)) => {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(() => runOnce().catch(e => log.error("Webhook dispatch failed:", e.message)), intervalMs);
+    timer.unref?.();
+  };
+  const stop = () => { clearInterval(timer); timer = null; };
+
+  // One delivery again from scratch (DEAD or DELIVERED); null if not found or still in flight
+  const replayDelivery = (id) => Delivery.findOneAndUpdate(
+    { id, status: { $in: ["DEAD", "DELIVERED"] } },
+    { $set: { status: "PENDING", attempts: 0, nextAttemptAt: new Date() }, $unset: { deadAt: "" }, $inc: { replays: 1 } },
+    { new: true }
+  );
+
+  // deadOnly: re-arm the subscription's dead letters; otherwise re-send every outbox event it
+  // wants in [from, to), whether or not it was delivered before
+  const replay = async (sub, { from, to, eventTypes, deadOnly = false }) => {
+    if (deadOnly) {
+      const q = { subscriptionId: sub.id, status: "DEAD" };
+      if (eventTypes?.length) q.type = { $in: eventTypes };
+      const r = await Delivery.updateMany(q, { $set: { status: "PENDING", attempts: 0, nextAttemptAt: new Date() }, $unset: { deadAt: "" }, $inc: { replays: 1 } });
+      return { requeued: r.modifiedCount, truncated: false };
+    }
+    const subscribed = sub.eventTypes.includes("*") ? EVENT_TYPES : sub.eventTypes;
+    const q = { occurredAt: { $gte: from }, type: { $in: eventTypes?.length ? eventTypes.filter(t => subscribed.includes(t)) : subscribed } };
+    if (to) q.occurredAt.$lt = to;
+    const events = await OutboxEvent.find(q, null, { sort: { occurredAt: 1 }, limit: MAX_REPLAY + 1 });
+    const batch = events.slice(0, MAX_REPLAY);
+    for (const ev of batch) await enqueue(ev, [sub], { reset: true });
+    return { requeued: batch.length, truncated: events.length > MAX_REPLAY };
+  };
+
+  return { emit, runOnce, start, stop, replayDelivery, replay, payloadOf };
+};
+
+module.exports = {
+  createWebhookService,
+  validateSubscription,
+  verifySignature,
+  sign,
+  backoffMs,
+  generateSecret,
+  EVENT_TYPES,
+  TEST_EVENT,
+  DELIVERY_STATUSES,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,67 @@
+// Writes made on a route's behalf (derived gates, mass balance, anchor receipts, recall moves) are audited
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let processor;
+let lab;
+let chain;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  processor = await t.as('processor', 'proc-1');
+  lab = await t.as('lab', 'lab-1');
+  chain = await t.as('chain-worker', 'worker-1');
+});
+after(() => t.close());
+
+const trail = (entityType, entityId) => t.repos.AuditEntry.find({ entityType, entityId }, null, { sort: { seq: 1 } });
+const changed = (entry, path) => entry.changes.some(c => c.path === path || c.path.startsWith(path + '.'));
+
+test('mass balance changes are audited, and reading the report writes nothing', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'audit-mb' });
+  await processor('post', '/processing', { batch_id: batch.id, step_type: 'RECEIPT', input_kg: 12.5, output_kg: 14 });
+  const entries = await trail('Batch', batch.id);
+  const flagged = entries.find(e => e.route === '/processing' && changed(e, 'flags'));
+  assert.ok(flagged, 'the MASS_GAIN flag is in the audit trail');
+  assert.equal(flagged.actor.subject, 'proc-1');
+
+  await processor('get', `/batches/${batch.id}/mass-balance`);
+  await processor('get', `/batches/${batch.id}/mass-balance`);
+  assert.equal((await trail('Batch', batch.id)).length, entries.length);
+});
+
+test('anchor receipts are audited under the caller that ran anchoring', async () => {
+  const { collectionEvent } = await collect(collector, { clientEventId: 'audit-anchor', timestamp: '2025-09-17T10:00:00Z' });
+  const run = await chain('post', '/anchors/run');
+  assert.equal(run.status, 201);
+  const stamp = (await trail('CollectionEvent', collectionEvent.id)).find(e => changed(e, 'anchor'));
+  assert.ok(stamp);
+  assert.equal(stamp.actor.subject, 'worker-1');
+  assert.equal(stamp.route, '/anchors/run');
+});
+
+test('gates inherited by derived lots and recall moves are audited', async () => {
+  const a = await collect(collector, { clientEventId: 'audit-gate-a', timestamp: '2025-09-18T10:00:00Z' });
+  const b = await collect(collector, { clientEventId: 'audit-gate-b', timestamp: '2025-09-19T10:00:00Z' });
+  const merged = await processor('post', '/batches/merge', { parents: [{ batch_id: a.batch.id }, { batch_id: b.batch.id }] });
+  assert.equal(merged.status, 201, JSON.stringify(merged.data));
+  const lotId = merged.data.batch.id;
+
+  const failed = await lab('post', '/labtest', { batch_id: a.batch.id, moisture_pct: 10.5, pesticide_pass: false });
+  assert.equal(failed.status, 201, JSON.stringify(failed.data));
+  const gate = (await trail('Batch', lotId)).find(e => e.route === '/labtest' && changed(e, 'qualityGate'));
+  assert.ok(gate);
+  assert.deepEqual(gate.changes.find(c => c.path === 'qualityGate'), { path: 'qualityGate', before: 'PENDING', after: 'FAIL' });
+  assert.equal(gate.actor.subject, 'lab-1');
+
+  const [recall] = await t.repos.Recall.find({ 'scope.batchIds': a.batch.id });
+  assert.equal((await t.admin('patch', `/recalls/${recall.id}/state`, { state: 'RESOLVED' })).status, 200);
+  const moves = (await trail('Recall', recall.id)).filter(e => e.action === 'UPDATE');
+  assert.equal(moves.length, 1);
+  assert.deepEqual(moves[0].changes.find(c => c.path === 'state'), { path: 'state', before: 'ACTIVE', after: 'RESOLVED' });
+});
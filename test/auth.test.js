@@ -0,0 +1,97 @@
+// Roles, permissions and collector scoping, notably on the routes that expose record hashes and anchor receipts
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let otherCollector;
+let processor;
+let chain;
+let own;
+let foreign;
+let stepId;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  otherCollector = await t.as('collector', 'farmer-456');
+  processor = await t.as('processor', 'proc-1');
+  chain = await t.as('chain-worker', 'worker-1');
+  own = await collect(collector, { clientEventId: 'auth-own' });
+  foreign = await collect(otherCollector, { collectorId: 'farmer-456', clientEventId: 'auth-foreign' });
+  stepId = (await processor('post', '/processing', { batch_id: own.batch.id, step_type: 'RECEIPT', input_kg: 12.5, output_kg: 12.3 })).data.processing_step.id;
+  assert.equal((await chain('post', '/anchors/run')).status, 201);
+});
+after(() => t.close());
+
+test('Merkle roots, proofs and anchors need credentials', async () => {
+  for (const url of [`/batches/${own.batch.id}/merkle`, `/batches/${own.batch.id}/proof/${own.collectionEvent.id}`, `/anchors/${own.collectionEvent.id}`]) {
+    const res = await t.anonymous('get', url);
+    assert.equal(res.status, 401, url);
+    assert.equal(res.data.error, 'UNAUTHENTICATED');
+  }
+});
+
+test('a collector sees the proofs and anchors of their own records only', async () => {
+  assert.equal((await collector('get', `/batches/${own.batch.id}/merkle`)).status, 200);
+  const proof = await collector('get', `/batches/${own.batch.id}/proof/${own.collectionEvent.id}`);
+  assert.equal(proof.status, 200);
+  assert.equal(proof.data.valid, true);
+  const anchor = await collector('get', `/anchors/${stepId}`);
+  assert.equal(anchor.status, 200);
+  assert.equal(anchor.data.record.valid, true);
+
+  assert.equal((await collector('get', `/batches/${foreign.batch.id}/merkle`)).status, 404);
+  assert.equal((await collector('get', `/batches/${foreign.batch.id}/proof/${foreign.collectionEvent.id}`)).status, 404);
+  assert.equal((await collector('get', `/anchors/${foreign.collectionEvent.id}`)).status, 404);
+  assert.equal((await collector('get', `/anchors/${foreign.batch.id}`)).status, 404);
+  assert.equal((await collector('get', `/anchors/${anchor.data.anchor.id}`)).status, 404);
+});
+
+test('other reading roles see every batch and anchor', async () => {
+  assert.equal((await processor('get', `/batches/${foreign.batch.id}/merkle`)).status, 200);
+  const byRecord = await processor('get', `/anchors/${foreign.collectionEvent.id}`);
+  assert.equal(byRecord.status, 200);
+  const byId = await chain('get', `/anchors/${byRecord.data.anchor.id}`);
+  assert.equal(byId.status, 200);
+  assert.ok(byId.data.anchor.items.some(i => i.id === own.collectionEvent.id));
+});
+
+test('each role is limited to its own permissions', async () => {
+  const auditor = await t.as('auditor', 'cert-1');
+  const lab = await t.as('lab', 'lab-1');
+  const refused = [
+    [collector, 'post', '/processing', { batch_id: own.batch.id, step_type: 'DRYING' }],
+    [processor, 'post', '/collection', { scientificName: 'Withania somnifera', collectorId: 'farmer-123' }],
+    [auditor, 'post', '/recalls', { reason: 'x', severity: 'LOW', batch_ids: [own.batch.id] }],
+    [lab, 'get', '/audit'],
+    [processor, 'post', '/ledger-jobs/claim', { type: 'Batch' }]
+  ];
+  for (const [as, method, url, body] of refused) {
+    const res = await as(method, url, body);
+    assert.equal(res.status, 403, `${method} ${url}`);
+    assert.equal(res.data.error, 'FORBIDDEN');
+  }
+  assert.equal((await auditor('get', '/audit')).status, 200);
+  assert.equal((await t.anonymous('get', '/batches')).status, 401);
+});
+
+test('a collector records, lists and reads their own collections and batches only', async () => {
+  const spoofed = await collector('post', '/collection', {
+    scientificName: 'Withania somnifera', collectorId: 'farmer-456', geo: { lat: 28.6, lng: 77.2 }, timestamp: '2025-09-16T10:00:00Z'
+  });
+  assert.equal(spoofed.status, 403);
+  assert.equal(spoofed.data.field, 'collectorId');
+
+  assert.equal((await collector('get', `/collection/${own.collectionEvent.id}`)).status, 200);
+  assert.equal((await collector('get', `/collection/${foreign.collectionEvent.id}`)).status, 404);
+  assert.equal((await collector('get', `/batches/${foreign.batch.id}/lifecycle`)).status, 404);
+  assert.equal((await processor('get', `/batches/${foreign.batch.id}/lifecycle`)).status, 200);
+
+  const listed = await collector('get', '/batches');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.data.items.map(b => b.id), [own.batch.id]);
+  assert.equal((await processor('get', '/batches')).data.items.length, 2);
+});
@@ -0,0 +1,59 @@
+// Collection events through the API: harvest verdicts, and what the blockchain team may change
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let chain;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  chain = await t.as('chain-worker', 'worker-1');
+});
+after(() => t.close());
+
+const tomorrow = () => new Date(Date.now() + 86400000).toISOString();
+
+test('a chain PATCH records the chain state without touching a rejected verdict', async () => {
+  const { collectionEvent: ce } = await collect(collector, { clientEventId: 'ce-rejected', timestamp: tomorrow() });
+  assert.equal(ce.status, 'REJECTED');
+
+  const patched = await chain('patch', `/collection/${ce.id}/blockchain`, { status: 'COMPLETE', hash: '0xtx-ce' });
+  assert.equal(patched.status, 200);
+  assert.deepEqual(patched.data, { id: ce.id, status: 'REJECTED', chain_status: 'COMPLETE', chain_hash: '0xtx-ce' });
+
+  const queue = await chain('get', '/collections/chain?status=COMPLETE');
+  assert.deepEqual(queue.data.items.filter(i => i.id === ce.id).map(i => [i.status, i.chain_status]), [['REJECTED', 'COMPLETE']]);
+  const ready = await chain('get', '/collections/chain?status=READY');
+  assert.ok(!ready.data.items.some(i => i.id === ce.id));
+  const stored = await chain('get', `/collections?status=REJECTED&fields=id,status,chainStatus`);
+  assert.deepEqual(stored.data.items.find(i => i.id === ce.id), { id: ce.id, status: 'REJECTED', chainStatus: 'COMPLETE' });
+});
+
+test('the verdict is hashed: provenance stops verifying when it is changed', async () => {
+  const { collectionEvent: ce, batch } = await collect(collector, { clientEventId: 'ce-hashed' });
+  await chain('patch', `/collection/${ce.id}/blockchain`, { status: 'COMPLETE', hash: '0xtx-ce2' });
+  const clean = await t.anonymous('get', `/provenance/${batch.id}`);
+  assert.equal(clean.status, 200);
+  assert.equal(clean.data.on_chain.verified, true);
+
+  await t.repos.CollectionEvent.updateOne({ id: ce.id }, { $set: { status: 'ACCEPTED' } });
+  const tampered = await t.anonymous('get', `/provenance/${batch.id}`);
+  assert.equal(tampered.data.on_chain.verified, false);
+  assert.deepEqual(tampered.data.on_chain.mismatches.map(m => m.id), [ce.id]);
+});
+
+test('only string clientEventIds are unique per collector', async () => {
+  const { CollectionEvent } = t.repos;
+  const event = (id, clientEventId) => ({ id, clientEventId, scientificName: 'Withania somnifera', collectorId: 'farmer-9', timestampUtc: new Date() });
+  await CollectionEvent.create(event('CE-null0001', null));
+  await CollectionEvent.create(event('CE-null0002', null));
+  await CollectionEvent.create(event('CE-cid00001', 'cid-1'));
+  await assert.rejects(CollectionEvent.create(event('CE-cid00002', 'cid-1')), e => e.code === 11000);
+
+  await t.start();
+  assert.deepEqual((await CollectionEvent.find({ id: /^CE-null/ })).map(e => e.clientEventId), [undefined, undefined]);
+});
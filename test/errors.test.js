@@ -0,0 +1,56 @@
+// Failures inside route handlers reach the central error handler: one 500 body, no internals
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let processor;
+let chain;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  processor = await t.as('processor', 'proc-1');
+  chain = await t.as('chain-worker', 'worker-1');
+});
+after(() => t.close());
+
+// Makes repos[model][method] throw for the duration of fn; → what fn returned
+const failing = async (model, method, fn) => {
+  const original = t.repos[model][method];
+  t.repos[model][method] = async () => { throw new Error('secret internals: connection to db-7 lost'); };
+  const logged = mock.method(console, 'error', () => {});
+  try {
+    return await fn();
+  } finally {
+    t.repos[model][method] = original;
+    logged.mock.restore();
+  }
+};
+
+const assertInternalError = (res) => {
+  assert.equal(res.status, 500);
+  assert.equal(res.data.code, 'INTERNAL_ERROR');
+  assert.ok(res.data.request_id);
+  assert.ok(!JSON.stringify(res.data).includes('secret internals'));
+};
+
+test('a failed write while recording a collection is a uniform 500', async () => {
+  assertInternalError(await failing('CollectionEvent', 'create', () => collector('post', '/collection', {
+    scientificName: 'Withania somnifera', collectorId: 'farmer-123', geo: { lat: 28.6, lng: 77.2 },
+    timestamp: '2025-09-16T10:00:00Z', quantity: 1, unit: 'kg', clientEventId: 'err-1'
+  })));
+});
+
+test('a failed read while adding a processing step is a uniform 500', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'err-3' });
+  assertInternalError(await failing('Batch', 'findOne', () =>
+    processor('post', '/processing', { batch_id: batch.id, step_type: 'RECEIPT', input_kg: 12.5, output_kg: 12.3 })));
+});
+
+test('a failed anchoring run does not leak the failure', async () => {
+  await collect(collector, { clientEventId: 'err-4' });
+  assertInternalError(await failing('Anchor', 'create', () => chain('post', '/anchors/run')));
+});
@@ -0,0 +1,78 @@
+// Harvest rules engine: zones, seasons, timestamps and classifier evidence
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateCollection, statusFor, inZone, SEVERITY } = require('../lib/harvestRules');
+
+const now = new Date('2025-09-16T12:00:00Z');
+const square = { zoneId: 'Z-SQ', type: 'POLYGON', coordinates: [[[77, 28], [78, 28], [78, 29], [77, 29], [77, 28]]] };
+const circle = { zoneId: 'Z-RAD', type: 'RADIUS', center: { lat: 30, lng: 78 }, radius_m: 1000 };
+const species = { scientificName: 'Withania somnifera', harvestZones: [square, circle], seasonMonths: [8, 9, 10] };
+const event = (fields = {}) => ({
+  scientificName: 'Withania somnifera',
+  collectorId: 'farmer-123',
+  geo: { lat: 28.6, lng: 77.2, accuracy_m: 10 },
+  timestampUtc: new Date('2025-09-16T10:00:00Z'),
+  ...fields
+});
+const codes = (r) => r.violations.map(v => v.code);
+
+test('an event inside a zone, in season and recent is accepted with its zone', () => {
+  const r = evaluateCollection(event(), species, { now });
+  assert.deepEqual(r, { status: 'ACCEPTED', violations: [], zoneId: 'Z-SQ' });
+  assert.equal(evaluateCollection(event({ geo: { lat: 30.005, lng: 78 } }), species, { now }).zoneId, 'Z-RAD');
+});
+
+test('zones and seasons reject, and inactive zones are ignored', () => {
+  const outside = evaluateCollection(event({ geo: { lat: 10, lng: 10 } }), species, { now });
+  assert.equal(outside.status, 'REJECTED');
+  assert.deepEqual(codes(outside), ['OUTSIDE_HARVEST_ZONE']);
+  assert.deepEqual(outside.violations[0].zones_checked, ['Z-SQ', 'Z-RAD']);
+
+  const winter = evaluateCollection(event({ timestampUtc: new Date('2025-01-10T10:00:00Z') }), species, { now: new Date('2025-01-11T00:00:00Z') });
+  assert.deepEqual(codes(winter), ['OUT_OF_SEASON']);
+  assert.equal(winter.violations[0].month, 1);
+
+  const retired = { ...species, harvestZones: [{ ...square, active: false }] };
+  assert.equal(evaluateCollection(event({ geo: { lat: 10, lng: 10 } }), retired, { now }).status, 'ACCEPTED');
+});
+
+test('missing geo rejects only when the species has zones', () => {
+  assert.equal(evaluateCollection(event({ geo: null }), species, { now }).status, 'REJECTED');
+  const open = evaluateCollection(event({ geo: { lat: 91, lng: 0 } }), { scientificName: 'Withania somnifera' }, { now });
+  assert.equal(open.status, 'FLAGGED');
+  assert.deepEqual(codes(open), ['GEO_MISSING']);
+});
+
+test('timestamps: future events reject, old ones flag', () => {
+  const future = evaluateCollection(event({ timestampUtc: new Date(now.getTime() + 301 * 1000) }), species, { now });
+  assert.deepEqual(codes(future), ['TIMESTAMP_IN_FUTURE']);
+  const skewed = evaluateCollection(event({ timestampUtc: new Date(now.getTime() + 299 * 1000) }), species, { now });
+  assert.equal(skewed.status, 'ACCEPTED');
+  const old = evaluateCollection(event({ timestampUtc: new Date('2025-08-01T10:00:00Z') }), species, { now });
+  assert.equal(old.status, 'FLAGGED');
+  assert.deepEqual(codes(old), ['TIMESTAMP_TOO_OLD']);
+  assert.equal(evaluateCollection(event({ timestampUtc: new Date('2025-08-01T10:00:00Z') }), species, { now, config: { maxEventAgeDays: 60 } }).status, 'ACCEPTED');
+});
+
+test('GPS accuracy and AI confidence flag, with per-species overrides', () => {
+  assert.deepEqual(codes(evaluateCollection(event({ geo: { lat: 28.6, lng: 77.2, accuracy_m: 80 } }), species, { now })), ['GPS_ACCURACY_EXCEEDED']);
+  const lenient = { ...species, rules: { maxAccuracyM: 100, minAiConfidence: 0.4 } };
+  assert.equal(evaluateCollection(event({ geo: { lat: 28.6, lng: 77.2, accuracy_m: 80 } }), lenient, { now }).status, 'ACCEPTED');
+
+  assert.deepEqual(codes(evaluateCollection(event({ ai: { confidence: 0.5 } }), species, { now })), ['AI_CONFIDENCE_LOW']);
+  assert.equal(evaluateCollection(event({ ai: { confidence: 0.5 } }), lenient, { now }).status, 'ACCEPTED');
+
+  const mismatch = evaluateCollection(event({
+    ai: { method: 'CLASSIFIER', confidence: 0.1, match: false, top: { scientific_name: 'Ocimum tenuiflorum', confidence: 0.9 } }
+  }), species, { now });
+  assert.deepEqual(codes(mismatch), ['SPECIES_MISMATCH']);
+  assert.equal(mismatch.violations[0].predicted, 'Ocimum tenuiflorum');
+});
+
+test('statusFor: any REJECT wins over flags', () => {
+  assert.equal(statusFor([]), 'ACCEPTED');
+  assert.equal(statusFor([{ severity: SEVERITY.FLAG }]), 'FLAGGED');
+  assert.equal(statusFor([{ severity: SEVERITY.FLAG }, { severity: SEVERITY.REJECT }]), 'REJECTED');
+  assert.equal(inZone({ lat: 28.5, lng: 77.5 }, square), true);
+  assert.equal(inZone({ lat: 28.5, lng: 77.5 }, null), false);
+});
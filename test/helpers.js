@@ -0,0 +1,81 @@
+// test/helpers.js — shared setup for the node:test suites (npm test).
+// startApp() runs app.js in this process on the memory driver with a throwaway admin key, storage
+// directory, ledger file and credential key, so the suites need no database, network or ./data.
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// → { base, repos, admin, anonymous, as(role, subject), start, close }. admin/anonymous/as give
+// call(method, url, body) functions that resolve with the axios response whatever its status.
+// Background work is off unless a suite calls start() (which resolves after the startup backfills).
+async function startApp() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apitest-'));
+  process.env.ADMIN_API_KEY = 'ak_test_' + crypto.randomBytes(16).toString('hex');
+  process.env.VC_KEY_FILE = path.join(dir, 'issuer-ed25519.pem');
+  const { createApp } = require('../app');
+  const { createRepositories } = require('../lib/repository');
+  const { createStorage } = require('../lib/storage');
+  const { createLedger } = require('../lib/ledger');
+  const { createClassifier } = require('../lib/classifier');
+  const repos = createRepositories('memory');
+  const { app, start, stop } = createApp({
+    repos,
+    storage: createStorage('local', { dir: path.join(dir, 'attachments') }),
+    ledger: createLedger('local', { file: path.join(dir, 'ledger.jsonl') }),
+    classifier: createClassifier('stub', { labels: {} })
+  });
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const client = (key) => (method, url, data) => axios({
+    method, url: base + url, data,
+    headers: key ? { 'X-API-Key': key } : {},
+    validateStatus: () => true
+  });
+  const admin = client(process.env.ADMIN_API_KEY);
+  const as = async (role, subject) => {
+    const res = await admin('post', '/admin/api-keys', { role, subject, name: 'test' });
+    if (res.status !== 201 && res.status !== 200) throw new Error(`Could not issue a ${role} key: ${res.status} ${JSON.stringify(res.data)}`);
+    return client(res.data.key);
+  };
+
+  return {
+    base, repos, admin, as, start,
+    anonymous: client(null),
+    close: async () => {
+      stop();
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Seeds Withania somnifera (WITHA) once per app
+async function seedSpecies(t) {
+  const res = await t.admin('post', '/dev/seed-species', {
+    scientificName: 'Withania somnifera',
+    speciesCode: 'WITHA',
+    plantParts: ['ROOT'],
+    vernacularNames: [{ lang: 'en', name: 'Ashwagandha' }]
+  });
+  if (res.status >= 300) throw new Error(`Could not seed species: ${res.status} ${JSON.stringify(res.data)}`);
+}
+
+// Records a collection event as `collector` → the response body ({ collectionEvent, batch, ... })
+async function collect(collector, fields = {}) {
+  const res = await collector('post', '/collection', {
+    scientificName: 'Withania somnifera',
+    collectorId: 'farmer-123',
+    geo: { lat: 28.6, lng: 77.2 },
+    timestamp: '2025-09-16T10:00:00Z',
+    quantity: 12.5,
+    unit: 'kg',
+    ...fields
+  });
+  if (res.status >= 300) throw new Error(`Could not record the collection: ${res.status} ${JSON.stringify(res.data)}`);
+  return res.data;
+}
+
+module.exports = { startApp, seedSpecies, collect };
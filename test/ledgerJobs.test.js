@@ -0,0 +1,131 @@
+// Ledger job leasing: exclusive claims, heartbeats, lease holders only, retries and expiry
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../lib/repository');
+const { createLedgerJobService } = require('../lib/ledgerJobs');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+const quiet = { log() {}, warn() {}, error() {} };
+const setup = async (count = 3, options = {}) => {
+  const repos = createRepositories('memory');
+  const jobs = createLedgerJobService({ Job: repos.LedgerJob, models: repos, log: quiet, ...options });
+  for (let i = 1; i <= count; i++) await jobs.enqueue('CollectionEvent', { id: `CE-${i}`, hash: `h${i}` });
+  return { repos, jobs, stored: (id) => repos.LedgerJob.findOne({ id }) };
+};
+const later = (minutes) => new Date(Date.now() + minutes * 60000);
+
+test('workers claim disjoint jobs, oldest first, up to their limit', async () => {
+  const { jobs } = await setup(3);
+  const a = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a', limit: 2 });
+  const b = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-b', limit: 2 });
+  assert.deepEqual(a.map(j => j.recordId), ['CE-1', 'CE-2']);
+  assert.deepEqual(b.map(j => j.recordId), ['CE-3']);
+  assert.ok(a.every(j => j.state === 'LEASED' && j.workerId === 'w-a' && j.attempts === 1 && j.leaseId));
+  assert.deepEqual(await jobs.claim({ type: 'CollectionEvent', workerId: 'w-b' }), []);
+  assert.deepEqual(await jobs.claim({ type: 'Batch', workerId: 'w-b' }), []);
+});
+
+test('only the lease holder can renew, complete or fail a job', async () => {
+  const { jobs, stored } = await setup(1);
+  const [job] = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a', leaseS: 60 });
+  const hb = await jobs.heartbeat({ workerId: 'w-a', leaseIds: [job.leaseId, 'LS-gone'], leaseS: 600 });
+  assert.equal(hb.renewed.length, 1);
+  assert.ok(hb.renewed[0].leaseUntil > job.leaseUntil);
+  assert.deepEqual(hb.lost, ['LS-gone']);
+  assert.deepEqual((await jobs.heartbeat({ workerId: 'w-b', leaseIds: [job.leaseId] })).lost, [job.leaseId]);
+
+  assert.equal(await jobs.complete(job.id, { workerId: 'w-b', leaseId: job.leaseId, chainHash: '0xabc' }), null);
+  assert.equal(await jobs.fail(job.id, { workerId: 'w-a', leaseId: 'LS-other', error: 'x' }), null);
+  const done = await jobs.complete(job.id, { workerId: 'w-a', leaseId: job.leaseId, chainHash: '0xabc' });
+  assert.equal(done.state, 'COMPLETE');
+  assert.equal(done.chainHash, '0xabc');
+  assert.equal(done.leaseId, undefined);
+  assert.deepEqual(done.attemptLog.map(l => l.outcome), ['COMPLETE']);
+  assert.equal(await jobs.complete(job.id, { workerId: 'w-a', leaseId: job.leaseId, chainHash: '0xabc' }), null);
+  assert.equal((await stored(job.id)).state, 'COMPLETE');
+});
+
+test('failures back off, then fail for good once out of attempts, until retried', async () => {
+  const { repos, jobs } = await setup(1, { maxAttempts: 2, backoffBaseMs: 60000 });
+  let [job] = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a' });
+  const retried = await jobs.fail(job.id, { workerId: 'w-a', leaseId: job.leaseId, error: 'rpc timeout' });
+  assert.equal(retried.state, 'PENDING');
+  assert.ok(retried.availableAt > new Date());
+  assert.deepEqual(await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a' }), [], 'not before the backoff ends');
+
+  await repos.LedgerJob.updateOne({ id: job.id }, { $set: { availableAt: new Date() } });
+  [job] = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a' });
+  assert.equal(job.attempts, 2);
+  const failed = await jobs.fail(job.id, { workerId: 'w-a', leaseId: job.leaseId, error: 'rpc timeout' });
+  assert.equal(failed.state, 'FAILED');
+  assert.deepEqual(failed.attemptLog.map(l => l.outcome), ['FAILED', 'FAILED']);
+
+  const again = await jobs.retry(job.id);
+  assert.equal(again.state, 'PENDING');
+  assert.equal(again.attempts, 0);
+  assert.equal(await jobs.retry(job.id), null, 'only FAILED jobs can be retried');
+
+  [job] = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a' });
+  assert.equal((await jobs.fail(job.id, { workerId: 'w-a', leaseId: job.leaseId, error: 'bad hash', retry: false })).state, 'FAILED');
+});
+
+test('lapsed leases go back in the queue, and count as attempts', async () => {
+  const { jobs, stored } = await setup(1, { maxAttempts: 1 });
+  const [first] = await jobs.claim({ type: 'CollectionEvent', workerId: 'w-a', leaseS: 60 });
+  assert.deepEqual(await jobs.expire(later(2)), { failed: 1, released: 0 });
+  assert.equal((await stored(first.id)).lastError, 'lease expired');
+
+  const { jobs: roomy, stored: storedRoomy } = await setup(1, { maxAttempts: 3 });
+  const [held] = await roomy.claim({ type: 'CollectionEvent', workerId: 'w-a', leaseS: 60 });
+  assert.deepEqual(await roomy.expire(new Date()), { failed: 0, released: 0 }, 'a live lease is kept');
+  assert.deepEqual(await roomy.expire(later(2)), { failed: 0, released: 1 });
+  const released = await storedRoomy(held.id);
+  assert.equal(released.state, 'PENDING');
+  assert.equal(released.leaseId, undefined);
+  assert.equal(await roomy.complete(held.id, { workerId: 'w-a', leaseId: held.leaseId, chainHash: '0x1' }), null);
+});
+
+test('enqueue re-queues changed records but leaves leased jobs alone', async () => {
+  const { repos, jobs } = await setup(0);
+  const job = () => repos.LedgerJob.findOne({ recordId: 'B-1' });
+  await jobs.enqueue('Batch', { id: 'B-1', merkleRoot: 'r1' });
+  await jobs.enqueue('Batch', { id: 'B-1' });
+  assert.equal((await job()).hash, 'r1', 'nothing to anchor yet is not queued');
+
+  const [leased] = await jobs.claim({ type: 'Batch', workerId: 'w-a' });
+  await jobs.enqueue('Batch', { id: 'B-1', merkleRoot: 'r2' });
+  assert.equal((await job()).hash, 'r1');
+  await jobs.complete(leased.id, { workerId: 'w-a', leaseId: leased.leaseId, chainHash: '0x1' });
+  await jobs.enqueue('Batch', { id: 'B-1', merkleRoot: 'r2' });
+  const requeued = await job();
+  assert.equal(requeued.state, 'PENDING');
+  assert.equal(requeued.hash, 'r2');
+  assert.equal(requeued.chainHash, undefined);
+  assert.equal(await repos.LedgerJob.countDocuments({}), 1);
+});
+
+test('the lease API stamps the record and turns away stale leases', async (ctx) => {
+  const t = await startApp();
+  ctx.after(() => t.close());
+  await seedSpecies(t);
+  const { collectionEvent } = await collect(await t.as('collector', 'farmer-123'));
+  const worker = await t.as('chain-worker', 'worker-1');
+  const other = await t.as('chain-worker', 'worker-2');
+
+  const claimed = await worker('post', '/ledger-jobs/claim', { type: 'CollectionEvent', limit: 5 });
+  assert.equal(claimed.status, 200, JSON.stringify(claimed.data));
+  const job = claimed.data.items.find(j => j.record_id === collectionEvent.id);
+  assert.ok(job, JSON.stringify(claimed.data));
+
+  assert.equal((await worker('post', `/ledger-jobs/${job.id}/complete`, { worker_id: 'worker-2', lease_id: job.lease_id, chain_hash: '0xfeed' })).status, 403);
+  assert.equal((await other('post', `/ledger-jobs/${job.id}/complete`, { lease_id: job.lease_id, chain_hash: '0xfeed' })).data.error, 'LEASE_NOT_HELD');
+  const done = await worker('post', `/ledger-jobs/${job.id}/complete`, { lease_id: job.lease_id, chain_hash: '0xfeed' });
+  assert.equal(done.status, 200, JSON.stringify(done.data));
+  assert.equal(done.data.requeued, false);
+  const record = await t.repos.CollectionEvent.findOne({ id: collectionEvent.id });
+  assert.equal(record.chainHash, '0xfeed');
+  assert.equal(record.chainStatus, 'COMPLETE');
+  assert.equal(record.status, collectionEvent.status);
+  assert.equal((await worker('post', `/ledger-jobs/${job.id}/complete`, { lease_id: job.lease_id, chain_hash: '0xfeed' })).status, 409);
+  assert.equal((await worker('post', '/ledger-jobs/LJ-missing/fail', { lease_id: job.lease_id, error: 'x' })).status, 404);
+});
@@ -0,0 +1,63 @@
+// Batch lifecycle: profiles, allowed steps and enforcement on POST /processing
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROFILES, TERMINAL_PHASE, resolveProfile, nextSteps, checkStep, validateTransitions } = require('../lib/lifecycle');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+test('profiles resolve from the species, custom transitions first', () => {
+  assert.equal(resolveProfile(null).name, 'DEFAULT');
+  assert.equal(resolveProfile({ lifecycleProfile: 'ROOT' }).transitions, PROFILES.ROOT);
+  assert.equal(resolveProfile({ lifecycleProfile: 'NOPE' }).name, 'DEFAULT');
+  const custom = { CREATED: { RECEIPT: 'DONE' } };
+  assert.deepEqual(resolveProfile({ lifecycleProfile: 'ROOT', lifecycleTransitions: custom }), { name: 'CUSTOM', transitions: custom });
+});
+
+test('steps follow the profile edges, once each, up to the terminal phase', () => {
+  const root = resolveProfile({ lifecycleProfile: 'ROOT' });
+  assert.deepEqual(nextSteps(root, 'RECEIPT_DONE'), [{ step_type: 'WASHING', to_phase: 'WASHING_DONE' }]);
+  assert.deepEqual(checkStep(root, 'RECEIPT_DONE', 'WASHING'), { ok: true, from: 'RECEIPT_DONE', to: 'WASHING_DONE' });
+
+  const skipped = checkStep(root, 'RECEIPT_DONE', 'DRYING');
+  assert.equal(skipped.code, 'INVALID_TRANSITION');
+  assert.match(skipped.message, /expected one of WASHING/);
+  assert.equal(checkStep(root, 'WASHING_DONE', 'WASHING', ['RECEIPT', 'WASHING']).code, 'DUPLICATE_STEP');
+
+  const done = checkStep(root, TERMINAL_PHASE, 'GRINDING');
+  assert.equal(done.code, 'INVALID_TRANSITION');
+  assert.deepEqual(done.allowed, []);
+  assert.match(done.message, /terminal phase/);
+
+  const leaf = resolveProfile({ lifecycleProfile: 'LEAF' });
+  assert.deepEqual(nextSteps(leaf, 'RECEIPT_DONE').map(s => s.step_type), ['GARBLING', 'DRYING']);
+});
+
+test('custom transition maps are checked before they are stored', () => {
+  assert.equal(validateTransitions({ CREATED: { RECEIPT: 'RECEIPT_DONE' } }), null);
+  assert.match(validateTransitions({ RECEIPT_DONE: {} }), /CREATED/);
+  assert.match(validateTransitions({ CREATED: { RECEIPT: '' } }), /CREATED\.RECEIPT/);
+  assert.match(validateTransitions({ CREATED: { RECEIPT: 'X' }, X: 'oops' }), /phase X/);
+});
+
+test('POST /processing enforces the lifecycle', async (ctx) => {
+  const t = await startApp();
+  ctx.after(() => t.close());
+  await seedSpecies(t);
+  const processor = await t.as('processor', 'proc-1');
+  const { batch } = await collect(await t.as('collector', 'farmer-123'));
+  const step = (step_type) => processor('post', '/processing', { batch_id: batch.id, step_type });
+
+  assert.equal((await step('RECEIPT')).status, 201);
+  const skipped = await step('GRINDING');
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.data.error, 'INVALID_TRANSITION');
+  assert.equal(skipped.data.status_phase, 'RECEIPT_DONE');
+  assert.deepEqual(skipped.data.allowed_steps, [{ step_type: 'DRYING', to_phase: 'DRYING_DONE' }]);
+  assert.equal((await step('RECEIPT')).data.error, 'DUPLICATE_STEP');
+
+  assert.equal((await step('DRYING')).status, 201);
+  assert.equal((await step('QA_SAMPLING')).status, 201);
+  const stored = await t.repos.Batch.findOne({ id: batch.id });
+  assert.equal(stored.statusPhase, TERMINAL_PHASE);
+  assert.deepEqual(stored.phaseHistory.map(h => h.stepType).filter(Boolean), ['RECEIPT', 'DRYING', 'QA_SAMPLING']);
+  assert.equal((await step('GRINDING')).status, 409);
+});
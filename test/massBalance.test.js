@@ -0,0 +1,127 @@
+// Mass balance (lib/massBalance): the reconciliation rules, then through the API: start mass, step yields, and what must not move it
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcile, validateYieldRanges } = require('../lib/massBalance');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let processor;
+let chain;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  processor = await t.as('processor', 'proc-1');
+  chain = await t.as('chain-worker', 'worker-1');
+});
+after(() => t.close());
+
+const addStep = async (batchId, stepType, inputKg, outputKg) => {
+  const res = await processor('post', '/processing', { batch_id: batchId, step_type: stepType, input_kg: inputKg, output_kg: outputKg });
+  assert.equal(res.status, 201, JSON.stringify(res.data));
+  return res.data.processing_step.id;
+};
+
+const step = (stepType, inputKg, outputKg) => ({ id: `PS-${stepType}`, stepType, inputKg, outputKg });
+const collected = (kg) => ({ kg, complete: true, source: 'COLLECTION' });
+const codes = (r) => r.anomalies.map(a => a.code);
+
+test('reconcile balances a fully weighed chain within tolerance and yield ranges', () => {
+  const r = reconcile({ start: collected(10), steps: [step('RECEIPT', 10.1, 10), step('DRYING', 10, 3)] });
+  assert.equal(r.status, 'BALANCED');
+  assert.equal(r.currentKg, 3);
+  assert.equal(r.overallYield, 0.3);
+  assert.deepEqual(r.steps.map(s => s.expectedInputKg), [10, 10]);
+});
+
+test('reconcile flags gains, losses and yields outside the range', () => {
+  assert.deepEqual(codes(reconcile({ start: collected(10), steps: [step('RECEIPT', 11, 10.5)] })), ['MASS_GAIN']);
+  assert.deepEqual(codes(reconcile({ start: collected(10), steps: [step('RECEIPT', 8, 7.9)] })), ['MASS_LOSS']);
+  assert.deepEqual(codes(reconcile({ start: collected(10), steps: [step('DRYING', 10, 6)] })), ['YIELD_ABOVE_RANGE']);
+  assert.deepEqual(codes(reconcile({ start: collected(10), steps: [step('DRYING', 10, 1)] })), ['YIELD_BELOW_RANGE']);
+  const wet = { yieldRanges: { DRYING: { min: 0.5, max: 0.7 } } };
+  assert.equal(reconcile({ start: collected(10), steps: [step('DRYING', 10, 6)], species: wet }).status, 'BALANCED');
+  const overdrawn = reconcile({ start: collected(10), steps: [], parents: [{ batchId: 'B-1', contributedKg: 6, availableKg: 5 }] });
+  assert.deepEqual(codes(overdrawn), ['MASS_GAIN']);
+  assert.equal(overdrawn.anomalies[0].parent_batch_id, 'B-1');
+});
+
+test('reconcile is incomplete while weights are missing, and resumes at the next weighed step', () => {
+  const r = reconcile({ start: collected(10), steps: [step('RECEIPT', 10, null), step('DRYING', 9.9, 3)] });
+  assert.equal(r.status, 'INCOMPLETE');
+  assert.equal(r.unweighedSteps, 1);
+  assert.equal(r.steps[1].expectedInputKg, null);
+  assert.equal(r.currentKg, 3);
+  assert.equal(reconcile({ start: { kg: null, complete: false, source: 'COLLECTION' }, steps: [] }).status, 'INCOMPLETE');
+  assert.equal(validateYieldRanges({ DRYING: { min: 0.2, max: 0.4 } }), null);
+  assert.match(validateYieldRanges({ DRYING: { min: 0.5, max: 0.4 } }), /yieldRanges\.DRYING/);
+  assert.match(validateYieldRanges({ drying: { min: 0, max: 1 } }), /upper-case/);
+});
+
+test('reconciles weighed steps against the collected mass', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'mb-reconcile' });
+  await addStep(batch.id, 'RECEIPT', 12.5, 12.3);
+  await addStep(batch.id, 'DRYING', 12.3, 3.9);
+
+  const res = await processor('get', `/batches/${batch.id}/mass-balance`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.start, { kg: 12.5, complete: true, source: 'COLLECTION' });
+  assert.equal(res.data.current_kg, 3.9);
+  assert.deepEqual(res.data.steps.map(s => s.step_type), ['RECEIPT', 'DRYING']);
+});
+
+test('a chain PATCH on a processing step leaves its status and the mass balance alone', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'mb-chain', timestamp: '2025-09-17T10:00:00Z' });
+  await addStep(batch.id, 'RECEIPT', 12.5, 12.3);
+  const stepId = await addStep(batch.id, 'DRYING', 12.3, 3.9);
+  const balance = (await processor('get', `/batches/${batch.id}/mass-balance`)).data;
+
+  for (const status of ['IN_PROGRESS', 'COMPLETE']) {
+    const patched = await chain('patch', `/processing/${stepId}/blockchain`, { status, hash: '0xtx-ps' });
+    assert.equal(patched.status, 200);
+    assert.deepEqual(patched.data, { id: stepId, status: 'COMPLETED', chain_status: status, chain_hash: '0xtx-ps' });
+  }
+
+  const after = (await processor('get', `/batches/${batch.id}/mass-balance`)).data;
+  assert.deepEqual(
+    { start: after.start, current_kg: after.current_kg, steps: after.steps, anomalies: after.anomalies },
+    { start: balance.start, current_kg: balance.current_kg, steps: balance.steps, anomalies: balance.anomalies }
+  );
+  assert.equal(after.steps.length, 2);
+
+  const queue = await chain('get', '/processing/chain?status=COMPLETE');
+  const item = queue.data.items.find(i => i.id === stepId);
+  assert.equal(item.status, 'COMPLETED');
+  assert.equal(item.chain_status, 'COMPLETE');
+});
+
+test('startup repair puts back step statuses that an old chain PATCH overwrote', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'mb-repair', timestamp: '2025-09-18T10:00:00Z' });
+  await addStep(batch.id, 'RECEIPT', 12.5, 12.3);
+  const drying = await addStep(batch.id, 'DRYING', 12.3, 3.9);
+  const { ProcessingStep, AuditEntry } = t.repos;
+
+  // As an old PATCH left it: the DRYING step's status replaced by the chain state, and the audit entry
+  await ProcessingStep.updateOne({ id: drying }, { $set: { status: 'COMPLETE', chainHash: '0xtx-ps' } });
+  const last = await AuditEntry.findOne({}, { seq: 1 }, { sort: { seq: -1 } });
+  await AuditEntry.create({
+    id: 'AU-legacypatch1', seq: last.seq + 1, at: new Date(), actor: { role: 'chain-worker', subject: 'worker-1', via: 'api-key' },
+    method: 'PATCH', route: '/processing/:id/blockchain', entityType: 'ProcessingStep', entityId: drying, action: 'UPDATE',
+    changes: [{ path: 'status', before: 'COMPLETED', after: 'COMPLETE' }]
+  });
+  assert.equal((await processor('get', `/batches/${batch.id}/mass-balance`)).data.steps.length, 1);
+
+  await t.start();
+  await t.start(); // a second run finds nothing left to do
+
+  const repaired = await ProcessingStep.findOne({ id: drying });
+  assert.equal(repaired.status, 'COMPLETED');
+  assert.equal(repaired.chainStatus, 'COMPLETE');
+  assert.equal((await processor('get', `/batches/${batch.id}/mass-balance`)).data.steps.length, 2);
+
+  const trail = await AuditEntry.find({ entityType: 'ProcessingStep', entityId: drying, 'actor.role': 'system' });
+  assert.equal(trail.length, 1);
+  assert.deepEqual(trail[0].changes.find(c => c.path === 'status'), { path: 'status', before: 'COMPLETE', after: 'COMPLETED' });
+});
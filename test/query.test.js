@@ -0,0 +1,95 @@
+// Memory driver: MongoDB semantics for the filters and updates the app relies on
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const q = require('../lib/repository/query');
+const { createMemoryRepositories } = require('../lib/repository/memory');
+
+const repo = () => {
+  const schema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    count: Number,
+    limit: Number,
+    tags: { type: [String], default: undefined },
+    owner: String,
+    hits: { type: Number, default: 0 }
+  }, { timestamps: true });
+  return createMemoryRepositories({ schemas: { Thing: schema } }).Thing;
+};
+
+const ids = (rows) => rows.map(r => r.id).sort();
+
+test('$expr compares fields of the same document', async () => {
+  const things = repo();
+  await things.create({ id: 'under', count: 2, limit: 5 });
+  await things.create({ id: 'at', count: 5, limit: 5 });
+  await things.create({ id: 'over', count: 7, limit: 5 });
+  await things.create({ id: 'unlimited', count: 7 });
+
+  assert.deepEqual(ids(await things.find({ $expr: { $lt: ['$count', '$limit'] } })), ['under']);
+  assert.deepEqual(ids(await things.find({ $expr: { $gte: ['$count', '$limit'] } })), ['at', 'over', 'unlimited']);
+  assert.deepEqual(ids(await things.find({ $expr: { $gt: [{ $add: ['$count', 1] }, '$limit'] } })), ['at', 'over', 'unlimited']);
+});
+
+test('null in $or matches missing fields as well as stored nulls', async () => {
+  const things = repo();
+  await things.create({ id: 'missing' });
+  await things.create({ id: 'null', owner: null });
+  await things.create({ id: 'mine', owner: 'farmer-123' });
+  await things.create({ id: 'theirs', owner: 'farmer-456' });
+
+  assert.deepEqual(ids(await things.find({ $or: [{ owner: null }, { owner: 'farmer-123' }] })), ['mine', 'missing', 'null']);
+  assert.deepEqual(ids(await things.find({ $or: [{ owner: { $in: [null, 'farmer-456'] } }] })), ['missing', 'null', 'theirs']);
+  assert.deepEqual(ids(await things.find({ owner: { $ne: null } })), ['mine', 'theirs']);
+  assert.deepEqual(ids(await things.find({ owner: { $exists: false } })), ['missing']);
+  assert.ok(q.matches({}, { $or: [{ owner: null }] }));
+  assert.ok(!q.matches({ owner: 'x' }, { $or: [{ owner: null }, { owner: { $lt: 'a' } }] }));
+});
+
+test('$push with $each and $slice keeps the bounded end of the array', async () => {
+  const things = repo();
+  await things.create({ id: 'log' });
+
+  await things.updateOne({ id: 'log' }, { $push: { tags: { $each: ['a', 'b', 'c'], $slice: -2 } } });
+  assert.deepEqual((await things.findOne({ id: 'log' })).tags, ['b', 'c']);
+  await things.updateOne({ id: 'log' }, { $push: { tags: { $each: ['d'], $slice: 2 } } });
+  assert.deepEqual((await things.findOne({ id: 'log' })).tags, ['b', 'c']);
+  await things.updateOne({ id: 'log' }, { $push: { tags: { $each: ['e'], $slice: -2 } } });
+  assert.deepEqual((await things.findOne({ id: 'log' })).tags, ['c', 'e']);
+  await things.updateOne({ id: 'log' }, { $push: { tags: 'f' } });
+  assert.deepEqual((await things.findOne({ id: 'log' })).tags, ['c', 'e', 'f']);
+  await things.updateOne({ id: 'log' }, { $push: { tags: { $each: [], $slice: 0 } } });
+  assert.deepEqual((await things.findOne({ id: 'log' })).tags, []);
+});
+
+test('upsert seeds from the filter and applies $setOnInsert on insert only', async () => {
+  const things = repo();
+  const first = await things.updateOne(
+    { id: 'counter', count: { $gte: 0 } },
+    { $inc: { hits: 1 }, $setOnInsert: { owner: 'farmer-123', limit: 10 } },
+    { upsert: true }
+  );
+  assert.equal(first.upsertedCount, 1);
+  assert.ok(first.upsertedId);
+  let doc = await things.findOne({ id: 'counter' });
+  assert.equal(doc.owner, 'farmer-123');
+  assert.equal(doc.limit, 10);
+  assert.equal(doc.hits, 1);
+  assert.equal(doc.count, undefined, 'operator conditions are not copied into the new document');
+
+  const again = await things.findOneAndUpdate(
+    { id: 'counter' },
+    { $inc: { hits: 1 }, $setOnInsert: { owner: 'farmer-456', limit: 99 } },
+    { upsert: true, new: true }
+  );
+  assert.equal(again.owner, 'farmer-123');
+  assert.equal(again.limit, 10);
+  assert.equal(again.hits, 2);
+  assert.equal(await things.countDocuments({}), 1);
+
+  doc = await things.findOneAndUpdate({ id: 'other' }, { $setOnInsert: { owner: 'farmer-456' } }, { upsert: true, new: true });
+  assert.equal(doc.id, 'other');
+  assert.equal(doc.hits, 0, 'schema defaults apply to upserted documents');
+  assert.equal(await things.findOneAndUpdate({ id: 'third' }, { $set: { count: 1 } }, { upsert: true }), null);
+  assert.equal((await things.findOne({ id: 'third' })).count, 1);
+});
@@ -0,0 +1,91 @@
+// Recalls: scope matching on harvest dates, the state machine, lab-triggered recalls and what an open recall blocks
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition } = require('../lib/recalls');
+const { startApp, seedSpecies, collect } = require('./helpers');
+
+let t;
+let collector;
+let processor;
+let lot;
+let first;
+let second;
+const day = async (id) => (await t.repos.Batch.findOne({ id })).dateUtc;
+
+before(async () => {
+  t = await startApp();
+  await seedSpecies(t);
+  collector = await t.as('collector', 'farmer-123');
+  processor = await t.as('processor', 'proc-1');
+  first = (await collect(collector, { clientEventId: 'recall-a', timestamp: '2025-09-16T10:00:00Z' })).batch;
+  second = (await collect(collector, { clientEventId: 'recall-b', timestamp: '2025-09-17T10:00:00Z' })).batch;
+  const merged = await processor('post', '/batches/merge', { parents: [{ batch_id: first.id }, { batch_id: second.id }] });
+  assert.equal(merged.status, 201, JSON.stringify(merged.data));
+  lot = merged.data.batch;
+});
+after(() => t.close());
+
+const banner = async (batchId) => (await t.anonymous('get', `/provenance/${batchId}`)).data.ui.recall_banner;
+
+test('a date range covering only the day a lot was made recalls nothing', async () => {
+  const made = await day(lot.id);
+  assert.notEqual(made, await day(first.id));
+  const res = await t.admin('post', '/recalls', {
+    reason: 'Wrong day', severity: 'LOW', state: 'ACTIVE', species: 'Withania somnifera', from: made, to: made
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.data));
+  assert.deepEqual(res.data.affected_batch_ids, []);
+  assert.equal(await banner(lot.id), false);
+  await t.admin('patch', `/recalls/${res.data.id}/state`, { state: 'RESOLVED' });
+});
+
+test('a date range covering one harvest recalls that batch and the lots made from it', async () => {
+  const res = await t.admin('post', '/recalls', {
+    reason: 'Contaminated harvest', severity: 'HIGH', state: 'ACTIVE', species: 'Withania somnifera', from: '2025-09-16', to: '2025-09-16'
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.data));
+  assert.deepEqual(res.data.affected_batch_ids.sort(), [first.id, lot.id].sort());
+  assert.equal(await banner(lot.id), true);
+  assert.equal(await banner(first.id), true);
+  assert.equal(await banner(second.id), false);
+});
+
+test('recalls move INVESTIGATING → ACTIVE → RESOLVED and no further', async () => {
+  assert.ok(canTransition('INVESTIGATING', 'RESOLVED'));
+  assert.ok(!canTransition('ACTIVE', 'INVESTIGATING'));
+  const { batch } = await collect(collector, { clientEventId: 'recall-states', timestamp: '2025-09-20T10:00:00Z' });
+  const opened = await t.admin('post', '/recalls', { reason: 'Supplier complaint', severity: 'MEDIUM', batch_ids: [batch.id] });
+  assert.equal(opened.data.state, 'INVESTIGATING');
+  assert.equal(await banner(batch.id), false, 'investigations are not shown to consumers');
+
+  const move = (state) => t.admin('patch', `/recalls/${opened.data.id}/state`, { state });
+  assert.equal((await move('ACTIVE')).data.state, 'ACTIVE');
+  assert.equal(await banner(batch.id), true);
+  assert.equal((await move('INVESTIGATING')).status, 409);
+  assert.equal((await move('RESOLVED')).data.state, 'RESOLVED');
+  assert.equal((await move('ACTIVE')).data.error, 'INVALID_TRANSITION');
+  assert.equal(await banner(batch.id), false);
+});
+
+test('a failed pesticide test opens one active recall', async () => {
+  const lab = await t.as('lab', 'lab-1');
+  const { batch } = await collect(collector, { clientEventId: 'recall-auto', timestamp: '2025-09-21T10:00:00Z' });
+  for (let i = 0; i < 2; i++) {
+    const res = await lab('post', '/labtest', { batch_id: batch.id, moisture_pct: 10.5, pesticide_pass: false });
+    assert.equal(res.status, 201, JSON.stringify(res.data));
+  }
+  const recalls = await t.repos.Recall.find({ 'scope.batchIds': batch.id });
+  assert.equal(recalls.length, 1);
+  assert.equal(recalls[0].state, 'ACTIVE');
+  assert.equal(recalls[0].source, 'PESTICIDE');
+});
+
+test('material under an open recall cannot be pooled', async () => {
+  const { batch } = await collect(collector, { clientEventId: 'recall-held', timestamp: '2025-09-22T10:00:00Z' });
+  const { batch: clean } = await collect(collector, { clientEventId: 'recall-clean', timestamp: '2025-09-23T10:00:00Z' });
+  const opened = await t.admin('post', '/recalls', { reason: 'Supplier complaint', severity: 'LOW', batch_ids: [batch.id] });
+  const merged = await processor('post', '/batches/merge', { parents: [{ batch_id: clean.id }, { batch_id: batch.id }] });
+  assert.equal(merged.status, 409);
+  assert.equal(merged.data.error, 'BATCH_RECALLED');
+  assert.deepEqual(merged.data.recalls, [{ batch_id: batch.id, recall_ids: [opened.data.id] }]);
+});
@@ -1,102 +1,249 @@
+// testApi.js — end-to-end run through the API.
+// With API_BASE set (and ADMIN_API_KEY for that server) it runs against a deployed instance;
+// otherwise it starts app.js in this process on the memory driver, with a throwaway admin key,
+// storage directory and ledger file, so it needs no database or network.
 const axios = require('axios');
-const BASE = 'https://ayurtrace-farmer.onrender.com';
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const as = (key) => ({ headers: { 'X-API-Key': key } });
+
+// A "photo" for the collection event: PNG signature plus filler. In-process, the stub classifier
+// is told it shows Withania somnifera; a deployed server's classifier decides for itself.
+const PHOTO = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('testApi ashwagandha root')]);
+
+// → { base, adminKey, repos, close }; repos only in-process
+async function target() {
+  if (process.env.API_BASE) {
+    if (!process.env.ADMIN_API_KEY) throw new Error('Set ADMIN_API_KEY to run the API tests against API_BASE');
+    return { base: process.env.API_BASE.replace(/\/+$/, ''), adminKey: process.env.ADMIN_API_KEY, close: async () => {} };
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testapi-'));
+  process.env.ADMIN_API_KEY = 'ak_test_' + crypto.randomBytes(16).toString('hex');
+  const { createApp } = require('./app');
+  const { createRepositories } = require('./lib/repository');
+  const { createStorage } = require('./lib/storage');
+  const { createLedger } = require('./lib/ledger');
+  const { createClassifier } = require('./lib/classifier');
+  const photoSha = crypto.createHash('sha256').update(PHOTO).digest('hex');
+  const repos = createRepositories('memory');
+  const { app } = createApp({
+    repos,
+    storage: createStorage('local', { dir: path.join(dir, 'attachments') }),
+    ledger: createLedger('local', { file: path.join(dir, 'ledger.jsonl') }),
+    classifier: createClassifier('stub', { labels: { [photoSha]: 'Withania somnifera' } })
+  });
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  console.log('In-process API on the memory driver, port', server.address().port);
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    adminKey: process.env.ADMIN_API_KEY,
+    repos,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
 
 async function run() {
+  let close = async () => {};
   try {
+    const t = await target();
+    close = t.close;
+    const BASE = t.base;
+    const admin = as(t.adminKey);
+
+    // 0. Issue one key per role
+    console.log('Issuing API keys...');
+    const issue = async (role, subject) =>
+      (await axios.post(`${BASE}/admin/api-keys`, { role, subject, name: 'testApi' }, admin)).data.key;
+    const collector = as(await issue('collector', 'farmer-123'));
+    const processor = as(await issue('processor', 'proc-1'));
+    const lab = as(await issue('lab', 'lab-1'));
+    const chain = as(await issue('chain-worker', 'worker-1'));
+
+    // Optional: point WEBHOOK_URL at webhookReceiver.js to watch the events below arrive
+    if (process.env.WEBHOOK_URL) {
+      const hook = await axios.post(`${BASE}/webhooks`, { url: process.env.WEBHOOK_URL, event_types: ['*'], description: 'testApi' }, admin);
+      console.log('Webhook:', hook.data.id, 'secret:', hook.data.secret);
+      await axios.post(`${BASE}/webhooks/${hook.data.id}/test`, {}, admin);
+    }
+
     // 1. Seed species
     console.log('Seeding species...');
     await axios.post(`${BASE}/dev/seed-species`, {
       scientificName: 'Withania somnifera',
-      speciesCode: 'WITHA'
-    });
+      speciesCode: 'WITHA',
+      plantParts: ['ROOT'],
+      vernacularNames: [{ lang: 'en', name: 'Ashwagandha' }]
+    }, admin);
+    const search = await axios.get(`${BASE}/species/search?q=ashvagandha`, collector);
+    console.log('Species search:', search.data.items.map(i => i.species_code));
 
-    // 2. Create collection event
+    // 2. Upload a species photo, then create the collection event citing it
+    console.log('Uploading species photo...');
+    const photo = await axios.post(`${BASE}/collection-photos?filename=root.png`, PHOTO,
+      { headers: { ...collector.headers, 'Content-Type': 'image/png' } });
+    console.log('Photo:', photo.data.id, 'top prediction:', photo.data.classification.predictions[0]);
     console.log('Creating collection event...');
     const collectionRes = await axios.post(`${BASE}/collection`, {
       scientificName: 'Withania somnifera',
       collectorId: 'farmer-123',
       geo: { lat: 28.6, lng: 77.2 },
       timestamp: '2025-09-16T10:00:00Z',
+      quantity: 12.5,
+      unit: 'kg',
       clientEventId: 'event-001',
-      ai_verified_confidence: 0.92
-    });
+      photos: [photo.data.id]
+    }, collector);
     const ceId = collectionRes.data.collectionEvent.id;
     const batchId = collectionRes.data.batch.id;
     const qrCodeUrl = collectionRes.data.batch.qr_code_url;
     console.log('CollectionEvent ID:', ceId);
     console.log('Batch ID:', batchId);
     console.log('QR Code URL:', qrCodeUrl);
+    const { ai } = collectionRes.data.collectionEvent;
+    console.log('Identification:', ai.top, 'match:', ai.match, 'model:', ai.model_versions);
 
     // 3. Add processing step
     console.log('Adding processing step...');
+    await axios.post(`${BASE}/processing`, {
+      batch_id: batchId,
+      step_type: 'RECEIPT',
+      input_kg: 12.5,
+      output_kg: 12.3
+    }, processor);
     const procRes = await axios.post(`${BASE}/processing`, {
       batch_id: batchId,
-      step_type: 'DRYING'
-    });
+      step_type: 'DRYING',
+      input_kg: 12.3,
+      output_kg: 3.9
+    }, processor);
     const psId = procRes.data.processing_step.id;
     console.log('ProcessingStep ID:', psId);
+    const balance = await axios.get(`${BASE}/batches/${batchId}/mass-balance`, processor);
+    console.log('Mass balance:', balance.data.status, balance.data.anomalies);
+
+    // 4. Upload certificate and add lab test
+    console.log('Uploading certificate...');
+    const certRes = await axios.post(`${BASE}/lab-attachments?kind=CERTIFICATE&filename=coa.pdf`,
+      Buffer.from('%PDF-1.4\n% test certificate\n'),
+      { headers: { ...lab.headers, 'Content-Type': 'application/pdf' } });
+    console.log('Attachment:', certRes.data.id, certRes.data.sha256);
 
-    // 4. Add lab test
     console.log('Adding lab test...');
     const labRes = await axios.post(`${BASE}/labtest`, {
       batch_id: batchId,
       moisture_pct: 10.5,
-      pesticide_pass: true
-    });
+      pesticide_pass: true,
+      attachments: [certRes.data.id]
+    }, lab);
     const ltId = labRes.data.lab_test.id;
     console.log('LabTest ID:', ltId);
+    const cert = await axios.get(`${BASE}/labtests/${ltId}/certificate`, processor);
+    console.log('Certificate sha256 verified:', cert.headers['x-content-sha256'] === certRes.data.sha256);
 
     // 5. PATCH hash/status for collection event
     console.log('Updating hash/status for collection event...');
     await axios.patch(`${BASE}/collection/${ceId}/blockchain`, {
       status: 'READY',
       hash: 'hash-ce-123'
-    });
+    }, chain);
 
     // 6. PATCH hash/status for processing step
     console.log('Updating hash/status for processing step...');
     await axios.patch(`${BASE}/processing/${psId}/blockchain`, {
       status: 'READY',
       hash: 'hash-ps-123'
-    });
+    }, chain);
 
     // 7. PATCH hash/status for lab test
     console.log('Updating hash/status for lab test...');
     await axios.patch(`${BASE}/labtest/${ltId}/blockchain`, {
       status: 'READY',
       hash: 'hash-lt-123'
-    });
+    }, chain);
 
     // 8. List ready collection events
     console.log('Listing ready collection events...');
-    const readyCE = await axios.get(`${BASE}/collections/chain?status=READY`);
+    const readyCE = await axios.get(`${BASE}/collections/chain?status=READY`, chain);
     console.log('Ready CollectionEvents:', readyCE.data.items);
 
     // 9. List ready processing steps
     console.log('Listing ready processing steps...');
-    const readyPS = await axios.get(`${BASE}/processing/chain?status=READY`);
+    const readyPS = await axios.get(`${BASE}/processing/chain?status=READY`, chain);
     console.log('Ready ProcessingSteps:', readyPS.data.items);
 
     // 10. List ready lab tests
     console.log('Listing ready lab tests...');
-    const readyLT = await axios.get(`${BASE}/labtests/chain?status=READY`);
+    const readyLT = await axios.get(`${BASE}/labtests/chain?status=READY`, chain);
     readyLT.data.items.forEach(lt => {
       console.log(`LabTest: id=${lt.id}, batch_id=${lt.batch_id}, status=${lt.status}, gate=${lt.gate}, hash=${lt.hash}`);
     });
 
+    // Ledger jobs: lease the lab test jobs, renew the lease, complete one with its chain hash
+    console.log('Leasing ledger jobs...');
+    const leased = await axios.post(`${BASE}/ledger-jobs/claim`, { type: 'LabTest', limit: 5, lease_s: 60 }, chain);
+    console.log('Leased:', leased.data.items.map(j => `${j.record_id} (attempt ${j.attempts}/${j.max_attempts})`));
+    if (leased.data.items.length) {
+      const job = leased.data.items[0];
+      const beat = await axios.post(`${BASE}/ledger-jobs/heartbeat`, { lease_ids: [job.lease_id] }, chain);
+      console.log('Lease renewed until:', beat.data.renewed[0]?.lease_expires_at);
+      const done = await axios.post(`${BASE}/ledger-jobs/${job.id}/complete`, { lease_id: job.lease_id, chain_hash: '0xtx-lt-123' }, chain);
+      console.log('Job', done.data.job.id, done.data.job.state, 'chain_hash:', done.data.job.chain_hash);
+    }
+
+    // Cursor pagination: two one-item pages of collection events, newest first
+    const page1 = await axios.get(`${BASE}/collections?limit=1&sort=-timestampUtc&fields=id,timestampUtc`, chain);
+    console.log('Collections page 1:', page1.data.items, 'has_more:', page1.data.has_more);
+    if (page1.data.next_cursor) {
+      const page2 = await axios.get(`${BASE}/collections?limit=1&sort=-timestampUtc&fields=id,timestampUtc&cursor=${page1.data.next_cursor}`, chain);
+      console.log('Collections page 2:', page2.data.items);
+    }
+
     // 11. Get provenance bundle
     console.log('Getting provenance bundle...');
     const prov = await axios.get(`${BASE}/provenance/${batchId}`);
     console.log('Provenance bundle:', prov.data);
 
-    // 12. Health check
+    // 12. Audit trail for the batch, and the hash chain
+    console.log('Checking audit log...');
+    const auditor = as(await issue('auditor', 'certifier-1'));
+    const trail = await axios.get(`${BASE}/audit?entity_type=Batch&entity_id=${encodeURIComponent(batchId)}`, auditor);
+    console.log('Batch audit entries:', trail.data.items.map(e => `${e.seq} ${e.action} ${e.route}`));
+    const chainCheck = await axios.get(`${BASE}/audit/verify`, auditor);
+    console.log('Audit chain verified:', chainCheck.data.verified, chainCheck.data.head_hash);
+
+    // 13. Health check
     console.log('Health check...');
     const health = await axios.get(`${BASE}/healthz`);
     console.log('Health:', health.data);
+    const spec = await axios.get(`${BASE}/openapi.json`);
+    if (spec.status !== 200 || !spec.data.paths?.['/collection-photos']) throw new Error(`GET /openapi.json answered ${spec.status}`);
+    console.log('OpenAPI document:', Object.keys(spec.data.paths).length, 'paths');
+
+    // 14. A failing repository call answers with the uniform 500 body instead of crashing the server
+    if (t.repos) {
+      console.log('Failing a repository call...');
+      const { findOne } = t.repos.Species;
+      t.repos.Species.findOne = async () => { throw new Error('simulated repository failure'); };
+      const failed = await axios.get(`${BASE}/species/WITHA`, { ...collector, validateStatus: () => true })
+        .finally(() => { t.repos.Species.findOne = findOne; });
+      if (failed.status !== 500 || failed.data.code !== 'INTERNAL_ERROR' || !failed.data.request_id) {
+        throw new Error(`Expected the 500 error body, got ${failed.status} ${JSON.stringify(failed.data)}`);
+      }
+      console.log('Repository failure answered:', failed.status, failed.data.code);
+    }
 
     console.log('All tests completed.');
   } catch (err) {
     console.error('Test failed:', err.response?.data || err.message);
+    process.exitCode = 1;
+  } finally {
+    await close();
   }
 }
 
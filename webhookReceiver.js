@@ -0,0 +1,39 @@
+// Dummy webhook receiver for local testing.
+//   WEBHOOK_SECRET=whsec_... node webhookReceiver.js
+// Subscribe it with POST /webhooks { "url": "http://localhost:4000/hooks", "event_types": ["*"] }.
+// FAIL_FIRST=n answers the first n requests with 500 to exercise retries and dead letters.
+const http = require('http');
+const { verifySignature } = require('./lib/webhooks');
+
+const PORT = Number(process.env.RECEIVER_PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET;
+let failFirst = Number(process.env.FAIL_FIRST || 0);
+const seen = new Set();
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (c) => chunks.push(c));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const id = req.headers['x-webhook-id'];
+    const valid = SECRET
+      ? verifySignature(SECRET, { timestamp: req.headers['x-webhook-timestamp'], signature: req.headers['x-webhook-signature'], body })
+      : null;
+    if (valid === false) {
+      console.log(`✗ ${id} bad signature`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (failFirst > 0) {
+      failFirst--;
+      console.log(`… ${id} failing on purpose (${failFirst} more)`);
+      res.writeHead(500).end();
+      return;
+    }
+    const event = JSON.parse(body || '{}');
+    console.log(`${seen.has(id) ? '↺ duplicate' : '✓'} ${req.headers['x-webhook-event']} ${id} delivery=${req.headers['x-webhook-delivery']} signature=${valid === null ? 'unchecked' : 'ok'}`);
+    console.log(JSON.stringify(event.data));
+    seen.add(id);
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => console.log(`Webhook receiver on http://localhost:${PORT}/hooks${SECRET ? '' : ' (set WEBHOOK_SECRET to check signatures)'}`));